@@ -2,6 +2,7 @@ import Ember from 'ember';
 import FlexberryBaseComponent from './flexberry-base-component';
 
 import { BasePredicate, stringToPredicate } from 'ember-flexberry-data/query/predicate';
+import { stringToTree, treeToString, findInvalidRule } from '../utils/predicate-tree';
 
 /**
   AdvLimit dialog Content component.
@@ -44,7 +45,118 @@ export default FlexberryBaseComponent.extend({
   */
   advLimit: Ember.inject.service(),
 
+  /**
+    Flag indicates whether limit is edited in visual editor (tree of conditions) instead of text area.
+
+    @property visualMode
+    @type Boolean
+    @default false
+  */
+  visualMode: false,
+
+  /**
+    Tree of conditions edited in visual editor, see {{#crossLink "Utils.PredicateTree"}}{{/crossLink}}.
+
+    @property _predicateTree
+    @type Object
+    @private
+  */
+  _predicateTree: undefined,
+
+  /**
+    Model for which visual editor was initialized.
+
+    @property _treeModel
+    @type Object
+    @private
+  */
+  _treeModel: undefined,
+
+  /**
+    Attributes of model projection (including attributes of relationships) available for conditions in visual editor.
+
+    @property _attributes
+    @type Object[]
+    @readOnly
+    @private
+  */
+  _attributes: Ember.computed('model.modelProjection', 'model.store', function() {
+    let projection = this.get('model.modelProjection');
+    if (Ember.isNone(projection) || Ember.isNone(this.get('model.store'))) {
+      return Ember.A();
+    }
+
+    return this._getAttributes(projection.modelName, projection.attributes);
+  }).readOnly(),
+
+  /**
+    Hash of attributes captions by paths for dropdowns of visual editor.
+
+    @property _attributeItems
+    @type Object
+    @readOnly
+    @private
+  */
+  _attributeItems: Ember.computed('_attributes', function() {
+    let items = {};
+    this.get('_attributes').forEach((attribute) => {
+      items[attribute.path] = attribute.caption;
+    });
+
+    return items;
+  }).readOnly(),
+
+  /**
+    Called when component receives new attributes, opens limit in visual editor, if it can be represented by tree of conditions.
+    For more information see [didReceiveAttrs](http://emberjs.com/api/classes/Ember.Component.html#event_didReceiveAttrs) event of [Ember.Component](http://emberjs.com/api/classes/Ember.Component.html).
+
+    @method didReceiveAttrs
+  */
+  didReceiveAttrs() {
+    this._super(...arguments);
+
+    let model = this.get('model');
+    if (model && model !== this.get('_treeModel')) {
+      this.set('_treeModel', model);
+      let tree = this.get('_attributes.length') ? stringToTree(this.get('model.advLimit'), this._getAttributeTypes()) : undefined;
+      this.set('_predicateTree', tree);
+      this.set('visualMode', !Ember.isNone(tree));
+    }
+  },
+
   actions: {
+    /**
+      Switches between visual editor and text area.
+
+      @method actions.toggleVisualMode
+    */
+    toggleVisualMode() {
+      this._hideMessage();
+      if (this.get('visualMode')) {
+        if (!this._syncAdvLimit()) {
+          return;
+        }
+
+        this.set('visualMode', false);
+        return;
+      }
+
+      const advLimit = this.get('model.advLimit');
+      if (!this._checkPredicate(advLimit)) {
+        this._showMessage('error', this.get('i18n').t('components.advlimit-dialog-content.cant-parse'));
+        return;
+      }
+
+      const tree = stringToTree(advLimit, this._getAttributeTypes());
+      if (Ember.isNone(tree)) {
+        this._showMessage('warning', this.get('i18n').t('components.advlimit-dialog-content.cant-edit-visually'));
+        return;
+      }
+
+      this.set('_predicateTree', tree);
+      this.set('visualMode', true);
+    },
+
     /**
      Apply specified advLimit.
 
@@ -52,6 +164,10 @@ export default FlexberryBaseComponent.extend({
     */
     apply: function() {
       this._hideMessage();
+      if (!this._syncAdvLimit()) {
+        return;
+      }
+
       const advLimit = this.get('model.advLimit');
       if (!this._checkPredicate(advLimit)) {
         this._showMessage('error', this.get('i18n').t('components.advlimit-dialog-content.cant-parse'));
@@ -62,7 +178,13 @@ export default FlexberryBaseComponent.extend({
       const savePromise = this._getSavePromise(advLimit);
       savePromise.then(
         record => {
-          this.get('objectlistviewEvents').refreshListTrigger(this.get('model.componentName'));
+          // Reset of name of applied adv limit reloads list, so list is refreshed explicitly only if name is not set.
+          const mainController = this.get('currentController.mainControler');
+          if (mainController && !Ember.isNone(mainController.get('advLimitName'))) {
+            mainController.set('advLimitName', null);
+          } else {
+            this.get('objectlistviewEvents').refreshListTrigger(this.get('model.componentName'));
+          }
         }
       ).catch((reason) => {
         this.get('currentController').send('handleError', reason);
@@ -80,6 +202,10 @@ export default FlexberryBaseComponent.extend({
     */
     check() {
       this._hideMessage();
+      if (!this._syncAdvLimit()) {
+        return;
+      }
+
       const stringPredicate = this.get('model.advLimit');
       if (this._checkPredicate(stringPredicate)) {
         this._showMessage('success', this.get('i18n').t('components.advlimit-dialog-content.is-correct'));
@@ -95,6 +221,10 @@ export default FlexberryBaseComponent.extend({
     */
     saveAdvLimit: function() {
       this._hideMessage();
+      if (!this._syncAdvLimit()) {
+        return;
+      }
+
       const advLimitName = this.get('model.advLimitName');
       if (Ember.isBlank(advLimitName)) {
         this._showMessage('warning', this.get('i18n').t('components.advlimit-dialog-content.enter-setting-name'));
@@ -173,6 +303,87 @@ export default FlexberryBaseComponent.extend({
     return Ember.isBlank(stringPredicate) || predicate instanceof BasePredicate;
   },
 
+  /**
+    Converts predicate tree of visual editor to limit string.
+    If value of some condition can't be converted to type of attribute, validation message is shown and limit string is kept.
+
+    @method _syncAdvLimit
+    @return {Boolean} `false` if predicate tree has invalid values.
+    @private
+  */
+  _syncAdvLimit() {
+    let tree = this.get('_predicateTree');
+    if (!this.get('visualMode') || !tree) {
+      return true;
+    }
+
+    let invalidRule = findInvalidRule(tree);
+    if (invalidRule) {
+      let caption = this.get('_attributeItems')[invalidRule.attributePath] || invalidRule.attributePath;
+      this._showMessage('error', this.get('i18n').t('components.advlimit-dialog-content.invalid-value', { attribute: caption }));
+      return false;
+    }
+
+    this.set('model.advLimit', treeToString(tree));
+    return true;
+  },
+
+  /**
+    Returns hash of attributes types by paths.
+
+    @method _getAttributeTypes
+    @return {Object} Types of attributes.
+    @private
+  */
+  _getAttributeTypes() {
+    let types = {};
+    this.get('_attributes').forEach((attribute) => {
+      types[attribute.path] = attribute.type;
+    });
+
+    return types;
+  },
+
+  /**
+    Collects attributes of projection and its relationships.
+
+    @method _getAttributes
+    @param {String} modelName Name of model.
+    @param {Object} attributes Attributes of projection.
+    @param {String} [pathPrefix] Path to relationship.
+    @param {String} [captionPrefix] Caption of relationship.
+    @param {Object[]} [result] Collected attributes.
+    @return {Object[]} Attributes with `path`, `caption`, `type` and `enumCaptions` properties.
+    @private
+  */
+  _getAttributes(modelName, attributes, pathPrefix = '', captionPrefix = '', result = Ember.A()) {
+    let modelAttributes = Ember.get(this.get('model.store').modelFor(modelName), 'attributes');
+    for (let name in attributes) {
+      if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+        continue;
+      }
+
+      let attr = attributes[name];
+      let caption = captionPrefix + (attr.caption || name);
+      switch (attr.kind) {
+        case 'attr': {
+          let modelAttribute = modelAttributes.get(name);
+          let type = modelAttribute ? modelAttribute.type : undefined;
+          let transform = type ? Ember.getOwner(this).lookup(`transform:${type}`) : undefined;
+          let enumCaptions = transform && transform.constructor.isEnum ? transform.get('captions') : undefined;
+          result.pushObject({ path: pathPrefix + name, caption: caption, type: type, enumCaptions: enumCaptions });
+          break;
+        }
+
+        case 'belongsTo':
+          this._getAttributes(attr.modelName, attr.attributes, `${pathPrefix}${name}.`, `${caption} / `, result);
+          break;
+      }
+    }
+
+    return result;
+  },
+
   /**
     Scrolling content to bottom.
 
@@ -0,0 +1,99 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import FlexberryBaseComponent from './flexberry-base-component';
+import Condition from 'ember-flexberry-data/query/condition';
+import { createGroup, createRule } from '../utils/predicate-tree';
+
+const { get } = Ember;
+
+/**
+  Group of conditions in visual editor of advanced limit, groups can be nested.
+  Used in {{#crossLink "AdvLimitDialogContentComponent"}}{{/crossLink}}.
+
+  @class AdvLimitPredicateGroupComponent
+  @extends FlexberryBaseComponent
+*/
+export default FlexberryBaseComponent.extend({
+  /**
+    Group node of predicate tree, see {{#crossLink "Utils.PredicateTree/createGroup:method"}}createGroup{{/crossLink}}.
+
+    @property group
+    @type Object
+  */
+  group: null,
+
+  /**
+    Attributes available for conditions, objects with `path`, `caption`, `type` and `enumCaptions` properties.
+
+    @property attributes
+    @type Object[]
+  */
+  attributes: null,
+
+  /**
+    Hash of attributes captions by paths for dropdown.
+
+    @property attributeItems
+    @type Object
+  */
+  attributeItems: null,
+
+  /**
+    Action to remove this group from parent group, it is not defined for root group.
+
+    @property remove
+    @type Function
+  */
+  remove: undefined,
+
+  /**
+    Items for dropdown of group condition.
+
+    @property _conditionItems
+    @type Object
+    @readOnly
+    @private
+  */
+  _conditionItems: Ember.computed('i18n.locale', function() {
+    let i18n = get(this, 'i18n');
+    return {
+      [Condition.And]: i18n.t('components.advlimit-dialog-content.condition-and'),
+      [Condition.Or]: i18n.t('components.advlimit-dialog-content.condition-or'),
+    };
+  }).readOnly(),
+
+  classNames: ['advlimit-predicate-group'],
+
+  actions: {
+    /**
+      Adds new condition into group.
+
+      @method actions.addRule
+    */
+    addRule() {
+      get(this, 'group.items').pushObject(createRule());
+    },
+
+    /**
+      Adds new nested group into group.
+
+      @method actions.addGroup
+    */
+    addGroup() {
+      get(this, 'group.items').pushObject(createGroup(Condition.And, [createRule()]));
+    },
+
+    /**
+      Removes condition or nested group from group.
+
+      @method actions.removeItem
+      @param {Object} item Node of predicate tree.
+    */
+    removeItem(item) {
+      get(this, 'group.items').removeObject(item);
+    },
+  },
+});
@@ -0,0 +1,132 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import FlexberryBaseComponent from './flexberry-base-component';
+import { operatorsForType } from '../utils/predicate-tree';
+
+const { get, set } = Ember;
+
+/**
+  Condition in visual editor of advanced limit: attribute, operator and value editor depending on type of attribute.
+  Used in {{#crossLink "AdvLimitPredicateGroupComponent"}}{{/crossLink}}.
+
+  @class AdvLimitPredicateRuleComponent
+  @extends FlexberryBaseComponent
+*/
+export default FlexberryBaseComponent.extend({
+  /**
+    Rule node of predicate tree, see {{#crossLink "Utils.PredicateTree/createRule:method"}}createRule{{/crossLink}}.
+
+    @property rule
+    @type Object
+  */
+  rule: null,
+
+  /**
+    Attributes available for conditions, objects with `path`, `caption`, `type` and `enumCaptions` properties.
+
+    @property attributes
+    @type Object[]
+  */
+  attributes: null,
+
+  /**
+    Hash of attributes captions by paths for dropdown.
+
+    @property attributeItems
+    @type Object
+  */
+  attributeItems: null,
+
+  /**
+    Action to remove this condition from group.
+
+    @property remove
+    @type Function
+  */
+  remove: undefined,
+
+  /**
+    Selected attribute.
+
+    @property _attribute
+    @type Object
+    @readOnly
+    @private
+  */
+  _attribute: Ember.computed('rule.attributePath', 'attributes.[]', function() {
+    return Ember.A(get(this, 'attributes') || []).findBy('path', get(this, 'rule.attributePath'));
+  }).readOnly(),
+
+  /**
+    Items for dropdown of operators, available for type of selected attribute.
+
+    @property _operatorItems
+    @type Object
+    @readOnly
+    @private
+  */
+  _operatorItems: Ember.computed('rule.type', 'i18n.locale', function() {
+    let i18n = get(this, 'i18n');
+    let items = {};
+    operatorsForType(get(this, 'rule.type')).forEach((operator) => {
+      items[operator] = i18n.t(`components.advlimit-dialog-content.operators.${operator}`);
+    });
+
+    return items;
+  }).readOnly(),
+
+  /**
+    Flag indicates whether operator needs value.
+
+    @property _hasValue
+    @type Boolean
+    @readOnly
+    @private
+  */
+  _hasValue: Ember.computed('rule.operator', function() {
+    let operator = get(this, 'rule.operator');
+    return operator !== 'empty' && operator !== 'nempty';
+  }).readOnly(),
+
+  classNames: ['advlimit-predicate-rule', 'fields'],
+
+  actions: {
+    /**
+      Handles change of attribute, resets operator and value, if they are not suitable for type of new attribute.
+
+      @method actions.changeAttribute
+      @param {String} attributePath Path to selected attribute.
+    */
+    changeAttribute(attributePath) {
+      let rule = get(this, 'rule');
+      let attribute = Ember.A(get(this, 'attributes') || []).findBy('path', attributePath);
+      let type = attribute ? attribute.type : undefined;
+      if (type !== rule.type) {
+        set(rule, 'value', null);
+        if (operatorsForType(type).indexOf(rule.operator) === -1) {
+          set(rule, 'operator', 'eq');
+        }
+      }
+
+      set(rule, 'attributePath', attributePath);
+      set(rule, 'type', type);
+    },
+
+    /**
+      Handles change of operator, clears value, if new operator does not need it.
+
+      @method actions.changeOperator
+      @param {String} operator Selected operator.
+    */
+    changeOperator(operator) {
+      let rule = get(this, 'rule');
+      set(rule, 'operator', operator);
+      if (operator === 'empty' || operator === 'nempty') {
+        set(rule, 'value', null);
+      }
+    },
+  },
+});
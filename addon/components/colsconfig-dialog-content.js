@@ -85,6 +85,17 @@ export default FlexberryBaseComponent.extend({
       this.set(`model.colDescs.${n}.hide`, newHideState);
     },
 
+    /**
+     Invert grouping by column (On/Off)
+
+     @method actions.invertGrouping
+     @param {Integer} n Row number.
+     */
+    invertGrouping: function(n) {
+      let newGroupByState = !this.get(`model.colDescs.${n}.groupBy`);
+      this.set(`model.colDescs.${n}.groupBy`, newGroupByState);
+    },
+
     /**
      Set sort order and priority for column.
 
@@ -359,6 +370,8 @@ export default FlexberryBaseComponent.extend({
     if (exportParams.isExportExcel) {
       colsConfig.detSeparateRows = exportParams.detSeparateRows;
       colsConfig.detSeparateCols = exportParams.detSeparateCols;
+    } else {
+      colsConfig.groupBy = colDescs.filterBy('groupBy').mapBy('propName');
     }
 
     return colsConfig;
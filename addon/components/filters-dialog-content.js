@@ -1,5 +1,6 @@
 import Ember from 'ember';
 import FlexberryBaseComponent from './flexberry-base-component';
+import { conditionsWithoutPattern } from '../utils/filter';
 
 /**
   Filters dialog Content component.
@@ -33,6 +34,15 @@ export default FlexberryBaseComponent.extend({
   */
   componentName: undefined,
 
+  /**
+    Conditions of filters, which don't need pattern, editors of filters are read-only for them.
+
+    @property conditionsWithoutPattern
+    @type Array
+    @readOnly
+  */
+  conditionsWithoutPattern: conditionsWithoutPattern,
+
   actions: {
     /**
      Apply filters for current list.
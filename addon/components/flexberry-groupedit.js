@@ -45,6 +45,14 @@ export default FlexberryBaseComponent.extend({
   */
   _groupEditEventsService: Ember.inject.service('objectlistview-events'),
 
+  /**
+    Service that measures route transitions, groupedit is registered to measure time to interactive of route.
+
+    @property routeMetrics
+    @type RouteMetricsService
+  */
+  routeMetrics: Ember.inject.service('route-metrics'),
+
   /**
     Name of action to handle row click.
     Action will be send out of the component.
@@ -446,6 +454,24 @@ export default FlexberryBaseComponent.extend({
   */
   fixedHeader: false,
 
+  /**
+    Aggregate functions to show in totals row in the footer of table, totals are recalculated while detail rows are edited.
+    See {{#crossLink "ObjectListViewComponent/totals:property"}}here{{/crossLink}}.
+
+    @example
+      ```handlebars
+      {{flexberry-groupedit
+        ...
+        totals=(hash amount="sum" price="avg")
+      }}
+      ```
+
+    @property totals
+    @type Object
+    @default undefined
+  */
+  totals: undefined,
+
   actions: {
     /**
       Handles action from object-list-view when no handler for this component is defined.
@@ -679,8 +705,14 @@ export default FlexberryBaseComponent.extend({
     return recordsSort;
   },
 
+  init() {
+    this._super(...arguments);
+    this.get('routeMetrics').beginInteractive(this);
+  },
+
   didInsertElement() {
     this._super(...arguments);
+    this.get('routeMetrics').endInteractive(this);
 
     if (Ember.isNone(this.get('orderedProperty'))) {
       let developerUserSettings = this.currentController;
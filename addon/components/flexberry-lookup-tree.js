@@ -0,0 +1,500 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import FlexberryBaseComponent from './flexberry-base-component';
+import FlexberryTreenodeComponent from './flexberry-treenode';
+import TreeNodeObject from '../objects/tree-node';
+import { Query } from 'ember-flexberry-data';
+
+const { get, set } = Ember;
+const { Builder, Condition, SimplePredicate, StringPredicate, ComplexPredicate } = Query;
+
+/**
+  Tree of self-referencing records to choose value in tree picker mode of
+  {{#crossLink "FlexberryLookup"}}flexberry-lookup{{/crossLink}} component.
+  Tree is built by {{#crossLink "FlexberryTreeComponent"}}flexberry-tree{{/crossLink}} component,
+  children of nodes are loaded on expand. Search by display attribute shows found records with expanded ancestors.
+
+  Record is chosen by click on caption of node, click on icon of node expands or collapses node.
+
+  @example
+    ```handlebars
+    {{flexberry-lookup-tree
+      modelName="department"
+      projectionName="DepartmentL"
+      hierarchicalAttribute="parent"
+      displayAttributeName="name"
+      onlyLeavesSelectable=true
+      hasChildrenAttribute="hasChildren"
+      choose=(action "chooseDepartment")
+    }}
+    ```
+
+  @class FlexberryLookupTreeComponent
+  @extends FlexberryBaseComponent
+*/
+export default FlexberryBaseComponent.extend({
+  /**
+    Name of model of records.
+
+    @property modelName
+    @type String
+  */
+  modelName: undefined,
+
+  /**
+    Name of projection to load records, projection has to contain `hierarchicalAttribute` and `displayAttributeName`.
+
+    @property projectionName
+    @type String
+  */
+  projectionName: undefined,
+
+  /**
+    Name of relationship to parent record.
+
+    @property hierarchicalAttribute
+    @type String
+  */
+  hierarchicalAttribute: undefined,
+
+  /**
+    Name of attribute shown as caption of node and used for search.
+
+    @property displayAttributeName
+    @type String
+  */
+  displayAttributeName: undefined,
+
+  /**
+    Predicate to limit records.
+
+    @property predicate
+    @type BasePredicate
+  */
+  predicate: undefined,
+
+  /**
+    Flag: indicates whether only records without children can be chosen.
+
+    @property onlyLeavesSelectable
+    @type Boolean
+    @default false
+  */
+  onlyLeavesSelectable: false,
+
+  /**
+    Name of boolean attribute, which indicates whether record has children.
+    If it is not defined, children of loaded records are checked by one query of their children.
+
+    @property hasChildrenAttribute
+    @type String
+  */
+  hasChildrenAttribute: undefined,
+
+  /**
+    Maximum count of records found by search.
+
+    @property maxSearchResults
+    @type Number
+    @default 50
+  */
+  maxSearchResults: 50,
+
+  /**
+    Text to search records by.
+
+    @property searchText
+    @type String
+  */
+  searchText: undefined,
+
+  /**
+    Action to choose record, it is called with chosen record.
+
+    @property choose
+    @type Function
+  */
+  choose: undefined,
+
+  /**
+    Root nodes of tree.
+
+    @property _nodes
+    @type TreeNodeObject[]
+    @private
+  */
+  _nodes: undefined,
+
+  /**
+    Flag: indicates whether nodes are loading.
+
+    @property _isLoading
+    @type Boolean
+    @default false
+    @private
+  */
+  _isLoading: false,
+
+  /**
+    Ember data store.
+
+    @property store
+    @type DS.Store
+  */
+  store: Ember.inject.service(),
+
+  classNames: ['flexberry-lookup-tree'],
+
+  actions: {
+    /**
+      Shows found records with ancestors, or root records if search text is empty.
+
+      @method actions.search
+    */
+    search() {
+      let searchText = get(this, 'searchText');
+      let promise = Ember.isBlank(searchText) ? this._loadNodes(this._getRootPredicate()) : this._search(searchText);
+      this._setNodes(promise);
+    },
+  },
+
+  /**
+    Initializes component, loads root nodes.
+  */
+  init() {
+    this._super(...arguments);
+    Ember.assert('flexberry-lookup-tree: hierarchicalAttribute is not defined.', get(this, 'hierarchicalAttribute'));
+
+    set(this, '_nodes', Ember.A());
+    this._setNodes(this._loadNodes(this._getRootPredicate()));
+  },
+
+  /**
+    Replaces root nodes by loaded nodes.
+
+    @method _setNodes
+    @param {Promise} promise A promise that returns nodes.
+    @private
+  */
+  _setNodes(promise) {
+    set(this, '_isLoading', true);
+    promise.then((nodes) => {
+      if (!get(this, 'isDestroyed')) {
+        set(this, '_nodes', Ember.A(nodes));
+      }
+    }).catch((reason) => {
+      this._handleError(reason);
+    }).finally(() => {
+      if (!get(this, 'isDestroyed')) {
+        set(this, '_isLoading', false);
+      }
+    });
+  },
+
+  /**
+    Sends error of loading of records to current controller.
+
+    @method _handleError
+    @param {Object} reason Error.
+    @private
+  */
+  _handleError(reason) {
+    let currentController = get(this, 'currentController');
+    if (currentController && !get(this, 'isDestroyed')) {
+      currentController.send('handleError', reason);
+    }
+  },
+
+  /**
+    Returns predicate for records without parent.
+
+    @method _getRootPredicate
+    @return {BasePredicate}
+    @private
+  */
+  _getRootPredicate() {
+    return new SimplePredicate(get(this, 'hierarchicalAttribute'), 'eq', null);
+  },
+
+  /**
+    Loads records by predicate, `predicate` of component is added to it.
+
+    @method _query
+    @param {BasePredicate} predicate Predicate.
+    @param {Number} [top] Maximum count of records.
+    @return {Promise} A promise that returns array of records.
+    @private
+  */
+  _query(predicate, top) {
+    let store = get(this, 'store');
+    let modelName = get(this, 'modelName');
+    let builder = new Builder(store, modelName)
+      .selectByProjection(get(this, 'projectionName'))
+      .orderBy(`${get(this, 'displayAttributeName')} asc`)
+      .where(this._getLimitedPredicate(predicate));
+
+    if (top) {
+      builder.top(top);
+    }
+
+    return store.query(modelName, builder.build()).then((records) => records.toArray());
+  },
+
+  /**
+    Adds `predicate` of component to predicate.
+
+    @method _getLimitedPredicate
+    @param {BasePredicate} predicate Predicate.
+    @return {BasePredicate}
+    @private
+  */
+  _getLimitedPredicate(predicate) {
+    let limitPredicate = get(this, 'predicate');
+    return limitPredicate ? new ComplexPredicate(Condition.And, limitPredicate, predicate) : predicate;
+  },
+
+  /**
+    Returns identifiers of records that have children, by value of `hasChildrenAttribute`
+    or by one query of children of all records.
+
+    @method _getIdsWithChildren
+    @param {DS.Model[]} records Records.
+    @return {Promise} A promise that returns array of identifiers.
+    @private
+  */
+  _getIdsWithChildren(records) {
+    let hasChildrenAttribute = get(this, 'hasChildrenAttribute');
+    if (hasChildrenAttribute) {
+      return Ember.RSVP.resolve(records.filter((record) => !!get(record, hasChildrenAttribute)).map((record) => get(record, 'id')));
+    }
+
+    if (records.length === 0) {
+      return Ember.RSVP.resolve([]);
+    }
+
+    let store = get(this, 'store');
+    let modelName = get(this, 'modelName');
+    let hierarchicalAttribute = get(this, 'hierarchicalAttribute');
+    let ids = records.map((record) => get(record, 'id'));
+    let builder = new Builder(store, modelName)
+      .select(`id,${hierarchicalAttribute}.id`)
+      .where(this._getLimitedPredicate(this._getIdsPredicate(hierarchicalAttribute, ids)));
+
+    return store.query(modelName, builder.build()).then((children) => {
+      return Ember.A(children.map((child) => this._getParentId(child))).uniq();
+    });
+  },
+
+  /**
+    Returns predicate for records with one of identifiers.
+
+    @method _getIdsPredicate
+    @param {String} attributePath Path to attribute with identifier.
+    @param {Array} ids Identifiers.
+    @return {BasePredicate}
+    @private
+  */
+  _getIdsPredicate(attributePath, ids) {
+    let predicates = ids.map((id) => new SimplePredicate(attributePath, 'eq', id));
+    return predicates.length > 1 ? new ComplexPredicate(Condition.Or, ...predicates) : predicates[0];
+  },
+
+  /**
+    Returns identifier of parent record.
+
+    @method _getParentId
+    @param {DS.Model} record Record.
+    @return {String}
+    @private
+  */
+  _getParentId(record) {
+    return get(record, `${get(this, 'hierarchicalAttribute')}.id`);
+  },
+
+  /**
+    Loads records by predicate and creates nodes for them, children of nodes are loaded on expand.
+
+    @method _loadNodes
+    @param {BasePredicate} predicate Predicate.
+    @return {Promise} A promise that returns array of nodes.
+    @private
+  */
+  _loadNodes(predicate) {
+    return this._query(predicate).then((records) => this._createNodes(records));
+  },
+
+  /**
+    Creates nodes for records, checks which records have children.
+
+    @method _createNodes
+    @param {DS.Model[]} records Records.
+    @return {Promise} A promise that returns array of nodes.
+    @private
+  */
+  _createNodes(records) {
+    return this._getIdsWithChildren(records).then((idsWithChildren) => {
+      return records.map((record) => this._createNode(record, idsWithChildren.indexOf(get(record, 'id')) > -1));
+    });
+  },
+
+  /**
+    Creates node for record.
+
+    @method _createNode
+    @param {DS.Model} record Record.
+    @param {Boolean} hasChildren Flag: indicates whether record has children.
+    @param {TreeNodeObject[]} [nodes] Loaded child nodes, if they are not defined, children are loaded on expand.
+    @return {TreeNodeObject}
+    @private
+  */
+  _createNode(record, hasChildren, nodes) {
+    let node = TreeNodeObject.create({
+      caption: get(record, get(this, 'displayAttributeName')),
+      record: record,
+      hasChildren: hasChildren,
+      childrenLoaded: !Ember.isNone(nodes),
+      expanded: !Ember.isNone(nodes),
+    });
+
+    let placeholder = TreeNodeObject.create({ caption: get(this, 'i18n').t('components.flexberry-lookup-tree.loading-text') });
+    set(node, 'nodes', hasChildren ? Ember.A(nodes || [placeholder]) : null);
+    set(node, 'dynamicActions', Ember.A([
+      { on: 'headerClick', actionHandler: this._onNodeHeaderClick, actionContext: this, actionArguments: [node] },
+      { on: 'beforeExpand', actionHandler: this._onNodeBeforeExpand, actionContext: this, actionArguments: [node] },
+    ]));
+
+    return node;
+  },
+
+  /**
+    Handles click on header of node, chooses record of node.
+    Click on expand icon or on node with children in `onlyLeavesSelectable` mode expands node.
+
+    @method _onNodeHeaderClick
+    @param {TreeNodeObject} node Node.
+    @param {Object} e Action's event object.
+    @private
+  */
+  _onNodeHeaderClick(node, e) {
+    let originalEvent = e.originalEvent;
+    if (Ember.$(originalEvent.target).hasClass(FlexberryTreenodeComponent.flexberryClassNames.expandCollapseIcon)) {
+      return;
+    }
+
+    if (get(this, 'onlyLeavesSelectable') && get(node, 'hasChildren')) {
+      return;
+    }
+
+    // Chosen node is not expanded.
+    originalEvent.stopPropagation();
+
+    let choose = get(this, 'choose');
+    if (choose) {
+      choose(get(node, 'record'));
+    }
+  },
+
+  /**
+    Handles expand of node, loads children of node.
+
+    @method _onNodeBeforeExpand
+    @param {TreeNodeObject} node Node.
+    @private
+  */
+  _onNodeBeforeExpand(node) {
+    if (get(node, 'childrenLoaded')) {
+      return;
+    }
+
+    set(node, 'childrenLoaded', true);
+    let predicate = new SimplePredicate(get(this, 'hierarchicalAttribute'), 'eq', get(node, 'record.id'));
+    this._loadNodes(predicate).then((nodes) => {
+      set(node, 'nodes', nodes.length > 0 ? Ember.A(nodes) : null);
+    }, (reason) => {
+      set(node, 'childrenLoaded', false);
+      this._handleError(reason);
+    });
+  },
+
+  /**
+    Searches records by display attribute, found records are shown with their ancestors,
+    nodes of ancestors are expanded and contain only nodes on the path to found records.
+
+    @method _search
+    @param {String} searchText Text to search.
+    @return {Promise} A promise that returns array of root nodes.
+    @private
+  */
+  _search(searchText) {
+    let predicate = new StringPredicate(get(this, 'displayAttributeName')).contains(searchText);
+    return this._query(predicate, get(this, 'maxSearchResults')).then((found) => {
+      return this._loadAncestors(found, found).then((records) => {
+        return this._createNodes(found).then((foundNodes) => {
+          let foundNodesById = {};
+          foundNodes.forEach((node) => {
+            foundNodesById[get(node, 'record.id')] = node;
+          });
+
+          let recordsById = {};
+          let childrenById = {};
+          let roots = [];
+          records.forEach((record) => {
+            let id = get(record, 'id');
+            let parentId = this._getParentId(record);
+            recordsById[id] = record;
+            if (Ember.isNone(parentId)) {
+              roots.push(record);
+            } else {
+              (childrenById[parentId] = childrenById[parentId] || []).push(record);
+            }
+          });
+
+          // Records, whose parents are not loaded (for example, because of limit), are shown as roots.
+          Object.keys(childrenById).forEach((parentId) => {
+            if (!recordsById[parentId]) {
+              roots.push(...childrenById[parentId]);
+            }
+          });
+
+          let buildNode = (record) => {
+            let id = get(record, 'id');
+            if (foundNodesById[id] && !childrenById[id]) {
+              return foundNodesById[id];
+            }
+
+            return this._createNode(record, true, childrenById[id].map(buildNode));
+          };
+
+          return roots.map(buildNode);
+        });
+      });
+    });
+  },
+
+  /**
+    Loads ancestors of records up to root records.
+
+    @method _loadAncestors
+    @param {DS.Model[]} records Records to load ancestors for.
+    @param {DS.Model[]} loaded Already loaded records.
+    @return {Promise} A promise that returns array of loaded records with ancestors.
+    @private
+  */
+  _loadAncestors(records, loaded) {
+    let loadedIds = loaded.map((record) => get(record, 'id'));
+    let parentIds = Ember.A(records.map((record) => this._getParentId(record)))
+      .filter((id) => !Ember.isNone(id) && loadedIds.indexOf(id) === -1)
+      .uniq();
+
+    if (parentIds.length === 0) {
+      return Ember.RSVP.resolve(loaded);
+    }
+
+    return this._query(this._getIdsPredicate('id', parentIds)).then((parents) => {
+      return parents.length > 0 ? this._loadAncestors(parents, loaded.concat(parents)) : loaded;
+    });
+  },
+});
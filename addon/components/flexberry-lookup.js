@@ -9,6 +9,7 @@ import { translationMacro as t } from 'ember-i18n';
 import { getRelationType } from 'ember-flexberry-data/utils/model-functions';
 import { Query } from 'ember-flexberry-data';
 import Information from 'ember-flexberry-data/utils/information';
+import { tokenize, buildSearchPredicate, highlightMatches, renderResultTemplate, getTemplateAttributes } from '../utils/lookup-search';
 
 const {
   Builder,
@@ -160,6 +161,15 @@ export default FlexberryBaseComponent.extend({
   */
   removeText: '<i class="remove icon"></i>',
 
+  /**
+    Text on button creating a new value.
+
+    @property createText
+    @type String
+    @default '<i class="plus icon"></i>'
+  */
+  createText: '<i class="plus icon"></i>',
+
   /**
     CSS classes for preview button.
 
@@ -192,6 +202,14 @@ export default FlexberryBaseComponent.extend({
   */
   removeButtonClass: undefined,
 
+  /**
+    CSS classes for create button.
+
+    @property createButtonClass
+    @type String
+  */
+  createButtonClass: undefined,
+
   /**
     Projection name.
 
@@ -227,6 +245,44 @@ export default FlexberryBaseComponent.extend({
   */
   autocomplete: false,
 
+  /**
+    Flag: indicates whether to show recently chosen values above results in autocomplete and dropdown modes.
+    Values are stored by `componentName` of lookup with `user-settings` service.
+
+    @property showRecentValues
+    @type Boolean
+    @default false
+  */
+  showRecentValues: false,
+
+  /**
+    Maximum count of recently chosen values.
+
+    @property maxRecentValues
+    @type Number
+    @default 5
+  */
+  maxRecentValues: 5,
+
+  /**
+    Flag: indicates whether to show favorite values above results in autocomplete and dropdown modes.
+    Values are pinned and unpinned by star icon in results, they are stored by `componentName` of lookup with `user-settings` service.
+
+    @property showFavoriteValues
+    @type Boolean
+    @default false
+  */
+  showFavoriteValues: false,
+
+  /**
+    Maximum count of favorite values shown above results.
+
+    @property maxFavoriteValues
+    @type Number
+    @default 10
+  */
+  maxFavoriteValues: 10,
+
   /**
     If `true`, page switching buttons will be available in the results for autocomplete.
 
@@ -245,6 +301,132 @@ export default FlexberryBaseComponent.extend({
   */
   dropdown: false,
 
+  /**
+    Flag to show that lookup is in multi-select mode for `hasMany` relationship.
+    Chosen records are rendered as removable labels, lookup dialog allows to check several rows
+    and autocomplete adds selected record to the set.
+    Mode can't be used with `dropdown` flag and the block form definition.
+
+    @example
+      ```handlebars
+      {{flexberry-lookup
+        componentName="TagsLookup"
+        choose="showLookupDialog"
+        remove="removeLookupValue"
+        value=model.tags
+        relatedModel=model
+        relationName="tags"
+        projection="TagL"
+        displayAttributeName="name"
+        multiSelect=true
+      }}
+      ```
+
+    @property multiSelect
+    @type Boolean
+    @default false
+  */
+  multiSelect: false,
+
+  /**
+    Name of link model for multi-select mode.
+    If it is defined, `relationName` is `hasMany` relationship to detail records of this model,
+    which are created for each chosen record and deleted with them.
+
+    @property linkModelName
+    @type String
+    @default undefined
+  */
+  linkModelName: undefined,
+
+  /**
+    Name of `belongsTo` relationship of link model to chosen record, is required with `linkModelName`.
+
+    @property linkModelAttributeName
+    @type String
+    @default undefined
+  */
+  linkModelAttributeName: undefined,
+
+  /**
+    Flag to show that lookup dialog shows tree of self-referencing records instead of list.
+    Children of tree nodes are loaded on expand, search by `displayAttributeName` expands ancestors of found records.
+    Mode can't be used with `multiSelect` flag.
+
+    @example
+      ```handlebars
+      {{flexberry-lookup
+        choose="showLookupDialog"
+        remove="removeLookupValue"
+        value=model.department
+        relatedModel=model
+        relationName="department"
+        projection="DepartmentL"
+        displayAttributeName="name"
+        treePicker=true
+        hierarchicalAttribute="parent"
+        onlyLeavesSelectable=true
+      }}
+      ```
+
+    @property treePicker
+    @type Boolean
+    @default false
+  */
+  treePicker: false,
+
+  /**
+    Name of relationship to parent record for tree picker mode, see `treePicker`.
+    Projection of lookup has to contain this relationship.
+
+    @property hierarchicalAttribute
+    @type String
+    @default undefined
+  */
+  hierarchicalAttribute: undefined,
+
+  /**
+    Flag: indicates whether only records without children can be chosen in tree picker mode.
+
+    @property onlyLeavesSelectable
+    @type Boolean
+    @default false
+  */
+  onlyLeavesSelectable: false,
+
+  /**
+    Name of boolean attribute, which indicates whether record has children, for tree picker mode.
+    If it is not defined, children of records are checked by queries.
+    Projection of lookup has to contain this attribute.
+
+    @property hasChildrenAttribute
+    @type String
+    @default undefined
+  */
+  hasChildrenAttribute: undefined,
+
+  /**
+    Chosen records in multi-select mode.
+
+    @property selectedValues
+    @type Array
+    @readOnly
+  */
+  selectedValues: Ember.computed('multiSelect', 'value.[]', 'value.@each.isDeleted', 'linkModelName', 'linkModelAttributeName', function() {
+    let value = this.get('value');
+    if (!this.get('multiSelect') || Ember.isNone(value)) {
+      return Ember.A();
+    }
+
+    let values = value.filter((item) => !Ember.get(item, 'isDeleted'));
+    if (this.get('linkModelName')) {
+      let linkModelAttributeName = this.get('linkModelAttributeName');
+      values = values.map((item) => Ember.get(item, linkModelAttributeName)).filter((item) => !Ember.isNone(item));
+    }
+
+    return Ember.A(values);
+  }),
+
   /**
     Flag to show in lookup preview button.
 
@@ -290,6 +472,54 @@ export default FlexberryBaseComponent.extend({
   */
   controllerForPreview: undefined,
 
+  /**
+    Flag to show in lookup and in lookup modal window button creating a new value.
+    Edit form of new record is shown in modal window, saved record is chosen as lookup value,
+    if it satisfies `lookupLimitPredicate` and `lookupAdditionalLimitFunction`.
+
+    @example
+      ```handlebars
+      {{flexberry-lookup
+        ...
+        create=(action "createLookupValue")
+        showCreateButton=true
+        createFormRoute="ember-flexberry-dummy-suggestion-type-edit"
+      }}
+      ```
+
+    @property showCreateButton
+    @type Boolean
+    @default false
+  */
+  showCreateButton: false,
+
+  /**
+    Name of route with edit form to create a new value, its template and controller are shown in modal window.
+
+    @property createFormRoute
+    @type String
+    @default undefined
+  */
+  createFormRoute: undefined,
+
+  /**
+    Projection name of edit form to create a new value.
+
+    @property createFormProjection
+    @type String
+    @default undefined
+  */
+  createFormProjection: undefined,
+
+  /**
+    The controller of edit form to create a new value.
+
+    @property controllerForCreate
+    @type String
+    @default undefined
+  */
+  controllerForCreate: undefined,
+
   /**
     Flag to show that lookup has search or autocomplete in dropdown mode.
 
@@ -426,6 +656,83 @@ export default FlexberryBaseComponent.extend({
   */
   lookupAdditionalLimitFunction: undefined,
 
+  /**
+    Name of relationship of `relatedModel`, which value limits values of lookup (parent lookup in chain like "Country → Region → City").
+    Lookup value is cleared when parent value is changed by lookup (`lookupOnChange` event of `lookup-events` service).
+    Dependency can be also declared in `lookupSettings.dependencies` of controller by `componentName` of lookup.
+
+    @example
+      ```handlebars
+      {{flexberry-lookup
+        componentName="CityLookup"
+        value=model.city
+        relatedModel=model
+        relationName="city"
+        dependsOn="region"
+        limitBy="region"
+        ...
+      }}
+      ```
+
+      ```javascript
+      // app/controllers/address.js
+      lookupSettings: {
+        ...
+        dependencies: {
+          CityLookup: { dependsOn: 'region', limitBy: 'region' }
+        }
+      }
+      ```
+
+    @property dependsOn
+    @type String
+    @default undefined
+  */
+  dependsOn: undefined,
+
+  /**
+    Path to attribute of lookup values, which is compared with identifier of parent value, see `dependsOn`.
+    If it is not defined, `dependsOn` is used. Values are limited by empty attribute, if parent value is empty.
+
+    @property limitBy
+    @type String
+    @default undefined
+  */
+  limitBy: undefined,
+
+  /**
+    Dependency of lookup on parent value: object with `dependsOn` and `limitBy` properties,
+    or `undefined` if lookup is independent.
+
+    @property _dependency
+    @type Object
+    @private
+    @readOnly
+  */
+  _dependency: Ember.computed('dependsOn', 'limitBy', 'componentName', 'currentController.lookupSettings.dependencies', function() {
+    let dependsOn = this.get('dependsOn');
+    let limitBy = this.get('limitBy');
+    if (!dependsOn) {
+      let dependencies = this.get('currentController.lookupSettings.dependencies');
+      let dependency = dependencies ? dependencies[this.get('componentName')] : undefined;
+      if (dependency) {
+        dependsOn = dependency.dependsOn;
+        limitBy = dependency.limitBy;
+      }
+    }
+
+    return dependsOn ? { dependsOn: dependsOn, limitBy: limitBy || dependsOn } : undefined;
+  }),
+
+  /**
+    Parent value, with which lookup value was chosen, see `dependsOn`.
+
+    @property _dependsOnValue
+    @type DS.Model
+    @private
+  */
+  _dependsOnValue: undefined,
+
   /**
     An object with options and settings for the modal dialog of the component.
 
@@ -534,6 +841,16 @@ export default FlexberryBaseComponent.extend({
     'relatedModel',
     'updateLookupAction',
     'notUseUserSettings',
+    'multiSelect',
+    'linkModelName',
+    'linkModelAttributeName',
+    'treePicker',
+    'hierarchicalAttribute',
+    'onlyLeavesSelectable',
+    'hasChildrenAttribute',
+    'displayAttributeName',
+    'showCreateButton',
+    'createFormRoute',
     '_modalDialogSettings',
     '_lookupWindowCustomPropertiesData',
     function() {
@@ -551,6 +868,15 @@ export default FlexberryBaseComponent.extend({
         folvComponentName: this.get('folvComponentName'),
         modalDialogSettings: this.get('_modalDialogSettings'),
         updateLookupAction: this.get('updateLookupAction'),
+        multiSelect: this.get('multiSelect'),
+        linkModelName: this.get('linkModelName'),
+        linkModelAttributeName: this.get('linkModelAttributeName'),
+        treePicker: this.get('treePicker'),
+        hierarchicalAttribute: this.get('hierarchicalAttribute'),
+        onlyLeavesSelectable: this.get('onlyLeavesSelectable'),
+        hasChildrenAttribute: this.get('hasChildrenAttribute'),
+        displayAttributeName: this.get('displayAttributeName'),
+        createData: this.get('showCreateButton') && this.get('createFormRoute') ? this._buildCreateData() : undefined,
       };
     }),
 
@@ -561,10 +887,12 @@ export default FlexberryBaseComponent.extend({
     @type Object
     @readOnly
   */
-  removeData: Ember.computed('relationName', 'relatedModel', function() {
+  removeData: Ember.computed('relationName', 'relatedModel', 'linkModelName', 'linkModelAttributeName', function() {
     return {
       relationName: this.get('relationName'),
-      modelToLookup: this.get('relatedModel')
+      modelToLookup: this.get('relatedModel'),
+      linkModelName: this.get('linkModelName'),
+      linkModelAttributeName: this.get('linkModelAttributeName')
     };
   }),
 
@@ -603,7 +931,7 @@ export default FlexberryBaseComponent.extend({
   */
   displayAttributeType: Ember.computed('displayAttributeName', function() {
     let information = new Information(this.get('store'));
-    let relationModelName = getRelationType(this.get('relatedModel'), this.get('relationName'));
+    let relationModelName = this._getLookupModelName();
     let attrType = information.getType(relationModelName, this.get('displayAttributeName'));
     return attrType;
   }),
@@ -621,6 +949,8 @@ export default FlexberryBaseComponent.extend({
 
   /**
     Projection name for autocomplete query.
+    Projection has to contain attributes from `autocompleteSearchAttributes` and `autocompleteResultTemplate`,
+    if it is not specified, only these attributes and `displayAttributeName` are loaded.
 
     @property autocompleteProjection
     @type String
@@ -628,6 +958,40 @@ export default FlexberryBaseComponent.extend({
   */
   autocompleteProjection: undefined,
 
+  /**
+    Names of attributes to search by in autocomplete and dropdown modes, array or comma-separated string.
+    Search string is split into tokens by whitespaces, each token has to match at least one of attributes,
+    for example "ivan 77" matches value with name containing "ivan" and code containing "77".
+    If not specified, values are searched by `displayAttributeName`.
+
+    @example
+      ```handlebars
+      {{flexberry-lookup
+        ...
+        autocomplete=true
+        autocompleteSearchAttributes="code,name,inn"
+        autocompleteResultTemplate="<b>{code}</b> {name} <small>{inn}</small>"
+      }}
+      ```
+
+    @property autocompleteSearchAttributes
+    @type Array|String
+    @default undefined
+  */
+  autocompleteSearchAttributes: undefined,
+
+  /**
+    Template of results in autocomplete and dropdown modes.
+    Placeholders `{attributePath}` are replaced by values of attributes with highlighted matches of search string,
+    other text is inserted as is, so template can contain HTML.
+    If not specified, value of `displayAttributeName` is shown.
+
+    @property autocompleteResultTemplate
+    @type String
+    @default undefined
+  */
+  autocompleteResultTemplate: undefined,
+
   /**
     Current selected instance of the model.
 
@@ -773,8 +1137,8 @@ export default FlexberryBaseComponent.extend({
         this.get('lookupEventsService').lookupDialogOnShowTrigger(componentName);
       }
 
-      // If in groupedit with lookupAdditionalLimitFunction reread chooseData.predicate.
-      if (this.get('lookupAdditionalLimitFunction')) {
+      // If in groupedit with lookupAdditionalLimitFunction or lookup depends on parent value reread chooseData.predicate.
+      if (this.get('lookupAdditionalLimitFunction') || this.get('_dependency')) {
         chooseData.predicate = this._conjuctPredicates(this.get('lookupLimitPredicate'), this.get('lookupAdditionalLimitFunction'));
       }
 
@@ -810,6 +1174,20 @@ export default FlexberryBaseComponent.extend({
       this.sendAction('remove', removeData);
     },
 
+    /**
+      Removes one of chosen records in multi-select mode.
+
+      @method actions.removeValue
+      @param {DS.Model} value Record to remove.
+    */
+    removeValue(value) {
+      if (this.get('readonly')) {
+        return;
+      }
+
+      this.sendAction('remove', Ember.merge({ removedValue: value }, this.get('removeData')));
+    },
+
     /**
       Show window for select value.
 
@@ -851,6 +1229,23 @@ export default FlexberryBaseComponent.extend({
       this.sendAction('preview', previewData);
     },
 
+    /**
+      Show edit form for new value.
+
+      @method actions.create
+    */
+    create() {
+      if (this.get('readonly') || this.get('isBlocked')) {
+        return;
+      }
+
+      if (Ember.isNone(this.get('createFormRoute'))) {
+        throw new Error('\`createFormRoute\` is undefined.');
+      }
+
+      this.sendAction('create', this._buildCreateData());
+    },
+
     /**
       Clears the value when focus is lost.
 
@@ -874,6 +1269,9 @@ export default FlexberryBaseComponent.extend({
     this.get('lookupEventsService').on('lookupDialogOnShow', this, this._setModalIsStartToShow);
     this.get('lookupEventsService').on('lookupDialogOnVisible', this, this._setModalIsVisible);
     this.get('lookupEventsService').on('lookupDialogOnHidden', this, this._setModalIsHidden);
+    this.get('lookupEventsService').on('lookupOnChange', this, this._onDependsOnChange);
+    this.get('lookupEventsService').on('lookupOnChange', this, this._onLookupValueChange);
+    this.set('_dependsOnValue', this._getDependsOnValue());
 
     if (this.get('autocompletePersistValue') && Ember.isNone(this.get('value'))) {
       this.set('autocompletePersistValueCache', this.get('displayValue'));
@@ -955,6 +1353,15 @@ export default FlexberryBaseComponent.extend({
       throw new Error('Component flexberry-lookup should not have both flag \'autocomplete\' enabled and the block form definition.');
     }
 
+    let isMultiSelect = this.get('multiSelect');
+    if (isMultiSelect && (isDropdown || hasBlock)) {
+      throw new Error('Component flexberry-lookup should not have flag \'multiSelect\' enabled with flag \'dropdown\' or the block form definition.');
+    }
+
+    if (isMultiSelect && this.get('treePicker')) {
+      throw new Error('Component flexberry-lookup should not have both flags \'multiSelect\' and \'treePicker\' enabled.');
+    }
+
     let cachedDropdownValue = this.get('_cachedDropdownValue');
     let cachedAutocompleteValue = this.get('_cachedAutocompleteValue');
 
@@ -977,6 +1384,8 @@ export default FlexberryBaseComponent.extend({
     this.get('lookupEventsService').off('lookupDialogOnShow', this, this._setModalIsStartToShow);
     this.get('lookupEventsService').off('lookupDialogOnVisible', this, this._setModalIsVisible);
     this.get('lookupEventsService').off('lookupDialogOnHidden', this, this._setModalIsHidden);
+    this.get('lookupEventsService').off('lookupOnChange', this, this._onDependsOnChange);
+    this.get('lookupEventsService').off('lookupOnChange', this, this._onLookupValueChange);
     if (this.get('autofillByLimit')) {
       this.removeObserver('relatedModel', this, this._autofillByLimitObserverFunction);
       this.removeObserver('relationName', this, this._autofillByLimitObserverFunction);
@@ -995,6 +1404,287 @@ export default FlexberryBaseComponent.extend({
     this.set('displayValue', this._buildDisplayValue());
   },
 
+  /**
+    Returns parent value, which limits values of lookup, see `dependsOn`.
+
+    @method _getDependsOnValue
+    @return {DS.Model}
+    @private
+  */
+  _getDependsOnValue() {
+    let dependency = this.get('_dependency');
+    let relatedModel = this.get('relatedModel');
+    return dependency && relatedModel ? Ember.get(relatedModel, dependency.dependsOn) : undefined;
+  },
+
+  /**
+    Builds predicate by parent value, see `dependsOn`.
+
+    @method _getDependencyPredicate
+    @return {BasePredicate} Predicate or `undefined`, if lookup is independent.
+    @private
+  */
+  _getDependencyPredicate() {
+    let dependency = this.get('_dependency');
+    if (!dependency) {
+      return undefined;
+    }
+
+    let dependsOnValue = this._getDependsOnValue();
+    let dependsOnId = Ember.isNone(dependsOnValue) ? null : Ember.get(dependsOnValue, 'id');
+    return new SimplePredicate(dependency.limitBy, Query.FilterOperator.Eq, dependsOnId);
+  },
+
+  /**
+    Handles `lookupOnChange` event of `lookup-events` service.
+    Clears value of lookup, if parent value has been changed, see `dependsOn`.
+    Clearing triggers the same event, so chain of dependent lookups is cleared.
+
+    @method _onDependsOnChange
+    @param {String} componentName Name of changed lookup.
+    @private
+  */
+  _onDependsOnChange(componentName) {
+    if (componentName === this.get('componentName') || !this.get('_dependency')) {
+      return;
+    }
+
+    let dependsOnValue = this._getDependsOnValue();
+    if (dependsOnValue === this.get('_dependsOnValue')) {
+      return;
+    }
+
+    this.set('_dependsOnValue', dependsOnValue);
+    if (this.get('readonly')) {
+      return;
+    }
+
+    let value = Ember.get(this.get('relatedModel'), this.get('relationName'));
+    if (!Ember.isNone(value) && (!this.get('multiSelect') || Ember.get(value, 'length') > 0)) {
+      this.sendAction('remove', this.get('removeData'));
+    }
+
+    if (this.get('autofillByLimit')) {
+      this._autofillByLimitObserverFunction();
+    }
+  },
+
+  /**
+    Handles `lookupOnChange` event of `lookup-events` service.
+    Adds chosen value to recently chosen values of lookup, see `showRecentValues`.
+
+    @method _onLookupValueChange
+    @param {String} componentName Name of changed lookup.
+    @param {DS.Model|DS.Model[]} newValue Chosen value.
+    @return {Promise} A promise that is resolved when recent values are saved, error of saving is sent to `currentController`.
+    @private
+  */
+  _onLookupValueChange(componentName, newValue) {
+    if (componentName !== this.get('componentName') || !this.get('showRecentValues') || Ember.isNone(newValue)) {
+      return Ember.RSVP.resolve();
+    }
+
+    let ids = Ember.A(Ember.isArray(newValue) ? newValue : [newValue])
+      .map((value) => Ember.get(value, 'id'))
+      .filter((id) => !Ember.isNone(id));
+    if (ids.length === 0) {
+      return Ember.RSVP.resolve();
+    }
+
+    let userSettings = this.get('userSettings');
+    let lookupValues = userSettings.getLookupValues(componentName);
+    lookupValues.recent = ids.concat(lookupValues.recent.filter((id) => ids.indexOf(id) === -1)).slice(0, this.get('maxRecentValues'));
+    return userSettings.setLookupValues(componentName, lookupValues).catch((reason) => this._handleLookupValuesError(reason));
+  },
+
+  /**
+    Sends error of saving of recent or favorite values to `currentController`.
+
+    @method _handleLookupValuesError
+    @param {Object} reason Error of saving.
+    @private
+  */
+  _handleLookupValuesError(reason) {
+    let currentController = this.get('currentController');
+    if (currentController) {
+      currentController.send('handleError', reason);
+    } else {
+      Ember.Logger.error(reason);
+    }
+  },
+
+  /**
+    Returns identifiers of favorite values of lookup.
+
+    @method _getFavoriteValues
+    @return {Array}
+    @private
+  */
+  _getFavoriteValues() {
+    let componentName = this.get('componentName');
+    return this.get('showFavoriteValues') && componentName ? this.get('userSettings').getLookupValues(componentName).favorites : [];
+  },
+
+  /**
+    Pins value to favorite values of lookup or unpins it.
+
+    @method _togglePinnedValue
+    @param {String} id Identifier of value.
+    @return {Promise} A promise that returns `true` if value is pinned, when favorite values are saved.
+    @private
+  */
+  _togglePinnedValue(id) {
+    let componentName = this.get('componentName');
+    let userSettings = this.get('userSettings');
+    let lookupValues = userSettings.getLookupValues(componentName);
+    let index = lookupValues.favorites.indexOf(id);
+    if (index === -1) {
+      lookupValues.favorites.push(id);
+    } else {
+      lookupValues.favorites.splice(index, 1);
+    }
+
+    return userSettings.setLookupValues(componentName, lookupValues).then(() => index === -1);
+  },
+
+  /**
+    Returns maximum count of results in sections of recent and favorite values, including headers of sections.
+
+    @method _getLookupValuesMaxCount
+    @return {Number}
+    @private
+  */
+  _getLookupValuesMaxCount() {
+    let count = 0;
+    if (this.get('showRecentValues')) {
+      count += this.get('maxRecentValues') + 1;
+    }
+
+    if (this.get('showFavoriteValues')) {
+      count += this.get('maxFavoriteValues') + 1;
+    }
+
+    return count;
+  },
+
+  /**
+    Loads recent and favorite values of lookup, which satisfy predicate.
+
+    @method _loadLookupValues
+    @param {String} modelName Name of model of values.
+    @param {String} projection Name of projection.
+    @param {String} order Order of values.
+    @param {BasePredicate} [predicate] Predicate to limit values.
+    @return {Promise} A promise that returns object with `favorites` and `recent` arrays of records
+    and `ids` array of identifiers of loaded values, or `null`, if there are no values to show.
+    @private
+  */
+  _loadLookupValues(modelName, projection, order, predicate) {
+    let componentName = this.get('componentName');
+    if (!componentName || (!this.get('showRecentValues') && !this.get('showFavoriteValues'))) {
+      return Ember.RSVP.resolve(null);
+    }
+
+    let lookupValues = this.get('userSettings').getLookupValues(componentName);
+    let favorites = this.get('showFavoriteValues') ? lookupValues.favorites.slice(0, this.get('maxFavoriteValues')) : [];
+    let recent = this.get('showRecentValues') ? lookupValues.recent.filter((id) => favorites.indexOf(id) === -1) : [];
+    let ids = favorites.concat(recent);
+    if (ids.length === 0) {
+      return Ember.RSVP.resolve(null);
+    }
+
+    let idPredicates = ids.map((id) => new SimplePredicate('id', Query.FilterOperator.Eq, id));
+    let idsPredicate = idPredicates.length > 1 ? new ComplexPredicate(Condition.Or, ...idPredicates) : idPredicates[0];
+    let store = this.get('store');
+    let builder = this._createQueryBuilder(store, modelName, projection, order);
+    builder.where(predicate ? new ComplexPredicate(Condition.And, predicate, idsPredicate) : idsPredicate);
+
+    return store.query(modelName, builder.build()).then((records) => {
+      let recordsById = {};
+      records.forEach((record) => {
+        recordsById[record.get('id')] = record;
+      });
+
+      let getRecords = (sectionIds) => sectionIds.map((id) => recordsById[id]).filter((record) => !Ember.isNone(record));
+      let result = { favorites: getRecords(favorites), recent: getRecords(recent) };
+      result.ids = result.favorites.concat(result.recent).map((record) => record.get('id'));
+      return result.ids.length > 0 ? result : null;
+    });
+  },
+
+  /**
+    Builds results of autocomplete for sections of recent and favorite values.
+
+    @method _getLookupValuesResults
+    @param {Object} lookupValues Loaded values, see `_loadLookupValues`.
+    @param {Array} favorites Identifiers of favorite values.
+    @param {Array} tokens Tokens of search string to highlight.
+    @return {Array}
+    @private
+  */
+  _getLookupValuesResults(lookupValues, favorites, tokens) {
+    let i18n = this.get('i18n');
+    let results = [];
+    let addSection = (records, headerKey) => {
+      if (records.length > 0) {
+        let header = i18n.t(headerKey).toString();
+        results.push({ title: `<div class="flexberry-lookup-section-header">${header}</div>`, section: true });
+        results.push(...records.map((record) => ({ title: this._getResultTitle(record, favorites, tokens), instance: record })));
+      }
+    };
+
+    addSection(lookupValues.favorites, 'components.flexberry-lookup.favorite-values');
+    addSection(lookupValues.recent, 'components.flexberry-lookup.recent-values');
+    return results;
+  },
+
+  /**
+    Builds title of value in results of autocomplete or dropdown by `autocompleteResultTemplate`,
+    highlights matches of search string and adds pin button if favorite values are shown.
+
+    @method _getResultTitle
+    @param {DS.Model} record Value.
+    @param {Array} favorites Identifiers of favorite values.
+    @param {Array} [tokens] Tokens of search string to highlight.
+    @return {String}
+    @private
+  */
+  _getResultTitle(record, favorites, tokens = []) {
+    let template = this.get('autocompleteResultTemplate');
+    let title = template ?
+      renderResultTemplate(template, record, tokens) :
+      highlightMatches(record.get(this.get('displayAttributeName')), tokens);
+    if (!this.get('showFavoriteValues')) {
+      return title;
+    }
+
+    let id = record.get('id');
+    let pinned = favorites.indexOf(id) > -1;
+    let buttonTitle = this.get('i18n').t(`components.flexberry-lookup.${pinned ? 'unpin' : 'pin'}-value-button-text`).toString();
+    return `${title}<i class="flexberry-lookup-pin-button ${pinned ? 'yellow' : 'empty'} star icon" data-value-id="${id}" title="${buttonTitle}"></i>`;
+  },
+
+  /**
+    Binds handler of pin buttons in results of autocomplete or dropdown.
+    Click on button doesn't choose value, it pins or unpins value.
+
+    @method _bindPinButtons
+    @private
+  */
+  _bindPinButtons() {
+    this.$().off('click.flexberry-lookup-pin').on('click.flexberry-lookup-pin', '.flexberry-lookup-pin-button', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      Ember.run(() => {
+        let $button = Ember.$(e.target);
+        this._togglePinnedValue($button.attr('data-value-id')).then((pinned) => {
+          let buttonTitle = this.get('i18n').t(`components.flexberry-lookup.${pinned ? 'unpin' : 'pin'}-value-button-text`).toString();
+          $button.toggleClass('yellow', pinned).toggleClass('empty', !pinned).attr('title', buttonTitle);
+        }).catch((reason) => this._handleLookupValuesError(reason));
+      });
+    });
+  },
+
   /**
     Set the value for the property `modalIsStartToShow`.
 
@@ -1052,7 +1742,7 @@ export default FlexberryBaseComponent.extend({
       throw new Error('relationName is not defined.');
     }
 
-    let relationModelName = getRelationType(relatedModel, relationName);
+    let relationModelName = this._getLookupModelName();
 
     let displayAttributeName = this.get('displayAttributeName');
     if (!displayAttributeName) {
@@ -1081,13 +1771,15 @@ export default FlexberryBaseComponent.extend({
       }
     });
 
+    this._bindPinButtons();
+
     let state;
     let i18n = _this.get('i18n');
     this.$().search({
       minCharacters: minCharacters,
 
-      // +2 for page switch buttons.
-      maxResults: maxResults + 2,
+      // +2 for page switch buttons, recent and favorite values are shown with headers of sections.
+      maxResults: maxResults + 2 + this._getLookupValuesMaxCount(),
       cache: false,
       templates: {
         message: function(message, type) {
@@ -1135,8 +1827,19 @@ export default FlexberryBaseComponent.extend({
           builder.count();
 
           Ember.run(() => {
-            store.query(relationModelName, builder.build()).then((records) => {
-              const results = records.map((r) => ({ title: r.get(displayAttributeName), instance: r }));
+            const lookupValuesPromise = skip === 0 ?
+              _this._loadLookupValues(relationModelName, autocompleteProjection, autocompleteOrder, resultPredicate) :
+              Ember.RSVP.resolve(null);
+            Ember.RSVP.all([store.query(relationModelName, builder.build()), lookupValuesPromise]).then(([records, lookupValues]) => {
+              const favorites = _this._getFavoriteValues();
+              const tokens = tokenize(settings.urlData.query);
+              const results = records
+                .filter((r) => !lookupValues || lookupValues.ids.indexOf(r.get('id')) === -1)
+                .map((r) => ({ title: _this._getResultTitle(r, favorites, tokens), instance: r }));
+
+              if (lookupValues) {
+                results.unshift(..._this._getLookupValuesResults(lookupValues, favorites, tokens));
+              }
 
               if (usePagination && skip > 0) {
                 results.unshift({ title: '<div class="ui center aligned container"><i class="angle up icon"></i></div>', prevPage: true });
@@ -1181,17 +1884,29 @@ export default FlexberryBaseComponent.extend({
           Ember.run(() => {
             Ember.debug(`Flexberry Lookup::autocomplete state = ${state}; result = ${result}`);
 
-            _this.set('value', result.instance);
+            let isMultiSelect = _this.get('multiSelect');
+            if (isMultiSelect) {
+              // In multi-select mode record is added to the set, input is cleared for next search.
+              _this.set('displayValue', '');
+            } else {
+              _this.set('value', result.instance);
+
+              // Semantic UI puts text of result to the input, it can differ from display value with result template.
+              _this.$('input').val(_this._buildDisplayValue());
+            }
+
             _this.get('currentController').send(_this.get('updateLookupAction'),
               {
                 relationName: relationName,
                 modelToLookup: relatedModel,
                 newRelationValue: result.instance,
-                componentName: _this.get('componentName')
+                componentName: _this.get('componentName'),
+                linkModelName: _this.get('linkModelName'),
+                linkModelAttributeName: _this.get('linkModelAttributeName')
               });
           });
         } else {
-          if (_this.get('usePaginationForAutocomplete')) {
+          if (_this.get('usePaginationForAutocomplete') && !result.section) {
             state = 'loading';
             if (result.nextPage) {
               _this.incrementProperty('_pageInResultsForAutocomplete');
@@ -1221,7 +1936,13 @@ export default FlexberryBaseComponent.extend({
         // Set displayValue directly because value hasn'been changes
         // and Ember won't change computed property.
 
-        if (state !== 'selected' && state !== 'loading') {
+        if (_this.get('multiSelect')) {
+          // Chosen records are not cleared in multi-select mode, only search text.
+          _this.set('_pageInResultsForAutocomplete', 1);
+          if (state !== 'selected' && state !== 'loading') {
+            _this.set('displayValue', '');
+          }
+        } else if (state !== 'selected' && state !== 'loading') {
           _this.set('_pageInResultsForAutocomplete', 1);
           let displayValue = _this.get('displayValue');
           if (displayValue) {
@@ -1297,6 +2018,8 @@ export default FlexberryBaseComponent.extend({
       throw new Error(' \`displayAttributeName\` is required property for dropdown mode in \`flexberry-lookup\`.');
     }
 
+    this._bindPinButtons();
+
     let i18n = _this.get('i18n');
     this.$('.flexberry-dropdown').dropdown({
       minCharacters: dropdownIsSearch ? minCharacters : 0,
@@ -1334,17 +2057,29 @@ export default FlexberryBaseComponent.extend({
           }
 
           Ember.run(() => {
-            store.query(relationModelName, builder.build()).then((records) => {
+            let lookupValuesPromise = _this._loadLookupValues(relationModelName, projectionName, autocompleteOrder, resultPredicate);
+            Ember.RSVP.all([store.query(relationModelName, builder.build()), lookupValuesPromise]).then(([records, lookupValues]) => {
               // We have to cache data because dropdown component sets text as value and we lose object value.
               let resultArray = [];
-              let results = records.map((i) => {
+              let favorites = _this._getFavoriteValues();
+              let tokens = tokenize(settings.urlData.query);
+              let toResult = (i, icon) => {
                 let attributeName = i.get(displayAttributeName);
                 resultArray[i.id] = i;
                 return {
-                  name: attributeName,
+                  name: (icon ? `<i class="${icon} icon"></i>` : '') + _this._getResultTitle(i, favorites, tokens),
+                  text: attributeName,
                   value: i.id
                 };
-              });
+              };
+
+              // Recent and favorite values are marked by icons, dropdown has no headers of sections.
+              let results = records
+                .filter((i) => !lookupValues || lookupValues.ids.indexOf(i.get('id')) === -1)
+                .map((i) => toResult(i));
+              if (lookupValues) {
+                results.unshift(...lookupValues.favorites.map((i) => toResult(i)), ...lookupValues.recent.map((i) => toResult(i, 'history')));
+              }
 
               if (!_this.get('required')) {
                 results.unshift({ name: _this.get('placeholder'), value: null });
@@ -1390,6 +2125,14 @@ export default FlexberryBaseComponent.extend({
     @private
   */
   _getAutocomplitePredicate(settingsUrlDataQuery) {
+    let searchAttributes = this._getSearchAttributes();
+    if (searchAttributes.length > 0) {
+      let information = new Information(this.get('store'));
+      let relationModelName = this._getLookupModelName();
+      let attributes = searchAttributes.map((name) => ({ name: name, type: information.getType(relationModelName, name) }));
+      return buildSearchPredicate(settingsUrlDataQuery, attributes);
+    }
+
     if (settingsUrlDataQuery) {
       let displayAttributeType = this.get('displayAttributeType');
       let displayAttributeName = this.get('displayAttributeName');
@@ -1405,6 +2148,26 @@ export default FlexberryBaseComponent.extend({
     }
   },
 
+  /**
+    Returns names of attributes to search by, see `autocompleteSearchAttributes`.
+
+    @method _getSearchAttributes
+    @return {Array}
+    @private
+  */
+  _getSearchAttributes() {
+    let searchAttributes = this.get('autocompleteSearchAttributes');
+    if (Ember.isBlank(searchAttributes)) {
+      return [];
+    }
+
+    if (typeof searchAttributes === 'string') {
+      searchAttributes = searchAttributes.split(',');
+    }
+
+    return searchAttributes.map((name) => name.trim()).filter((name) => name.length > 0);
+  },
+
   /**
     Builds display text by selected model.
 
@@ -1420,6 +2183,11 @@ export default FlexberryBaseComponent.extend({
 
     let selectedModel = this.get('value');
     let displayAttributeName = this.get('displayAttributeName');
+    if (this.get('multiSelect')) {
+      // Chosen records are displayed as labels, input is used for autocomplete only.
+      return '';
+    }
+
     if (!selectedModel) {
       return autocompletePersistValueCache ? autocompletePersistValueCache : '';
     }
@@ -1432,6 +2200,52 @@ export default FlexberryBaseComponent.extend({
     return selectedModel.get(displayAttributeName);
   },
 
+  /**
+    Builds parameters to create a new value, limit predicate is built on each call,
+    because `lookupAdditionalLimitFunction` depends on current state of model.
+
+    @method _buildCreateData
+    @return {Object}
+    @private
+  */
+  _buildCreateData() {
+    return {
+      createFormRoute: this.get('createFormRoute'),
+      controller: this.get('controllerForCreate'),
+      projection: this.get('createFormProjection'),
+      modelName: this._getLookupModelName(),
+      relationName: this.get('relationName'),
+      modelToLookup: this.get('relatedModel'),
+      componentName: this.get('componentName'),
+      predicate: this._conjuctPredicates(this.get('lookupLimitPredicate'), this.get('lookupAdditionalLimitFunction')),
+      updateLookupAction: this.get('updateLookupAction'),
+      linkModelName: this.get('linkModelName'),
+      linkModelAttributeName: this.get('linkModelAttributeName'),
+      modalDialogSettings: this.get('_modalDialogSettings'),
+    };
+  },
+
+  /**
+    Returns name of model of records to choose.
+    If `linkModelName` is defined, it is type of `linkModelAttributeName` relationship of link model,
+    otherwise it is type of `relationName` relationship of `relatedModel`.
+
+    @method _getLookupModelName
+    @return {String}
+    @private
+  */
+  _getLookupModelName() {
+    let linkModelName = this.get('linkModelName');
+    if (linkModelName) {
+      let linkModelAttributeName = this.get('linkModelAttributeName');
+      Ember.assert('\`linkModelAttributeName\` is required property with \`linkModelName\` in \`flexberry-lookup\`.', linkModelAttributeName);
+      let relationshipsByName = Ember.get(this.get('store').modelFor(linkModelName), 'relationshipsByName');
+      return relationshipsByName.get(linkModelAttributeName).type;
+    }
+
+    return getRelationType(this.get('relatedModel'), this.get('relationName'));
+  },
+
   /**
     Creates an instance of the Builder class with selection and sorting specified in the component parameters.
 
@@ -1451,7 +2265,10 @@ export default FlexberryBaseComponent.extend({
     if (projection) {
       builder.selectByProjection(projection);
     } else {
-      builder.select(displayAttributeName);
+      // Attributes of search and result template are loaded too.
+      let templateAttributes = getTemplateAttributes(this.get('autocompleteResultTemplate'));
+      let attributes = Ember.A([displayAttributeName, ...this._getSearchAttributes(), ...templateAttributes]);
+      builder.select(attributes.uniq().join(','));
     }
 
     builder.orderBy(`${order ? order : `${displayAttributeName} ${sorting}`}`);
@@ -1460,7 +2277,7 @@ export default FlexberryBaseComponent.extend({
   },
 
   /**
-    Concatenates predicates.
+    Concatenates predicates, predicate by parent value (see `dependsOn`) is added to them.
 
     @method _conjuctPredicates
     @param {BasePredicate} limitPredicate The first predicate to concatenate.
@@ -1472,6 +2289,11 @@ export default FlexberryBaseComponent.extend({
   _conjuctPredicates(limitPredicate, lookupAdditionalLimitFunction, autocompletePredicate) {
     let limitArray = Ember.A();
 
+    let dependencyPredicate = this._getDependencyPredicate();
+    if (dependencyPredicate) {
+      limitArray.pushObject(dependencyPredicate);
+    }
+
     if (limitPredicate) {
       if (limitPredicate instanceof BasePredicate) {
         limitArray.pushObject(limitPredicate);
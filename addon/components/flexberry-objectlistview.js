@@ -33,6 +33,14 @@ export default FlexberryBaseComponent.extend({
   */
   formLoadTimeTracker: Ember.inject.service(),
 
+  /**
+    Service that measures route transitions, list is registered to measure time to interactive of route.
+
+    @property routeMetrics
+    @type RouteMetricsService
+  */
+  routeMetrics: Ember.inject.service('route-metrics'),
+
   /**
     Store the action name at controller for loading records.
 
@@ -610,6 +618,37 @@ export default FlexberryBaseComponent.extend({
   */
   exportExcelButton: false,
 
+  /**
+    Flag indicates whether to show saved views button at toolbar.
+    Saved view bundles columns configuration, sorting, filters, search text and adv limit,
+    see {{#crossLink "SavedViewsService"}}{{/crossLink}}.
+
+    @property savedViewsButton
+    @type Boolean
+    @default false
+  */
+  savedViewsButton: false,
+
+  /**
+    Flag indicates whether export is performed in browser (to CSV or XLSX file) without backend endpoint.
+    Used with `exportExcelButton`.
+
+    @property clientSideExport
+    @type Boolean
+    @default false
+  */
+  clientSideExport: false,
+
+  /**
+    Flag indicates whether cells of list can be edited in place (by double click on cell).
+    Changed records are saved or canceled by toolbar buttons.
+
+    @property inlineEdit
+    @type Boolean
+    @default false
+  */
+  inlineEdit: false,
+
   /**
     Flag indicates whether to show button fo default sorting set.
 
@@ -769,9 +808,9 @@ export default FlexberryBaseComponent.extend({
 
     @property overflowedComponents
     @type Array
-    @default Ember.A(['flexberry-dropdown', 'flexberry-lookup'])
+    @default Ember.A(['flexberry-dropdown', 'flexberry-lookup', 'olv-filter-list'])
   */
-  overflowedComponents: Ember.A(['flexberry-dropdown', 'flexberry-lookup']),
+  overflowedComponents: Ember.A(['flexberry-dropdown', 'flexberry-lookup', 'olv-filter-list']),
 
   /**
     Current interval of records.
@@ -815,6 +854,55 @@ export default FlexberryBaseComponent.extend({
   */
   showShowingEntries: true,
 
+  /**
+    Flag indicates whether records are appended to list by "load more" button or scrolling to the bottom of list
+    instead of paging. Used with `loadMore` action and `recordsTotalCount`, see
+    {{#crossLink "PaginatedController"}}{{/crossLink}}.
+
+    @property loadMoreMode
+    @type Boolean
+    @default false
+  */
+  loadMoreMode: false,
+
+  /**
+    Flag indicates whether next records are loaded automatically when list is scrolled to the bottom in "load more" mode.
+
+    @property loadMoreOnScroll
+    @type Boolean
+    @default true
+  */
+  loadMoreOnScroll: true,
+
+  /**
+    Distance in pixels to the bottom of list when next records are loaded on scroll.
+
+    @property loadMoreScrollThreshold
+    @type Number
+    @default 100
+  */
+  loadMoreScrollThreshold: 100,
+
+  /**
+    Flag indicates whether next records are being loaded in "load more" mode.
+
+    @property isLoadingMore
+    @type Boolean
+    @default false
+  */
+  isLoadingMore: false,
+
+  /**
+    Flag indicates whether there are records which are not loaded yet in "load more" mode.
+
+    @property hasMoreRecords
+    @type Boolean
+    @readOnly
+  */
+  hasMoreRecords: Ember.computed('content.length', 'recordsTotalCount', function() {
+    return this.get('content.length') < this.get('recordsTotalCount');
+  }).readOnly(),
+
   /**
     Function to determine if current page has previous page.
 
@@ -867,6 +955,74 @@ export default FlexberryBaseComponent.extend({
   */
   useRowByRowLoadingProgress: true,
 
+  /**
+    Flag indicates whether to render only rows visible in scrolled area of list.
+    It is useful for large pages, row by row loading is not used in this mode.
+
+    @property virtualScrolling
+    @type Boolean
+    @default false
+  */
+  virtualScrolling: false,
+
+  /**
+    Estimated height of row in pixels for virtual scrolling mode.
+
+    @property virtualScrollingRowHeight
+    @type Number
+    @default 37
+  */
+  virtualScrollingRowHeight: 37,
+
+  /**
+    Count of rows rendered above and below visible area in virtual scrolling mode.
+
+    @property virtualScrollingBufferSize
+    @type Number
+    @default 10
+  */
+  virtualScrollingBufferSize: 10,
+
+  /**
+    Paths to properties to group rows by.
+    If it is not defined, value from user settings (editable in columns configuration dialog) is used.
+    See {{#crossLink "ObjectListViewComponent/groupBy:property"}}here{{/crossLink}}.
+
+    @property groupBy
+    @type String[]
+    @default undefined
+  */
+  groupBy: undefined,
+
+  /**
+    Aggregate functions to show in group headers, by default sum of numeric columns is shown.
+    See {{#crossLink "ObjectListViewComponent/groupAggregates:property"}}here{{/crossLink}}.
+
+    @property groupAggregates
+    @type Object
+    @default undefined
+  */
+  groupAggregates: undefined,
+
+  /**
+    Aggregate functions to show in totals row in the footer of list.
+    See {{#crossLink "ObjectListViewComponent/totals:property"}}here{{/crossLink}}.
+
+    @property totals
+    @type Object
+    @default undefined
+  */
+  totals: undefined,
+
+  /**
+    Flag indicates whether totals are calculated over all records of current query, not only over current page.
+
+    @property totalsServerSide
+    @type Boolean
+    @default false
+  */
+  totalsServerSide: false,
+
   /**
     Interface for communication between object-list-view and flexberry-objectlistview.
 
@@ -1069,6 +1225,26 @@ export default FlexberryBaseComponent.extend({
       action(this.get('componentName'));
     },
 
+    /**
+      Appends next records to list in "load more" mode.
+
+      @method actions.loadMore
+      @public
+      @param {Action} action Action to load next records.
+    */
+    loadMore(action) {
+      if (!action) {
+        throw new Error('No handler for loadMore action set for flexberry-objectlistview. ' +
+                      'Set handler like {{flexberry-objectlistview ... loadMore=(action "loadMore")}}.');
+      }
+
+      if (this.get('isLoadingMore') || !this.get('hasMoreRecords')) {
+        return;
+      }
+
+      action(this.get('componentName'));
+    },
+
     /**
       Handles action from object-list-view when no handler for this component is defined.
 
@@ -1431,6 +1607,7 @@ export default FlexberryBaseComponent.extend({
    */
   init() {
     this._super(...arguments);
+    this.get('routeMetrics').beginInteractive(this);
 
     let customProperties = this.get('customProperties');
     if (this.get('componentMode') === 'lookupform' && customProperties && typeof customProperties === 'object') {
@@ -1462,6 +1639,24 @@ export default FlexberryBaseComponent.extend({
     this.get('formLoadTimeTracker').set('endRenderTime', performance.now());
   },
 
+  /**
+    Called when the element of the view has been inserted into the DOM or after the view was re-rendered.
+    For more information see [didInsertElement](http://emberjs.com/api/classes/Ember.Component.html#event_didInsertElement) event of [Ember.Component](http://emberjs.com/api/classes/Ember.Component.html).
+  */
+  didInsertElement() {
+    this._super(...arguments);
+    this.get('routeMetrics').endInteractive(this);
+
+    let scrollHandler = () => {
+      if (this.get('loadMoreMode') && this.get('loadMoreOnScroll')) {
+        Ember.run.throttle(this, this._loadMoreOnScroll, 100, false);
+      }
+    };
+
+    Ember.$(window).on(`scroll.load-more-${this.get('elementId')}`, scrollHandler);
+    this.$('.object-list-view-container').on('scroll.load-more', scrollHandler);
+  },
+
   /**
     Called when the element of the view is going to be destroyed.
     For more information see [willDestroyElement](http://emberjs.com/api/classes/Ember.Component.html#event_willDestroyElement) event of [Ember.Component](http://emberjs.com/api/classes/Ember.Component.html).
@@ -1473,6 +1668,34 @@ export default FlexberryBaseComponent.extend({
     if (eventsBus) {
       eventsBus.off('setMenuWidth');
     }
+
+    Ember.$(window).off(`scroll.load-more-${this.get('elementId')}`);
+    this.$('.object-list-view-container').off('scroll.load-more');
+  },
+
+  /**
+    Loads next records when list is scrolled to the bottom in "load more" mode.
+
+    @method _loadMoreOnScroll
+    @private
+  */
+  _loadMoreOnScroll() {
+    if (this.get('isDestroying') || this.get('isDestroyed') || this.get('isLoadingMore') || !this.get('hasMoreRecords')) {
+      return;
+    }
+
+    let threshold = this.get('loadMoreScrollThreshold');
+    let $container = this.$('.object-list-view-container');
+    let containerScrolled = $container.length > 0 && $container[0].scrollHeight > $container[0].clientHeight &&
+      $container.scrollTop() + $container.innerHeight() >= $container[0].scrollHeight - threshold;
+
+    let $window = Ember.$(window);
+    let elementBottom = this.$().offset().top + this.$().outerHeight();
+    let windowScrolled = $window.scrollTop() + $window.height() >= elementBottom - threshold;
+
+    if ((containerScrolled || windowScrolled) && this.get('loadMore')) {
+      this.send('loadMore', this.get('loadMore'));
+    }
   },
 
   /**
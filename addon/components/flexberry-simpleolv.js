@@ -6,6 +6,7 @@ import { translationMacro as t } from 'ember-i18n';
 import { getValueFromLocales } from 'ember-flexberry-data/utils/model-functions';
 import serializeSortingParam from '../utils/serialize-sorting-param';
 import getAttrLocaleKey from '../utils/get-attr-locale-key';
+import { conditionsWithoutPattern } from '../utils/filter';
 const { getOwner } = Ember;
 
 /**
@@ -773,9 +774,18 @@ export default folv.extend(
 
     @property overflowedComponents
     @type Array
-    @default Ember.A(['flexberry-dropdown', 'flexberry-lookup'])
+    @default Ember.A(['flexberry-dropdown', 'flexberry-lookup', 'olv-filter-list'])
   */
-  overflowedComponents: Ember.A(['flexberry-dropdown', 'flexberry-lookup']),
+  overflowedComponents: Ember.A(['flexberry-dropdown', 'flexberry-lookup', 'olv-filter-list']),
+
+  /**
+    Conditions of filters, which don't need pattern, editors of filters are read-only for them.
+
+    @property conditionsWithoutPattern
+    @type Array
+    @readOnly
+  */
+  conditionsWithoutPattern: conditionsWithoutPattern,
 
   /**
     Ember data store.
@@ -801,6 +811,14 @@ export default folv.extend(
   */
   appState: Ember.inject.service(),
 
+  /**
+    Service for client-side export of lists.
+
+    @property listExport
+    @type ListExportService
+  */
+  listExport: Ember.inject.service(),
+
   /**
     Used to identify objectListView on the page.
 
@@ -1032,11 +1050,40 @@ export default folv.extend(
       @public
     */
     showExportDialog(settingName, immediateExport) {
+      if (this.get('clientSideExport') && !settingName) {
+        this.send('clientExport', 'xlsx');
+        return;
+      }
+
       let settName = settingName ? 'ExportExcel/' + settingName : settingName;
       Ember.assert('showExportDialog:: componentName is not defined in flexberry-objectlistview component', this.componentName);
       this.get('currentController').send('showConfigDialog', this.componentName, settName, true, immediateExport);
     },
 
+    /**
+      Exports list in browser, without backend endpoint.
+
+      @method actions.clientExport
+      @public
+      @param {String} format Format of file, `csv` or `xlsx`.
+    */
+    clientExport(format) {
+      let projection = this.get('modelProjection');
+      Ember.assert('clientExport:: modelProjection is not defined in flexberry-simpleolv component', projection);
+
+      let appState = this.get('appState');
+      appState.loading();
+      this.get('listExport').exportList(this.componentName, {
+        modelName: projection.modelName,
+        projectionName: projection.projectionName,
+        format: format,
+      }).catch((reason) => {
+        this.get('currentController').send('handleError', reason);
+      }).finally(() => {
+        appState.reset();
+      });
+    },
+
     /**
       Handler click on flexberry-menu.
 
@@ -1128,6 +1175,12 @@ export default folv.extend(
         case 'file excel outline icon':
           this.send('showExportDialog');
           break;
+        case 'file text outline icon':
+          this.send('clientExport', 'csv');
+          break;
+        case 'file excel icon':
+          this.send('clientExport', 'xlsx');
+          break;
         case 'checkmark box icon':
           this.send('showExportDialog', namedSetting, true);
           break;
@@ -1285,7 +1338,7 @@ export default folv.extend(
       @param {String} oldCondition
     */
     filterConditionChanged(filter, newCondition, oldCondition) {
-      if (oldCondition === 'between' || newCondition === 'empty' || newCondition === 'nempty') {
+      if (oldCondition === 'between' || oldCondition === 'in' || conditionsWithoutPattern.indexOf(newCondition) > -1) {
         Ember.set(filter, 'pattern', null);
       }
 
@@ -2081,6 +2134,10 @@ export default folv.extend(
           'neq': this.get('i18n').t('components.object-list-view.filters.neq'),
           'le': this.get('i18n').t('components.object-list-view.filters.le'),
           'ge': this.get('i18n').t('components.object-list-view.filters.ge'),
+          'today': this.get('i18n').t('components.object-list-view.filters.today'),
+          'last7days': this.get('i18n').t('components.object-list-view.filters.last7days'),
+          'thismonth': this.get('i18n').t('components.object-list-view.filters.thismonth'),
+          'thisquarter': this.get('i18n').t('components.object-list-view.filters.thisquarter'),
         };
       case 'number':
         return {
@@ -2089,13 +2146,22 @@ export default folv.extend(
           'le': this.get('i18n').t('components.object-list-view.filters.le'),
           'ge': this.get('i18n').t('components.object-list-view.filters.ge'),
           'between': this.get('i18n').t('components.object-list-view.filters.between'),
+          'in': this.get('i18n').t('components.object-list-view.filters.in'),
+          'empty': this.get('i18n').t('components.object-list-view.filters.empty'),
+          'nempty': this.get('i18n').t('components.object-list-view.filters.nempty'),
         };
       case 'string':
         return {
           'eq': this.get('i18n').t('components.object-list-view.filters.eq'),
           'neq': this.get('i18n').t('components.object-list-view.filters.neq'),
           'like': this.get('i18n').t('components.object-list-view.filters.like'),
-          'nlike': this.get('i18n').t('components.object-list-view.filters.nlike')
+          'nlike': this.get('i18n').t('components.object-list-view.filters.nlike'),
+          'startswith': this.get('i18n').t('components.object-list-view.filters.startswith'),
+          'endswith': this.get('i18n').t('components.object-list-view.filters.endswith'),
+          'regex': this.get('i18n').t('components.object-list-view.filters.regex'),
+          'in': this.get('i18n').t('components.object-list-view.filters.in'),
+          'empty': this.get('i18n').t('components.object-list-view.filters.empty'),
+          'nempty': this.get('i18n').t('components.object-list-view.filters.nempty'),
         };
 
       case 'boolean':
@@ -2177,7 +2243,11 @@ export default folv.extend(
       return { name: 'olv-filter-interval' };
     }
 
-    if (oldCondition === 'between') {
+    if (newCondition === 'in') {
+      return { name: 'olv-filter-list' };
+    }
+
+    if (oldCondition === 'between' || oldCondition === 'in') {
       return { name: 'flexberry-textbox' };
     }
 
@@ -2747,6 +2817,16 @@ export default folv.extend(
   */
   exportExcelButton: false,
 
+  /**
+    Flag indicates whether export is performed in browser (to CSV or XLSX file) without backend endpoint.
+    Used with `exportExcelButton`.
+
+    @property clientSideExport
+    @type Boolean
+    @default false
+  */
+  clientSideExport: false,
+
   /**
     Flag to use filter button at toolbar.
 
@@ -2946,8 +3026,31 @@ export default folv.extend(
     @property exportExcelItems
     @readOnly
   */
-  exportExcelItems:  Ember.computed(function() {
+  exportExcelItems:  Ember.computed('clientSideExport', function() {
       let i18n = this.get('i18n');
+      if (this.get('clientSideExport')) {
+        return [{
+          icon: 'dropdown icon',
+          iconAlignment: 'right',
+          title: '',
+          localeKey: '',
+          items: [
+            {
+              icon: 'file text outline icon',
+              iconAlignment: 'left',
+              title: i18n.t('components.olv-toolbar.export-csv-title'),
+              localeKey: 'components.olv-toolbar.export-csv-title'
+            },
+            {
+              icon: 'file excel icon',
+              iconAlignment: 'left',
+              title: i18n.t('components.olv-toolbar.export-xlsx-title'),
+              localeKey: 'components.olv-toolbar.export-xlsx-title'
+            }
+          ]
+        }];
+      }
+
       let menus = [
         { icon: 'angle right icon',
           iconAlignment: 'right',
@@ -3087,13 +3190,20 @@ export default folv.extend(
 
   _resetNamedUserSettings() {
     let menus = this.get('menus');
+    let clientSideExport = this.get('clientSideExport');
     for (let i = 0; i < menus.length; i++) {
       Ember.set(this.get('colsSettingsItems')[0].items[i + 1], 'items', []);
-      Ember.set(this.get('exportExcelItems')[0].items[i + 1], 'items', []);
+      if (!clientSideExport) {
+        Ember.set(this.get('exportExcelItems')[0].items[i + 1], 'items', []);
+      }
     }
   },
 
   _addNamedSetting(namedSetting, isExportExcel) {
+    if (isExportExcel && this.get('clientSideExport')) {
+      return;
+    }
+
     let menus = this.get('menus');
     for (let i = 0; i < menus.length; i++) {
       let icon = menus[i].icon + ' icon';
@@ -3127,6 +3237,10 @@ export default folv.extend(
   },
 
   _sortNamedSetting(isExportExcel) {
+    if (isExportExcel && this.get('clientSideExport')) {
+      return;
+    }
+
     for (let i = 0; i < this.menus.length; i++) {
       if (isExportExcel) {
         this.get('exportExcelItems')[0].items[i + 1].items.sort((a, b) => a.title > b.title);
@@ -146,6 +146,16 @@ let FlexberryTreenodeComponent = Ember.Component.extend(
     */
     caption: null,
 
+    /**
+      Flag: indicates whether node is expanded on render.
+      Later node is expanded and collapsed by accordion, so changes of the flag after render are not tracked.
+
+      @property expanded
+      @type Boolean
+      @default false
+    */
+    expanded: false,
+
     /**
       Child nodes.
       This property is optional and must be used when there are too many child nodes,
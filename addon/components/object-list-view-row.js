@@ -87,6 +87,45 @@ export default FlexberryBaseComponent.extend({
   */
   showValidationMessagesInRow: false,
 
+  /**
+    Flag: indicates whether cells can be edited in place, see
+    {{#crossLink "ObjectListViewComponent/inlineEdit:property"}}{{/crossLink}}.
+
+    @property inlineEdit
+    @type Boolean
+    @default false
+  */
+  inlineEdit: false,
+
+  /**
+    Name of property which is edited in place now.
+
+    @property _inlineEditPropName
+    @type String
+    @private
+  */
+  _inlineEditPropName: undefined,
+
+  /**
+    Value of edited property before start of editing, it is restored by `Escape` key.
+
+    @property _inlineEditOriginalValue
+    @private
+  */
+  _inlineEditOriginalValue: undefined,
+
+  /**
+    Finishes editing in place, when changes of record are saved or canceled.
+
+    @method _inlineEditRecordObserver
+    @private
+  */
+  _inlineEditRecordObserver: Ember.observer('record.data.hasDirtyAttributes', function() {
+    if (!this.get('record.data.hasDirtyAttributes')) {
+      this.set('_inlineEditPropName', undefined);
+    }
+  }),
+
   /**
     Flag used to start render row content.
 
@@ -346,6 +385,48 @@ export default FlexberryBaseComponent.extend({
       this.get('currentController').send('previewLookupValue', previewData);
     },
 
+    /**
+      Starts editing of cell in place.
+
+      @method actions.startInlineEdit
+      @param {Object} column Column of edited cell.
+    */
+    startInlineEdit(column) {
+      let readonlyColumns = this.get('record.rowConfig.readonlyColumns') || [];
+      let componentReadonly = Ember.get(column, 'inlineEditComponent.componentProperties.readonly');
+      if (!this.get('inlineEdit') || this.get('readonly') || Ember.isNone(column.inlineEditComponent) ||
+        componentReadonly === true || readonlyColumns.indexOf(column.propName) > -1) {
+        return;
+      }
+
+      this.set('_inlineEditOriginalValue', this.get(`record.data.${column.propName}`));
+      this.set('_inlineEditPropName', column.propName);
+    },
+
+    /**
+      Handles key down in edited cell: `Enter` finishes editing, `Escape` restores the value and finishes editing.
+
+      @method actions.inlineEditKeyDown
+      @param {KeyboardEvent} e Key down event object.
+    */
+    inlineEditKeyDown(e) {
+      let propName = this.get('_inlineEditPropName');
+      if (Ember.isNone(propName)) {
+        return;
+      }
+
+      switch (e.keyCode) {
+        case 27:
+          this.set(`record.data.${propName}`, this.get('_inlineEditOriginalValue'));
+          this.set('_inlineEditPropName', undefined);
+          break;
+
+        case 13:
+          this.set('_inlineEditPropName', undefined);
+          break;
+      }
+    },
+
     /**
       Handles rows clicks and sends 'rowClick' action outside.
 
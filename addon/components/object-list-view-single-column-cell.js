@@ -2,10 +2,13 @@
   @module ember-flexberry
 */
 
+import Ember from 'ember';
 import FlexberryBaseComponent from './flexberry-base-component';
 import FlexberryLookupCompatibleComponentMixin from '../mixins/flexberry-lookup-compatible-component';
 import FlexberryFileCompatibleComponentMixin from '../mixins/flexberry-file-compatible-component';
 
+const { get } = Ember;
+
 /**
   @class ObjectListViewSingleColumnCellComponent
   @extends FlexberryBaseComponent
@@ -56,6 +59,80 @@ export default FlexberryBaseComponent.extend(
   */
   showValidationMessages: true,
 
+  /**
+    Flag: indicates whether values can be edited in place, see
+    {{#crossLink "ObjectListViewComponent/inlineEdit:property"}}{{/crossLink}}.
+
+    @property inlineEdit
+    @type Boolean
+    @default false
+  */
+  inlineEdit: false,
+
+  /**
+    Name of property which is edited in place now.
+
+    @property inlineEditPropName
+    @type String
+  */
+  inlineEditPropName: undefined,
+
+  /**
+    Action to start editing of value in place, it is called with column.
+
+    @property onStartInlineEdit
+    @type Function
+  */
+  onStartInlineEdit: undefined,
+
+  /**
+    Action to handle key down in edited value, it is called with event.
+
+    @property onInlineEditKeyDown
+    @type Function
+  */
+  onInlineEditKeyDown: undefined,
+
+  /**
+    Starts editing of value in place by double click on it.
+
+    @method doubleClick
+    @param {MouseEvent} e Double click event object.
+  */
+  doubleClick(e) {
+    let column = this._getEventColumn(e);
+    let onStartInlineEdit = get(this, 'onStartInlineEdit');
+    if (get(this, 'inlineEdit') && column && column.inlineEditComponent && onStartInlineEdit) {
+      onStartInlineEdit(column);
+    }
+  },
+
+  /**
+    Passes key down in edited value to row.
+
+    @method keyDown
+    @param {KeyboardEvent} e Key down event object.
+  */
+  keyDown(e) {
+    let onInlineEditKeyDown = get(this, 'onInlineEditKeyDown');
+    if (get(this, 'inlineEdit') && onInlineEditKeyDown) {
+      onInlineEditKeyDown(e);
+    }
+  },
+
+  /**
+    Returns column of value which is target of event.
+
+    @method _getEventColumn
+    @param {Event} e Event object.
+    @return {Object} Column or `undefined`.
+    @private
+  */
+  _getEventColumn(e) {
+    let propName = Ember.$(e.target).closest('.field').attr('data-prop-name');
+    return Ember.A(get(this, 'columns') || []).findBy('propName', propName);
+  },
+
   /**
     An overridable method called when objects are instantiated.
     For more information see [init](http://emberjs.com/api/classes/Ember.View.html#method_init) method of [Ember.View](http://emberjs.com/api/classes/Ember.View.html).
@@ -5,6 +5,7 @@ import Ember from 'ember';
 import { translationMacro as t } from 'ember-i18n';
 import { getValueFromLocales } from 'ember-flexberry-data/utils/model-functions';
 import generateUniqueId from 'ember-flexberry-data/utils/generate-unique-id';
+import Builder from 'ember-flexberry-data/query/builder';
 import getAttrLocaleKey from '../utils/get-attr-locale-key';
 
 import FlexberryBaseComponent from './flexberry-base-component';
@@ -12,6 +13,8 @@ import FlexberryLookupCompatibleComponentMixin from '../mixins/flexberry-lookup-
 import FlexberryFileCompatibleComponentMixin from '../mixins/flexberry-file-compatible-component';
 import getProjectionByName from '../utils/get-projection-by-name';
 import runAfter from '../utils/run-after';
+import groupRecords, { aggregate } from '../utils/group-records';
+import { conditionsWithoutPattern } from '../utils/filter';
 
 /**
   Object list view component.
@@ -114,6 +117,11 @@ export default FlexberryBaseComponent.extend(
   */
   classNames: ['object-list-view-container'],
 
+  /**
+    Classes bindings for component wrapper.
+  */
+  classNameBindings: ['_virtualScrollingEnabled:virtual-scrolling'],
+
   /**
     Table row click action name.
 
@@ -307,6 +315,28 @@ export default FlexberryBaseComponent.extend(
   */
   showValidationMessagesInRow: false,
 
+  /**
+    Flag: indicates whether cells of list can be edited in place.
+    Editing of cell starts by double click on it, editors are taken from `getCellComponent` method of controller
+    or are chosen by attribute type. Changes are saved or canceled by buttons of `olv-toolbar`.
+
+    @property inlineEdit
+    @type Boolean
+    @default false
+  */
+  inlineEdit: false,
+
+  /**
+    Flag: indicates whether to show validation messages of inline edited records.
+    It is set after unsuccessful validation of records on save.
+
+    @property _inlineEditShowValidation
+    @type Boolean
+    @default false
+    @private
+  */
+  _inlineEditShowValidation: false,
+
   /**
     Flag indicates whether to show asterisk icon in first column of every changed row.
 
@@ -416,6 +446,15 @@ export default FlexberryBaseComponent.extend(
   */
   showFiltersInModal: false,
 
+  /**
+    Conditions of filters, which don't need pattern, editors of filters are read-only for them.
+
+    @property conditionsWithoutPattern
+    @type Array
+    @readOnly
+  */
+  conditionsWithoutPattern: conditionsWithoutPattern,
+
   /**
     Flag indicates whether to show dropdown menu with prototype menu item, in last column of every row.
 
@@ -475,7 +514,7 @@ export default FlexberryBaseComponent.extend(
     @type Object[]
     @readOnly
   */
-  columns: Ember.computed('modelProjection', 'enableFilters', 'content', function() {
+  columns: Ember.computed('modelProjection', 'enableFilters', 'content', 'totals', function() {
     let ret;
     let projection = this.get('modelProjection');
 
@@ -668,6 +707,321 @@ export default FlexberryBaseComponent.extend(
   */
   useRowByRowLoadingProgress: false,
 
+  /**
+    Flag indicates whether to render only rows visible in scrolled area of list (virtual scrolling).
+    Rows out of visible area are replaced by empty spacers, so lists with thousands of rows are rendered quickly.
+    This mode is not used in hierarchical mode and while rows are grouped, row by row loading is ignored in it.
+
+    @property virtualScrolling
+    @type Boolean
+    @default false
+  */
+  virtualScrolling: false,
+
+  /**
+    Estimated height of row in pixels, used in virtual scrolling mode until height of rendered row is measured.
+
+    @property virtualScrollingRowHeight
+    @type Number
+    @default 37
+  */
+  virtualScrollingRowHeight: 37,
+
+  /**
+    Count of rows rendered above and below visible area in virtual scrolling mode.
+
+    @property virtualScrollingBufferSize
+    @type Number
+    @default 10
+  */
+  virtualScrollingBufferSize: 10,
+
+  /**
+    Index of first rendered row in virtual scrolling mode.
+
+    @property _virtualScrollingStart
+    @type Number
+    @default 0
+    @private
+  */
+  _virtualScrollingStart: 0,
+
+  /**
+    Count of rendered rows in virtual scrolling mode.
+
+    @property _virtualScrollingCount
+    @type Number
+    @default 50
+    @private
+  */
+  _virtualScrollingCount: 50,
+
+  /**
+    Measured height of row in virtual scrolling mode.
+
+    @property _virtualScrollingMeasuredRowHeight
+    @type Number
+    @private
+  */
+  _virtualScrollingMeasuredRowHeight: undefined,
+
+  /**
+    Flag indicates whether virtual scrolling is used now.
+
+    @property _virtualScrollingEnabled
+    @type Boolean
+    @readOnly
+    @private
+  */
+  _virtualScrollingEnabled: Ember.computed('virtualScrolling', 'inHierarchicalMode', '_groupByProperties.length', function() {
+    return this.get('virtualScrolling') && !this.get('inHierarchicalMode') && !this.get('_groupByProperties.length');
+  }).readOnly(),
+
+  /**
+    Height of row used to calculate visible rows in virtual scrolling mode.
+
+    @property _virtualScrollingRowHeight
+    @type Number
+    @readOnly
+    @private
+  */
+  _virtualScrollingRowHeight: Ember.computed('virtualScrollingRowHeight', '_virtualScrollingMeasuredRowHeight', function() {
+    return this.get('_virtualScrollingMeasuredRowHeight') || this.get('virtualScrollingRowHeight');
+  }).readOnly(),
+
+  /**
+    Rows to render, in virtual scrolling mode it is only visible part of `contentWithKeys`.
+    When rows are grouped, it contains group headers (with `isGroupHeader` flag) followed by rows of expanded groups.
+
+    @property contentForView
+    @type Object[]
+    @readOnly
+  */
+  contentForView: Ember.computed('contentWithKeys.[]', '_virtualScrollingEnabled', '_virtualScrollingStart', '_virtualScrollingCount',
+  '_groupByProperties.[]', '_groupAggregates', '_collapsedGroups.[]', '_groupValuesVersion', 'i18n.locale', function() {
+    let contentWithKeys = this.get('contentWithKeys');
+    if (Ember.isArray(contentWithKeys) && this.get('_groupByProperties.length')) {
+      return this._getGroupedContent(contentWithKeys);
+    }
+
+    if (!this.get('_virtualScrollingEnabled') || !Ember.isArray(contentWithKeys)) {
+      return contentWithKeys;
+    }
+
+    let start = this.get('_virtualScrollingStart');
+    return contentWithKeys.slice(start, start + this.get('_virtualScrollingCount'));
+  }).readOnly(),
+
+  /**
+    Style of spacer row which replaces rows above rendered ones in virtual scrolling mode.
+
+    @property _virtualScrollingTopStyle
+    @type String
+    @readOnly
+    @private
+  */
+  _virtualScrollingTopStyle: Ember.computed('_virtualScrollingStart', '_virtualScrollingRowHeight', function() {
+    let height = this.get('_virtualScrollingStart') * this.get('_virtualScrollingRowHeight');
+    return Ember.String.htmlSafe(`height: ${height}px;`);
+  }).readOnly(),
+
+  /**
+    Style of spacer row which replaces rows below rendered ones in virtual scrolling mode.
+
+    @property _virtualScrollingBottomStyle
+    @type String
+    @readOnly
+    @private
+  */
+  _virtualScrollingBottomStyle: Ember.computed('contentWithKeys.length', '_virtualScrollingStart', '_virtualScrollingCount', '_virtualScrollingRowHeight',
+  function() {
+    let hiddenCount = this.get('contentWithKeys.length') - this.get('_virtualScrollingStart') - this.get('_virtualScrollingCount');
+    let height = Math.max(hiddenCount, 0) * this.get('_virtualScrollingRowHeight');
+    return Ember.String.htmlSafe(`height: ${height}px;`);
+  }).readOnly(),
+
+  /**
+    Paths to properties to group rows by, rows are rendered under collapsible group headers.
+    If it is not defined, value from user settings (`groupBy` setting, editable in columns configuration dialog) is used.
+    Grouping is not used in hierarchical mode.
+
+    @example
+      ```handlebars
+      {{flexberry-objectlistview
+        ...
+        groupBy=(array "type.name" "status")
+      }}
+      ```
+
+    @property groupBy
+    @type String[]
+    @default undefined
+  */
+  groupBy: undefined,
+
+  /**
+    Aggregate functions to show in group headers: hash, where keys are paths to properties
+    and values are arrays of functions (`count`, `sum`, `avg`, `min`, `max`).
+    If it is not defined, sum is shown for every numeric column.
+
+    @example
+      ```javascript
+      groupAggregates: { price: ['sum', 'avg'], weight: ['max'] }
+      ```
+
+    @property groupAggregates
+    @type Object
+    @default undefined
+  */
+  groupAggregates: undefined,
+
+  /**
+    Keys of collapsed groups.
+
+    @property _collapsedGroups
+    @type String[]
+    @private
+  */
+  _collapsedGroups: undefined,
+
+  /**
+    Counter which is increased when value of property, which rows are grouped by, is changed in some row,
+    it forces regrouping of rows.
+
+    @property _groupValuesVersion
+    @type Number
+    @default 0
+    @private
+  */
+  _groupValuesVersion: 0,
+
+  /**
+    Observed pairs of object and path to property, which rows are grouped by, see `_updateGroupValuesObservers`.
+
+    @property _groupValuesObservers
+    @type Object[]
+    @private
+  */
+  _groupValuesObservers: undefined,
+
+  /**
+    Flag: indicates whether grouping is taken from user settings, so user can change it.
+
+    @property _groupingEditable
+    @type Boolean
+    @readOnly
+    @private
+  */
+  _groupingEditable: Ember.computed('groupBy', 'notUseUserSettings', function() {
+    return Ember.isNone(this.get('groupBy')) && !this.get('notUseUserSettings');
+  }).readOnly(),
+
+  /**
+    Paths to properties to group rows by, which are used now.
+
+    @property _groupByProperties
+    @type String[]
+    @readOnly
+    @private
+  */
+  _groupByProperties: Ember.computed('groupBy.[]', 'columns', 'inHierarchicalMode', function() {
+    if (this.get('inHierarchicalMode')) {
+      return Ember.A();
+    }
+
+    let groupBy = this.get('groupBy');
+    if (Ember.isNone(groupBy)) {
+      if (this.notUseUserSettings) {
+        let userSetting = this.get('currentController.developerUserSettings');
+        userSetting = userSetting ? userSetting[this.get('componentName')] : undefined;
+        userSetting = userSetting ? userSetting.DEFAULT : undefined;
+        groupBy = userSetting ? userSetting.groupBy : undefined;
+      } else {
+        groupBy = this.get('userSettingsService').getCurrentGroupBy(this.get('componentName'));
+      }
+    }
+
+    let propNames = Ember.A(this.get('columns') || []).mapBy('propName');
+    return Ember.A(groupBy || []).filter((propName) => propNames.indexOf(propName) > -1);
+  }).readOnly(),
+
+  /**
+    Aggregate functions to show in group headers, which are used now.
+
+    @property _groupAggregates
+    @type Object
+    @readOnly
+    @private
+  */
+  _groupAggregates: Ember.computed('groupAggregates', 'columns', function() {
+    let groupAggregates = this.get('groupAggregates');
+    if (!Ember.isNone(groupAggregates)) {
+      return groupAggregates;
+    }
+
+    groupAggregates = {};
+    Ember.A(this.get('columns') || []).forEach((column) => {
+      if (this._getAttributeType(column.propName) === 'number') {
+        groupAggregates[column.propName] = ['sum'];
+      }
+    });
+
+    return groupAggregates;
+  }).readOnly(),
+
+  /**
+    Aggregate functions to show in totals row in the footer of list: hash, where keys are paths to properties
+    and values are names of functions (`count`, `sum`, `avg`, `min`, `max`) or custom functions.
+    Custom function receives array of values and array of records and returns total value.
+    Function can be also defined for column as `aggregate` attribute by `customColumnAttributes`.
+    Totals of properties from this hash are recalculated while records are edited.
+
+    @example
+      ```javascript
+      totals: {
+        amount: 'sum',
+        price: 'avg',
+        weight: (values) => values.filter((value) => value > 100).length
+      }
+      ```
+
+    @property totals
+    @type Object
+    @default undefined
+  */
+  totals: undefined,
+
+  /**
+    Flag indicates whether totals are calculated over all records of current query (with filters and limits),
+    not only over records of current page. Only aggregated properties are loaded by separate query.
+
+    @property totalsServerSide
+    @type Boolean
+    @default false
+  */
+  totalsServerSide: false,
+
+  /**
+    Records of current query loaded to calculate totals, when `totalsServerSide` is enabled.
+
+    @property _totalsRecords
+    @type Object[]
+    @private
+  */
+  _totalsRecords: undefined,
+
+  /**
+    Flag indicates whether some column has aggregate function for totals row.
+
+    @property _hasTotals
+    @type Boolean
+    @readOnly
+    @private
+  */
+  _hasTotals: Ember.computed('columns', function() {
+    return Ember.A(this.get('columns') || []).any((column) => !Ember.isNone(column.aggregate));
+  }).readOnly(),
+
   /**
     Flag indicates whether content is defined.
 
@@ -903,6 +1257,33 @@ export default FlexberryBaseComponent.extend(
   componentName: '',
 
   actions: {
+    /**
+      Collapses or expands group of rows.
+
+      @method actions.toggleGroup
+      @param {String} groupKey Key of group.
+    */
+    toggleGroup(groupKey) {
+      let collapsedGroups = this.get('_collapsedGroups');
+      if (collapsedGroups.indexOf(groupKey) > -1) {
+        collapsedGroups.removeObject(groupKey);
+      } else {
+        collapsedGroups.pushObject(groupKey);
+      }
+    },
+
+    /**
+      Stops grouping rows by property and saves grouping in user settings.
+
+      @method actions.removeGrouping
+      @param {String} propName Path to property, which rows are grouped by.
+    */
+    removeGrouping(propName) {
+      let groupBy = this.get('_groupByProperties').without(propName);
+      this.get('userSettingsService').setCurrentGroupBy(this.get('componentName'), undefined, groupBy);
+      this.notifyPropertyChange('_groupByProperties');
+    },
+
     /**
       Just redirects action up to {{#crossLink "FlexberryObjectlistviewComponent"}}`flexberry-objectlistview`{{/crossLink}} component.
 
@@ -935,6 +1316,12 @@ export default FlexberryBaseComponent.extend(
         }
       }
 
+      if (this.get('inlineEdit') && !(params && params.rowEdit)) {
+        // Click on row only selects it, cells are edited by double click.
+        this._setActiveRecord(recordWithKey && recordWithKey.key);
+        return;
+      }
+
       if (this.rowClickable || params.rowEdit) {
         let recordKey = recordWithKey && recordWithKey.key;
         let recordData = recordWithKey && recordWithKey.data;
@@ -1034,7 +1421,7 @@ export default FlexberryBaseComponent.extend(
       let selectedRow = this._getRowByKey(recordWithKey.key);
 
       if (e.checked) {
-        if (!selectedRow.hasClass('active')) {
+        if (selectedRow && !selectedRow.hasClass('active')) {
           selectedRow.addClass('active');
         }
 
@@ -1042,7 +1429,7 @@ export default FlexberryBaseComponent.extend(
           selectedRecords.pushObject(recordWithKey.data);
         }
       } else {
-        if (selectedRow.hasClass('active')) {
+        if (selectedRow && selectedRow.hasClass('active')) {
           selectedRow.removeClass('active');
         }
 
@@ -1081,7 +1468,7 @@ export default FlexberryBaseComponent.extend(
         let selectedRow = this._getRowByKey(recordWithKey.key);
 
         if (checked) {
-          if (!selectedRow.hasClass('active')) {
+          if (selectedRow && !selectedRow.hasClass('active')) {
             selectedRow.addClass('active');
           }
 
@@ -1089,7 +1476,7 @@ export default FlexberryBaseComponent.extend(
             selectedRecords.pushObject(recordWithKey.data);
           }
         } else {
-          if (selectedRow.hasClass('active')) {
+          if (selectedRow && selectedRow.hasClass('active')) {
             selectedRow.removeClass('active');
           }
 
@@ -1206,7 +1593,7 @@ export default FlexberryBaseComponent.extend(
       @param {String} oldCondition The old value of the filter condition.
     */
     filterConditionChanged(filter, newCondition, oldCondition) {
-      if (oldCondition === 'between' || newCondition === 'empty' || newCondition === 'nempty') {
+      if (oldCondition === 'between' || oldCondition === 'in' || conditionsWithoutPattern.indexOf(newCondition) > -1) {
         Ember.set(filter, 'pattern', null);
       }
 
@@ -1241,6 +1628,12 @@ export default FlexberryBaseComponent.extend(
     this._super(...arguments);
     Ember.assert('ObjectListView must have componentName attribute.', this.get('componentName'));
 
+    this.set('_collapsedGroups', Ember.A());
+    this._defineTotalsProperty();
+    if (this.get('totalsServerSide')) {
+      Ember.run.once(this, this._loadTotalsRecords);
+    }
+
     if (!this.get('disableHierarchicalMode')) {
       let modelName = this.get('modelName');
       if (modelName) {
@@ -1280,6 +1673,154 @@ export default FlexberryBaseComponent.extend(
     this.get('objectlistviewEventsService').on('updateSelectAll', this, this._selectAll);
     this.get('objectlistviewEventsService').on('moveRow', this, this._moveRow);
     this.get('objectlistviewEventsService').on('filterConditionChanged', this, this._filterConditionChanged);
+    this.get('objectlistviewEventsService').on('olvInlineEditSave', this, this._inlineEditSave);
+    this.get('objectlistviewEventsService').on('olvInlineEditCancel', this, this._inlineEditCancel);
+  },
+
+  /**
+    Calculates rows rendered in virtual scrolling mode by scroll position of list.
+
+    @method _updateVirtualScrolling
+    @private
+  */
+  _updateVirtualScrolling() {
+    if (this.get('isDestroying') || this.get('isDestroyed') || !this.get('_virtualScrollingEnabled')) {
+      return;
+    }
+
+    let $container = this.$();
+    let $firstRow = this.$('tbody tr.object-list-view-virtual-spacer:first').next('tr:not(.object-list-view-virtual-spacer)');
+    if ($firstRow.length && !this.get('_virtualScrollingMeasuredRowHeight')) {
+      this.set('_virtualScrollingMeasuredRowHeight', $firstRow.outerHeight() || undefined);
+    }
+
+    let rowHeight = this.get('_virtualScrollingRowHeight');
+    let bufferSize = this.get('virtualScrollingBufferSize');
+    let headHeight = this.$('table.object-list-view > thead').outerHeight() || 0;
+    let viewportHeight = $container.innerHeight() || Ember.$(window).height();
+    let scrollTop = Math.max($container.scrollTop() - headHeight, 0);
+
+    let count = Math.ceil(viewportHeight / rowHeight) + 2 * bufferSize;
+    let start = Math.max(Math.floor(scrollTop / rowHeight) - bufferSize, 0);
+
+    // Content could be shrunk (e.g. rows were deleted), so rendered rows must not point past the end of list.
+    let contentLength = this.get('contentWithKeys.length') || 0;
+    start = Math.min(start, Math.max(contentLength - count, 0));
+
+    if (start !== this.get('_virtualScrollingStart') || count !== this.get('_virtualScrollingCount')) {
+      this.setProperties({
+        _virtualScrollingStart: start,
+        _virtualScrollingCount: count,
+      });
+
+      Ember.run.scheduleOnce('afterRender', this, this._restoreVirtualRowsState);
+    }
+  },
+
+  /**
+    Restores selected and active rows and column resize plugin for rows which were rendered again in virtual scrolling mode.
+
+    @method _restoreVirtualRowsState
+    @private
+  */
+  _restoreVirtualRowsState() {
+    if (this.get('isDestroying') || this.get('isDestroyed')) {
+      return;
+    }
+
+    this._restoreSelectedRecords();
+
+    if (this.get('allowColumnResize')) {
+      this._reinitResizablePlugin();
+    }
+
+    if (this.rowClickable) {
+      let key = this._getModelKey(this.get('selectedRecord'));
+      if (key) {
+        this._setActiveRecord(key);
+      }
+    }
+  },
+
+  /**
+    Recalculates rendered rows in virtual scrolling mode, when content is changed.
+
+    @method _virtualScrollingContentObserver
+    @private
+  */
+  _virtualScrollingContentObserver: Ember.observer('contentWithKeys.[]', '_virtualScrollingEnabled', function() {
+    if (this.get('_virtualScrollingEnabled')) {
+      Ember.run.scheduleOnce('afterRender', this, this._updateVirtualScrolling);
+    }
+  }),
+
+  /**
+    Observes values of properties, which rows are grouped by, in every row,
+    because dependent keys of computed properties can't contain paths to nested properties of array items.
+
+    @method _updateGroupValuesObservers
+    @private
+  */
+  _updateGroupValuesObservers: Ember.on('didInsertElement', Ember.observer('contentWithKeys.[]', '_groupByProperties.[]', function() {
+    this._removeGroupValuesObservers();
+
+    let contentWithKeys = this.get('contentWithKeys');
+    let groupByProperties = this.get('_groupByProperties');
+    if (!Ember.isArray(contentWithKeys) || !groupByProperties.length) {
+      return;
+    }
+
+    let observers = [];
+    contentWithKeys.forEach((recordWithKey) => {
+      let record = Ember.get(recordWithKey, 'data');
+      if (record) {
+        groupByProperties.forEach((propName) => {
+          Ember.addObserver(record, propName, this, this._groupValueDidChange);
+          observers.push({ record, propName });
+        });
+      }
+    });
+
+    this.set('_groupValuesObservers', observers);
+  })),
+
+  /**
+    Removes observers, which were added in `_updateGroupValuesObservers`.
+
+    @method _removeGroupValuesObservers
+    @private
+  */
+  _removeGroupValuesObservers() {
+    let observers = this.get('_groupValuesObservers');
+    if (observers) {
+      observers.forEach(({ record, propName }) => {
+        Ember.removeObserver(record, propName, this, this._groupValueDidChange);
+      });
+
+      this.set('_groupValuesObservers', undefined);
+    }
+  },
+
+  /**
+    Forces regrouping of rows, when value of property, which rows are grouped by, is changed in some row.
+
+    @method _groupValueDidChange
+    @private
+  */
+  _groupValueDidChange() {
+    Ember.run.once(this, this._regroupRows);
+  },
+
+  /**
+    Forces regrouping of rows.
+
+    @method _regroupRows
+    @private
+  */
+  _regroupRows() {
+    if (!this.get('isDestroying') && !this.get('isDestroyed')) {
+      this.incrementProperty('_groupValuesVersion');
+    }
   },
 
   /**
@@ -1329,6 +1870,14 @@ export default FlexberryBaseComponent.extend(
     }
 
     this._setColumnWidths();
+
+    this.$().on('scroll.virtual-scrolling', () => {
+      if (this.get('_virtualScrollingEnabled')) {
+        Ember.run.throttle(this, this._updateVirtualScrolling, 50, false);
+      }
+    });
+
+    this._updateVirtualScrolling();
   },
 
   /**
@@ -1359,7 +1908,7 @@ export default FlexberryBaseComponent.extend(
     this._super(...arguments);
 
     // Start row by row rendering at first row.
-    if (this.get('useRowByRowLoading')) {
+    if (this.get('useRowByRowLoading') && !this.get('_virtualScrollingEnabled')) {
       let contentForRender = this.get('contentForRender');
       if (contentForRender) {
         let contentLength = contentForRender.get('length');
@@ -1459,8 +2008,11 @@ export default FlexberryBaseComponent.extend(
     this.get('objectlistviewEventsService').off('updateSelectAll', this, this._selectAll);
     this.get('objectlistviewEventsService').off('moveRow', this, this._moveRow);
     this.get('objectlistviewEventsService').off('filterConditionChanged', this, this._filterConditionChanged);
+    this.get('objectlistviewEventsService').off('olvInlineEditSave', this, this._inlineEditSave);
+    this.get('objectlistviewEventsService').off('olvInlineEditCancel', this, this._inlineEditCancel);
 
     this.get('objectlistviewEventsService').clearSelectedRecords(this.get('componentName'));
+    this._removeGroupValuesObservers();
 
     this._super(...arguments);
   },
@@ -1473,6 +2025,7 @@ export default FlexberryBaseComponent.extend(
     this._super(...arguments);
 
     Ember.$(window).off(`resize.${this.get('elementId')}`);
+    this.$().off('scroll.virtual-scrolling');
   },
 
   /**
@@ -1828,8 +2381,19 @@ export default FlexberryBaseComponent.extend(
     let currentController = this.get('currentController');
     let getCellComponent = Ember.get(currentController || {}, 'getCellComponent');
     let cellComponent = this.get('cellComponent');
+    let inlineEdit = this.get('inlineEdit');
+    let inlineEditComponent;
 
-    if (!this.get('editOnSeparateRoute') && Ember.typeOf(getCellComponent) === 'function') {
+    if (inlineEdit) {
+      let recordModel = Ember.isNone(this.get('content')) ? null : this.get('content.type');
+      if (Ember.typeOf(getCellComponent) === 'function') {
+        inlineEditComponent = getCellComponent.call(currentController, attr, bindingPath, recordModel);
+      }
+
+      if (Ember.isNone(inlineEditComponent) || Ember.isNone(inlineEditComponent.componentName)) {
+        inlineEditComponent = this._getInlineEditComponent(attr, bindingPath, recordModel);
+      }
+    } else if (!this.get('editOnSeparateRoute') && Ember.typeOf(getCellComponent) === 'function') {
       let recordModel = Ember.isNone(this.get('content')) ? null : this.get('content.type');
       cellComponent = getCellComponent.call(currentController, attr, bindingPath, recordModel);
 
@@ -1854,10 +2418,19 @@ export default FlexberryBaseComponent.extend(
       index: index,
     };
 
+    if (inlineEdit && !Ember.isNone(inlineEditComponent) && this.get('orderedProperty') !== bindingPath) {
+      column.inlineEditComponent = inlineEditComponent;
+    }
+
     if (valueFromLocales) {
       column.keyLocale = key;
     }
 
+    let totals = this.get('totals');
+    if (totals && !Ember.isNone(totals[bindingPath])) {
+      column.aggregate = totals[bindingPath];
+    }
+
     let customColumnAttributesFunc = this.get('customColumnAttributes');
     if (customColumnAttributesFunc) {
       let customColAttr = customColumnAttributesFunc(attr, bindingPath);
@@ -1881,6 +2454,50 @@ export default FlexberryBaseComponent.extend(
     return column;
   },
 
+  /**
+    Returns default component to edit cell in inline edit mode, it is chosen by attribute type.
+    Only own attributes of model are edited by default, for other ones `undefined` is returned.
+
+    @method _getInlineEditComponent
+    @param {Object} attr Attribute of projection.
+    @param {String} bindingPath Path to attribute.
+    @param {Subclass of DS.Model} modelClass Model class of records.
+    @return {Object} Object with `componentName` and `componentProperties` or `undefined`.
+    @private
+  */
+  _getInlineEditComponent(attr, bindingPath, modelClass) {
+    if (attr.kind !== 'attr' || bindingPath.indexOf('.') > 0 || Ember.isNone(modelClass)) {
+      return undefined;
+    }
+
+    let attribute = Ember.get(modelClass, 'attributes').get(bindingPath);
+    if (Ember.isNone(attribute)) {
+      return undefined;
+    }
+
+    switch (attribute.type) {
+      case 'string':
+      case 'number':
+        return { componentName: 'flexberry-textbox', componentProperties: {} };
+
+      case 'boolean':
+        return { componentName: 'flexberry-checkbox', componentProperties: {} };
+
+      case 'date':
+        return { componentName: 'flexberry-simpledatetime', componentProperties: { type: 'date' } };
+
+      default: {
+        let transformInstance = Ember.getOwner(this).lookup(`transform:${attribute.type}`);
+        let transformClass = Ember.isNone(transformInstance) ? null : transformInstance.constructor;
+        if (transformClass && transformClass.isEnum) {
+          return { componentName: 'flexberry-dropdown', componentProperties: { items: transformInstance.get('captions') } };
+        }
+
+        return undefined;
+      }
+    }
+  },
+
   /**
     Add filter parameters for column.
 
@@ -1962,6 +2579,205 @@ export default FlexberryBaseComponent.extend(
     return Ember.get(model, 'attributes').get(attributeName);
   },
 
+  /**
+    Return type of model attribute, displayed in column.
+
+    @method _getAttributeType
+    @param {String} propName Path to property in column.
+    @return {String} Type of attribute or `undefined`, if column does not display model attribute.
+    @private
+  */
+  _getAttributeType(propName) {
+    let path = propName.split('.');
+    let attributeName = path.pop();
+    let modelName = path.length > 0 ?
+      this.get(`modelProjection.attributes.${path.join('.attributes.')}.modelName`) :
+      this.get('modelProjection.modelName');
+
+    if (Ember.isNone(modelName)) {
+      return undefined;
+    }
+
+    let attribute = Ember.get(this.get('store').modelFor(modelName), 'attributes').get(attributeName);
+    return attribute ? attribute.type : undefined;
+  },
+
+  /**
+    Defines `_totals` property, which depends on values of properties aggregated in `totals`.
+
+    @method _defineTotalsProperty
+    @private
+  */
+  _defineTotalsProperty() {
+    let dependentKeys = ['columns', 'content.[]', 'totalsServerSide', '_totalsRecords', 'i18n.locale'];
+    let properties = Ember.A(Object.keys(this.get('totals') || {}).map((propName) => propName.split('.')[0])).uniq();
+    properties.forEach((property) => {
+      dependentKeys.push(`content.@each.${property}`);
+    });
+
+    Ember.defineProperty(this, '_totals', Ember.computed(...dependentKeys, function() {
+      return this._calculateTotals();
+    }).readOnly());
+    this.notifyPropertyChange('_totals');
+  },
+
+  /**
+    Redefines `_totals` property, when `totals` is changed.
+
+    @method _totalsObserver
+    @private
+  */
+  _totalsObserver: Ember.observer('totals', function() {
+    this._defineTotalsProperty();
+  }),
+
+  /**
+    Calculates totals of columns over records of current page or, if `totalsServerSide` is enabled, records of current query.
+
+    @method _calculateTotals
+    @return {Object[]} Totals for each column, with `propName`, `header`, `caption` and `value` properties.
+    @private
+  */
+  _calculateTotals() {
+    let records = this.get('totalsServerSide') && this.get('_totalsRecords') || this.get('content') || [];
+    records = Ember.isArray(records) ? records.toArray() : [];
+
+    let i18n = this.get('i18n');
+    return Ember.A(this.get('columns') || []).map((column) => {
+      let total = {
+        propName: column.propName,
+        header: column.keyLocale ? i18n.t(column.keyLocale) : column.header,
+        hasAggregate: !Ember.isNone(column.aggregate),
+      };
+
+      if (total.hasAggregate) {
+        let values = records.map((record) => Ember.get(record, column.propName));
+        let value;
+        if (typeof column.aggregate === 'function') {
+          value = column.aggregate(values, records);
+        } else {
+          total.caption = i18n.t(`components.object-list-view.group-aggregates.${column.aggregate}`);
+          value = aggregate(values, column.aggregate);
+        }
+
+        total.value = typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+      }
+
+      return total;
+    });
+  },
+
+  /**
+    Loads records of current query to calculate totals, when `totalsServerSide` is enabled.
+
+    @method _totalsContentObserver
+    @private
+  */
+  _totalsContentObserver: Ember.observer('content', 'totalsServerSide', function() {
+    if (this.get('totalsServerSide')) {
+      Ember.run.once(this, this._loadTotalsRecords);
+    } else {
+      this.set('_totalsRecords', undefined);
+    }
+  }),
+
+  /**
+    Loads values of aggregated properties for all records of current query, limited by current filters and limits.
+    Identifiers of related records are loaded for aggregated relationships.
+
+    @method _loadTotalsRecords
+    @private
+  */
+  _loadTotalsRecords() {
+    let propNames = Ember.A(this.get('columns') || []).filter((column) => !Ember.isNone(column.aggregate)).mapBy('propName');
+    let modelName = this.get('modelName');
+    if (propNames.length === 0 || Ember.isNone(modelName)) {
+      this.set('_totalsRecords', undefined);
+      return;
+    }
+
+    let store = this.get('store');
+    let relationshipsByName = Ember.get(store.modelFor(modelName), 'relationshipsByName');
+    let selectPaths = propNames.map((propName) => relationshipsByName.has(propName) ? `${propName}.id` : propName);
+    let builder = new Builder(store).from(modelName).select(['id', ...selectPaths].join(','));
+    let limitFunction = this.get('objectlistviewEventsService').getLimitFunction(this.get('componentName'));
+    if (limitFunction) {
+      builder.where(limitFunction);
+    }
+
+    store.query(modelName, builder.build()).then((records) => {
+      if (!this.get('isDestroying') && !this.get('isDestroyed')) {
+        this.set('_totalsRecords', records.toArray());
+      }
+    }).catch((reason) => {
+      this.get('currentController').send('handleError', reason);
+    });
+  },
+
+  /**
+    Splits rows into groups by `_groupByProperties` and returns list of group headers and rows of expanded groups.
+
+    @method _getGroupedContent
+    @param {Object[]} contentWithKeys Rows to group.
+    @return {Object[]} Group headers and rows.
+    @private
+  */
+  _getGroupedContent(contentWithKeys) {
+    let i18n = this.get('i18n');
+    let columns = Ember.A(this.get('columns') || []);
+    let getCaption = (propName) => {
+      let column = columns.findBy('propName', propName);
+      if (!column) {
+        return propName;
+      }
+
+      return column.keyLocale ? i18n.t(column.keyLocale) : column.header;
+    };
+
+    let groups = groupRecords(contentWithKeys, this.get('_groupByProperties'), {
+      getValue: (recordWithKey, propName) => Ember.get(recordWithKey, `data.${propName}`),
+      aggregates: this.get('_groupAggregates'),
+    });
+
+    let collapsedGroups = this.get('_collapsedGroups');
+    let result = [];
+    let addGroups = (groups) => {
+      groups.forEach((group) => {
+        let collapsed = collapsedGroups.indexOf(group.key) > -1;
+        result.push({
+          isGroupHeader: true,
+          key: `group${group.key}`,
+          groupKey: group.key,
+          propName: group.propName,
+          data: group.items[0].data,
+          isEmptyValue: Ember.isNone(group.value) || group.value === '',
+          caption: getCaption(group.propName),
+          count: group.count,
+          aggregates: group.aggregates.filter((aggregate) => !Ember.isNone(aggregate.value)).map((aggregate) => {
+            let funcCaption = i18n.t(`components.object-list-view.group-aggregates.${aggregate.func}`);
+            return {
+              caption: `${funcCaption} (${getCaption(aggregate.propName)})`,
+              value: Math.round(aggregate.value * 100) / 100,
+            };
+          }),
+          collapsed: collapsed,
+          style: Ember.String.htmlSafe(`padding-left: ${group.level * 20 + 10}px;`),
+        });
+
+        if (!collapsed) {
+          if (group.groups) {
+            addGroups(group.groups);
+          } else {
+            result.push(...group.items);
+          }
+        }
+      });
+    };
+
+    addGroups(groups);
+    return result;
+  },
+
   /**
     Return available conditions for filter.
 
@@ -1980,6 +2796,10 @@ export default FlexberryBaseComponent.extend(
           'neq': this.get('i18n').t('components.object-list-view.filters.neq'),
           'le': this.get('i18n').t('components.object-list-view.filters.le'),
           'ge': this.get('i18n').t('components.object-list-view.filters.ge'),
+          'today': this.get('i18n').t('components.object-list-view.filters.today'),
+          'last7days': this.get('i18n').t('components.object-list-view.filters.last7days'),
+          'thismonth': this.get('i18n').t('components.object-list-view.filters.thismonth'),
+          'thisquarter': this.get('i18n').t('components.object-list-view.filters.thisquarter'),
         };
       case 'number':
         return {
@@ -1988,13 +2808,22 @@ export default FlexberryBaseComponent.extend(
           'le': this.get('i18n').t('components.object-list-view.filters.le'),
           'ge': this.get('i18n').t('components.object-list-view.filters.ge'),
           'between': this.get('i18n').t('components.object-list-view.filters.between'),
+          'in': this.get('i18n').t('components.object-list-view.filters.in'),
+          'empty': this.get('i18n').t('components.object-list-view.filters.empty'),
+          'nempty': this.get('i18n').t('components.object-list-view.filters.nempty'),
         };
       case 'string':
         return {
           'eq': this.get('i18n').t('components.object-list-view.filters.eq'),
           'neq': this.get('i18n').t('components.object-list-view.filters.neq'),
           'like': this.get('i18n').t('components.object-list-view.filters.like'),
-          'nlike': this.get('i18n').t('components.object-list-view.filters.nlike')
+          'nlike': this.get('i18n').t('components.object-list-view.filters.nlike'),
+          'startswith': this.get('i18n').t('components.object-list-view.filters.startswith'),
+          'endswith': this.get('i18n').t('components.object-list-view.filters.endswith'),
+          'regex': this.get('i18n').t('components.object-list-view.filters.regex'),
+          'in': this.get('i18n').t('components.object-list-view.filters.in'),
+          'empty': this.get('i18n').t('components.object-list-view.filters.empty'),
+          'nempty': this.get('i18n').t('components.object-list-view.filters.nempty'),
         };
 
       case 'boolean':
@@ -2076,7 +2905,11 @@ export default FlexberryBaseComponent.extend(
       return { name: 'olv-filter-interval' };
     }
 
-    if (oldCondition === 'between') {
+    if (newCondition === 'in') {
+      return { name: 'olv-filter-list' };
+    }
+
+    if (oldCondition === 'between' || oldCondition === 'in') {
       return { name: 'flexberry-textbox' };
     }
 
@@ -2278,7 +3111,7 @@ export default FlexberryBaseComponent.extend(
       });
     }
 
-    if (this.get('useRowByRowLoading')) {
+    if (this.get('useRowByRowLoading') && !this.get('_virtualScrollingEnabled')) {
       let modelIndex = this.get('contentForRender.length');
       modelWithKey.set('modelIndex', modelIndex);
       modelWithKey.set('doRenderData', false);
@@ -2571,6 +3404,90 @@ export default FlexberryBaseComponent.extend(
     }
   }),
 
+  /**
+    Notifies toolbar about count of changed records in inline edit mode.
+
+    @method _inlineEditRecordsChanged
+    @private
+  */
+  _inlineEditRecordsChanged: Ember.observer('content.@each.hasDirtyAttributes', function() {
+    if (this.get('inlineEdit')) {
+      let componentName = this.get('componentName');
+      this.get('objectlistviewEventsService').inlineEditChangedTrigger(componentName, this._getInlineEditedRecords().length);
+    }
+  }),
+
+  /**
+    Returns records changed in inline edit mode.
+
+    @method _getInlineEditedRecords
+    @return {Array} Changed records.
+    @private
+  */
+  _getInlineEditedRecords() {
+    let content = this.get('content');
+    return Ember.isArray(content) ? content.filterBy('hasDirtyAttributes') : [];
+  },
+
+  /**
+    Validates and saves records changed in inline edit mode.
+
+    @method _inlineEditSave
+    @param {String} componentName The name of object-list-view component.
+    @return {Promise} A promise that is resolved when records are saved or saving is failed.
+    @private
+  */
+  _inlineEditSave(componentName) {
+    if (componentName !== this.get('componentName') || !this.get('inlineEdit')) {
+      return Ember.RSVP.resolve();
+    }
+
+    let records = this._getInlineEditedRecords();
+    if (records.length === 0) {
+      return Ember.RSVP.resolve();
+    }
+
+    let appState = this.get('appState');
+    appState.loading();
+    return Ember.RSVP.all(records.map((record) => record.validate())).then(() => {
+      this.set('_inlineEditShowValidation', false);
+      return Ember.RSVP.all(records.map((record) => record.save())).then(() => {
+        appState.success();
+      }).catch((errorData) => {
+        appState.error();
+        this.get('currentController').send('handleError', errorData);
+      }).finally(() => {
+        this.get('objectlistviewEventsService').inlineEditChangedTrigger(componentName, this._getInlineEditedRecords().length);
+      });
+    }, () => {
+      appState.error();
+      this.set('_inlineEditShowValidation', true);
+    });
+  },
+
+  /**
+    Rolls back records changed in inline edit mode.
+
+    @method _inlineEditCancel
+    @param {String} componentName The name of object-list-view component.
+    @private
+  */
+  _inlineEditCancel(componentName) {
+    if (componentName !== this.get('componentName') || !this.get('inlineEdit')) {
+      return;
+    }
+
+    this._getInlineEditedRecords().forEach((record) => {
+      if (Ember.typeOf(record.rollbackAll) === 'function') {
+        record.rollbackAll();
+      } else {
+        record.rollbackAttributes();
+      }
+    });
+
+    this.set('_inlineEditShowValidation', false);
+  },
+
   /**
     It observes changes of flag {{#crossLink "ObjectListViewComponent/searchForContentChange:property"}}searchForContentChange{{/crossLink}}.
 
@@ -2728,11 +3645,11 @@ export default FlexberryBaseComponent.extend(
         let selectedRow = this._getRowByKey(recordWithKey.key);
 
         if (selectAllParameter) {
-          if (!selectedRow.hasClass('active')) {
+          if (selectedRow && !selectedRow.hasClass('active')) {
             selectedRow.addClass('active');
           }
         } else {
-          if (selectedRow.hasClass('active')) {
+          if (selectedRow && selectedRow.hasClass('active')) {
             selectedRow.removeClass('active');
           }
         }
@@ -0,0 +1,108 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import FlexberryBaseComponent from './flexberry-base-component';
+import { translationMacro as t } from 'ember-i18n';
+import { filterListSeparator, splitFilterList } from '../utils/filter';
+
+const { get, set } = Ember;
+
+/**
+  Editor of filter with `in` condition: list of values, which are stored in `value` separated by `;`.
+  Value is added by `Enter`, `;` or when input loses focus.
+
+  @class OlvFilterListComponent
+  @extends FlexberryBaseComponent
+*/
+export default FlexberryBaseComponent.extend({
+  /**
+    Values separated by `;`.
+
+    @property value
+    @type String
+  */
+  value: null,
+
+  /**
+    Text of value being entered.
+
+    @property _newValue
+    @type String
+    @private
+  */
+  _newValue: '',
+
+  /**
+    Placeholder of input.
+
+    @property placeholder
+    @type String
+  */
+  placeholder: t('components.olv-filter-list.placeholder'),
+
+  /**
+    Entered values.
+
+    @property _values
+    @type Array
+    @readOnly
+    @private
+  */
+  _values: Ember.computed('value', function() {
+    return splitFilterList(get(this, 'value'));
+  }).readOnly(),
+
+  actions: {
+    /**
+      Adds entered value to list.
+
+      @method actions.addValue
+    */
+    addValue() {
+      let values = get(this, '_values').concat(splitFilterList(get(this, '_newValue')));
+      this._setValues(values.filter((value, index) => values.indexOf(value) === index));
+      set(this, '_newValue', '');
+    },
+
+    /**
+      Removes value from list.
+
+      @method actions.removeValue
+      @param {String} value Value to remove.
+    */
+    removeValue(value) {
+      if (!get(this, 'readonly')) {
+        this._setValues(get(this, '_values').filter((item) => item !== value));
+      }
+    },
+
+    /**
+      Adds entered value by `Enter` or `;` keys, value is added before filters are applied by `Enter`.
+
+      @method actions.keyDown
+      @param {KeyboardEvent} e Event object.
+    */
+    keyDown(e) {
+      if (e.keyCode === 13 || e.key === filterListSeparator) {
+        if (e.key === filterListSeparator) {
+          e.preventDefault();
+        }
+
+        this.send('addValue');
+      }
+    },
+  },
+
+  /**
+    Sets list of values.
+
+    @method _setValues
+    @param {Array} values Values.
+    @private
+  */
+  _setValues(values) {
+    set(this, 'value', values.length > 0 ? values.join(filterListSeparator) : null);
+  },
+});
@@ -5,6 +5,7 @@
 import Ember from 'ember';
 import FlexberryBaseComponent from './flexberry-base-component';
 import serializeSortingParam from '../utils/serialize-sorting-param';
+import { serializeFiltersParam } from '../utils/filters-query-param';
 const { getOwner } = Ember;
 
 /**
@@ -44,6 +45,38 @@ export default FlexberryBaseComponent.extend({
   */
   advLimit: Ember.inject.service(),
 
+  /**
+    Service for managing saved views of lists.
+
+    @property savedViews
+    @type SavedViewsService
+  */
+  savedViews: Ember.inject.service(),
+
+  /**
+    Service for client-side export of lists.
+
+    @property listExport
+    @type ListExportService
+  */
+  listExport: Ember.inject.service(),
+
+  /**
+    Service for managing the state of the application.
+
+    @property appState
+    @type AppStateService
+  */
+  appState: Ember.inject.service(),
+
+  /**
+    Service to add breadcrumbs of toolbar actions to context of application log.
+
+    @property logService
+    @type LogService
+  */
+  logService: Ember.inject.service('log'),
+
   /**
     Flag to use creation button at toolbar.
 
@@ -100,6 +133,15 @@ export default FlexberryBaseComponent.extend({
   */
   advLimitButton: false,
 
+  /**
+    Flag to use saved views button at toolbar.
+
+    @property savedViewsButton
+    @type Boolean
+    @default false
+  */
+  savedViewsButton: false,
+
   /**
     Flag indicates whether to show exportExcelButton button at toolbar.
 
@@ -109,6 +151,44 @@ export default FlexberryBaseComponent.extend({
   */
   exportExcelButton: false,
 
+  /**
+    Flag indicates whether export is performed in browser (to CSV or XLSX file) without backend endpoint.
+    Used with `exportExcelButton`.
+
+    @property clientSideExport
+    @type Boolean
+    @default false
+  */
+  clientSideExport: false,
+
+  /**
+    Projection of the list, used for client-side export.
+    If it is not defined, `modelController.modelProjection` is used.
+
+    @property modelProjection
+    @type Object
+  */
+  modelProjection: undefined,
+
+  /**
+    Flag indicates whether list is in inline edit mode, then buttons to save and cancel changes are shown.
+
+    @property inlineEdit
+    @type Boolean
+    @default false
+  */
+  inlineEdit: false,
+
+  /**
+    Count of records changed in inline edit mode.
+
+    @property _inlineEditChangedCount
+    @type Number
+    @default 0
+    @private
+  */
+  _inlineEditChangedCount: 0,
+
   /**
     Flag to use filter button at toolbar.
 
@@ -236,6 +316,54 @@ export default FlexberryBaseComponent.extend({
   */
   namedAdvLimits: undefined,
 
+  /**
+    Saved views of list, available for current user.
+
+    @property _savedViews
+    @type Array
+    @private
+  */
+  _savedViews: undefined,
+
+  /**
+    Name of view in save view dialog.
+
+    @property _viewName
+    @type String
+    @private
+  */
+  _viewName: '',
+
+  /**
+    Flag: indicates whether view is shared in save view dialog.
+
+    @property _viewShared
+    @type Boolean
+    @default false
+    @private
+  */
+  _viewShared: false,
+
+  /**
+    View which will be cloned by save view dialog.
+    If view is not specified, then current state of list is saved by dialog.
+
+    @property _viewToClone
+    @type Object
+    @private
+  */
+  _viewToClone: null,
+
+  /**
+    Selected jQuery object, containing HTML of save view modal dialog.
+
+    @property _saveViewModalDialog
+    @type <a href="http://api.jquery.com/Types/#jQuery">JQueryObject</a>
+    @default null
+    @private
+  */
+  _saveViewModalDialog: null,
+
   /**
     @property colsConfigMenu
     @type Service
@@ -363,6 +491,58 @@ export default FlexberryBaseComponent.extend({
     return this.get('advLimit.isAdvLimitServiceEnabled') ? Ember.A([rootItem]) : Ember.A();
   }),
 
+  /**
+    Menu items of saved views.
+    Views of other users can be only applied or cloned.
+
+    @property savedViewsItems
+    @readOnly
+  */
+  savedViewsItems: Ember.computed('i18n.locale', 'savedViews.isSavedViewsServiceEnabled', '_savedViews', function() {
+    const i18n = this.get('i18n');
+    const rootItem = {
+      icon: 'dropdown icon',
+      iconAlignment: 'right',
+      title: '',
+      items: Ember.A(),
+      localeKey: ''
+    };
+    rootItem.items.addObject({
+      icon: 'bookmark icon',
+      iconAlignment: 'left',
+      title: i18n.t('components.olv-toolbar.save-view-title'),
+      localeKey: 'components.olv-toolbar.save-view-title',
+      viewAction: 'save'
+    });
+
+    const views = this.get('_savedViews') || [];
+    const viewMenus = [
+      { name: 'apply', icon: 'checkmark box', views: views },
+      { name: 'clone', icon: 'copy', views: views },
+      { name: 'remove', icon: 'remove', views: views.filter(view => !view.readonly) }
+    ];
+    viewMenus.forEach(menu => {
+      if (menu.views.length > 0) {
+        rootItem.items.addObject({
+          icon: 'angle right icon',
+          iconAlignment: 'right',
+          localeKey: `components.olv-toolbar.${menu.name}-view-title`,
+          items: menu.views.map(view => {
+            return {
+              title: view.readonly ? `${view.name} (${view.owner})` : view.name,
+              icon: (view.shared && menu.name === 'apply' ? 'users' : menu.icon) + ' icon',
+              iconAlignment: 'left',
+              viewAction: menu.name,
+              view: view
+            };
+          })
+        });
+      }
+    });
+
+    return this.get('savedViews.isSavedViewsServiceEnabled') ? Ember.A([rootItem]) : Ember.A();
+  }),
+
   _colsSettingsItems: Ember.observer('colsSettingsItems', function() {
     this._updateListNamedUserSettings(this.get('componentName'));
   }),
@@ -371,8 +551,31 @@ export default FlexberryBaseComponent.extend({
     @property exportExcelItems
     @readOnly
   */
-  exportExcelItems:  Ember.computed(function() {
+  exportExcelItems:  Ember.computed('clientSideExport', function() {
       let i18n = this.get('i18n');
+      if (this.get('clientSideExport')) {
+        return [{
+          icon: 'dropdown icon',
+          iconAlignment: 'right',
+          title: '',
+          localeKey: '',
+          items: [
+            {
+              icon: 'file text outline icon',
+              iconAlignment: 'left',
+              title: i18n.t('components.olv-toolbar.export-csv-title'),
+              localeKey: 'components.olv-toolbar.export-csv-title'
+            },
+            {
+              icon: 'file excel icon',
+              iconAlignment: 'left',
+              title: i18n.t('components.olv-toolbar.export-xlsx-title'),
+              localeKey: 'components.olv-toolbar.export-xlsx-title'
+            }
+          ]
+        }];
+      }
+
       let menus = [
         { icon: 'angle right icon',
           iconAlignment: 'right',
@@ -512,9 +715,32 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     refresh() {
+      this._addBreadcrumb('refresh');
       this.get('objectlistviewEventsService').refreshListTrigger(this.get('componentName'));
     },
 
+    /**
+      Saves records changed in inline edit mode.
+
+      @method actions.inlineEditSave
+      @public
+    */
+    inlineEditSave() {
+      this._addBreadcrumb('inlineEditSave');
+      this.get('objectlistviewEventsService').inlineEditSaveTrigger(this.get('componentName'));
+    },
+
+    /**
+      Cancels changes of records made in inline edit mode.
+
+      @method actions.inlineEditCancel
+      @public
+    */
+    inlineEditCancel() {
+      this._addBreadcrumb('inlineEditCancel');
+      this.get('objectlistviewEventsService').inlineEditCancelTrigger(this.get('componentName'));
+    },
+
     /**
       Handles action from object-list-view when no handler for this component is defined.
 
@@ -522,6 +748,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     createNew() {
+      this._addBreadcrumb('createNew');
       let editFormRoute = this.get('editFormRoute');
       Ember.assert('Property editFormRoute is not defined in controller', editFormRoute);
       let modelController = this.get('modelController');
@@ -550,6 +777,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     delete() {
+      this._addBreadcrumb('delete');
       let confirmDeleteRows = this.get('confirmDeleteRows');
       let possiblePromise = null;
 
@@ -579,6 +807,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     filterByAnyMatch() {
+      this._addBreadcrumb('filterByAnyMatch');
       let componentName = this.get('componentName');
       this.get('objectlistviewEventsService').filterByAnyMatchTrigger(componentName, this.get('filterByAnyMatchText'));
     },
@@ -605,6 +834,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     removeFilter() {
+      this._addBreadcrumb('removeFilter');
       let _this = this;
 
       Ember.run.later((function() {
@@ -622,6 +852,7 @@ export default FlexberryBaseComponent.extend({
       @param {Function|String} action The action or name of action.
     */
     customButtonAction(action) {
+      this._addBreadcrumb('customButtonAction');
       let actionType = typeof action;
       if (actionType === 'function') {
         action();
@@ -639,6 +870,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     showConfigDialog(settingName) {
+      this._addBreadcrumb('showConfigDialog');
       Ember.assert('showConfigDialog:: componentName is not defined in flexberry-objectlistview component', this.componentName);
       this.get('modelController').send('showConfigDialog', this.get('_componentNameForModalWindow'), settingName);
     },
@@ -650,6 +882,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     showAdvLimitDialog(settingName) {
+      this._addBreadcrumb('showAdvLimitDialog');
       Ember.assert('showAdvLimitDialog:: componentName is not defined in flexberry-objectlistview component', this.componentName);
       this.get('modelController').send('showAdvLimitDialog', this.get('_componentNameForModalWindow'), settingName);
     },
@@ -661,6 +894,7 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     showFiltersTool() {
+      this._addBreadcrumb('showFiltersTool');
       const showFiltersInModal = this.get('showFiltersInModal');
 
       if (showFiltersInModal) {
@@ -680,11 +914,42 @@ export default FlexberryBaseComponent.extend({
       @public
     */
     showExportDialog(settingName, immediateExport) {
+      this._addBreadcrumb('showExportDialog');
+      if (this.get('clientSideExport') && !settingName) {
+        this.send('clientExport', 'xlsx');
+        return;
+      }
+
       let settName = settingName ? 'ExportExcel/' + settingName : settingName;
       Ember.assert('showExportDialog:: componentName is not defined in flexberry-objectlistview component', this.componentName);
       this.get('modelController').send('showConfigDialog', this.get('_componentNameForModalWindow'), settName, true, immediateExport);
     },
 
+    /**
+      Exports list in browser, without backend endpoint.
+
+      @method actions.clientExport
+      @public
+      @param {String} format Format of file, `csv` or `xlsx`.
+    */
+    clientExport(format) {
+      this._addBreadcrumb('clientExport');
+      let projection = this.get('modelProjection') || this.get('modelController.modelProjection');
+      Ember.assert('clientExport:: modelProjection is not defined in flexberry-objectlistview component', projection);
+
+      let appState = this.get('appState');
+      appState.loading();
+      this.get('listExport').exportList(this.get('componentName'), {
+        modelName: projection.modelName,
+        projectionName: projection.projectionName,
+        format: format,
+      }).catch((reason) => {
+        this.get('modelController').send('handleError', reason);
+      }).finally(() => {
+        appState.reset();
+      });
+    },
+
     /**
       Handler click on flexberry-menu.
 
@@ -789,7 +1054,7 @@ export default FlexberryBaseComponent.extend({
           const advLimit = this.get(`namedAdvLimits.${advLimitName}`);
           advLimitService.saveAdvLimit(advLimit, componentName).
             then(() => {
-              this.send('refresh');
+              this._setAdvLimitName(advLimitName);
             });
           break;
         case 'setting icon':
@@ -809,12 +1074,67 @@ export default FlexberryBaseComponent.extend({
         case 'remove circle icon':
           advLimitService.saveAdvLimit('', componentName)
           .then(() => {
-            this.send('refresh');
+            this._setAdvLimitName(null);
+          });
+          break;
+      }
+    },
+
+    /**
+      Handler click on flexberry-menu of saved views.
+
+      @method actions.onSavedViewMenuItemClick
+      @public
+      @param {jQuery.Event} e jQuery.Event by click on menu item
+    */
+    onSavedViewMenuItemClick(e) {
+      const item = e.item;
+      if (Ember.isNone(item) || Ember.isNone(item.viewAction)) {
+        return;
+      }
+
+      const componentName = this.get('componentName');
+      const view = item.view;
+      switch (item.viewAction) {
+        case 'save':
+          this.send('showSaveViewDialog');
+          break;
+        case 'apply':
+          this._applyView(view);
+          break;
+        case 'clone':
+          this.send('showSaveViewDialog', view);
+          break;
+        case 'remove':
+          this.get('savedViews').deleteView(componentName, view).then(() => {
+            this.get('colsConfigMenu').updateSavedViewsTrigger(componentName);
+          }).catch((reason) => {
+            this.get('modelController').send('handleError', reason);
           });
           break;
       }
     },
 
+    /**
+      Shows dialog to save current state of list as view or to clone view.
+
+      @method actions.showSaveViewDialog
+      @public
+      @param {Object} [view] View to clone.
+    */
+    showSaveViewDialog(view) {
+      this.setProperties({
+        _viewName: view ? `${view.name} ${this.get('i18n').t('components.olv-toolbar.view-copy-suffix')}` : '',
+        _viewShared: false,
+        _viewToClone: view || null
+      });
+
+      let saveViewModalDialog = this.get('_saveViewModalDialog');
+      if (saveViewModalDialog && saveViewModalDialog.modal) {
+        saveViewModalDialog.modal('show');
+      }
+    },
+
     /**
       Handler click on flexberry-menu.
 
@@ -838,6 +1158,12 @@ export default FlexberryBaseComponent.extend({
         case 'file excel outline icon':
           this.send('showExportDialog');
           break;
+        case 'file text outline icon':
+          this.send('clientExport', 'csv');
+          break;
+        case 'file excel icon':
+          this.send('clientExport', 'xlsx');
+          break;
         case 'checkmark box icon':
           this.send('showExportDialog', namedSetting, true);
           break;
@@ -878,12 +1204,14 @@ export default FlexberryBaseComponent.extend({
 
     this.get('objectlistviewEventsService').on('olvRowSelected', this, this._rowSelected);
     this.get('objectlistviewEventsService').on('olvRowsDeleted', this, this._rowsDeleted);
+    this.get('objectlistviewEventsService').on('olvInlineEditChanged', this, this._inlineEditChanged);
     this.get('objectlistviewEventsService').on('updateSelectAll', this, this._selectAll);
 
     this.get('colsConfigMenu').on('updateNamedSetting', this, this._updateListNamedUserSettings);
     this.get('colsConfigMenu').on('addNamedSetting', this, this._addNamedSetting);
     this.get('colsConfigMenu').on('deleteNamedSetting', this, this._deleteNamedSetting);
     this.get('colsConfigMenu').on('updateNamedAdvLimit', this, this._updateNamedAdvLimits);
+    this.get('colsConfigMenu').on('updateSavedViews', this, this._updateSavedViews);
   },
 
   didInsertElement() {
@@ -894,12 +1222,23 @@ export default FlexberryBaseComponent.extend({
     let infoModalDialog = this.$('.olv-toolbar-info-modal-dialog');
     infoModalDialog.modal('setting', 'closable', true);
     this.set('_infoModalDialog', infoModalDialog);
+    let saveViewModalDialog = this.$('.olv-toolbar-save-view-modal-dialog');
+    saveViewModalDialog.modal({
+      closable: true,
+      onApprove: () => {
+        return this._saveView();
+      }
+    });
+    this.set('_saveViewModalDialog', saveViewModalDialog);
     let modelController = this.get('modelController');
     if (Ember.isNone(modelController)) {
       this.set('modelController', this.get('currentController'));
     }
 
     this._updateListNamedUserSettings(this.get('componentName'));
+    if (this.get('savedViewsButton')) {
+      this._updateSavedViews(this.get('componentName'));
+    }
   },
 
   /**
@@ -909,11 +1248,13 @@ export default FlexberryBaseComponent.extend({
   willDestroy() {
     this.get('objectlistviewEventsService').off('olvRowSelected', this, this._rowSelected);
     this.get('objectlistviewEventsService').off('olvRowsDeleted', this, this._rowsDeleted);
+    this.get('objectlistviewEventsService').off('olvInlineEditChanged', this, this._inlineEditChanged);
     this.get('objectlistviewEventsService').off('updateSelectAll', this, this._selectAll);
     this.get('colsConfigMenu').off('updateNamedSetting', this, this._updateListNamedUserSettings);
     this.get('colsConfigMenu').off('addNamedSetting', this, this._addNamedSetting);
     this.get('colsConfigMenu').off('deleteNamedSetting', this, this._deleteNamedSetting);
     this.get('colsConfigMenu').off('updateNamedAdvLimit', this, this._updateNamedAdvLimits);
+    this.get('colsConfigMenu').off('updateSavedViews', this, this._updateSavedViews);
     this._super(...arguments);
   },
 
@@ -935,6 +1276,17 @@ export default FlexberryBaseComponent.extend({
     }
   },
 
+  /**
+    Adds breadcrumb of toolbar action to context of application log.
+
+    @method _addBreadcrumb
+    @param {String} actionName Name of action.
+    @private
+  */
+  _addBreadcrumb(actionName) {
+    this.get('logService').addBreadcrumb('olv-toolbar', actionName, { componentName: this.get('componentName') });
+  },
+
   /**
     Handler for "Olv rows deleted" event in objectlistview.
 
@@ -953,6 +1305,21 @@ export default FlexberryBaseComponent.extend({
     }
   },
 
+  /**
+    Handler for "Olv inline edit changed" event in objectlistview.
+
+    @method _inlineEditChanged
+    @private
+
+    @param {String} componentName The name of objectlistview component
+    @param {Number} count Count of changed records
+  */
+  _inlineEditChanged(componentName, count) {
+    if (componentName === this.get('componentName')) {
+      this.set('_inlineEditChangedCount', count);
+    }
+  },
+
   _updateListNamedUserSettings(componentName) {
     if (!(this.get('userSettingsService').isUserSettingsServiceEnabled && componentName === this.get('componentName'))) {
       return;
@@ -965,14 +1332,17 @@ export default FlexberryBaseComponent.extend({
 
   _resetNamedUserSettings() {
     let menus = this.get('menus');
+    let clientSideExport = this.get('clientSideExport');
     for (let i = 0; i < menus.length; i++) {
       Ember.set(this.get('colsSettingsItems')[0].items[i + 1], 'items', []);
-      Ember.set(this.get('exportExcelItems')[0].items[i + 1], 'items', []);
+      if (!clientSideExport) {
+        Ember.set(this.get('exportExcelItems')[0].items[i + 1], 'items', []);
+      }
     }
   },
 
   _addNamedSetting(namedSetting, componentName, isExportExcel) {
-    if (componentName !== this.get('componentName')) {
+    if (componentName !== this.get('componentName') || (isExportExcel && this.get('clientSideExport'))) {
       return;
     }
 
@@ -1018,6 +1388,10 @@ export default FlexberryBaseComponent.extend({
   },
 
   _sortNamedSetting(isExportExcel) {
+    if (isExportExcel && this.get('clientSideExport')) {
+      return;
+    }
+
     for (let i = 0; i < this.menus.length; i++) {
       if (isExportExcel) {
         this.get('exportExcelItems')[0].items[i + 1].items.sort((a, b) => a.title > b.title);
@@ -1044,6 +1418,125 @@ export default FlexberryBaseComponent.extend({
     this.set('namedAdvLimits', advLimitService.getNamedAdvLimits(thisComponentName));
   },
 
+  /**
+    Refresh saved views list.
+
+    @method _updateSavedViews
+
+    @param {String} componentName The name of objectlistview component
+  */
+  _updateSavedViews(componentName) {
+    const savedViews = this.get('savedViews');
+    const thisComponentName = this.get('componentName');
+    if (!(savedViews.get('isSavedViewsServiceEnabled') && componentName === thisComponentName)) {
+      return;
+    }
+
+    savedViews.getViews(thisComponentName).then(views => {
+      if (!this.get('isDestroyed')) {
+        this.set('_savedViews', views);
+      }
+    });
+  },
+
+  /**
+    Sets name of applied adv limit to query param of controller, list is reloaded by changing of query param.
+    If name is not changed, list is refreshed, because adv limit could be changed.
+
+    @method _setAdvLimitName
+    @param {String} advLimitName Name of adv limit.
+    @private
+  */
+  _setAdvLimitName(advLimitName) {
+    this._setQueryParams({ advLimitName: advLimitName });
+  },
+
+  /**
+    Sets query parameters of list, which reload list when they are changed.
+    List is refreshed explicitly only if values of parameters are not changed, so it is reloaded once.
+
+    @method _setQueryParams
+    @param {Object} queryParams Values of query parameters.
+    @private
+  */
+  _setQueryParams(queryParams) {
+    const currentController = this.get('currentController');
+    const changed = Object.keys(queryParams).some((name) => (currentController.get(name) || null) !== (queryParams[name] || null));
+    if (changed) {
+      currentController.setProperties(queryParams);
+    } else {
+      this.send('refresh');
+    }
+  },
+
+  /**
+    Saves current state of list as view or clones view, depending on state of save view dialog.
+
+    @method _saveView
+    @return {Boolean} `false` if view name is not specified, to keep dialog opened.
+    @private
+  */
+  _saveView() {
+    const viewName = Ember.$.trim(this.get('_viewName'));
+    if (Ember.isBlank(viewName)) {
+      return false;
+    }
+
+    const componentName = this.get('componentName');
+    const savedViews = this.get('savedViews');
+    const viewToClone = this.get('_viewToClone');
+    const promise = viewToClone ?
+      savedViews.cloneView(componentName, viewToClone, viewName) :
+      savedViews.saveView(componentName, viewName, savedViews.getCurrentViewValue(componentName, this.get('currentController')), this.get('_viewShared'));
+
+    promise.then(() => {
+      this.get('colsConfigMenu').updateSavedViewsTrigger(componentName);
+    }).catch((reason) => {
+      this.get('modelController').send('handleError', reason);
+    });
+
+    return true;
+  },
+
+  /**
+    Applies view to list: saves user setting and adv limit of view,
+    sets filters, sorting and records count on page to controller and refreshes list.
+
+    @method _applyView
+    @param {Object} view View to apply.
+    @private
+  */
+  _applyView(view) {
+    const componentName = this.get('componentName');
+    this.get('savedViews').applyView(componentName, view).then(value => {
+      const setting = value.setting || {};
+      const currentController = this.get('currentController');
+      const queryParams = {
+        filtersParam: serializeFiltersParam(value.filters),
+        filter: value.filter,
+        filterCondition: value.filterCondition || undefined,
+        advLimitName: null
+      };
+
+      currentController.set('filters', value.filters || null);
+      this.set('filterByAnyMatchText', value.filter);
+
+      const userSettingsApplyFunction = currentController.get('userSettingsApply');
+      if (userSettingsApplyFunction instanceof Function) {
+        currentController.setProperties(queryParams);
+        userSettingsApplyFunction.apply(currentController, [componentName, setting.sorting, setting.perPage]);
+      } else {
+        this._setQueryParams(Ember.$.extend(queryParams, {
+          sort: serializeSortingParam(setting.sorting || []),
+          perPage: setting.perPage || currentController.get('perPage'),
+          page: 1
+        }));
+      }
+    }).catch((reason) => {
+      this.get('modelController').send('handleError', reason);
+    });
+  },
+
   /**
     Creating menu subitems.
 
@@ -0,0 +1,71 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get } = Ember;
+
+/**
+  Developer panel, which shows metrics of the slowest forms from {{#crossLink "RouteMetricsService"}}{{/crossLink}}.
+
+  @example
+    ```handlebars
+    <!-- app/templates/application.hbs -->
+    {{#if isDevelopment}}
+      {{route-metrics-panel count=5}}
+    {{/if}}
+    ```
+
+  @class RouteMetricsPanelComponent
+  @extends <a href="http://emberjs.com/api/classes/Ember.Component.html">Ember.Component</a>
+*/
+export default Ember.Component.extend({
+  /**
+    Link on {{#crossLink "RouteMetricsService"}}{{/crossLink}}.
+
+    @property routeMetrics
+    @type RouteMetricsService
+  */
+  routeMetrics: Ember.inject.service('route-metrics'),
+
+  /**
+    Count of shown forms.
+
+    @property count
+    @type Number
+    @default 10
+  */
+  count: 10,
+
+  /**
+    Name of metric to find the slowest forms: 'modelTime', 'renderTime' or 'interactiveTime'.
+
+    @property metricName
+    @type String
+    @default 'interactiveTime'
+  */
+  metricName: 'interactiveTime',
+
+  /**
+    Metrics of the slowest forms.
+
+    @property routes
+    @type Object[]
+    @readOnly
+  */
+  routes: Ember.computed('routeMetrics.version', 'count', 'metricName', function() {
+    return get(this, 'routeMetrics').getSlowestRoutes(get(this, 'count'), get(this, 'metricName'));
+  }).readOnly(),
+
+  actions: {
+    /**
+      Removes measured values.
+
+      @method actions.reset
+    */
+    reset() {
+      get(this, 'routeMetrics').reset();
+    },
+  },
+});
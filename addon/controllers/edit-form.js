@@ -14,8 +14,25 @@ import SortableControllerMixin from '../mixins/sortable-controller';
 import LimitedControllerMixin from '../mixins/limited-controller';
 import FlexberryOlvToolbarMixin from '../mixins/olv-toolbar-controller';
 import FlexberryObjectlistviewHierarchicalControllerMixin from '../mixins/flexberry-objectlistview-hierarchical-controller';
+import ConcurrencyConflictError from '../objects/concurrency-conflict-error';
+import { Query } from 'ember-flexberry-data';
 
 const { getOwner } = Ember;
+const { Builder } = Query;
+
+/**
+  Conflict of attribute, of `belongsTo` relationship or of `hasMany` details, see {{#crossLink "ConcurrencyConflictError"}}{{/crossLink}}.
+
+  @class ConcurrencyConflict
+  @private
+*/
+const ConcurrencyConflict = Ember.Object.extend({
+  resolution: 'mine',
+
+  merged: Ember.computed('resolution', 'mine', 'theirs', function() {
+    return this.get('resolution') === 'theirs' ? this.get('theirs') : this.get('mine');
+  }),
+});
 
 /**
   Base controller for the Edit Forms.
@@ -137,6 +154,8 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
     - **template** - Template name modal window, default: 'lookup-dialog'.
     - **contentTemplate** - Template name that rendering after loading data, default: 'lookup-dialog-content'.
     - **loaderTemplate** - Template name that will be visible while loading data, default: 'loading'.
+    - **treeContentTemplate** - Template name that rendering in tree picker mode of lookup, default: 'lookup-dialog-tree-content'.
+    - **dependencies** - Dependencies of lookups on values of other lookups by names of lookup components, default: `undefined`.
 
     @property lookupSettings
     @type Object
@@ -145,7 +164,8 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
     controllerName: 'lookup-dialog',
     template: 'lookup-dialog',
     contentTemplate: 'lookup-dialog-content',
-    loaderTemplate: 'loading'
+    loaderTemplate: 'loading',
+    treeContentTemplate: 'lookup-dialog-tree-content'
   },
 
   /**
@@ -157,6 +177,180 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
   */
   destroyHasManyRelationshipsOnModelDestroy: false,
 
+  /**
+    Flag: indicates whether changes of model and its details are recorded to undo/redo them
+    by buttons of edit form or by keyboard shortcuts Ctrl+Z, Ctrl+Y.
+    Changes are not recorded on readonly forms.
+
+    @property changeHistoryEnabled
+    @type Boolean
+    @default false
+  */
+  changeHistoryEnabled: false,
+
+  /**
+    Service to record changes of model.
+
+    @property changeHistory
+    @type ChangeHistoryService
+  */
+  changeHistory: Ember.inject.service(),
+
+  /**
+    Flag: indicates whether unsaved changes of model and its details are periodically stored as draft,
+    so they can be restored when form is opened again after crash of browser tab or expiry of session.
+    Drafts are keyed by route and record id, draft is removed after save or close of form.
+    Draft of new record is stored only if it is edited, form of new record offers the latest draft of new records of route.
+
+    @property draftsEnabled
+    @type Boolean
+    @default false
+  */
+  draftsEnabled: false,
+
+  /**
+    Interval in milliseconds to store draft of model.
+
+    @property draftSaveInterval
+    @type Number
+    @default 5000
+  */
+  draftSaveInterval: 5000,
+
+  /**
+    Service to store drafts of edit forms.
+
+    @property editFormDrafts
+    @type EditFormDraftsService
+  */
+  editFormDrafts: Ember.inject.service(),
+
+  /**
+    Service to add breadcrumbs of saves to context of application log.
+
+    @property logService
+    @type LogService
+  */
+  logService: Ember.inject.service('log'),
+
+  /**
+    Key of draft of current model.
+
+    @property _draftKey
+    @type String
+    @private
+  */
+  _draftKey: undefined,
+
+  /**
+    Timer of next save of draft.
+
+    @property _draftTimer
+    @type Object
+    @private
+  */
+  _draftTimer: undefined,
+
+  /**
+    Flag: indicates whether to ask user to save, discard or keep unsaved changes of model and its details
+    on leaving of form by route transition (including browser back button) and on closing of browser tab.
+    Transitions of agregator and detail forms (see `modelNoRollBack`) and leaving by buttons of form are not confirmed.
+
+    @property unsavedChangesGuardEnabled
+    @type Boolean
+    @default false
+  */
+  unsavedChangesGuardEnabled: false,
+
+  /**
+    Flag: indicates whether unsaved changes are confirmed to be discarded, so form can be left without confirmation.
+
+    @property _unsavedChangesConfirmed
+    @type Boolean
+    @default false
+    @private
+  */
+  _unsavedChangesConfirmed: false,
+
+  /**
+    Answer chosen in unsaved changes dialog.
+
+    @property _unsavedChangesAnswer
+    @type String
+    @private
+  */
+  _unsavedChangesAnswer: undefined,
+
+  /**
+    Function to resolve promise returned by `confirmUnsavedChanges` method.
+
+    @property _unsavedChangesResolve
+    @type Function
+    @private
+  */
+  _unsavedChangesResolve: undefined,
+
+  /**
+    Name of attribute with version of record (for example, number of version or time of last change),
+    which is changed by server on each save of record. If it is defined, save of form checks optimistic concurrency:
+    record is loaded from server before save without pushing into store and, if version is changed by another user,
+    changes of attributes and `belongsTo` relationships of model and its details are compared,
+    as well as `hasMany` details added or removed by another user.
+    Changes of another user in attributes, which are not changed on form, are merged silently,
+    otherwise save is rejected with {{#crossLink "ConcurrencyConflictError"}}{{/crossLink}}
+    and dialog to choose values of conflicting attributes and details is shown, save is retried after choice.
+
+    @property concurrencyVersionAttribute
+    @type String
+    @default undefined
+  */
+  concurrencyVersionAttribute: undefined,
+
+  /**
+    Version, values of attributes and identifiers of related records of model and its details on server, which are compared on save.
+
+    @property _concurrencyBase
+    @type Object
+    @private
+  */
+  _concurrencyBase: undefined,
+
+  /**
+    Version and state of records loaded from server on check with conflicts, form is based on it after conflicts are resolved.
+
+    @property _concurrencyServerBase
+    @type Object
+    @private
+  */
+  _concurrencyServerBase: undefined,
+
+  /**
+    Error with conflicts shown in concurrency conflict dialog.
+
+    @property _concurrencyConflictError
+    @type ConcurrencyConflictError
+    @private
+  */
+  _concurrencyConflictError: undefined,
+
+  /**
+    Arguments of save rejected by concurrency conflict, save is retried with them.
+
+    @property _concurrencySaveArgs
+    @type Array
+    @private
+  */
+  _concurrencySaveArgs: undefined,
+
+  /**
+    Answer chosen in concurrency conflict dialog.
+
+    @property _concurrencyConflictAnswer
+    @type String
+    @private
+  */
+  _concurrencyConflictAnswer: undefined,
+
   /**
     Controller to show lookup modal window.
 
@@ -212,6 +406,19 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
   */
   validationObject: Ember.computed.alias('model'),
 
+  /**
+    Handlers of edit form shown in modal window (for example, to create value of lookup).
+    Object with `save` function, which is called with saved model and can return promise,
+    optional `beforeSave` function, which is called with model before saving and can return rejected promise to refuse saving,
+    and `close` function, which is called instead of transition to parent route.
+    Modal window is closed by these handlers, so form makes no transitions if they are defined.
+
+    @property modalDialogHandlers
+    @type Object
+    @default undefined
+  */
+  modalDialogHandlers: undefined,
+
   actions: {
     /**
       Default action for button 'Save'.
@@ -346,6 +553,86 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
       this.close(skipTransition, rollBackModel);
     },
 
+    /**
+      Default action for button 'Undo', undoes the last change of model.
+
+      @method actions.undo
+    */
+    undo() {
+      this.get('changeHistory').undo();
+    },
+
+    /**
+      Default action for button 'Redo', redoes the last undone change of model.
+
+      @method actions.redo
+    */
+    redo() {
+      this.get('changeHistory').redo();
+    },
+
+    /**
+      Handles click on button of unsaved changes dialog, remembers answer and hides dialog.
+
+      @method actions.unsavedChangesDialogAnswer
+      @param {String} answer Answer: 'save', 'discard' or 'cancel'.
+    */
+    unsavedChangesDialogAnswer(answer) {
+      this.set('_unsavedChangesAnswer', answer);
+      Ember.$('.unsaved-changes-dialog').modal('hide');
+    },
+
+    /**
+      Handles hiding of unsaved changes dialog, resolves promise returned by `confirmUnsavedChanges` method.
+
+      @method actions.unsavedChangesDialogClosed
+    */
+    unsavedChangesDialogClosed() {
+      let resolve = this.get('_unsavedChangesResolve');
+      this.set('_unsavedChangesResolve', undefined);
+      this.send('removeModalDialog');
+      if (resolve) {
+        resolve(this.get('_unsavedChangesAnswer') || 'cancel');
+      }
+    },
+
+    /**
+      Chooses value of attribute in concurrency conflict dialog.
+
+      @method actions.resolveConcurrencyConflict
+      @param {Ember.Object} conflict Conflict of attribute.
+      @param {String} resolution Chosen value: 'mine' or 'theirs'.
+    */
+    resolveConcurrencyConflict(conflict, resolution) {
+      conflict.set('resolution', resolution);
+    },
+
+    /**
+      Handles click on button of concurrency conflict dialog, remembers answer and hides dialog.
+
+      @method actions.concurrencyConflictDialogAnswer
+      @param {String} answer Answer: 'save' to apply chosen values and retry save, 'cancel' to return to form.
+    */
+    concurrencyConflictDialogAnswer(answer) {
+      this.set('_concurrencyConflictAnswer', answer);
+      Ember.$('.concurrency-conflict-dialog').modal('hide');
+    },
+
+    /**
+      Handles hiding of concurrency conflict dialog, applies chosen values and retries save.
+
+      @method actions.concurrencyConflictDialogClosed
+    */
+    concurrencyConflictDialogClosed() {
+      let error = this.get('_concurrencyConflictError');
+      this.set('_concurrencyConflictError', undefined);
+      this.send('removeModalDialog');
+      if (error && this.get('_concurrencyConflictAnswer') === 'save') {
+        this.resolveConcurrencyConflicts(error);
+        this.save(...(this.get('_concurrencySaveArgs') || []));
+      }
+    },
+
     /**
       Hook that executes before deleting all records on all pages.
       Need to be overriden in corresponding application controller.
@@ -387,6 +674,714 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
     return this.get('validationObject').validate();
   },
 
+  /**
+    Starts to record changes of model, if it is enabled by {{#crossLink "EditFormController/changeHistoryEnabled:property"}}{{/crossLink}}.
+    It is called by route on setup of controller.
+
+    @method startChangeHistory
+  */
+  startChangeHistory() {
+    let model = this.get('model');
+    if (this.get('changeHistoryEnabled') && !this.get('readonly') && model) {
+      this.get('changeHistory').start(model);
+    }
+  },
+
+  /**
+    Stops to record changes of model.
+    It is called by route on reset of controller.
+
+    @method stopChangeHistory
+  */
+  stopChangeHistory() {
+    let model = this.get('model');
+    if (model) {
+      this.get('changeHistory').stop(model);
+    }
+  },
+
+  /**
+    Starts to store drafts of model, if it is enabled by {{#crossLink "EditFormController/draftsEnabled:property"}}{{/crossLink}}.
+    If there is stored draft for model, it is offered to restore it, see {{#crossLink "EditFormController/offerDraftRestore:method"}}{{/crossLink}}.
+    It is called by route on setup of controller.
+
+    @method startDrafts
+    @return {Promise} A promise that is resolved when stored draft is restored or discarded.
+  */
+  startDrafts() {
+    let model = this.get('model');
+    if (!this.get('draftsEnabled') || this.get('readonly') || !model) {
+      return Ember.RSVP.resolve();
+    }
+
+    let drafts = this.get('editFormDrafts');
+    let key = drafts.getKey(this.get('routeName'), model);
+    this.set('_draftKey', key);
+    Ember.$(window).on(`beforeunload.${Ember.guidFor(this)}`, () => this.saveDraft());
+
+    // Form of new record offers the latest draft of other new record, restored draft is moved to key of model.
+    let draftKey = model.get('isNew') ? drafts.findNewDraftKey(this.get('routeName')) : key;
+    let draft = draftKey ? drafts.load(draftKey) : null;
+    let promise = draft ? this.offerDraftRestore(draft).then((answer) => {
+      if (!answer) {
+        drafts.remove(draftKey);
+        return;
+      }
+
+      return drafts.restore(model, draft).then(() => {
+        if (draftKey !== key) {
+          drafts.remove(draftKey);
+          this.saveDraft();
+        }
+      });
+    }) : Ember.RSVP.resolve();
+
+    return promise.finally(() => this._scheduleDraftSave());
+  },
+
+  /**
+    Stops to store drafts of model, draft is kept to be restored later.
+    It is called by route on reset of controller.
+
+    @method stopDrafts
+  */
+  stopDrafts() {
+    Ember.run.cancel(this.get('_draftTimer'));
+    Ember.$(window).off(`beforeunload.${Ember.guidFor(this)}`);
+    this.set('_draftTimer', undefined);
+    this.set('_draftKey', undefined);
+  },
+
+  /**
+    Stores draft of model immediately.
+
+    @method saveDraft
+  */
+  saveDraft() {
+    let key = this.get('_draftKey');
+    let model = this.get('model');
+    if (key && model && !model.get('isDeleted')) {
+      this.get('editFormDrafts').save(key, model);
+    }
+  },
+
+  /**
+    Removes draft of model, drafts are still stored if form is not closed.
+
+    @method removeDraft
+  */
+  removeDraft() {
+    let key = this.get('_draftKey');
+    if (key) {
+      this.get('editFormDrafts').remove(key);
+    }
+  },
+
+  /**
+    This function will be called to solve restore or discard stored draft of model.
+    You can override function for custom behavior, for example to show modal window.
+
+    @example
+      ```javascript
+      // app/controllers/employee.js
+      import EditFormController from './edit-form';
+      export default EditFormController.extend({
+        draftsEnabled: true,
+
+        offerDraftRestore(draft) {
+          return Ember.RSVP.resolve(true);
+        }
+      });
+      ```
+
+    @method offerDraftRestore
+    @param {Object} draft Draft `{ savedAt, data }`, `savedAt` is date of draft in ISO format.
+    @return {Promise} A promise that returns `true` to restore draft or `false` to discard it.
+  */
+  offerDraftRestore(draft) {
+    return new Ember.RSVP.Promise((resolve) => {
+      let savedAt = new Date(draft.savedAt).toLocaleString();
+      resolve(confirm(this.get('i18n').t('forms.edit-form.restore-draft-question', { savedAt })));
+    });
+  },
+
+  /**
+    Schedules next save of draft.
+
+    @method _scheduleDraftSave
+    @private
+  */
+  _scheduleDraftSave() {
+    if (!this.get('_draftKey') || this.get('isDestroyed')) {
+      return;
+    }
+
+    this.set('_draftTimer', Ember.run.later(this, function() {
+      this.saveDraft();
+      this._scheduleDraftSave();
+    }, this.get('draftSaveInterval')));
+  },
+
+  /**
+    Checks whether model, its details or agregators of detail form have unsaved changes.
+    New record has changes only if its attributes are changed or its relationships are filled,
+    see {{#crossLink "EditFormDraftsService/isDirty:method"}}{{/crossLink}}.
+
+    @method hasUnsavedChanges
+    @return {Boolean}
+  */
+  hasUnsavedChanges() {
+    let model = this.get('model');
+    let agregators = this.get('modelCurrentAgregators');
+    let models = Ember.A(Ember.isArray(agregators) ? agregators.slice() : []);
+    models.pushObject(model);
+
+    return models.any((record) => record && this.get('editFormDrafts').isDirty(record));
+  },
+
+  /**
+    Checks whether leaving of form has to be confirmed by user.
+
+    @method needUnsavedChangesConfirmation
+    @param {Transition} [transition] Transition from form.
+    @return {Boolean}
+  */
+  needUnsavedChangesConfirmation(transition) {
+    if (!this.get('unsavedChangesGuardEnabled') || this.get('readonly') || this.get('modelNoRollBack') ||
+      this.get('_unsavedChangesConfirmed') || this.get('modalDialogHandlers')) {
+      return false;
+    }
+
+    if (transition && (transition.queryParamsOnly || transition.targetName.indexOf(`${this.get('routeName')}.`) === 0)) {
+      return false;
+    }
+
+    return this.hasUnsavedChanges();
+  },
+
+  /**
+    This function will be called to ask user what to do with unsaved changes on leaving of form.
+    By default it shows modal window with buttons 'Save', 'Discard' and 'Cancel',
+    application route has to use {{#crossLink "ModalApplicationRoute"}}{{/crossLink}} mixin.
+    You can override function for custom behavior.
+
+    @example
+      ```javascript
+      // app/controllers/employee.js
+      import EditFormController from './edit-form';
+      export default EditFormController.extend({
+        unsavedChangesGuardEnabled: true,
+
+        confirmUnsavedChanges() {
+          return Ember.RSVP.resolve(confirm('Discard changes?') ? 'discard' : 'cancel');
+        }
+      });
+      ```
+
+    @method confirmUnsavedChanges
+    @return {Promise} A promise that returns answer: 'save', 'discard' or 'cancel'.
+  */
+  confirmUnsavedChanges() {
+    return new Ember.RSVP.Promise((resolve) => {
+      this.set('_unsavedChangesAnswer', undefined);
+      this.set('_unsavedChangesResolve', resolve);
+      this.send('showModalDialog', 'unsaved-changes-dialog', { controller: this });
+    });
+  },
+
+  /**
+    Starts to confirm closing of browser tab with unsaved changes.
+    It is called by route on setup of controller.
+
+    @method startUnsavedChangesGuard
+  */
+  startUnsavedChangesGuard() {
+    this.set('_unsavedChangesConfirmed', false);
+    Ember.$(window).on(`beforeunload.${Ember.guidFor(this)}-guard`, (e) => {
+      if (this.needUnsavedChangesConfirmation()) {
+        // Browsers show their own message, but message has to be returned.
+        let message = this.get('i18n').t('forms.edit-form.unsaved-changes-text').toString();
+        e.originalEvent.returnValue = message;
+        return message;
+      }
+    });
+  },
+
+  /**
+    Stops to confirm closing of browser tab.
+    It is called by route on reset of controller.
+
+    @method stopUnsavedChangesGuard
+  */
+  stopUnsavedChangesGuard() {
+    Ember.$(window).off(`beforeunload.${Ember.guidFor(this)}-guard`);
+    this.set('_unsavedChangesConfirmed', false);
+  },
+
+  /**
+    Remembers version, values of attributes and relationships of model and its details to check optimistic concurrency on save,
+    if it is enabled by {{#crossLink "EditFormController/concurrencyVersionAttribute:property"}}{{/crossLink}}.
+    It is called by route on setup of controller and after save.
+
+    @method startConcurrencyCheck
+  */
+  startConcurrencyCheck() {
+    let model = this.get('model');
+    let versionAttribute = this.get('concurrencyVersionAttribute');
+    if (!versionAttribute || !model || model.get('isNew')) {
+      this.set('_concurrencyBase', undefined);
+      return;
+    }
+
+    let states = {};
+    this._getConcurrencyRecords(model).forEach(({ record }) => {
+      states[this._getConcurrencyKey(record.constructor.modelName, record.get('id'))] = this._getRecordState(record);
+    });
+
+    this.set('_concurrencyBase', { version: this._getServerValues(model)[versionAttribute], states });
+  },
+
+  /**
+    Loads model from server without pushing it into store and checks whether it was changed by another user.
+    Changes of another user, which don't conflict with changes on form, are merged into model.
+    Details added or removed by another user are conflicts, unless the same details are added or removed on form.
+
+    @method checkConcurrency
+    @return {Promise} A promise that is rejected with {{#crossLink "ConcurrencyConflictError"}}{{/crossLink}} on conflict.
+  */
+  checkConcurrency() {
+    let model = this.get('model');
+    let base = this.get('_concurrencyBase');
+    let versionAttribute = this.get('concurrencyVersionAttribute');
+    if (!versionAttribute || !base || model.get('isNew')) {
+      return Ember.RSVP.resolve();
+    }
+
+    return this._loadServerDocument(model).then((document) => {
+      let resources = {};
+      let states = {};
+      let data = Ember.isArray(document.data) ? document.data : [document.data];
+      data.concat(document.included || []).forEach((resource) => {
+        let key = this._getConcurrencyKey(resource.type, resource.id);
+        resources[key] = resource;
+        states[key] = this._getResourceState(resource);
+      });
+
+      let modelState = states[this._getConcurrencyKey(model.constructor.modelName, model.get('id'))];
+      let version = modelState ? modelState.attributes[versionAttribute] : base.version;
+      if (this._isEqualValue(version, base.version)) {
+        return;
+      }
+
+      // Conflicts of `belongsTo` relationships are created after load of related records, so promises are collected to keep order.
+      let conflicts = [];
+      let merges = [];
+      this._getConcurrencyRecords(model).forEach(({ record, caption }) => {
+        let key = this._getConcurrencyKey(record.constructor.modelName, record.get('id'));
+        let baseState = base.states[key];
+        let theirsState = states[key];
+        if (!baseState || !theirsState) {
+          return;
+        }
+
+        Object.keys(theirsState.attributes).forEach((name) => {
+          let theirs = theirsState.attributes[name];
+          let mine = record.get(name);
+          if (this._isEqualValue(theirs, baseState.attributes[name])) {
+            return;
+          }
+
+          if (this._isEqualValue(mine, baseState.attributes[name])) {
+            record.set(name, theirs);
+          } else if (name !== versionAttribute && !this._isEqualValue(mine, theirs)) {
+            conflicts.push(ConcurrencyConflict.create({
+              record: record,
+              attributeName: name,
+              caption: `${caption}${name}`,
+              base: baseState.attributes[name],
+              mine: mine,
+              theirs: theirs,
+            }));
+          }
+        });
+
+        Object.keys(theirsState.belongsTo).forEach((name) => {
+          let theirsId = theirsState.belongsTo[name];
+          let mineId = this._getBelongsToId(record, name);
+          if (this._isEqualValue(theirsId, baseState.belongsTo[name])) {
+            return;
+          }
+
+          if (this._isEqualValue(mineId, baseState.belongsTo[name])) {
+            merges.push(this._findRelatedRecord(record, name, theirsId).then((theirs) => record.set(name, theirs)));
+          } else if (!this._isEqualValue(mineId, theirsId)) {
+            let mine = this._getBelongsToRecord(record, name);
+            conflicts.push(this._findRelatedRecord(record, name, theirsId).then((theirs) => ConcurrencyConflict.create({
+              record: record,
+              attributeName: name,
+              caption: `${caption}${name}`,
+              isRelationship: true,
+              base: this._peekRelatedRecord(record, name, baseState.belongsTo[name]),
+              mine: mine,
+              theirs: theirs,
+            })));
+          }
+        });
+
+        let mineDetails = this._getDetails(record);
+        Object.keys(theirsState.hasMany).forEach((name) => {
+          let theirsIds = theirsState.hasMany[name];
+          let mine = mineDetails[name];
+          let mineIds = mine.filter((detail) => !detail.get('isNew')).map((detail) => detail.get('id'));
+          if (!baseState.hasMany[name] || this._isEqualIds(theirsIds, baseState.hasMany[name]) || this._isEqualIds(theirsIds, mineIds)) {
+            return;
+          }
+
+          // Details of another user are compared by identifiers, details, which are not loaded yet, are pushed without link to master,
+          // so relationship of model stays unchanged until conflict is resolved.
+          let theirs = theirsIds.map((id) => this._findDetail(record, name, id, resources)).filter(Boolean);
+          conflicts.push(ConcurrencyConflict.create({
+            record: record,
+            attributeName: name,
+            caption: `${caption}${name}`,
+            isDetails: true,
+            resolution: 'theirs',
+            base: baseState.hasMany[name].map((id) => this._peekRelatedRecord(record, name, id)).filter(Boolean),
+            mine: mine,
+            theirs: theirs.concat(mine.filter((detail) => detail.get('isNew'))),
+          }));
+        });
+      });
+
+      return Ember.RSVP.all(merges).then(() => Ember.RSVP.all(conflicts)).then((conflicts) => {
+        let serverBase = { version, states };
+        if (conflicts.length > 0) {
+          this.set('_concurrencyServerBase', serverBase);
+          return Ember.RSVP.reject(new ConcurrencyConflictError(conflicts, version));
+        }
+
+        // Changes of another user are merged, so form is based on new version.
+        this.set('_concurrencyBase', serverBase);
+      });
+    });
+  },
+
+  /**
+    Shows dialog with conflicts of attributes to choose values, save is retried after choice.
+    It is called by {{#crossLink "EditFormController/onSaveActionRejected:method"}}{{/crossLink}},
+    application route has to use {{#crossLink "ModalApplicationRoute"}}{{/crossLink}} mixin.
+
+    @method showConcurrencyConflictDialog
+    @param {ConcurrencyConflictError} error Error with conflicts.
+  */
+  showConcurrencyConflictDialog(error) {
+    this.set('_concurrencyConflictError', error);
+    this.set('_concurrencyConflictAnswer', undefined);
+    this.send('showModalDialog', 'concurrency-conflict-dialog', { controller: this });
+  },
+
+  /**
+    Applies chosen values of conflicting attributes and details, form is based on version of record loaded on check after it.
+
+    @method resolveConcurrencyConflicts
+    @param {ConcurrencyConflictError} error Error with conflicts.
+  */
+  resolveConcurrencyConflicts(error) {
+    error.conflicts.forEach((conflict) => {
+      conflict.get('record').set(conflict.get('attributeName'), conflict.get('merged'));
+    });
+
+    this.set('_concurrencyBase', this.get('_concurrencyServerBase'));
+    this.set('_concurrencyServerBase', undefined);
+  },
+
+  /**
+    Returns model and its details recursively with captions of details for concurrency conflicts.
+
+    @method _getConcurrencyRecords
+    @param {DS.Model} record Record.
+    @param {String} [caption] Caption of record.
+    @param {Array} [result] Array to add records to.
+    @return {Array} Objects `{ record, caption }`, new records are skipped.
+    @private
+  */
+  _getConcurrencyRecords(record, caption = '', result = []) {
+    if (record.get('isNew')) {
+      return result;
+    }
+
+    result.push({ record, caption });
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'hasMany') {
+        record.get(name).forEach((detail, index) => {
+          this._getConcurrencyRecords(detail, `${caption}${name} (${index + 1}).`, result);
+        });
+      }
+    });
+
+    return result;
+  },
+
+  /**
+    Returns `hasMany` details of record, deleted details are skipped.
+
+    @method _getDetails
+    @param {DS.Model} record Record.
+    @return {Object} Arrays of details by names of relationships.
+    @private
+  */
+  _getDetails(record) {
+    let details = {};
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'hasMany') {
+        details[name] = record.get(name).filter((detail) => !detail.get('isDeleted'));
+      }
+    });
+
+    return details;
+  },
+
+  /**
+    Loads model by projection of form from server, loaded data is normalized, but isn't pushed into store,
+    so changes of attributes and relationships on form are kept.
+
+    @method _loadServerDocument
+    @param {DS.Model} model Model of form.
+    @return {Promise} A promise that is resolved with JSON API document of model.
+    @private
+  */
+  _loadServerDocument(model) {
+    let store = this.get('store');
+    let modelName = model.constructor.modelName;
+    let projection = this.get('modelProjection.projectionName');
+    let query = new Builder(store, modelName).byId(model.get('id')).selectByProjection(projection).build();
+
+    return store.adapterFor(modelName).query(store, model.constructor, query).then((payload) => {
+      return store.serializerFor(modelName).normalizeResponse(store, model.constructor, payload, model.get('id'), 'query');
+    });
+  },
+
+  /**
+    Returns key of record for comparison of states of records.
+
+    @method _getConcurrencyKey
+    @param {String} modelName Name of model.
+    @param {String} id Identifier of record.
+    @return {String}
+    @private
+  */
+  _getConcurrencyKey(modelName, id) {
+    return `${modelName}:${id}`;
+  },
+
+  /**
+    Returns state of record loaded from server: values of attributes, identifiers of `belongsTo` and `hasMany` related records.
+
+    @method _getRecordState
+    @param {DS.Model} record Record.
+    @return {Object} Object `{ attributes, belongsTo, hasMany }`.
+    @private
+  */
+  _getRecordState(record) {
+    let belongsTo = {};
+    let hasMany = {};
+    let details = this._getDetails(record);
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'belongsTo') {
+        belongsTo[name] = this._getBelongsToId(record, name);
+      } else {
+        hasMany[name] = details[name].filter((detail) => !detail.get('isNew')).map((detail) => detail.get('id'));
+      }
+    });
+
+    return { attributes: this._getServerValues(record), belongsTo, hasMany };
+  },
+
+  /**
+    Returns state of record from resource of JSON API document, only loaded attributes and relationships are included.
+
+    @method _getResourceState
+    @param {Object} resource Resource of JSON API document.
+    @return {Object} Object `{ attributes, belongsTo, hasMany }`.
+    @private
+  */
+  _getResourceState(resource) {
+    let belongsTo = {};
+    let hasMany = {};
+    let relationships = resource.relationships || {};
+    Object.keys(relationships).forEach((name) => {
+      let data = relationships[name].data;
+      if (Ember.isArray(data)) {
+        hasMany[name] = data.map((item) => item.id);
+      } else if (data !== undefined) {
+        belongsTo[name] = data ? data.id : null;
+      }
+    });
+
+    return { attributes: resource.attributes || {}, belongsTo, hasMany };
+  },
+
+  /**
+    Returns record related by `belongsTo` relationship, content of promise is returned for async relationship.
+
+    @method _getBelongsToRecord
+    @param {DS.Model} record Record.
+    @param {String} name Name of relationship.
+    @return {DS.Model}
+    @private
+  */
+  _getBelongsToRecord(record, name) {
+    let related = record.get(name);
+    return Ember.PromiseProxyMixin.detect(related) ? related.get('content') : related;
+  },
+
+  /**
+    Returns identifier of record related by `belongsTo` relationship.
+
+    @method _getBelongsToId
+    @param {DS.Model} record Record.
+    @param {String} name Name of relationship.
+    @return {String}
+    @private
+  */
+  _getBelongsToId(record, name) {
+    let related = this._getBelongsToRecord(record, name);
+    return related ? related.get('id') : null;
+  },
+
+  /**
+    Returns related record from store.
+
+    @method _peekRelatedRecord
+    @param {DS.Model} record Record.
+    @param {String} name Name of relationship.
+    @param {String} id Identifier of related record.
+    @return {DS.Model} Related record or `null`, if it isn't loaded.
+    @private
+  */
+  _peekRelatedRecord(record, name, id) {
+    if (Ember.isNone(id)) {
+      return null;
+    }
+
+    let type = Ember.get(record.constructor, 'relationshipsByName').get(name).type;
+    return this.get('store').peekRecord(type, id);
+  },
+
+  /**
+    Returns related record from store, record is loaded, if it isn't in store yet.
+
+    @method _findRelatedRecord
+    @param {DS.Model} record Record.
+    @param {String} name Name of relationship.
+    @param {String} id Identifier of related record.
+    @return {Promise} A promise that is resolved with related record or `null`.
+    @private
+  */
+  _findRelatedRecord(record, name, id) {
+    let related = this._peekRelatedRecord(record, name, id);
+    if (related || Ember.isNone(id)) {
+      return Ember.RSVP.resolve(related);
+    }
+
+    let type = Ember.get(record.constructor, 'relationshipsByName').get(name).type;
+    return this.get('store').findRecord(type, id);
+  },
+
+  /**
+    Returns detail from store, detail is pushed from loaded resources, if it isn't in store yet.
+    Relationship to master is skipped on push, so details of master in store are not changed.
+
+    @method _findDetail
+    @param {DS.Model} record Master record.
+    @param {String} name Name of `hasMany` relationship.
+    @param {String} id Identifier of detail.
+    @param {Object} resources Loaded resources by keys of records.
+    @return {DS.Model} Detail or `null`, if it isn't loaded.
+    @private
+  */
+  _findDetail(record, name, id, resources) {
+    let detail = this._peekRelatedRecord(record, name, id);
+    let type = Ember.get(record.constructor, 'relationshipsByName').get(name).type;
+    let resource = resources[this._getConcurrencyKey(type, id)];
+    if (detail || !resource) {
+      return detail;
+    }
+
+    let relationships = Ember.merge({}, resource.relationships);
+    let inverse = record.inverseFor(name);
+    if (inverse) {
+      delete relationships[inverse.name];
+    }
+
+    return this.get('store').push({
+      data: { id: resource.id, type: resource.type, attributes: resource.attributes, relationships: relationships },
+    });
+  },
+
+  /**
+    Compares arrays of identifiers regardless of order.
+
+    @method _isEqualIds
+    @param {String[]} a The first array.
+    @param {String[]} b The second array.
+    @return {Boolean}
+    @private
+  */
+  _isEqualIds(a, b) {
+    return a.length === b.length && a.every((id) => b.indexOf(id) !== -1);
+  },
+
+  /**
+    Returns values of attributes of record loaded from server, changes on form are ignored.
+
+    @method _getServerValues
+    @param {DS.Model} record Record.
+    @return {Object}
+    @private
+  */
+  _getServerValues(record) {
+    let changedAttributes = record.changedAttributes();
+    let values = {};
+    record.eachAttribute((name) => {
+      values[name] = changedAttributes[name] ? changedAttributes[name][0] : record.get(name);
+    });
+
+    return values;
+  },
+
+  /**
+    Compares values of attributes.
+
+    @method _isEqualValue
+    @param {Any} a The first value.
+    @param {Any} b The second value.
+    @return {Boolean}
+    @private
+  */
+  _isEqualValue(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+
+    return a === b || (Ember.isNone(a) && Ember.isNone(b));
+  },
+
+  /**
+    Adds breadcrumb of operation with model to context of application log.
+
+    @method _addBreadcrumb
+    @param {String} operation Name of operation.
+    @private
+  */
+  _addBreadcrumb(operation) {
+    let model = this.get('model');
+    this.get('logService').addBreadcrumb('edit-form', operation, {
+      modelName: model ? model.constructor.modelName : null,
+      id: model ? model.get('id') : null
+    });
+  },
+
   /**
     Save object.
 
@@ -397,12 +1392,27 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
   */
   save(close, skipTransition) {
     this.send('dismissErrorMessages');
+    this._addBreadcrumb('save');
 
     return this.validate().then(() => {
+      const modalDialogHandlers = this.get('modalDialogHandlers');
+      return modalDialogHandlers && modalDialogHandlers.beforeSave ? modalDialogHandlers.beforeSave(this.get('model')) : undefined;
+    }).then(() => {
       this.onSaveActionStarted();
       this.get('appState').loading();
 
       const afterSaveModelFunction = () => {
+        this.get('changeHistory').clear(this.get('model'));
+        this.removeDraft();
+        this.startConcurrencyCheck();
+        const modalDialogHandlers = this.get('modalDialogHandlers');
+        if (modalDialogHandlers) {
+          return Ember.RSVP.resolve(modalDialogHandlers.save(this.get('model'))).then(() => {
+            this.get('appState').success();
+            this.onSaveActionFulfilled();
+          });
+        }
+
         this.get('appState').success();
         this.onSaveActionFulfilled();
         if (close) {
@@ -429,7 +1439,11 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
         }
       };
 
-      return this.saveModel().then(afterSaveModelFunction).catch((errorData) => {
+      return this.checkConcurrency().then(() => this.saveModel()).then(afterSaveModelFunction).catch((errorData) => {
+        if (errorData instanceof ConcurrencyConflictError) {
+          this.set('_concurrencySaveArgs', [close, skipTransition]);
+        }
+
         this.get('appState').error();
         this.onSaveActionRejected(errorData);
         return Ember.RSVP.reject(errorData);
@@ -437,7 +1451,11 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
         this.onSaveActionAlways(data);
       });
     }).catch((errorData) => {
-      this.send('error', new Error(errorData.get('message')));
+      // Conflict is resolved in dialog shown by 'onSaveActionRejected'.
+      if (!(errorData instanceof ConcurrencyConflictError)) {
+        this.send('error', new Error(Ember.get(errorData, 'message')));
+      }
+
       this.get('appState').error();
       return Ember.RSVP.reject(errorData);
     });
@@ -482,6 +1500,7 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
   */
   delete(skipTransition) {
     this.send('dismissErrorMessages');
+    this._addBreadcrumb('delete');
 
     this.onDeleteActionStarted();
     this.get('appState').loading();
@@ -527,8 +1546,13 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
   */
   close(skipTransition, rollBackModel) {
     this.get('appState').reset();
+    this.removeDraft();
+    this.set('_unsavedChangesConfirmed', true);
     this.onCloseActionStarted();
-    if (!skipTransition) {
+    const modalDialogHandlers = this.get('modalDialogHandlers');
+    if (modalDialogHandlers) {
+      modalDialogHandlers.close();
+    } else if (!skipTransition) {
       this.transitionToParentRoute(skipTransition, rollBackModel);
     }
   },
@@ -574,11 +1598,13 @@ FlexberryObjectlistviewHierarchicalControllerMixin, {
       }
       ```
     @method onSaveActionRejected.
-    @param {Object} errorData Data about save operation fail.
+    @param {Object} errorData Data about save operation fail, {{#crossLink "ConcurrencyConflictError"}}{{/crossLink}} if record was changed by another user.
   */
   onSaveActionRejected(errorData) {
     Ember.$('.ui.form .full.height').scrollTop(0);
-    if (!(errorData instanceof Errors)) {
+    if (errorData instanceof ConcurrencyConflictError) {
+      this.showConcurrencyConflictDialog(errorData);
+    } else if (!(errorData instanceof Errors)) {
       this.send('handleError', errorData);
     }
   },
@@ -2,7 +2,11 @@
   @module ember-flexberry
 */
 
+import Ember from 'ember';
 import EditFormController from './edit-form';
+import { parseStackTrace, parseFormattedMessage } from '../utils/stack-trace';
+
+const { get } = Ember;
 
 /**
   Application log edit form controller.
@@ -27,5 +31,40 @@ export default EditFormController.extend({
     @type String
     @default 'i-i-s-caseberry-logging-objects-application-log-l'
   */
-  parentRoute: 'i-i-s-caseberry-logging-objects-application-log-l'
+  parentRoute: 'i-i-s-caseberry-logging-objects-application-log-l',
+
+  /**
+    Parsed `formattedMessage` of application log record, `null` if it is not JSON object.
+
+    @property formattedMessageObject
+    @type Object
+    @readOnly
+  */
+  formattedMessageObject: Ember.computed('model.formattedMessage', function() {
+    return parseFormattedMessage(get(this, 'model.formattedMessage'));
+  }).readOnly(),
+
+  /**
+    Indented JSON of `formattedMessage` for readable rendering.
+
+    @property formattedMessageJson
+    @type String
+    @readOnly
+  */
+  formattedMessageJson: Ember.computed('formattedMessageObject', function() {
+    let formattedMessageObject = get(this, 'formattedMessageObject');
+    return formattedMessageObject ? JSON.stringify(formattedMessageObject, null, 2) : null;
+  }).readOnly(),
+
+  /**
+    Frames of JavaScript stack trace stored in `formattedMessage` by log service for errors.
+    See {{#crossLink "Utils.StackTrace/parseStackTrace:method"}}{{/crossLink}}.
+
+    @property stackFrames
+    @type Array
+    @readOnly
+  */
+  stackFrames: Ember.computed('formattedMessageObject', function() {
+    return parseStackTrace(get(this, 'formattedMessageObject.stack'));
+  }).readOnly(),
 });
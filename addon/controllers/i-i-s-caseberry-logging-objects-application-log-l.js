@@ -1,5 +1,15 @@
+import Ember from 'ember';
 import ListFormController from './list-form';
 
+/**
+  Names of events of log service, which are triggered for each category of messages.
+
+  @property logEventNames
+  @type String[]
+  @private
+*/
+const logEventNames = ['error', 'warn', 'log', 'info', 'debug', 'deprecation', 'promise'];
+
 /**
   Application log list form controller.
 
@@ -16,6 +26,304 @@ export default ListFormController.extend({
   */
   editFormRoute: 'i-i-s-caseberry-logging-objects-application-log-e',
 
+  /**
+    Service that logs messages.
+
+    @property logService
+    @type LogService
+  */
+  logService: Ember.inject.service('log'),
+
+  /**
+    Flag: indicates whether live tail mode is on.
+    In live tail mode new messages of log service are inserted into list according to sorting without reloading,
+    if log service stores messages in batches (`buffered` setting) or list is filtered or limited,
+    list is refreshed after `liveTailRefreshDelay`.
+
+    @property liveTail
+    @type Boolean
+    @default false
+  */
+  liveTail: false,
+
+  /**
+    Maximum count of records shown in live tail mode, the oldest records are removed from list.
+
+    @property liveTailMaxRecords
+    @type Number
+    @default 500
+  */
+  liveTailMaxRecords: 500,
+
+  /**
+    Delay in milliseconds to refresh list in live tail mode, if message is stored not immediately.
+
+    @property liveTailRefreshDelay
+    @type Number
+    @default 5000
+  */
+  liveTailRefreshDelay: 5000,
+
+  /**
+    Flag: indicates whether identical messages are grouped with counts of occurrences.
+
+    @property groupIdenticalMessages
+    @type Boolean
+    @default false
+  */
+  groupIdenticalMessages: false,
+
+  /**
+    Paths to properties to group rows of list by.
+
+    @property groupBy
+    @type String[]
+    @readOnly
+  */
+  groupBy: Ember.computed('groupIdenticalMessages', function() {
+    return this.get('groupIdenticalMessages') ? ['message'] : undefined;
+  }).readOnly(),
+
+  /**
+    Custom buttons of toolbar of list to switch live tail mode and grouping of identical messages.
+
+    @property customButtons
+    @type Object[]
+    @readOnly
+  */
+  customButtons: Ember.computed('i18n.locale', 'liveTail', 'groupIdenticalMessages', function() {
+    let i18n = this.get('i18n');
+    return [{
+      buttonName: i18n.t('forms.i-i-s-caseberry-logging-objects-application-log-l.live-tail-button-text'),
+      buttonAction: 'toggleLiveTail',
+      buttonClasses: this.get('liveTail') ? 'live-tail-button active' : 'live-tail-button',
+    }, {
+      buttonName: i18n.t('forms.i-i-s-caseberry-logging-objects-application-log-l.group-messages-button-text'),
+      buttonAction: 'toggleGroupIdenticalMessages',
+      buttonClasses: this.get('groupIdenticalMessages') ? 'group-messages-button active' : 'group-messages-button',
+    }];
+  }).readOnly(),
+
+  /**
+    CSS classes of rows of list by categories of messages.
+
+    @property categoryClasses
+    @type Object
+  */
+  categoryClasses: undefined,
+
+  init() {
+    this._super(...arguments);
+    if (!this.get('categoryClasses')) {
+      this.set('categoryClasses', {
+        ERROR: 'application-log-error',
+        PROMISE: 'application-log-error',
+        WARN: 'application-log-warn',
+        DEPRECATION: 'application-log-warn',
+        INFO: 'application-log-info',
+        DEBUG: 'application-log-debug'
+      });
+    }
+  },
+
+  actions: {
+    /**
+      Switches live tail mode.
+
+      @method actions.toggleLiveTail
+    */
+    toggleLiveTail() {
+      if (this.get('liveTail')) {
+        this.stopLiveTail();
+      } else {
+        this.startLiveTail();
+      }
+    },
+
+    /**
+      Switches grouping of identical messages.
+
+      @method actions.toggleGroupIdenticalMessages
+    */
+    toggleGroupIdenticalMessages() {
+      this.toggleProperty('groupIdenticalMessages');
+    },
+
+    /**
+      Colors rows of list by categories of messages.
+
+      @method actions.configurateRow
+      @param {Object} rowConfig Settings for row.
+      @param {DS.Model} record The record in row.
+    */
+    configurateRow(rowConfig, record) {
+      let customClass = this.get('categoryClasses')[record.get('category')];
+      if (customClass) {
+        Ember.set(rowConfig, 'customClass', customClass);
+      }
+    },
+  },
+
+  /**
+    Switches on live tail mode: subscribes to events of log service.
+
+    @method startLiveTail
+  */
+  startLiveTail() {
+    if (this.get('liveTail')) {
+      return;
+    }
+
+    let logService = this.get('logService');
+    logEventNames.forEach((eventName) => logService.on(eventName, this, this._onLogMessage));
+    this.set('liveTail', true);
+  },
+
+  /**
+    Switches off live tail mode: unsubscribes from events of log service.
+
+    @method stopLiveTail
+  */
+  stopLiveTail() {
+    if (!this.get('liveTail')) {
+      return;
+    }
+
+    let logService = this.get('logService');
+    logEventNames.forEach((eventName) => logService.off(eventName, this, this._onLogMessage));
+    Ember.run.cancel(this.get('_liveTailRefreshTimer'));
+    this.set('liveTail', false);
+  },
+
+  /**
+    Timer of refresh of list in live tail mode.
+
+    @property _liveTailRefreshTimer
+    @type Object
+    @private
+  */
+  _liveTailRefreshTimer: undefined,
+
+  /**
+    Handles stored message of log service in live tail mode.
+    Record is inserted into list according to sorting, if list is filtered or limited, or page is not the first one,
+    list is refreshed instead, so records are checked by server.
+
+    @method _onLogMessage
+    @param {DS.Model} [applicationLogModel] Stored record of application log.
+    @private
+  */
+  _onLogMessage(applicationLogModel) {
+    if (this.get('isDestroying') || this.get('isDestroyed')) {
+      return;
+    }
+
+    if (!applicationLogModel) {
+      if (this.get('logService.buffered')) {
+        this._scheduleLiveTailRefresh();
+      }
+
+      return;
+    }
+
+    if (this._isLiveTailLimited()) {
+      this._scheduleLiveTailRefresh();
+      return;
+    }
+
+    let model = this.get('model');
+    let records = Ember.isArray(model) ? model.toArray() : [];
+    if (records.indexOf(applicationLogModel) !== -1) {
+      return;
+    }
+
+    let sorting = model ? model.get('sorting') : undefined;
+    let index = this._getLiveTailIndex(records, applicationLogModel, sorting);
+    if (index === records.length && model && model.get('meta.count') > records.length) {
+      // Record belongs to next pages.
+      return;
+    }
+
+    records.splice(index, 0, applicationLogModel);
+    records.splice(this.get('liveTailMaxRecords'));
+    this.set('model', Ember.ArrayProxy.create({
+      content: Ember.A(records),
+      meta: model ? model.get('meta') : undefined,
+      type: model ? model.get('type') : undefined,
+      sorting: sorting,
+    }));
+  },
+
+  /**
+    Checks whether list is filtered, limited or shows not the first page, so new records can not be inserted into it on client.
+
+    @method _isLiveTailLimited
+    @return {Boolean}
+    @private
+  */
+  _isLiveTailLimited() {
+    let componentName = Object.keys(this.get('developerUserSettings') || {})[0];
+    return Number(this.get('page')) > 1 || !!this.get('objectlistviewEventsService').getLimitFunction(componentName);
+  },
+
+  /**
+    Returns index to insert record into list according to sorting, new records are the first ones in list without sorting.
+
+    @method _getLiveTailIndex
+    @param {DS.Model[]} records Records of list.
+    @param {DS.Model} record Record to insert.
+    @param {Object[]} [sorting] Sorting of list.
+    @return {Number}
+    @private
+  */
+  _getLiveTailIndex(records, record, sorting) {
+    let sortingItems = Ember.A(sorting || []).filter((item) => item.direction === 'asc' || item.direction === 'desc');
+    if (sortingItems.length === 0) {
+      return 0;
+    }
+
+    let compare = (a, b) => {
+      for (let i = 0; i < sortingItems.length; i++) {
+        let result = Ember.compare(Ember.get(a, sortingItems[i].propName), Ember.get(b, sortingItems[i].propName));
+        if (result !== 0) {
+          return sortingItems[i].direction === 'asc' ? result : -result;
+        }
+      }
+
+      return 0;
+    };
+
+    let index = records.findIndex((item) => compare(record, item) < 0);
+    return index === -1 ? records.length : index;
+  },
+
+  /**
+    Schedules refresh of list in live tail mode.
+
+    @method _scheduleLiveTailRefresh
+    @private
+  */
+  _scheduleLiveTailRefresh() {
+    this.set('_liveTailRefreshTimer', Ember.run.debounce(this, this._refreshLiveTail, this.get('liveTailRefreshDelay')));
+  },
+
+  /**
+    Refreshes list in live tail mode.
+
+    @method _refreshLiveTail
+    @private
+  */
+  _refreshLiveTail() {
+    if (this.get('liveTail') && !this.get('isDestroying')) {
+      this.send('refreshList');
+    }
+  },
+
+  willDestroy() {
+    this.stopLiveTail();
+    this._super(...arguments);
+  },
+
   /**
     Method to get type and attributes of a component,
     which will be embeded in object-list-view cell.
@@ -109,6 +109,50 @@ export default ListFormController.extend(SortableRouteMixin, PredicateFromFilter
   */
   disableHierarchicalMode: false,
 
+  /**
+    Flag indicates whether several records can be chosen.
+    In this mode rows are checked and chosen by button.
+
+    @property multiSelect
+    @type Boolean
+    @default false
+  */
+  multiSelect: false,
+
+  /**
+    Parameters to create new record from modal window, create button is shown if they are defined.
+    See {{#crossLink "FlexberryLookupMixin/actions.createLookupValue:method"}}{{/crossLink}}.
+
+    @property createData
+    @type Object
+  */
+  createData: undefined,
+
+  /**
+    Name of attribute shown in nodes of tree in tree picker mode.
+
+    @property displayAttributeName
+    @type String
+  */
+  displayAttributeName: undefined,
+
+  /**
+    Flag indicates whether only records without children can be chosen in tree picker mode.
+
+    @property onlyLeavesSelectable
+    @type Boolean
+    @default false
+  */
+  onlyLeavesSelectable: false,
+
+  /**
+    Name of boolean attribute, which indicates whether record has children, in tree picker mode.
+
+    @property hasChildrenAttribute
+    @type String
+  */
+  hasChildrenAttribute: undefined,
+
   /**
     Service that triggers lookup events.
 
@@ -129,6 +173,36 @@ export default ListFormController.extend(SortableRouteMixin, PredicateFromFilter
       this.closeModalDialog();
     },
 
+    /**
+      Save checked rows to object property in multi-select mode and close modal window.
+
+      @method actions.chooseSelected
+    */
+    chooseSelected() {
+      let masters = [];
+      let selectedRecords = this.get('objectlistviewEventsService').getSelectedRecords(this.get('folvComponentName'));
+      if (selectedRecords) {
+        selectedRecords.forEach((recordWithKey) => {
+          masters.push(recordWithKey.data);
+        });
+      }
+
+      if (masters.length > 0) {
+        this._selectMaster(masters);
+      }
+
+      this.closeModalDialog();
+    },
+
+    /**
+      Show edit form of new record instead of list, saved record is chosen as lookup value.
+
+      @method actions.createLookupValue
+    */
+    createLookupValue() {
+      this.get('reloadContext').send('createLookupValue', Ember.merge({ inLookupDialog: true }, this.get('createData')));
+    },
+
     /**
       Handlers create modal window action. Save created window, to have opportunity to close it later.
 
@@ -202,7 +276,9 @@ export default ListFormController.extend(SortableRouteMixin, PredicateFromFilter
         currentLookupRow: this.get('currentLookupRow'),
         customPropertiesData: this.get('customPropertiesData'),
         componentName: this.get('componentName'),
-        folvComponentName: this.get('folvComponentName')
+        folvComponentName: this.get('folvComponentName'),
+        multiSelect: this.get('multiSelect'),
+        createData: this.get('createData')
       };
 
       if (reloadData.customPropertiesData) {
@@ -291,7 +367,7 @@ export default ListFormController.extend(SortableRouteMixin, PredicateFromFilter
     Set master to corresponding property of editing object.
 
     @method _selectMaster
-    @param {Object} master Selected master for editing property.
+    @param {Object|Array} master Selected master for editing property or array of masters in multi-select mode.
     @private
   */
   _selectMaster(master) {
@@ -308,7 +384,9 @@ export default ListFormController.extend(SortableRouteMixin, PredicateFromFilter
           relationName: saveTo.propName,
           modelToLookup: saveTo.model,
           newRelationValue: master,
-          componentName: componentName
+          componentName: componentName,
+          linkModelName: saveTo.linkModelName,
+          linkModelAttributeName: saveTo.linkModelAttributeName
         });
     } else {
       Ember.deprecate(`You need to send updateLookupAction name to saveTo object in lookup choose parameters`, false, {
@@ -0,0 +1,20 @@
+/**
+  @module ember-flexberry
+*/
+
+import { extendQueryAdapters } from '../utils/string-predicates';
+
+/**
+  Adds support of "ends with" and regular expression predicates to query adapters.
+
+  @for ApplicationInitializer
+  @method stringPredicates.initialize
+*/
+export function initialize() {
+  extendQueryAdapters();
+}
+
+export default {
+  name: 'string-predicates',
+  initialize
+};
@@ -0,0 +1,21 @@
+/**
+  @module ember-flexberry
+*/
+
+/**
+  Initializes {{#crossLink "RouteMetricsService"}}route metrics service{{/crossLink}}
+  to make it possible to measure the initial transition of application.
+
+  @for ApplicationInstanceInitializer
+  @method routeMetrics.initialize
+  @param {<a href="http://emberjs.com/api/classes/Ember.ApplicationInstance.html">Ember.ApplicationInstance</a>} applicationInstance Ember application instance.
+*/
+export function initialize(applicationInstance) {
+  // Instantiate route metrics service to force it's initialization logic execution.
+  applicationInstance.lookup('service:route-metrics');
+}
+
+export default {
+  name: 'route-metrics',
+  initialize: initialize
+};
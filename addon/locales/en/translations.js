@@ -8,7 +8,21 @@ export default {
       'save-button-text': 'Save',
       'saveAndClose-button-text': 'Save and close',
       'delete-button-text': 'Delete',
-      'close-button-text': 'Close'
+      'close-button-text': 'Close',
+      'undo-button-text': 'Undo',
+      'redo-button-text': 'Redo',
+      'restore-draft-question': 'There is unsaved draft of this form from {{savedAt}}. Restore it?',
+      'unsaved-changes-caption': 'You have unsaved changes',
+      'unsaved-changes-text': 'Save changes before leaving the form?',
+      'unsaved-changes-discard-button-text': 'Discard',
+      'unsaved-changes-cancel-button-text': 'Cancel',
+      'concurrency-conflict-caption': 'Record was changed by another user',
+      'concurrency-conflict-text': 'Fields below are changed both on the form and by another user. Choose values to save.',
+      'concurrency-conflict-field': 'Field',
+      'concurrency-conflict-mine': 'Mine',
+      'concurrency-conflict-theirs': 'Theirs',
+      'concurrency-conflict-merged': 'Merged',
+      'concurrency-conflict-details': 'Rows: {{count}}'
     },
 
     'error-form': {
@@ -21,7 +35,14 @@ export default {
     },
 
     'i-i-s-caseberry-logging-objects-application-log-l': {
-      caption: 'Application log'
+      caption: 'Application log',
+      'live-tail-button-text': 'Live tail',
+      'group-messages-button-text': 'Group identical messages'
+    },
+
+    'i-i-s-caseberry-logging-objects-application-log-e': {
+      'stack-trace-caption': 'Stack trace',
+      'formatted-message-caption': 'Formatted message'
     },
 
     'new-platform-flexberry-services-lock-list': {
@@ -111,6 +132,14 @@ export default {
       'choose-button-text': 'Choose',
       'remove-button-text': 'Remove',
       'preview-button-text': 'View',
+      'choose-selected-button-text': 'Choose selected',
+      'create-button-text': 'Create',
+      'create-limit-error-text': 'Created record does not satisfy limit of lookup and can not be chosen.',
+      'remove-value-button-text': 'Remove value',
+      'recent-values': 'Recently used',
+      'favorite-values': 'Favorites',
+      'pin-value-button-text': 'Pin value',
+      'unpin-value-button-text': 'Unpin value',
       'dropdown': {
         'messages': {
           'noResultsHeader': 'No results',
@@ -127,7 +156,9 @@ export default {
       },
       'without-sorting': 'Without sorting',
       'search-page-placeholder': '№ page',
-      'search-button-text': 'Go to page'
+      'search-button-text': 'Go to page',
+      'load-more-button-text': 'Load more',
+      'end-of-list-text': 'All records are loaded'
     },
 
     'flexberry-groupedit': {
@@ -146,6 +177,17 @@ export default {
       'single-column-header-title': 'Model properties',
       'sort-ascending': 'Order ascending',
       'sort-descending': 'Order descending',
+      'group-empty-value': '(empty)',
+      'group-count': 'records: {{count}}',
+      'remove-grouping': 'Remove grouping',
+      'totals-caption': 'Total',
+      'group-aggregates': {
+        'count': 'Count',
+        'sum': 'Sum',
+        'avg': 'Average',
+        'min': 'Min',
+        'max': 'Max'
+      },
       'menu-in-row': {
         'add-menu-item-title': 'Add record',
         'edit-menu-item-title': 'Edit record',
@@ -166,6 +208,14 @@ export default {
         'empty': 'Empty',
         'nempty': 'Not empty',
         'between': 'Between',
+        'startswith': 'Starts with',
+        'endswith': 'Ends with',
+        'regex': 'Matches regular expression',
+        'in': 'In list',
+        'today': 'Today',
+        'last7days': 'Last 7 days',
+        'thismonth': 'This month',
+        'thisquarter': 'This quarter',
       },
       'filter-condition': 'Condition',
       'clear-filter-in-column': 'Clear the filter in this column',
@@ -176,10 +226,16 @@ export default {
       'to': '(to)'
     },
 
+    'olv-filter-list': {
+      'placeholder': 'Value; value...'
+    },
+
     'olv-toolbar': {
       'add-button-text': 'Add',
       'refresh-button-text': 'Refresh',
       'delete-button-text': 'Delete',
+      'inline-save-button-text': 'Save changes',
+      'inline-cancel-button-text': 'Cancel changes',
       'custom-button-text': 'Custom button',
       'hierarchy-button-text': 'On/off hierarchy',
       'coll-expand-button-text':'Collapse/Expand all hierarchies',
@@ -188,6 +244,8 @@ export default {
       'search-button-text': 'Search',
       'clear-search-button-text': 'Clear search',
       'export-excel-button-text': 'Export to Excel',
+      'export-csv-title': 'Export to CSV',
+      'export-xlsx-title': 'Export to Excel (XLSX)',
       'filter-by-any-match-placeholder': 'Search...',
       'create-setting-title': 'New setting',
       'use-setting-title': 'Use',
@@ -200,6 +258,15 @@ export default {
       'edit-limit-title': 'Edit',
       'remove-limit-title': 'Remove',
       'set-default-limit-title': 'Default limit',
+      'save-view-title': 'Save view',
+      'apply-view-title': 'Apply view',
+      'clone-view-title': 'Clone view',
+      'remove-view-title': 'Remove view',
+      'view-name': 'View name',
+      'view-shared': 'Share with all users',
+      'view-copy-suffix': '(copy)',
+      'save': 'Save',
+      'cancel': 'Cancel',
       'show-default-setting-title': 'Show settings',
       'show-setting-caption': 'To set this settings by default you can copy and init property developerUserSettings in /app/routes/',
       'close': 'Close',
@@ -228,6 +295,7 @@ export default {
       'export-modal-dialog-title': 'Customize export in Excel',
       'export-title': 'Export in Excel',
       'dont-show-columns': 'Do not display columns',
+      'group-by': 'Group rows by column',
       'columns-order': 'Specify the order of the columns',
       'column-name': 'Column name',
       'sort-direction': 'Sorting direction',
@@ -267,7 +335,29 @@ export default {
       'is-saved': ' was saved',
       'is-deleted': ' was deleted',
       'is-correct': 'Current limit string is correct',
-      'check': 'Check'
+      'check': 'Check',
+      'visual-mode': 'Visual editor',
+      'text-mode': 'Text editor',
+      'cant-edit-visually': 'Current limit can\'t be edited in visual editor',
+      'invalid-value': 'Value of condition "{{attribute}}" is not valid',
+      'condition-and': 'All conditions (AND)',
+      'condition-or': 'Any condition (OR)',
+      'add-rule': 'Add condition',
+      'add-group': 'Add group',
+      'remove': 'Remove',
+      'attribute': 'Attribute',
+      'operators': {
+        'eq': 'Equals',
+        'neq': 'Not equal',
+        'le': 'Less than',
+        'leq': 'Less than or equal',
+        'ge': 'Greater than',
+        'geq': 'Greater than or equal',
+        'like': 'Contains',
+        'nlike': 'Does not contain',
+        'empty': 'Empty',
+        'nempty': 'Not empty'
+      }
     },
 
     'filters-dialog-content': {
@@ -282,6 +372,21 @@ export default {
       'render-time': 'Render time',
     },
 
+    'route-metrics-panel': {
+      'route-name': 'Form',
+      'count': 'Transitions',
+      'model-time': 'Loading of data, ms (p50 / p90 / p99)',
+      'render-time': 'Rendering, ms (p50 / p90 / p99)',
+      'interactive-time': 'Time to interactive, ms (p50 / p90 / p99)',
+      'no-data': 'No measured transitions',
+      'reset-button-text': 'Reset',
+    },
+
+    'list-export': {
+      'yes': 'Yes',
+      'no': 'No'
+    },
+
     'flexberry-dialog': {
       'approve-button': {
         'caption': 'Ok'
@@ -300,6 +405,12 @@ export default {
 
     'flexberry-tree': {
       'placeholder': 'Tree nodes are not defined'
+    },
+
+    'flexberry-lookup-tree': {
+      'search-placeholder': 'Search',
+      'loading-text': 'Loading...',
+      'no-records-text': 'No records'
     }
 
   },
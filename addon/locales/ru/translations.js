@@ -8,7 +8,21 @@ export default {
       'save-button-text': 'Сохранить',
       'saveAndClose-button-text': 'Сохранить и закрыть',
       'delete-button-text': 'Удалить',
-      'close-button-text': 'Закрыть'
+      'close-button-text': 'Закрыть',
+      'undo-button-text': 'Отменить',
+      'redo-button-text': 'Повторить',
+      'restore-draft-question': 'Есть несохраненный черновик этой формы от {{savedAt}}. Восстановить его?',
+      'unsaved-changes-caption': 'Есть несохраненные изменения',
+      'unsaved-changes-text': 'Сохранить изменения перед уходом с формы?',
+      'unsaved-changes-discard-button-text': 'Не сохранять',
+      'unsaved-changes-cancel-button-text': 'Отмена',
+      'concurrency-conflict-caption': 'Запись изменена другим пользователем',
+      'concurrency-conflict-text': 'Поля ниже изменены и на форме, и другим пользователем. Выберите значения для сохранения.',
+      'concurrency-conflict-field': 'Поле',
+      'concurrency-conflict-mine': 'Мои',
+      'concurrency-conflict-theirs': 'Чужие',
+      'concurrency-conflict-merged': 'Итог',
+      'concurrency-conflict-details': 'Строк: {{count}}'
     },
 
     'error-form': {
@@ -21,7 +35,14 @@ export default {
     },
 
     'i-i-s-caseberry-logging-objects-application-log-l': {
-      caption: 'Лог приложения'
+      caption: 'Лог приложения',
+      'live-tail-button-text': 'Отслеживать новые',
+      'group-messages-button-text': 'Группировать одинаковые сообщения'
+    },
+
+    'i-i-s-caseberry-logging-objects-application-log-e': {
+      'stack-trace-caption': 'Стек вызовов',
+      'formatted-message-caption': 'Форматированное сообщение'
     },
 
     'new-platform-flexberry-services-lock-list': {
@@ -111,6 +132,14 @@ export default {
       'choose-button-text': 'Выбрать',
       'remove-button-text': 'Очистить',
       'preview-button-text': 'Просмотр',
+      'choose-selected-button-text': 'Выбрать отмеченные',
+      'create-button-text': 'Создать',
+      'create-limit-error-text': 'Созданная запись не удовлетворяет ограничению и не может быть выбрана.',
+      'remove-value-button-text': 'Удалить значение',
+      'recent-values': 'Недавние',
+      'favorite-values': 'Избранные',
+      'pin-value-button-text': 'Закрепить значение',
+      'unpin-value-button-text': 'Открепить значение',
       'dropdown': {
         'messages': {
           'noResultsHeader': 'Нет данных',
@@ -128,7 +157,9 @@ export default {
       },
       'without-sorting': 'Без сортировки',
       'search-page-placeholder': '№ страницы',
-      'search-button-text': 'Переход на страницу'
+      'search-button-text': 'Переход на страницу',
+      'load-more-button-text': 'Загрузить ещё',
+      'end-of-list-text': 'Все записи загружены'
     },
 
     'flexberry-groupedit': {
@@ -147,6 +178,17 @@ export default {
       'single-column-header-title': 'Свойства модели',
       'sort-ascending': 'По возрастанию',
       'sort-descending': 'По убыванию',
+      'group-empty-value': '(пусто)',
+      'group-count': 'записей: {{count}}',
+      'remove-grouping': 'Отменить группировку',
+      'totals-caption': 'Итого',
+      'group-aggregates': {
+        'count': 'Количество',
+        'sum': 'Сумма',
+        'avg': 'Среднее',
+        'min': 'Минимум',
+        'max': 'Максимум'
+      },
       'menu-in-row': {
         'add-menu-item-title': 'Добавить запись',
         'edit-menu-item-title': 'Редактировать запись',
@@ -167,6 +209,14 @@ export default {
         'nempty': 'Заполнен',
         'empty': 'Не заполнен',
         'between': 'В интервале',
+        'startswith': 'Начинается с',
+        'endswith': 'Заканчивается на',
+        'regex': 'Соответствует регулярному выражению',
+        'in': 'В списке',
+        'today': 'Сегодня',
+        'last7days': 'За последние 7 дней',
+        'thismonth': 'В этом месяце',
+        'thisquarter': 'В этом квартале',
       },
       'filter-condition': 'Условие',
       'clear-filter-in-column': 'Сбросить фильтр в этой колонке',
@@ -177,10 +227,16 @@ export default {
       'to': '(до)'
     },
 
+    'olv-filter-list': {
+      'placeholder': 'Значение; значение...'
+    },
+
     'olv-toolbar': {
       'add-button-text': 'Добавить',
       'refresh-button-text': 'Обновить',
       'delete-button-text': 'Удалить',
+      'inline-save-button-text': 'Сохранить изменения',
+      'inline-cancel-button-text': 'Отменить изменения',
       'custom-button-text': 'Пользовательская кнопка',
       'hierarchy-button-text': 'Вкл/выкл иерархии',
       'coll-expand-button-text':'Свернуть/развернуть все иерархии',
@@ -189,6 +245,8 @@ export default {
       'search-button-text': 'Поиск',
       'clear-search-button-text': 'Очистить поиск',
       'export-excel-button-text': 'Экспорт в Excel',
+      'export-csv-title': 'Экспорт в CSV',
+      'export-xlsx-title': 'Экспорт в Excel (XLSX)',
       'filter-by-any-match-placeholder': 'Поиск...',
       'create-setting-title': 'Новая настройка',
       'use-setting-title': 'Применить',
@@ -204,6 +262,15 @@ export default {
       'edit-limit-title': 'Редактировать',
       'remove-limit-title': 'Удалить',
       'set-default-limit-title': 'Сбросить ограничение',
+      'save-view-title': 'Сохранить представление',
+      'apply-view-title': 'Применить представление',
+      'clone-view-title': 'Копировать представление',
+      'remove-view-title': 'Удалить представление',
+      'view-name': 'Название представления',
+      'view-shared': 'Доступно всем пользователям',
+      'view-copy-suffix': '(копия)',
+      'save': 'Сохранить',
+      'cancel': 'Отмена',
       'close': 'Закрыть',
       'copy': 'Копировать',
       'copied': 'Скопировано',
@@ -230,6 +297,7 @@ export default {
       'export-modal-dialog-title': 'Настроить экспорт в Excel',
       'export-title': 'Экспорт в Excel',
       'dont-show-columns': 'Не отображать столбцы',
+      'group-by': 'Группировать строки по столбцу',
       'columns-order': 'Определить порядок столбцов',
       'column-name': 'Название столбца',
       'sort-direction': 'Направление сортировки',
@@ -270,7 +338,29 @@ export default {
       'is-saved': ' сохранено',
       'is-deleted': ' удалено',
       'is-correct': 'Текущая строка ограничения корректна',
-      'check': 'Проверить'
+      'check': 'Проверить',
+      'visual-mode': 'Визуальный редактор',
+      'text-mode': 'Текстовый редактор',
+      'cant-edit-visually': 'Текущее ограничение не может быть изменено в визуальном редакторе',
+      'invalid-value': 'Некорректное значение условия "{{attribute}}"',
+      'condition-and': 'Все условия (И)',
+      'condition-or': 'Любое условие (ИЛИ)',
+      'add-rule': 'Добавить условие',
+      'add-group': 'Добавить группу',
+      'remove': 'Удалить',
+      'attribute': 'Атрибут',
+      'operators': {
+        'eq': 'Равно',
+        'neq': 'Не равно',
+        'le': 'Меньше',
+        'leq': 'Меньше или равно',
+        'ge': 'Больше',
+        'geq': 'Больше или равно',
+        'like': 'Содержит',
+        'nlike': 'Не содержит',
+        'empty': 'Пусто',
+        'nempty': 'Не пусто'
+      }
     },
 
     'filters-dialog-content': {
@@ -285,6 +375,21 @@ export default {
       'render-time': 'Время отрисовки',
     },
 
+    'route-metrics-panel': {
+      'route-name': 'Форма',
+      'count': 'Переходы',
+      'model-time': 'Загрузка данных, мс (p50 / p90 / p99)',
+      'render-time': 'Отрисовка, мс (p50 / p90 / p99)',
+      'interactive-time': 'Время до готовности, мс (p50 / p90 / p99)',
+      'no-data': 'Нет измеренных переходов',
+      'reset-button-text': 'Сбросить',
+    },
+
+    'list-export': {
+      'yes': 'Да',
+      'no': 'Нет'
+    },
+
     'flexberry-dialog': {
       'approve-button': {
         'caption': 'Ок'
@@ -305,6 +410,12 @@ export default {
       'placeholder': 'Вершины дерева не заданы'
     },
 
+    'flexberry-lookup-tree': {
+      'search-placeholder': 'Поиск',
+      'loading-text': 'Загрузка...',
+      'no-records-text': 'Нет записей'
+    },
+
   },
 
   'models': {
@@ -8,7 +8,7 @@ import ReloadListMixin from '../mixins/reload-list-mixin';
 import { Query } from 'ember-flexberry-data';
 import serializeSortingParam from '../utils/serialize-sorting-param';
 
-const { BasePredicate } = Query;
+const { Condition, BasePredicate, ComplexPredicate, NotPredicate, JsAdapter } = Query;
 
 /**
   Mixin for {{#crossLink "DS.Controller"}}Controller{{/crossLink}} to support work with modal windows at lookups.
@@ -59,6 +59,34 @@ export default Ember.Mixin.create(ReloadListMixin, {
     */
     loaderTemplate: undefined,
 
+    /**
+      Name of template for content of modal window in tree picker mode of lookup.
+      If it is not defined, `lookup-dialog-tree-content` template of addon is used.
+
+      @property treeContentTemplate
+      @type String
+      @default 'lookup-dialog-tree-content'
+    */
+    treeContentTemplate: 'lookup-dialog-tree-content',
+
+    /**
+      Dependencies of lookups on values of other lookups (chains like "Country → Region → City").
+      Keys are names of lookup components, values are objects with `dependsOn` and `limitBy` properties,
+      see {{#crossLink "FlexberryLookup/dependsOn:property"}}{{/crossLink}}.
+
+      @example
+        ```javascript
+        dependencies: {
+          RegionLookup: { dependsOn: 'country' },
+          CityLookup: { dependsOn: 'region', limitBy: 'region' }
+        }
+        ```
+
+      @property dependencies
+      @type Object
+    */
+    dependencies: undefined,
+
     /**
       Object with settings for modal window.
 
@@ -146,7 +174,15 @@ export default Ember.Mixin.create(ReloadListMixin, {
         perPage: this.get('lookupModalWindowPerPage'),
         sorting: undefined,
         hierarchicalAttribute: lookupController.get('hierarchicalAttribute'),
-        updateLookupAction: undefined
+        updateLookupAction: undefined,
+        multiSelect: false,
+        linkModelName: undefined,
+        linkModelAttributeName: undefined,
+        treePicker: false,
+        onlyLeavesSelectable: false,
+        hasChildrenAttribute: undefined,
+        displayAttributeName: undefined,
+        createData: undefined
       }, chooseData);
 
       let disableHierarchy = Ember.get(options, 'lookupWindowCustomPropertiesData.disableHierarchicalMode');
@@ -195,6 +231,18 @@ export default Ember.Mixin.create(ReloadListMixin, {
       // Get property type name.
       let relatedToType = relation.type;
 
+      // Records to choose are masters of link model for multi-select mode with link model.
+      const linkModelName = options.linkModelName;
+      const linkModelAttributeName = options.linkModelAttributeName;
+      if (linkModelName) {
+        let linkRelation = Ember.get(this.store.modelFor(linkModelName), 'relationshipsByName').get(linkModelAttributeName);
+        if (!linkRelation) {
+          throw new Error(`No relation with '${linkModelAttributeName}' name defined in '${linkModelName}' model.`);
+        }
+
+        relatedToType = linkRelation.type;
+      }
+
       // Lookup
       let lookupSettings = this.get('lookupSettings');
       Ember.assert('Lookup settings are undefined.', lookupSettings);
@@ -216,9 +264,13 @@ export default Ember.Mixin.create(ReloadListMixin, {
         saveTo: {
           model: model,
           propName: relationName,
-          updateLookupAction: updateLookupAction
+          updateLookupAction: updateLookupAction,
+          linkModelName: linkModelName,
+          linkModelAttributeName: linkModelAttributeName
         },
-        currentLookupRow: model.get(relationName),
+        currentLookupRow: options.multiSelect ? undefined : model.get(relationName),
+        multiSelect: options.multiSelect,
+        createData: options.createData,
         customPropertiesData: lookupWindowCustomPropertiesData,
         componentName: componentName,
         folvComponentName: folvComponentName,
@@ -226,6 +278,16 @@ export default Ember.Mixin.create(ReloadListMixin, {
         modalDialogSettings: options.modalDialogSettings,
       };
 
+      if (options.treePicker) {
+        Ember.assert('Hierarchical attribute is undefined for tree picker mode.', hierarchicalAttribute);
+        Ember.assert('Tree picker mode can\'t be used with multi-select mode.', !options.multiSelect);
+        reloadData.displayAttributeName = options.displayAttributeName;
+        reloadData.onlyLeavesSelectable = options.onlyLeavesSelectable;
+        reloadData.hasChildrenAttribute = options.hasChildrenAttribute;
+        this._showLookupTree(this, reloadData);
+        return;
+      }
+
       this._reloadModalData(this, reloadData);
     },
 
@@ -241,22 +303,30 @@ export default Ember.Mixin.create(ReloadListMixin, {
 
     /**
       Handlers action from FlexberryLookup remove action.
+      For `hasMany` relationship it removes `removedValue` record or all records if it is not defined.
 
       @method actions.removeLookupValue
-      @param {Object} removeData Lookup parameters: { relationName, modelToLookup }.
+      @param {Object} removeData Lookup parameters: { relationName, modelToLookup, removedValue, linkModelName, linkModelAttributeName }.
     */
     removeLookupValue(removeData) {
       let options = Ember.$.extend(true, {
         relationName: undefined,
         modelToLookup: undefined,
-        componentName: undefined
+        componentName: undefined,
+        removedValue: undefined,
+        linkModelName: undefined,
+        linkModelAttributeName: undefined
       }, removeData);
       const componentName = options.componentName;
       let relationName = options.relationName;
       let modelToLookup = options.modelToLookup;
 
       let model = modelToLookup ? modelToLookup : this.get('model');
-      model.set(relationName, undefined);
+      if (this._isHasManyRelationship(model, relationName)) {
+        this._removeLookupValues(model, relationName, options.removedValue, options.linkModelName, options.linkModelAttributeName);
+      } else {
+        model.set(relationName, undefined);
+      }
 
       // Manually make record dirty, because ember-data does not do it when relationship changes.
       model.makeDirty();
@@ -340,25 +410,132 @@ export default Ember.Mixin.create(ReloadListMixin, {
       }
     },
 
+    /**
+      Handlers action from FlexberryLookup create action.
+      It shows edit form of new record in modal window, saved record is chosen as lookup value.
+      Record must satisfy limit predicate of lookup, otherwise it is not chosen and error is shown on the form.
+
+      @method actions.createLookupValue
+      @param {Object} createData Lookup parameters: { createFormRoute, controller, projection, modelName, relationName, modelToLookup, componentName, predicate, updateLookupAction, linkModelName, linkModelAttributeName, inLookupDialog }.
+    */
+    createLookupValue(createData) {
+      let options = Ember.$.extend({
+        createFormRoute: undefined,
+        controller: undefined,
+        projection: undefined,
+        modelName: undefined,
+        relationName: undefined,
+        modelToLookup: undefined,
+        componentName: undefined,
+        predicate: undefined,
+        updateLookupAction: 'updateLookupValue',
+        linkModelName: undefined,
+        linkModelAttributeName: undefined,
+        modalDialogSettings: undefined,
+        inLookupDialog: false
+      }, createData);
+      const createFormRoute = options.createFormRoute;
+      const modelName = options.modelName;
+      const componentName = options.componentName;
+      Ember.assert('\`createFormRoute\` is undefined.', createFormRoute);
+      Ember.assert('Model name of lookup value is undefined.', modelName);
+
+      let routeName = options.controller || createFormRoute;
+      let controller = Ember.getOwner(this).lookup(`controller:${routeName}`);
+      if (Ember.isNone(controller)) {
+        throw new Error(`Controller with '${routeName}' name does not exist.`);
+      }
+
+      let route = Ember.getOwner(this).lookup(`route:${createFormRoute}`);
+      let projectionName = options.projection || (route ? route.get('modelProjection') : undefined);
+      if (Ember.isNone(projectionName)) {
+        throw new Error('\`createFormProjection\` is undefined.');
+      }
+
+      let projection = Ember.get(this.store.modelFor(modelName), `projections.${projectionName}`);
+      if (!projection) {
+        throw new Error(`No projection with '${projectionName}' name defined in '${modelName}' model.`);
+      }
+
+      let record = this.store.createRecord(modelName);
+      let lookupController = this.get('lookupController');
+      let lookupEventsService = this.get('lookupEventsService');
+      let onDialogHidden = (hiddenComponentName) => {
+        if (hiddenComponentName === componentName) {
+          lookupEventsService.off('lookupDialogOnHidden', onDialogHidden);
+          controller.set('modalDialogHandlers', undefined);
+          if (record.get('isNew') && !record.get('isDeleted')) {
+            record.rollbackAll();
+          }
+        }
+      };
+
+      controller.setProperties({
+        readonly: false,
+        routeName: routeName,
+        modelProjection: projection,
+        modalDialogHandlers: {
+          beforeSave: (createdRecord) => this._checkCreatedLookupValue(createdRecord, options),
+          save: (savedRecord) => this._setCreatedLookupValue(savedRecord, options),
+          close: () => {
+            lookupController.closeModalDialog();
+          }
+        }
+      });
+
+      let lookupSettings = this.get('lookupSettings');
+      let loadingParams = {
+        view: lookupSettings.template,
+        outlet: 'modal-content'
+      };
+
+      // Form is shown instead of list if it is created from opened lookup modal window.
+      if (!options.inLookupDialog) {
+        const modalDialogSettings = Ember.merge({ sizeClass: 'small create-model' }, options.modalDialogSettings);
+        lookupController.setProperties({
+          componentName: componentName,
+          modalDialogSettings: modalDialogSettings,
+        });
+        this.send('showModalDialog', lookupSettings.template);
+      }
+
+      lookupController.setProperties({
+        title: this.get('i18n').t('components.flexberry-lookup.create-button-text'),
+        reloadObserverIsActive: false,
+      });
+      lookupEventsService.on('lookupDialogOnHidden', onDialogHidden);
+      this.send('showModalDialog', createFormRoute, {
+        controller: controller,
+        model: record
+      }, loadingParams);
+    },
+
     /**
       Update relation value at model.
+      For `hasMany` relationship new value (record or array of records) is added to already chosen records.
 
       @method actions.updateLookupValue
-      @param {Object} updateData Lookup parameters to update data at model: { relationName, newRelationValue, modelToLookup }.
+      @param {Object} updateData Lookup parameters to update data at model: { relationName, newRelationValue, modelToLookup, linkModelName, linkModelAttributeName }.
     */
     updateLookupValue(updateData) {
       let options = Ember.$.extend(true, {
         relationName: undefined,
         newRelationValue: undefined,
         modelToLookup: undefined,
-        componentName: undefined
+        componentName: undefined,
+        linkModelName: undefined,
+        linkModelAttributeName: undefined
       }, updateData);
       const componentName = options.componentName;
       const modelToLookup = options.modelToLookup;
       const model = modelToLookup ? modelToLookup : this.get('model');
 
       Ember.debug(`Flexberry Lookup Mixin::updateLookupValue ${options.relationName}`);
-      model.set(options.relationName, options.newRelationValue);
+      if (this._isHasManyRelationship(model, options.relationName)) {
+        this._addLookupValues(model, options.relationName, options.newRelationValue, options.linkModelName, options.linkModelAttributeName);
+      } else {
+        model.set(options.relationName, options.newRelationValue);
+      }
 
       // Manually make record dirty, because ember-data does not do it when relationship changes.
       model.makeDirty();
@@ -366,6 +543,191 @@ export default Ember.Mixin.create(ReloadListMixin, {
     },
   },
 
+  /**
+    Checks record created on form in modal window before its saving, record has to satisfy limit of lookup.
+
+    @method _checkCreatedLookupValue
+    @param {DS.Model} record Created record.
+    @param {Object} options Lookup parameters, see {{#crossLink "FlexberryLookupMixin/actions.createLookupValue:method"}}{{/crossLink}}.
+    @return {Promise} A promise that is rejected with error if record does not satisfy limit of lookup, so record is not saved.
+    @private
+  */
+  _checkCreatedLookupValue(record, options) {
+    if (this._checkLookupLimit(record, options.predicate)) {
+      return Ember.RSVP.resolve();
+    }
+
+    const message = this.get('i18n').t('components.flexberry-lookup.create-limit-error-text').toString();
+    return Ember.RSVP.reject(new Error(message));
+  },
+
+  /**
+    Sets saved record created on form in modal window as value of lookup.
+
+    @method _setCreatedLookupValue
+    @param {DS.Model} record Saved record.
+    @param {Object} options Lookup parameters, see {{#crossLink "FlexberryLookupMixin/actions.createLookupValue:method"}}{{/crossLink}}.
+    @private
+  */
+  _setCreatedLookupValue(record, options) {
+    this.send(options.updateLookupAction, {
+      relationName: options.relationName,
+      modelToLookup: options.modelToLookup,
+      newRelationValue: record,
+      componentName: options.componentName,
+      linkModelName: options.linkModelName,
+      linkModelAttributeName: options.linkModelAttributeName
+    });
+    this.get('lookupController').closeModalDialog();
+  },
+
+  /**
+    Checks on client whether record satisfies limit predicate of lookup.
+    Record that can not be checked by predicate (for example, predicate of details) does not satisfy it.
+
+    @method _checkLookupLimit
+    @param {DS.Model} record Record to check.
+    @param {BasePredicate} [predicate] Limit predicate.
+    @return {Boolean} `true` if record satisfies predicate.
+    @private
+  */
+  _checkLookupLimit(record, predicate) {
+    if (!predicate) {
+      return true;
+    }
+
+    let jsAdapter = new JsAdapter(Ember.getOwner(this).lookup('service:moment'));
+    let check = (predicate) => {
+      if (predicate instanceof NotPredicate) {
+        return !check(predicate.predicate);
+      }
+
+      if (predicate instanceof ComplexPredicate) {
+        let results = predicate.predicates.map(check);
+        return predicate.condition === Condition.Or ? results.indexOf(true) > -1 : results.indexOf(false) === -1;
+      }
+
+      return !!jsAdapter.getAttributeFilterFunction(predicate)(this._getPredicateValues(record, predicate));
+    };
+
+    try {
+      return check(predicate);
+    } catch (e) {
+      Ember.warn(`Limit of lookup can not be checked on client: ${e.message}`, false, { id: 'ember-flexberry.lookup.check-limit' });
+      return false;
+    }
+  },
+
+  /**
+    Returns hash with values of record by attribute paths of predicate, masters are replaced by hashes with `id`.
+
+    @method _getPredicateValues
+    @param {DS.Model} record Record.
+    @param {BasePredicate} predicate Predicate with `attributePath`.
+    @return {Object} Hash of values.
+    @private
+  */
+  _getPredicateValues(record, predicate) {
+    let values = {};
+    let path = predicate.attributePath;
+    if (!path) {
+      return values;
+    }
+
+    let value = Ember.get(record, path);
+    if (value instanceof Ember.Object) {
+      value = { id: Ember.get(value, 'id') };
+    }
+
+    let names = path.split('.');
+    let hash = values;
+    names.slice(0, -1).forEach((name) => {
+      hash = hash[name] = {};
+    });
+    hash[names[names.length - 1]] = value;
+
+    return values;
+  },
+
+  /**
+    Checks whether relationship of model is `hasMany`.
+
+    @method _isHasManyRelationship
+    @param {DS.Model} model Model with relationship.
+    @param {String} relationName Name of relationship.
+    @return {Boolean}
+    @private
+  */
+  _isHasManyRelationship(model, relationName) {
+    let relation = Ember.get(model.constructor, 'relationshipsByName').get(relationName);
+    return !!relation && relation.kind === 'hasMany';
+  },
+
+  /**
+    Adds chosen records to `hasMany` relationship, records that are already chosen are skipped.
+    If `linkModelName` is defined, record of link model is created for each chosen record.
+
+    @method _addLookupValues
+    @param {DS.Model} model Model with relationship.
+    @param {String} relationName Name of `hasMany` relationship.
+    @param {DS.Model|DS.Model[]} newValues Chosen record or records.
+    @param {String} [linkModelName] Name of link model.
+    @param {String} [linkModelAttributeName] Name of relationship of link model to chosen record.
+    @private
+  */
+  _addLookupValues(model, relationName, newValues, linkModelName, linkModelAttributeName) {
+    let values = model.get(relationName);
+    Ember.A(Ember.isArray(newValues) ? newValues : [newValues]).forEach((newValue) => {
+      if (Ember.isNone(newValue)) {
+        return;
+      }
+
+      if (linkModelName) {
+        let link = values.find((item) => !item.get('isDeleted') && item.get(linkModelAttributeName) === newValue);
+        if (!link) {
+          let linkProperties = {};
+          linkProperties[linkModelAttributeName] = newValue;
+          values.pushObject(this.store.createRecord(linkModelName, linkProperties));
+        }
+      } else if (values.indexOf(newValue) === -1) {
+        values.pushObject(newValue);
+      }
+    });
+  },
+
+  /**
+    Removes chosen record from `hasMany` relationship.
+    If `linkModelName` is defined, records of link model are deleted, they are removed on saving of model.
+
+    @method _removeLookupValues
+    @param {DS.Model} model Model with relationship.
+    @param {String} relationName Name of `hasMany` relationship.
+    @param {DS.Model} [removedValue] Record to remove, if it is not defined, all records are removed.
+    @param {String} [linkModelName] Name of link model.
+    @param {String} [linkModelAttributeName] Name of relationship of link model to chosen record.
+    @private
+  */
+  _removeLookupValues(model, relationName, removedValue, linkModelName, linkModelAttributeName) {
+    let values = model.get(relationName);
+    if (!linkModelName) {
+      if (Ember.isNone(removedValue)) {
+        values.clear();
+      } else {
+        values.removeObject(removedValue);
+      }
+
+      return;
+    }
+
+    values.filter((item) => Ember.isNone(removedValue) || item.get(linkModelAttributeName) === removedValue).forEach((link) => {
+      if (link.get('isNew')) {
+        values.removeObject(link);
+      }
+
+      link.deleteRecord();
+    });
+  },
+
   /**
     This method refreshes displayed data on lookup modal window.
 
@@ -396,6 +758,8 @@ export default Ember.Mixin.create(ReloadListMixin, {
     @param {String} [options.customPropertiesData] Custom properties of modal lookup window.
     @param {String} [options.componentName] Component name of lookup component.
     @param {Boolean} [options.notUseUserSettings] Not use user settings in the list component on lookup window.
+    @param {Boolean} [options.multiSelect] Flag indicates whether several records can be chosen on lookup window.
+    @param {Object} [options.createData] Parameters to create new record from lookup window.
   */
   _reloadModalData(currentContext, options) {
     let lookupSettings = currentContext.get('lookupSettings');
@@ -426,6 +790,8 @@ export default Ember.Mixin.create(ReloadListMixin, {
       componentName: undefined,
       folvComponentName: undefined,
       notUseUserSettings: undefined,
+      multiSelect: false,
+      createData: undefined,
     }, options);
 
     Ember.assert('Reload data are not defined fully.',
@@ -463,10 +829,13 @@ export default Ember.Mixin.create(ReloadListMixin, {
     };
 
     controller.clear(reloadData.initialLoad);
+    if (reloadData.initialLoad && reloadData.multiSelect) {
+      // Rows checked in previous opening of modal window must not be chosen again.
+      controller.get('objectlistviewEventsService').clearSelectedRecords(reloadData.folvComponentName);
+    }
 
-    const modalDialogSettings = controller.get('modalDialogSettings') || Ember.merge(Ember.merge({}, reloadData.modalDialogSettings), {
-      settings: Ember.merge(Ember.merge({}, lookupSettings.modalDialogSettings), reloadData.modalDialogSettings.settings),
-    });
+    const modalDialogSettings = controller.get('modalDialogSettings') ||
+      this._mergeModalDialogSettings(lookupSettings, reloadData.modalDialogSettings);
 
     controller.setProperties({
       modelProjection: projection,
@@ -477,6 +846,8 @@ export default Ember.Mixin.create(ReloadListMixin, {
       componentName: reloadData.componentName,
       folvComponentName: reloadData.folvComponentName,
       notUseUserSettings: reloadData.notUseUserSettings,
+      multiSelect: reloadData.multiSelect,
+      createData: reloadData.createData,
       modelName: reloadData.relatedToType,
 
       perPage: queryParameters.perPage,
@@ -516,4 +887,68 @@ export default Ember.Mixin.create(ReloadListMixin, {
       }, loadingParams);
     });
   },
+
+  /**
+    Merges settings of modal window from lookup with default settings from `lookupSettings`.
+
+    @method _mergeModalDialogSettings
+    @param {Object} lookupSettings Lookup settings of controller.
+    @param {Object} modalDialogSettings Settings of modal window from lookup.
+    @return {Object}
+    @private
+  */
+  _mergeModalDialogSettings(lookupSettings, modalDialogSettings) {
+    return Ember.merge(Ember.merge({}, modalDialogSettings), {
+      settings: Ember.merge(Ember.merge({}, lookupSettings.modalDialogSettings), modalDialogSettings.settings),
+    });
+  },
+
+  /**
+    Shows modal window with tree of self-referencing records in tree picker mode of lookup.
+    Content of window is rendered by `lookupSettings.treeContentTemplate` template, `lookup-dialog-tree-content` by default.
+
+    @method _showLookupTree
+    @private
+
+    @param {Object} currentContext Current execution context of this method.
+    @param {Object} options Parameters of lookup, see `_reloadModalData`.
+    @param {String} options.hierarchicalAttribute Name of relationship to parent record.
+    @param {String} options.displayAttributeName Name of attribute shown in nodes of tree.
+    @param {Boolean} [options.onlyLeavesSelectable] Flag indicates whether only records without children can be chosen.
+    @param {String} [options.hasChildrenAttribute] Name of boolean attribute, which indicates whether record has children.
+  */
+  _showLookupTree(currentContext, options) {
+    let lookupSettings = currentContext.get('lookupSettings');
+    let treeContentTemplate = lookupSettings.treeContentTemplate || 'lookup-dialog-tree-content';
+
+    let controller = currentContext.get('lookupController');
+    controller.clear(true);
+    controller.setProperties({
+      title: options.title,
+      saveTo: options.saveTo,
+      currentLookupRow: options.currentLookupRow,
+      componentName: options.componentName,
+      multiSelect: false,
+      createData: undefined,
+      modelName: options.relatedToType,
+      modelType: options.relatedToType,
+      projectionName: options.projectionName,
+      predicate: options.predicate,
+      hierarchicalAttribute: options.hierarchicalAttribute,
+      displayAttributeName: options.displayAttributeName,
+      onlyLeavesSelectable: options.onlyLeavesSelectable,
+      hasChildrenAttribute: options.hasChildrenAttribute,
+      reloadContext: currentContext,
+      modalDialogSettings: this._mergeModalDialogSettings(lookupSettings, options.modalDialogSettings),
+    });
+
+    currentContext.send('showModalDialog', lookupSettings.template);
+    currentContext.send('showModalDialog', treeContentTemplate, {
+      controller: controller,
+      model: null
+    }, {
+      view: lookupSettings.template,
+      outlet: 'modal-content'
+    });
+  },
 });
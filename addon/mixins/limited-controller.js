@@ -3,6 +3,7 @@
 */
 
 import Ember from 'ember';
+import { serializeFiltersParam } from '../utils/filters-query-param';
 
 /**
   Mixin for controller, that restrictions on the list form.
@@ -53,9 +54,9 @@ export default Ember.Mixin.create({
 
     @property queryParams
     @type Array
-    @default ['lf', 'filter']
+    @default ['filter', 'filterCondition', { filtersParam: 'lf' }, { advLimitName: 'al' }]
    */
-  queryParams: ['filter', 'filterCondition'],
+  queryParams: ['filter', 'filterCondition', { filtersParam: 'lf' }, { advLimitName: 'al' }],
 
   /**
     Filters filled in OLV component.
@@ -66,6 +67,25 @@ export default Ember.Mixin.create({
   */
   filters: null,
 
+  /**
+    Filters filled in OLV component, encoded for query parameter `lf`.
+    It is updated with filters, so list with filters can be opened by URL.
+
+    @property filtersParam
+    @type String
+    @default null
+  */
+  filtersParam: null,
+
+  /**
+    Name of adv limit applied to list, it is bound to query parameter `al`.
+
+    @property advLimitName
+    @type String
+    @default null
+  */
+  advLimitName: null,
+
   /**
     String with search query.
 
@@ -119,6 +139,7 @@ export default Ember.Mixin.create({
     applyFilters(filters) {
       this.set('page', 1);
       this.set('filters', filters);
+      this.set('filtersParam', serializeFiltersParam(filters));
       this.send('refreshList');
     },
 
@@ -131,6 +152,7 @@ export default Ember.Mixin.create({
     resetFilters(componentName) {
       this.set('page', 1);
       this.set('filters', null);
+      this.set('filtersParam', null);
       this.send('refreshList');
       this.get('objectlistviewEventsService').resetFiltersTrigger(componentName);
     },
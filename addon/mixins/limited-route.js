@@ -60,7 +60,9 @@ export default Ember.Mixin.create({
   */
   queryParams: {
     filter: { refreshModel: true },
-    filterCondition: { refreshModel: true }
+    filterCondition: { refreshModel: true },
+    filtersParam: { refreshModel: true },
+    advLimitName: { refreshModel: true }
   },
 
   /**
@@ -51,6 +51,12 @@ export default Ember.Mixin.create({
     */
     willTransition(transition) {
       this._super(...arguments);
+
+      // Transition can be aborted, for example, to confirm unsaved changes of form.
+      if (transition.isAborted) {
+        return;
+      }
+
       this.set('_readonly', false);
       let lock = this.get('_currentLock');
       if (lock) {
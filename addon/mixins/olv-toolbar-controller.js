@@ -115,7 +115,8 @@ export default Ember.Mixin.create({
         outlet: 'modal-content'
       };
       this.send('showModalDialog', 'advlimit-dialog-content',
-        { controller: controller, model: { advLimit: advLimit, advLimitName: advLimitName, componentName: componentName, store: store } }, loadingParams);
+        { controller: controller, model: { advLimit: advLimit, advLimitName: advLimitName, componentName: componentName, store: store,
+        modelProjection: this.get('modelProjection') } }, loadingParams);
     }
   },
 
@@ -135,6 +136,7 @@ export default Ember.Mixin.create({
     let sorting = this.get('_userSettingsService').getCurrentSorting(componentName, settingName);
     let columnWidths = this.get('_userSettingsService').getCurrentColumnWidths(componentName, settingName);
     let perPageValue = this.get('_userSettingsService').getCurrentPerPage(componentName, settingName);
+    let groupBy = this.get('_userSettingsService').getCurrentGroupBy(componentName, settingName) || Ember.A();
     let fixedColumns = this.get(`defaultDeveloperUserSettings.${componentName}.DEFAULT.columnWidths`) || Ember.A();
     fixedColumns = fixedColumns.filter(({ fixed }) => fixed).map(obj => { return obj.propName; });
     let saveColWidthState = false;
@@ -233,7 +235,8 @@ export default Ember.Mixin.create({
       let isHasMany = namedColList[propName].isHasMany;
       let fixed = namedColList[propName].fixed;
       delete namedColList[propName];
-      colDesc = { name: name, propName: propName, hide: colOrder.hide, isHasMany: isHasMany, fixed: fixed };
+      colDesc = { name: name, propName: propName, hide: colOrder.hide, isHasMany: isHasMany, fixed: fixed,
+        groupBy: groupBy.indexOf(propName) > -1 };
       if (propName in namedSorting) {
         let sortColumn = namedSorting[propName];
         colDesc.sortOrder = sortColumn.direction === 'asc' ? 1 : -1;
@@ -251,7 +254,7 @@ export default Ember.Mixin.create({
 
     for (propName in namedColList) {
       colDescs.pushObject({ propName: propName, name: namedColList[propName].header, hide: false, sortOrder: 0,
-        isHasMany: namedColList[propName].isHasMany, fixed: namedColList[propName].fixed });
+        isHasMany: namedColList[propName].isHasMany, fixed: namedColList[propName].fixed, groupBy: groupBy.indexOf(propName) > -1 });
     }
 
     let exportParams = { isExportExcel: isExportExcel };
@@ -43,6 +43,21 @@ import Ember from 'ember';
     ...
     ```
 
+    Records can be appended to list by "load more" button or scrolling to the bottom of list instead of paging:
+    ```handlebars
+    <!-- app/templates/employees.hbs -->
+    ...
+    {{flexberry-objectlistview
+      ...
+      loadMoreMode=true
+      recordsTotalCount=recordsTotalCount
+      isLoadingMore=isLoadingMore
+      loadMore=(action 'loadMore')
+      ...
+    }}
+    ...
+    ```
+
   @class PaginatedController
   @uses <a href="http://emberjs.com/api/classes/Ember.Mixin.html">Ember.Mixin</a>
  */
@@ -140,6 +155,26 @@ export default Ember.Mixin.create({
     return page < lastPage;
   }),
 
+  /**
+    If `true` there are records which are not loaded yet in "load more" mode.
+
+    @property hasMoreRecords
+    @type Boolean
+    @readOnly
+  */
+  hasMoreRecords: Ember.computed('model.length', 'recordsTotalCount', function() {
+    return this.get('model.length') < this.get('recordsTotalCount');
+  }),
+
+  /**
+    Flag indicates whether next records are being loaded in "load more" mode.
+
+    @property isLoadingMore
+    @type Boolean
+    @default false
+  */
+  isLoadingMore: false,
+
   /**
     If `true` previous page exists.
 
@@ -285,6 +320,20 @@ export default Ember.Mixin.create({
     firstPage() {
       this.set('page', 1);
     },
+
+    /**
+      Appends next records to list without reloading of route.
+      Records are loaded by the `loadMoreRecords` action of route.
+
+      @method actions.loadMore
+    */
+    loadMore() {
+      if (this.get('isLoadingMore') || !this.get('hasMoreRecords')) {
+        return;
+      }
+
+      this.send('loadMoreRecords');
+    },
   },
 
   /**
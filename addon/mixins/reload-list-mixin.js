@@ -41,6 +41,7 @@ export default Ember.Mixin.create({
    * @param {String} [options.projectionName] Projection name to load data by.
    * @param {String} [options.perPage] Page size.
    * @param {String} [options.page] Current page.
+   * @param {Number} [options.skip] Count of records to skip, if it is defined then `page` is not used to calculate it.
    * @param {String} [options.sorting] Current sorting.
    * @param {String} [options.filter] Current filter.
    * @param {String} [options.predicate] Predicate to limit records.
@@ -105,6 +106,9 @@ export default Ember.Mixin.create({
     Ember.assert('page must be greater than zero.', pageNumber > 0);
     Ember.assert('perPage must be greater than zero.', perPageNumber > 0);
 
+    let skip = Ember.isNone(reloadOptions.skip) ? (pageNumber - 1) * perPageNumber : parseInt(reloadOptions.skip, 10);
+    Ember.assert('skip must not be negative.', skip >= 0);
+
     let builder = new Builder(store)
       .from(modelName)
       .selectByProjection(projectionName)
@@ -112,14 +116,14 @@ export default Ember.Mixin.create({
 
     if (reloadOptions.hierarchicalAttribute) {
       if (reloadOptions.hierarchyPaging) {
-        builder.top(perPageNumber).skip((pageNumber - 1) * perPageNumber);
+        builder.top(perPageNumber).skip(skip);
         builder.orderBy('id asc');
       }
 
       let hierarchicalPredicate = new SimplePredicate(reloadOptions.hierarchicalAttribute, 'eq', null);
       allPredicates.addObject(hierarchicalPredicate);
     } else {
-      builder.top(perPageNumber).skip((pageNumber - 1) * perPageNumber);
+      builder.top(perPageNumber).skip(skip);
     }
 
     if (Ember.isArray(reloadOptions.sorting)) {
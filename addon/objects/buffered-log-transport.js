@@ -0,0 +1,525 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import Dexie from 'npm:dexie';
+
+const { get, set } = Ember;
+
+/**
+  Transport of {{#crossLink "LogService"}}log service{{/crossLink}}, which stores entries of application log in batches.
+
+  Entries are queued and flushed by timer or when queue reaches `batchSize`.
+  Queue is persisted in IndexedDB, so entries logged offline or before reload of page are sent later.
+  Entries, which are not stored, are retried with exponential backoff, logging is not switched off.
+  Identical entries during `deduplicationInterval` are stored once with count of repeats in `title`,
+  entries exceeding `rateLimit` are dropped and count of dropped entries is logged as warning.
+
+  @class BufferedLogTransport
+  @extends <a href="http://emberjs.com/api/classes/Ember.Object.html">Ember.Object</a>
+*/
+export default Ember.Object.extend({
+  /**
+    Ember data store.
+
+    @property store
+    @type DS.Store
+  */
+  store: undefined,
+
+  /**
+    The name of a model that represents log entity.
+
+    @property modelName
+    @type String
+  */
+  modelName: undefined,
+
+  /**
+    Interval in milliseconds to flush queue.
+
+    @property flushInterval
+    @type Number
+    @default 5000
+  */
+  flushInterval: 5000,
+
+  /**
+    Maximum count of entries stored by one flush, queue is flushed immediately when it reaches this size.
+
+    @property batchSize
+    @type Number
+    @default 20
+  */
+  batchSize: 20,
+
+  /**
+    Maximum count of entries in queue, the oldest entries are dropped.
+
+    @property maxQueueSize
+    @type Number
+    @default 1000
+  */
+  maxQueueSize: 1000,
+
+  /**
+    Delay in milliseconds before the first retry of failed flush, it is doubled for each next retry.
+
+    @property retryDelay
+    @type Number
+    @default 1000
+  */
+  retryDelay: 1000,
+
+  /**
+    Maximum delay in milliseconds between retries of failed flush.
+
+    @property maxRetryDelay
+    @type Number
+    @default 60000
+  */
+  maxRetryDelay: 60000,
+
+  /**
+    Maximum count of entries queued during `rateLimitInterval`.
+
+    @property rateLimit
+    @type Number
+    @default 100
+  */
+  rateLimit: 100,
+
+  /**
+    Interval in milliseconds for `rateLimit`.
+
+    @property rateLimitInterval
+    @type Number
+    @default 60000
+  */
+  rateLimitInterval: 60000,
+
+  /**
+    Interval in milliseconds, during which identical entries (with the same category and message) are stored once.
+
+    @property deduplicationInterval
+    @type Number
+    @default 10000
+  */
+  deduplicationInterval: 10000,
+
+  /**
+    Flag: indicates whether queue is persisted in IndexedDB.
+
+    @property persistent
+    @type Boolean
+    @default true
+  */
+  persistent: true,
+
+  /**
+    Name of IndexedDB database to persist queue.
+
+    @property databaseName
+    @type String
+    @default 'flexberry-log-queue'
+  */
+  databaseName: 'flexberry-log-queue',
+
+  /**
+    Queued entries `{ key, properties, count, time }`.
+
+    @property _queue
+    @type Array
+    @private
+  */
+  _queue: undefined,
+
+  /**
+    IndexedDB database.
+
+    @property _db
+    @type Dexie
+    @private
+  */
+  _db: undefined,
+
+  /**
+    Promise of current flush.
+
+    @property _flushPromise
+    @type Promise
+    @private
+  */
+  _flushPromise: undefined,
+
+  /**
+    Count of failed flushes in a row.
+
+    @property _failedFlushCount
+    @type Number
+    @default 0
+    @private
+  */
+  _failedFlushCount: 0,
+
+  /**
+    Identifier of timer of next flush.
+
+    @property _timer
+    @type Number
+    @private
+  */
+  _timer: undefined,
+
+  /**
+    Start time of current interval of rate limit.
+
+    @property _rateLimitStart
+    @type Number
+    @default 0
+    @private
+  */
+  _rateLimitStart: 0,
+
+  /**
+    Count of entries queued during current interval of rate limit.
+
+    @property _rateLimitCount
+    @type Number
+    @default 0
+    @private
+  */
+  _rateLimitCount: 0,
+
+  /**
+    Count of entries dropped during current interval of rate limit.
+
+    @property _droppedCount
+    @type Number
+    @default 0
+    @private
+  */
+  _droppedCount: 0,
+
+  /**
+    Properties of the last pushed entry, they are used as base of entry about dropped entries.
+
+    @property _lastProperties
+    @type Object
+    @private
+  */
+  _lastProperties: undefined,
+
+  /**
+    Counter to generate keys of entries.
+
+    @property _lastKey
+    @type Number
+    @default 0
+    @private
+  */
+  _lastKey: 0,
+
+  init() {
+    this._super(...arguments);
+    set(this, '_queue', []);
+    this._onOnline = () => Ember.run(() => this.flush());
+    window.addEventListener('online', this._onOnline);
+
+    if (get(this, 'persistent') && window.indexedDB) {
+      this._openDatabase();
+    }
+
+    this._schedule(get(this, 'flushInterval'));
+  },
+
+  willDestroy() {
+    this._super(...arguments);
+    window.clearTimeout(get(this, '_timer'));
+    window.removeEventListener('online', this._onOnline);
+
+    let db = get(this, '_db');
+    if (db) {
+      db.close();
+    }
+  },
+
+  /**
+    Queues entry of application log.
+
+    @method push
+    @param {Object} properties Properties of record of application log.
+  */
+  push(properties) {
+    let now = Date.now();
+    let queue = get(this, '_queue');
+    set(this, '_lastProperties', properties);
+    let duplicate = queue.find((entry) => !entry.sending && entry.properties.category === properties.category &&
+      entry.properties.message === properties.message && now - entry.time < get(this, 'deduplicationInterval'));
+
+    if (duplicate) {
+      duplicate.count++;
+      this._persist(duplicate);
+      return;
+    }
+
+    if (now - get(this, '_rateLimitStart') >= get(this, 'rateLimitInterval')) {
+      this._reportDropped();
+      set(this, '_rateLimitStart', now);
+      set(this, '_rateLimitCount', 0);
+    }
+
+    if (get(this, '_rateLimitCount') >= get(this, 'rateLimit')) {
+      this.incrementProperty('_droppedCount');
+      return;
+    }
+
+    this.incrementProperty('_rateLimitCount');
+    this._enqueue({ key: this._generateKey(), properties: properties, count: 1, time: now });
+  },
+
+  /**
+    Stores queued entries in batches.
+
+    @method flush
+    @return {Promise} A promise that is resolved when queue is flushed or flush is failed.
+  */
+  flush() {
+    if (get(this, '_flushPromise')) {
+      return get(this, '_flushPromise');
+    }
+
+    let queue = get(this, '_queue');
+    if (queue.length === 0 || navigator.onLine === false || get(this, 'isDestroyed')) {
+      return Ember.RSVP.resolve();
+    }
+
+    let entries = queue.slice(0, get(this, 'batchSize'));
+    entries.forEach((entry) => {
+      entry.sending = true;
+    });
+
+    let promise = this._store(entries).catch(() => entries).then((failedEntries) => {
+      this._remove(entries.filter((entry) => failedEntries.indexOf(entry) === -1));
+      if (failedEntries.length === 0) {
+        set(this, '_failedFlushCount', 0);
+        return;
+      }
+
+      // Failed entries stay in queue, flush is retried later.
+      failedEntries.forEach((entry) => {
+        entry.sending = false;
+      });
+
+      this.incrementProperty('_failedFlushCount');
+    }).finally(() => {
+      set(this, '_flushPromise', undefined);
+      if (!get(this, 'isDestroyed')) {
+        let hasMore = get(this, '_failedFlushCount') === 0 && get(this, '_queue').length > 0;
+        this._schedule(hasMore ? 0 : this._getNextFlushDelay());
+      }
+    });
+
+    set(this, '_flushPromise', promise);
+    return promise;
+  },
+
+  /**
+    Creates and saves records of application log for entries.
+
+    @method _store
+    @param {Array} entries Entries.
+    @return {Promise} A promise that is resolved with entries, which are not stored.
+    @private
+  */
+  _store(entries) {
+    let store = get(this, 'store');
+    let modelName = get(this, 'modelName');
+    let records = entries.map((entry) => {
+      let properties = Ember.merge({}, entry.properties);
+      if (entry.count > 1) {
+        properties.title = `Repeated ${entry.count} times`;
+      }
+
+      return store.createRecord(modelName, properties);
+    });
+
+    let promise;
+    if (typeof store.batchUpdate === 'function') {
+      // Batch is stored in one transaction, so all its entries are failed together.
+      promise = store.batchUpdate(records).then(() => [], () => entries);
+    } else {
+      promise = Ember.RSVP.allSettled(records.map((record) => record.save())).then((results) => {
+        return entries.filter((entry, index) => results[index].state === 'rejected');
+      });
+    }
+
+    return promise.then((failedEntries) => {
+      records.forEach((record, index) => {
+        if (failedEntries.indexOf(entries[index]) !== -1 && get(record, 'isNew') && !get(record, 'isDestroyed')) {
+          record.unloadRecord();
+        }
+      });
+
+      return failedEntries;
+    });
+  },
+
+  /**
+    Adds entry to queue, the oldest entries are dropped if queue is full.
+
+    @method _enqueue
+    @param {Object} entry Entry.
+    @private
+  */
+  _enqueue(entry) {
+    let queue = get(this, '_queue');
+    queue.push(entry);
+    this._persist(entry);
+
+    let overflow = queue.length - get(this, 'maxQueueSize');
+    if (overflow > 0) {
+      this._remove(queue.slice(0, overflow));
+    }
+
+    if (queue.length >= get(this, 'batchSize')) {
+      this.flush();
+    }
+  },
+
+  /**
+    Removes entries from queue and database.
+
+    @method _remove
+    @param {Array} entries Entries.
+    @private
+  */
+  _remove(entries) {
+    let keys = entries.map((entry) => entry.key);
+    set(this, '_queue', get(this, '_queue').filter((entry) => keys.indexOf(entry.key) === -1));
+
+    let db = get(this, '_db');
+    if (db) {
+      db.entries.where('key').anyOf(keys).delete().catch(Ember.K);
+    }
+  },
+
+  /**
+    Queues entry with count of entries dropped by rate limit.
+
+    @method _reportDropped
+    @private
+  */
+  _reportDropped() {
+    let droppedCount = get(this, '_droppedCount');
+    if (droppedCount === 0) {
+      return;
+    }
+
+    set(this, '_droppedCount', 0);
+    let properties = Ember.merge({}, get(this, '_lastProperties') || {});
+    this._enqueue({
+      key: this._generateKey(),
+      properties: Ember.merge(properties, {
+        category: 'WARN',
+        priority: 2,
+        timestamp: new Date(),
+        message: `${droppedCount} log messages were dropped by rate limit.`,
+        formattedMessage: '',
+      }),
+      count: 1,
+      time: Date.now(),
+    });
+  },
+
+  /**
+    Returns delay before next flush, it grows exponentially after failed flushes.
+
+    @method _getNextFlushDelay
+    @return {Number}
+    @private
+  */
+  _getNextFlushDelay() {
+    let failedFlushCount = get(this, '_failedFlushCount');
+    if (failedFlushCount === 0) {
+      return get(this, 'flushInterval');
+    }
+
+    return Math.min(get(this, 'retryDelay') * Math.pow(2, failedFlushCount - 1), get(this, 'maxRetryDelay'));
+  },
+
+  /**
+    Schedules next flush.
+    Native timer is used, so waiting for run loop in tests is not blocked.
+
+    @method _schedule
+    @param {Number} delay Delay in milliseconds.
+    @private
+  */
+  _schedule(delay) {
+    window.clearTimeout(get(this, '_timer'));
+    set(this, '_timer', window.setTimeout(() => {
+      Ember.run(() => {
+        this._reportDropped();
+        this.flush();
+
+        // Flush schedules next one by itself, otherwise queue is empty or offline.
+        if (!get(this, '_flushPromise') && !get(this, 'isDestroyed')) {
+          this._schedule(this._getNextFlushDelay());
+        }
+      });
+    }, delay));
+  },
+
+  /**
+    Generates unique key of entry.
+
+    @method _generateKey
+    @return {String}
+    @private
+  */
+  _generateKey() {
+    return `${Date.now()}-${this.incrementProperty('_lastKey')}`;
+  },
+
+  /**
+    Opens database and loads entries persisted before reload of page.
+
+    @method _openDatabase
+    @private
+  */
+  _openDatabase() {
+    let db = new Dexie(get(this, 'databaseName'));
+    db.version(1).stores({ entries: 'key' });
+    set(this, '_db', db);
+
+    db.open().then(() => db.entries.toArray()).then((entries) => {
+      Ember.run(() => {
+        let queue = get(this, '_queue');
+        let keys = queue.map((entry) => entry.key);
+        entries.filter((entry) => keys.indexOf(entry.key) === -1).forEach((entry) => {
+          entry.sending = false;
+          queue.unshift(entry);
+        });
+      });
+    }).catch(() => {
+      // Queue is kept in memory only, if IndexedDB is not available.
+      Ember.run(() => set(this, '_db', undefined));
+    });
+  },
+
+  /**
+    Stores entry in database.
+
+    @method _persist
+    @param {Object} entry Entry.
+    @private
+  */
+  _persist(entry) {
+    let db = get(this, '_db');
+    if (db) {
+      db.entries.put(entry).catch(Ember.K);
+    }
+  },
+});
@@ -0,0 +1,72 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+/**
+  Error of save of edit form, which is rejected because record was changed by another user,
+  see {{#crossLink "EditFormController/concurrencyVersionAttribute:property"}}{{/crossLink}}.
+  It is passed to {{#crossLink "EditFormController/onSaveActionRejected:method"}}{{/crossLink}}.
+
+  Each conflict is `Ember.Object` with properties:
+  - **record** - Record of model or detail with conflict.
+  - **attributeName** - Name of attribute or of relationship.
+  - **isDetails** - Flag: indicates whether details are added or removed by another user, values are arrays of details then.
+  - **isRelationship** - Flag: indicates whether `belongsTo` relationship is changed, values are related records then.
+  - **base** - Value of attribute on opening of form.
+  - **mine** - Value changed on form.
+  - **theirs** - Value changed by another user.
+  - **resolution** - Chosen value: 'mine' or 'theirs', default: 'mine' for attributes and 'theirs' for details.
+  - **merged** - Value which will be saved according to resolution.
+
+  @example
+    ```javascript
+    // app/controllers/employee.js
+    import EditFormController from './edit-form';
+    import ConcurrencyConflictError from 'ember-flexberry/objects/concurrency-conflict-error';
+    export default EditFormController.extend({
+      concurrencyVersionAttribute: 'editTime',
+
+      onSaveActionRejected(errorData) {
+        if (errorData instanceof ConcurrencyConflictError) {
+          alert(`${errorData.conflicts.length} fields are changed by another user.`);
+        }
+
+        this._super(...arguments);
+      }
+    });
+    ```
+
+  @class ConcurrencyConflictError
+  @constructor
+  @param {Ember.Object[]} conflicts Conflicts of attributes and details.
+  @param {Any} version Version of record on server.
+*/
+function ConcurrencyConflictError(conflicts, version) {
+  let error = new Error('Record was changed by another user.');
+  this.name = 'ConcurrencyConflictError';
+  this.message = error.message;
+  this.stack = error.stack;
+
+  /**
+    Conflicts of attributes and details.
+
+    @property conflicts
+    @type Ember.Object[]
+  */
+  this.conflicts = Ember.A(conflicts);
+
+  /**
+    Version of record on server.
+
+    @property version
+    @type Any
+  */
+  this.version = version;
+}
+
+ConcurrencyConflictError.prototype = Object.create(Error.prototype);
+ConcurrencyConflictError.prototype.constructor = ConcurrencyConflictError;
+
+export default ConcurrencyConflictError;
@@ -0,0 +1,56 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import LogSink from './log-sink';
+
+const { get, set } = Ember;
+
+/**
+  Sink of log service, which writes messages to browser console with colored categories.
+
+  @class ConsoleLogSink
+  @extends LogSink
+*/
+export default LogSink.extend({
+  /**
+    CSS styles of categories, by default errors are red, warnings are orange, informational messages are blue.
+
+    @property styles
+    @type Object
+  */
+  styles: undefined,
+
+  init() {
+    this._super(...arguments);
+    if (!get(this, 'styles')) {
+      set(this, 'styles', {
+        ERROR: 'color: #db2828; font-weight: bold;',
+        PROMISE: 'color: #db2828; font-weight: bold;',
+        WARN: 'color: #f2711c; font-weight: bold;',
+        DEPRECATION: 'color: #a5673f;',
+        LOG: 'color: #767676;',
+        INFO: 'color: #2185d0;',
+        DEBUG: 'color: #a333c8;'
+      });
+    }
+  },
+
+  /**
+    Writes entry to browser console.
+
+    @method write
+    @param {Object} entry Entry of log.
+  */
+  write(entry) {
+    let console = window.console;
+    if (!console || typeof console.log !== 'function') {
+      return;
+    }
+
+    let style = get(this, `styles.${entry.category}`) || '';
+    let time = entry.timestamp instanceof Date ? entry.timestamp.toLocaleTimeString() : '';
+    console.log(`%c${time} [${entry.category}]%c ${entry.message}`, style, '');
+  },
+});
@@ -0,0 +1,93 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import LogSink from './log-sink';
+import { saveBlob } from '../../utils/list-export';
+
+const { get, set } = Ember;
+
+/**
+  Sink of log service, which collects entries in JSON lines format to download them as file,
+  for example, by button of debug panel.
+
+  @class FileLogSink
+  @extends LogSink
+*/
+export default LogSink.extend({
+  /**
+    Maximum count of collected lines, the oldest lines are removed.
+
+    @property maxLines
+    @type Number
+    @default 10000
+  */
+  maxLines: 10000,
+
+  /**
+    Default name of downloaded file.
+
+    @property fileName
+    @type String
+    @default 'application-log.jsonl'
+  */
+  fileName: 'application-log.jsonl',
+
+  /**
+    Collected lines.
+
+    @property _lines
+    @type String[]
+    @private
+  */
+  _lines: undefined,
+
+  init() {
+    this._super(...arguments);
+    set(this, '_lines', []);
+  },
+
+  /**
+    Collects entry.
+
+    @method write
+    @param {Object} entry Entry of log.
+  */
+  write(entry) {
+    let lines = get(this, '_lines');
+    lines.push(this.toJSONLine(entry));
+    if (lines.length > get(this, 'maxLines')) {
+      lines.splice(0, lines.length - get(this, 'maxLines'));
+    }
+  },
+
+  /**
+    Returns collected entries in JSON lines format.
+
+    @method getContent
+    @return {String}
+  */
+  getContent() {
+    return get(this, '_lines').join('\n');
+  },
+
+  /**
+    Downloads collected entries as file.
+
+    @method download
+    @param {String} [fileName] Name of file, `fileName` property is used by default.
+  */
+  download(fileName) {
+    saveBlob(new Blob([this.getContent()], { type: 'application/x-ndjson' }), fileName || get(this, 'fileName'));
+  },
+
+  /**
+    Removes collected entries.
+
+    @method clear
+  */
+  clear() {
+    set(this, '_lines', []);
+  },
+});
@@ -0,0 +1,157 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import LogSink from './log-sink';
+
+const { get, set } = Ember;
+
+/**
+  Sink of log service, which sends entries by HTTP POST requests in JSON lines format (one JSON object per line).
+  Entries are sent in batches by timer or when `batchSize` entries are collected.
+
+  @class HttpLogSink
+  @extends LogSink
+*/
+export default LogSink.extend({
+  /**
+    URL to send entries to.
+
+    @property url
+    @type String
+  */
+  url: undefined,
+
+  /**
+    Additional headers of requests.
+
+    @property headers
+    @type Object
+    @default null
+  */
+  headers: null,
+
+  /**
+    Maximum count of entries sent by one request.
+
+    @property batchSize
+    @type Number
+    @default 20
+  */
+  batchSize: 20,
+
+  /**
+    Interval in milliseconds to send collected entries.
+
+    @property flushInterval
+    @type Number
+    @default 5000
+  */
+  flushInterval: 5000,
+
+  /**
+    Maximum count of collected entries, the oldest entries are dropped, for example, while server is unavailable.
+
+    @property maxQueueSize
+    @type Number
+    @default 1000
+  */
+  maxQueueSize: 1000,
+
+  /**
+    Collected lines to send.
+
+    @property _lines
+    @type String[]
+    @private
+  */
+  _lines: undefined,
+
+  /**
+    Identifier of timer of next sending.
+
+    @property _timer
+    @type Number
+    @private
+  */
+  _timer: undefined,
+
+  /**
+    Flag: indicates whether request is being sent.
+
+    @property _isSending
+    @type Boolean
+    @default false
+    @private
+  */
+  _isSending: false,
+
+  init() {
+    this._super(...arguments);
+    Ember.assert('HttpLogSink: url is not defined.', get(this, 'url'));
+    set(this, '_lines', []);
+
+    // Native timer is used, so waiting for run loop in tests is not blocked.
+    set(this, '_timer', window.setInterval(() => Ember.run(() => this.flush()), get(this, 'flushInterval')));
+  },
+
+  willDestroy() {
+    this._super(...arguments);
+    window.clearInterval(get(this, '_timer'));
+  },
+
+  /**
+    Collects entry to send.
+
+    @method write
+    @param {Object} entry Entry of log.
+  */
+  write(entry) {
+    let lines = get(this, '_lines');
+    lines.push(this.toJSONLine(entry));
+    if (lines.length > get(this, 'maxQueueSize')) {
+      lines.splice(0, lines.length - get(this, 'maxQueueSize'));
+    }
+
+    if (lines.length >= get(this, 'batchSize')) {
+      this.flush();
+    }
+  },
+
+  /**
+    Sends collected entries.
+
+    @method flush
+    @return {Promise} A promise that is resolved when entries are sent or sending is failed.
+  */
+  flush() {
+    let lines = get(this, '_lines');
+    if (lines.length === 0 || get(this, '_isSending')) {
+      return Ember.RSVP.resolve();
+    }
+
+    let batch = lines.splice(0, get(this, 'batchSize'));
+    set(this, '_isSending', true);
+    return new Ember.RSVP.Promise((resolve) => {
+      Ember.$.ajax({
+        url: get(this, 'url'),
+        type: 'POST',
+        contentType: 'application/x-ndjson',
+        headers: get(this, 'headers') || {},
+        data: batch.join('\n'),
+        processData: false,
+      }).then(() => {
+        Ember.run(resolve);
+      }, () => {
+        // Entries are returned to queue to be sent later.
+        Ember.run(() => {
+          get(this, '_lines').unshift(...batch);
+          resolve();
+        });
+      });
+    }).finally(() => {
+      set(this, '_isSending', false);
+    });
+  },
+});
@@ -0,0 +1,110 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get } = Ember;
+
+/**
+  Severity levels of categories of log messages, smaller level is more severe.
+  Promise errors have level of errors, deprecations have level of warnings.
+
+  @for LogSink
+  @property levels
+  @type Object
+  @static
+*/
+export const levels = {
+  ERROR: 1,
+  PROMISE: 1,
+  WARN: 2,
+  DEPRECATION: 2,
+  LOG: 3,
+  INFO: 4,
+  DEBUG: 5
+};
+
+/**
+  Base class of sinks of {{#crossLink "LogService"}}log service{{/crossLink}}.
+  Sink is additional destination of log messages with its own level threshold,
+  it is registered by {{#crossLink "LogService/addSink:method"}}{{/crossLink}} method.
+
+  Inherited classes have to override `write` method. Sink must not write to `Ember.Logger`, because it causes infinite loop.
+
+  @example
+    ```javascript
+    // app/instance-initializers/log-sinks.js
+    import ConsoleLogSink from 'ember-flexberry/objects/log-sinks/console-log-sink';
+
+    export function initialize(applicationInstance) {
+      applicationInstance.lookup('service:log').addSink(ConsoleLogSink.create({ level: 'WARN' }));
+    }
+
+    export default {
+      name: 'log-sinks',
+      after: 'log',
+      initialize
+    };
+    ```
+
+  @class LogSink
+  @extends <a href="http://emberjs.com/api/classes/Ember.Object.html">Ember.Object</a>
+*/
+export default Ember.Object.extend({
+  /**
+    The least severe category of messages written to sink: 'ERROR', 'WARN', 'LOG', 'INFO' or 'DEBUG'.
+
+    @property level
+    @type String
+    @default 'DEBUG'
+  */
+  level: 'DEBUG',
+
+  /**
+    Categories of messages written to sink, if they are defined, `level` is ignored.
+
+    @property categories
+    @type String[]
+    @default null
+  */
+  categories: null,
+
+  /**
+    Checks whether messages of category are written to sink.
+
+    @method accepts
+    @param {String} category Category of message: 'ERROR', 'WARN', 'LOG', 'INFO', 'DEBUG', 'DEPRECATION', 'PROMISE'.
+    @return {Boolean}
+  */
+  accepts(category) {
+    let categories = get(this, 'categories');
+    if (categories) {
+      return categories.indexOf(category) !== -1;
+    }
+
+    return (levels[category] || levels.DEBUG) <= (levels[get(this, 'level')] || levels.DEBUG);
+  },
+
+  /**
+    Writes entry of log.
+
+    @method write
+    @param {Object} entry Entry of log with properties of application log record
+    (`category`, `message`, `formattedMessage`, `timestamp` and others).
+  */
+  write() {
+    Ember.assert('LogSink: write method has to be overridden.', false);
+  },
+
+  /**
+    Converts entry of log to line in JSON lines format.
+
+    @method toJSONLine
+    @param {Object} entry Entry of log.
+    @return {String}
+  */
+  toJSONLine(entry) {
+    return JSON.stringify(entry);
+  },
+});
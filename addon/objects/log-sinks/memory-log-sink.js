@@ -0,0 +1,70 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import LogSink from './log-sink';
+
+const { get, set } = Ember;
+
+/**
+  Sink of log service, which keeps the last entries in memory, for example, to show them on debug panel.
+
+  @example
+    ```handlebars
+    {{#each memoryLogSink.entries as |entry|}}
+      <div>{{entry.category}}: {{entry.message}}</div>
+    {{/each}}
+    ```
+
+  @class MemoryLogSink
+  @extends LogSink
+*/
+export default LogSink.extend({
+  /**
+    Maximum count of kept entries, the oldest entries are removed.
+
+    @property maxSize
+    @type Number
+    @default 100
+  */
+  maxSize: 100,
+
+  /**
+    Kept entries.
+
+    @property entries
+    @type Ember.NativeArray
+  */
+  entries: undefined,
+
+  init() {
+    this._super(...arguments);
+    set(this, 'entries', Ember.A());
+  },
+
+  /**
+    Adds entry to kept entries.
+
+    @method write
+    @param {Object} entry Entry of log.
+  */
+  write(entry) {
+    let entries = get(this, 'entries');
+    entries.pushObject(entry);
+
+    let overflow = get(entries, 'length') - get(this, 'maxSize');
+    if (overflow > 0) {
+      entries.replace(0, overflow);
+    }
+  },
+
+  /**
+    Removes kept entries.
+
+    @method clear
+  */
+  clear() {
+    get(this, 'entries').clear();
+  },
+});
@@ -0,0 +1,61 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get } = Ember;
+
+/**
+  Reporter of {{#crossLink "RouteMetricsService"}}route metrics service{{/crossLink}},
+  which sends metrics by HTTP POST request in JSON format.
+
+  @class HttpRouteMetricsReporter
+  @extends <a href="http://emberjs.com/api/classes/Ember.Object.html">Ember.Object</a>
+*/
+export default Ember.Object.extend({
+  /**
+    URL to send metrics to.
+
+    @property url
+    @type String
+  */
+  url: undefined,
+
+  /**
+    Additional headers of requests.
+
+    @property headers
+    @type Object
+    @default null
+  */
+  headers: null,
+
+  init() {
+    this._super(...arguments);
+    Ember.assert('HttpRouteMetricsReporter: url is not defined.', get(this, 'url'));
+  },
+
+  /**
+    Sends metrics.
+
+    @method report
+    @param {Object} report Report `{ timestamp, routes }`, see {{#crossLink "RouteMetricsService/getMetrics:method"}}{{/crossLink}}.
+    @return {Promise} A promise that is resolved when metrics are sent.
+  */
+  report(report) {
+    return new Ember.RSVP.Promise((resolve, reject) => {
+      Ember.$.ajax({
+        url: get(this, 'url'),
+        type: 'POST',
+        contentType: 'application/json; charset=utf-8',
+        headers: get(this, 'headers') || {},
+        data: JSON.stringify(report),
+      }).then(() => {
+        Ember.run(resolve);
+      }, (jqXHR, textStatus, errorThrown) => {
+        Ember.run(null, reject, errorThrown || textStatus);
+      });
+    });
+  },
+});
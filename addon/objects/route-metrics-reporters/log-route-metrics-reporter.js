@@ -0,0 +1,38 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get } = Ember;
+
+/**
+  Reporter of {{#crossLink "RouteMetricsService"}}route metrics service{{/crossLink}},
+  which writes metrics through `Ember.Logger`, so they are stored by {{#crossLink "LogService"}}log service{{/crossLink}}
+  if messages of chosen category are stored.
+
+  @class LogRouteMetricsReporter
+  @extends <a href="http://emberjs.com/api/classes/Ember.Object.html">Ember.Object</a>
+*/
+export default Ember.Object.extend({
+  /**
+    Method of `Ember.Logger` to write metrics: 'info', 'log', 'debug' or 'warn'.
+
+    @property category
+    @type String
+    @default 'info'
+  */
+  category: 'info',
+
+  /**
+    Writes metrics.
+
+    @method report
+    @param {Object} report Report `{ timestamp, routes }`, see {{#crossLink "RouteMetricsService/getMetrics:method"}}{{/crossLink}}.
+    @return {Promise}
+  */
+  report(report) {
+    Ember.Logger[get(this, 'category')](`Route metrics: ${JSON.stringify(report)}`);
+    return Ember.RSVP.resolve();
+  },
+});
@@ -22,6 +22,15 @@ export default Ember.Object.extend({
   */
   caption: null,
 
+  /**
+    Flag: indicates whether node is expanded on render.
+
+    @property expanded
+    @type Boolean
+    @default false
+  */
+  expanded: false,
+
   /**
     Component's dynamic actions.
     Related to component's property inherited from
@@ -49,6 +49,8 @@ ReloadListMixin, {
   actions: {
     /**
       It sends message about transition to corresponding controller.
+      If form has unsaved changes, transition is aborted and user is asked to save or discard them,
+      see {{#crossLink "EditFormController/unsavedChangesGuardEnabled:property"}}{{/crossLink}}.
 
       The willTransition action is fired at the beginning of any attempted transition with a Transition object as the sole argument.
       [More info](http://emberjs.com/api/classes/Ember.Route.html#event_willTransition).
@@ -57,8 +59,34 @@ ReloadListMixin, {
       @param {Object} transition
      */
     willTransition(transition) {
+      let controller = this.controller;
+      if (controller.needUnsavedChangesConfirmation(transition)) {
+        let url = this.get('router.url');
+        transition.abort();
+
+        // Browser's back button changes URL before transition, so URL of form has to be returned.
+        if (transition.intent && transition.intent.url) {
+          this.get('router.location').replaceURL(url);
+        }
+
+        controller.confirmUnsavedChanges().then((answer) => {
+          if (answer === 'save') {
+            // Errors of save are shown on form, so transition is retried only after successful save.
+            controller.save(false, true).then(() => transition.retry(), Ember.K);
+            return;
+          }
+
+          if (answer === 'discard') {
+            controller.set('_unsavedChangesConfirmed', true);
+            transition.retry();
+          }
+        });
+
+        return;
+      }
+
       this._super(transition);
-      this.controller.send('routeWillTransition');
+      controller.send('routeWillTransition');
     },
   },
 
@@ -205,6 +233,9 @@ ReloadListMixin, {
    */
   resetController(controller, isExisting, transition) {
     this._super.apply(this, arguments);
+    controller.stopChangeHistory();
+    controller.stopDrafts();
+    controller.stopUnsavedChangesGuard();
     controller.set('readonly', false);
     controller.set('parentRouteRecordId', undefined);
     let modelCurrentAgregators = controller.get('modelCurrentAgregators');
@@ -262,6 +293,16 @@ ReloadListMixin, {
     }
 
     this.get('appState').reset();
+    // Changes of restored draft are not recorded to history, so history is started after restore.
+    controller.startDrafts().catch((reason) => {
+      this.handleError(reason);
+    }).then(() => {
+      if (!controller.get('isDestroyed') && controller.get('model') === model) {
+        controller.startChangeHistory();
+      }
+    });
+    controller.startUnsavedChangesGuard();
+    controller.startConcurrencyCheck();
 
     let parentRoute = this.get('parentRoute');
     let parentRouteRecordId = this.get('parentRouteRecordId');
@@ -246,4 +246,19 @@ export default ListFormRoute.extend({
     @default 'i-i-s-caseberry-logging-objects-application-log'
   */
   modelName: 'i-i-s-caseberry-logging-objects-application-log',
+
+  /**
+    A hook you can use to reset controller values either when the model changes or the route is exiting.
+    [More info](http://emberjs.com/api/classes/Ember.Route.html#method_resetController).
+
+    @method resetController
+    @param {Ember.Controller} controller
+    @param {Boolean} isExisting
+  */
+  resetController(controller, isExisting) {
+    this._super(...arguments);
+    if (!isExisting) {
+      controller.stopLiveTail();
+    }
+  },
 });
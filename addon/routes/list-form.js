@@ -13,6 +13,7 @@ import ReloadListMixin from '../mixins/reload-list-mixin';
 import ErrorableRouteMixin from '../mixins/errorable-route';
 import serializeSortingParam from '../utils/serialize-sorting-param';
 import deserializeSortingParam from '../utils/deserialize-sorting-param';
+import { serializeFiltersParam, deserializeFiltersParam } from '../utils/filters-query-param';
 
 /**
   Base route for the List Forms.
@@ -92,6 +93,53 @@ ErrorableRouteMixin, {
   */
   advLimit: Ember.inject.service(),
 
+  /**
+    Parameters of the last query used to load model, they are used to load next records in "load more" mode.
+
+    @property _lastQueryParameters
+    @type Object
+    @private
+  */
+  _lastQueryParameters: undefined,
+
+  actions: {
+    /**
+      Loads next records of list and appends them to the current model without reloading of route.
+      It is used in "load more" mode of `flexberry-objectlistview` component.
+
+      @method actions.loadMoreRecords
+    */
+    loadMoreRecords() {
+      let controller = this.get('controller');
+      let queryParameters = this.get('_lastQueryParameters');
+      let model = controller.get('model');
+      if (Ember.isNone(queryParameters) || !Ember.isArray(model) || controller.get('isLoadingMore')) {
+        return;
+      }
+
+      controller.set('isLoadingMore', true);
+      this.get('appState').loading();
+
+      let loadedRecords = model.toArray();
+      this.reloadList(Ember.$.extend({}, queryParameters, { skip: loadedRecords.length })).then((records) => {
+        let newRecords = records.toArray().filter((record) => loadedRecords.indexOf(record) === -1);
+        let result = Ember.ArrayProxy.create({
+          content: Ember.A(loadedRecords.concat(newRecords)),
+          meta: records.get('meta'),
+          type: records.get('type'),
+        });
+
+        this.includeSorting(result, this.sorting);
+        controller.set('model', result);
+        this.get('appState').reset();
+      }).catch((errorData) => {
+        this.handleError(errorData);
+      }).finally(() => {
+        controller.set('isLoadingMore', false);
+      });
+    },
+  },
+
   /**
     A hook you can implement to convert the URL into the model for this route.
     [More info](http://emberjs.com/api/classes/Ember.Route.html#method_model).
@@ -109,6 +157,14 @@ ErrorableRouteMixin, {
     let modelName = this.get('modelName');
     let webPage = transition.targetName;
     let projectionName = this.get('modelProjection');
+
+    // Filters from URL take precedence, so pasted link reproduces the same list.
+    if (Ember.isBlank(params.filtersParam)) {
+      controller.set('filters', null);
+    } else if (params.filtersParam !== serializeFiltersParam(controller.get('filters'))) {
+      controller.set('filters', deserializeFiltersParam(params.filtersParam));
+    }
+
     let filtersPredicate = this._filtersPredicate();
     let sortString = null;
     this.set('filtersPredicate', filtersPredicate);
@@ -185,7 +241,15 @@ ErrorableRouteMixin, {
           }
         }
 
-        const advLimit = advLimitService.getCurrentAdvLimit(componentName);
+        let advLimit = advLimitService.getCurrentAdvLimit(componentName);
+        if (!Ember.isBlank(params.advLimitName)) {
+          let namedAdvLimit = advLimitService.getCurrentAdvLimit(componentName, params.advLimitName);
+          Ember.warn(`Adv limit '${params.advLimitName}' is not found, current adv limit is used.`,
+            !Ember.isNone(namedAdvLimit), { id: 'ember-flexberry.list-form.adv-limit-name' });
+          if (!Ember.isNone(namedAdvLimit)) {
+            advLimit = namedAdvLimit;
+          }
+        }
 
         let queryParameters = {
           componentName: componentName,
@@ -204,6 +268,7 @@ ErrorableRouteMixin, {
         };
 
         this.onModelLoadingStarted(queryParameters, transition);
+        this.set('_lastQueryParameters', queryParameters);
         this.get('colsConfigMenu').updateNamedSettingTrigger(componentName);
         this.get('colsConfigMenu').updateNamedAdvLimitTrigger(componentName);
 
@@ -0,0 +1,555 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get, set } = Ember;
+
+/**
+  Service to record changes of edit form model and undo/redo them.
+
+  Service observes attributes and relationships of model and its `hasMany` details recursively
+  (the same records as {{#crossLink "EditFormController/_getModelWithHasMany:method"}}{{/crossLink}} returns),
+  each change is recorded as reversible operation. Changes of the same attribute during `mergeInterval` are merged,
+  so typing in text field is undone by one step.
+
+  Histories are nested: history started last (for example, for edit form in modal window) is current,
+  `undo`, `redo` and keyboard shortcuts Ctrl+Z, Ctrl+Y (Ctrl+Shift+Z) work with current history.
+
+  @example
+    ```javascript
+    // app/controllers/employee.js
+    import EditFormController from './edit-form';
+    export default EditFormController.extend({
+      changeHistoryEnabled: true
+    });
+    ```
+
+  @class ChangeHistoryService
+  @extends <a href="http://emberjs.com/api/classes/Ember.Service.html">Ember.Service</a>
+*/
+export default Ember.Service.extend({
+  /**
+    Store to recreate deleted new records on undo.
+
+    @property store
+    @type DS.Store
+  */
+  store: Ember.inject.service(),
+
+  /**
+    Interval in milliseconds, during which changes of the same attribute are merged into one operation.
+
+    @property mergeInterval
+    @type Number
+    @default 1000
+  */
+  mergeInterval: 1000,
+
+  /**
+    Maximum count of operations in history, the oldest operations are removed.
+
+    @property maxLength
+    @type Number
+    @default 100
+  */
+  maxLength: 100,
+
+  /**
+    Flag: indicates whether keyboard shortcuts are handled.
+
+    @property keyboardShortcuts
+    @type Boolean
+    @default true
+  */
+  keyboardShortcuts: true,
+
+  /**
+    Started histories, the last one is current.
+
+    @property _histories
+    @type Ember.NativeArray
+    @private
+  */
+  _histories: undefined,
+
+  /**
+    Current history.
+
+    @property _current
+    @type Ember.Object
+    @readOnly
+    @private
+  */
+  _current: Ember.computed.readOnly('_histories.lastObject'),
+
+  /**
+    Flag: indicates whether changes are applied by service, so they are not recorded.
+
+    @property _isApplying
+    @type Boolean
+    @default false
+    @private
+  */
+  _isApplying: false,
+
+  /**
+    Flag: indicates whether there are operations to undo in current history.
+
+    @property canUndo
+    @type Boolean
+    @readOnly
+  */
+  canUndo: Ember.computed.notEmpty('_current.undoStack'),
+
+  /**
+    Flag: indicates whether there are operations to redo in current history.
+
+    @property canRedo
+    @type Boolean
+    @readOnly
+  */
+  canRedo: Ember.computed.notEmpty('_current.redoStack'),
+
+  init() {
+    this._super(...arguments);
+    set(this, '_histories', Ember.A());
+  },
+
+  willDestroy() {
+    this._super(...arguments);
+    get(this, '_histories').slice().forEach((history) => this.stop(get(history, 'model')));
+  },
+
+  /**
+    Starts to record changes of model, history of model becomes current.
+
+    @method start
+    @param {DS.Model} model Model of edit form.
+  */
+  start(model) {
+    Ember.assert('start:: Model is not defined.', model);
+    this.stop(model);
+
+    let history = Ember.Object.create({
+      model: model,
+      refs: {},
+      undoStack: Ember.A(),
+      redoStack: Ember.A(),
+    });
+
+    let histories = get(this, '_histories');
+    histories.pushObject(history);
+    this._track(history, model);
+
+    if (histories.length === 1 && get(this, 'keyboardShortcuts')) {
+      Ember.$(document).on('keydown.change-history', (e) => this._onKeyDown(e));
+    }
+  },
+
+  /**
+    Stops to record changes of model and removes its history.
+
+    @method stop
+    @param {DS.Model} model Model of edit form.
+  */
+  stop(model) {
+    let histories = get(this, '_histories');
+    let history = histories.findBy('model', model);
+    if (!history) {
+      return;
+    }
+
+    let refs = get(history, 'refs');
+    Object.keys(refs).forEach((guid) => this._untrack(refs[guid]));
+    histories.removeObject(history);
+
+    if (histories.length === 0) {
+      Ember.$(document).off('keydown.change-history');
+    }
+  },
+
+  /**
+    Removes recorded operations of history, changes are still recorded.
+
+    @method clear
+    @param {DS.Model} [model] Model of history, current history is cleared by default.
+  */
+  clear(model) {
+    let history = model ? get(this, '_histories').findBy('model', model) : get(this, '_current');
+    if (history) {
+      get(history, 'undoStack').clear();
+      get(history, 'redoStack').clear();
+    }
+  },
+
+  /**
+    Undoes the last operation of current history.
+
+    @method undo
+    @return {Boolean} `true` if operation is undone.
+  */
+  undo() {
+    let history = get(this, '_current');
+    let operation = history ? get(history, 'undoStack').popObject() : undefined;
+    if (!operation) {
+      return false;
+    }
+
+    this._apply(history, operation, true);
+    get(history, 'redoStack').pushObject(operation);
+    return true;
+  },
+
+  /**
+    Redoes the last undone operation of current history.
+
+    @method redo
+    @return {Boolean} `true` if operation is redone.
+  */
+  redo() {
+    let history = get(this, '_current');
+    let operation = history ? get(history, 'redoStack').popObject() : undefined;
+    if (!operation) {
+      return false;
+    }
+
+    this._apply(history, operation, false);
+    get(history, 'undoStack').pushObject(operation);
+    return true;
+  },
+
+  /**
+    Handles keyboard shortcuts: Ctrl+Z undoes, Ctrl+Y and Ctrl+Shift+Z redo.
+    Default action of shortcut is prevented only if operation is undone or redone.
+
+    @method _onKeyDown
+    @param {jQuery.Event} e Event object.
+    @private
+  */
+  _onKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+      return;
+    }
+
+    let isUndo = e.which === 90 && !e.shiftKey;
+    let isRedo = e.which === 89 || (e.which === 90 && e.shiftKey);
+    if (!isUndo && !isRedo) {
+      return;
+    }
+
+    Ember.run(() => {
+      // Native undo of inputs is replaced by undo of form, because values of inputs are bound to model,
+      // if form has nothing to undo or redo, native behavior is kept.
+      if (isUndo ? this.undo() : this.redo()) {
+        e.preventDefault();
+      }
+    });
+  },
+
+  /**
+    Starts to observe record and its `hasMany` relationships recursively.
+
+    @method _track
+    @param {Ember.Object} history History.
+    @param {DS.Model} record Record to observe.
+    @param {Object} [ref] Existing reference to record, it is used when deleted record is recreated.
+    @private
+  */
+  _track(history, record, ref) {
+    let refs = get(history, 'refs');
+    let guid = Ember.guidFor(record);
+    if (refs[guid]) {
+      return;
+    }
+
+    ref = ref || {};
+    ref.record = record;
+    ref.history = history;
+    ref.values = {};
+    ref.hasMany = {};
+    ref.observers = [];
+    refs[guid] = ref;
+
+    let observe = (key, handler) => {
+      Ember.addObserver(record, key, this, handler);
+      ref.observers.push({ key, handler });
+    };
+
+    record.eachAttribute((name) => {
+      ref.values[name] = get(record, name);
+      observe(name, this._valueDidChange);
+    });
+
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'hasMany') {
+        let details = get(record, name);
+        ref.hasMany[name] = details.toArray();
+        observe(`${name}.[]`, this._hasManyDidChange);
+        details.forEach((detail) => this._track(history, detail));
+      } else {
+        ref.values[name] = get(record, name);
+        observe(name, this._valueDidChange);
+      }
+    });
+
+    observe('isDeleted', this._isDeletedDidChange);
+  },
+
+  /**
+    Stops to observe record.
+
+    @method _untrack
+    @param {Object} ref Reference to record.
+    @private
+  */
+  _untrack(ref) {
+    ref.observers.forEach(({ key, handler }) => Ember.removeObserver(ref.record, key, this, handler));
+    ref.observers = [];
+    delete get(ref.history, 'refs')[Ember.guidFor(ref.record)];
+  },
+
+  /**
+    Returns reference to observed record.
+
+    @method _getRef
+    @param {DS.Model} record Record.
+    @return {Object} Reference or `undefined`, if record is not observed.
+    @private
+  */
+  _getRef(record) {
+    let guid = Ember.guidFor(record);
+    let history = get(this, '_histories').find((history) => get(history, 'refs')[guid]);
+    return history ? get(history, 'refs')[guid] : undefined;
+  },
+
+  /**
+    Handles change of attribute or `belongsTo` relationship.
+
+    @method _valueDidChange
+    @param {DS.Model} record Changed record.
+    @param {String} name Name of attribute or relationship.
+    @private
+  */
+  _valueDidChange(record, name) {
+    let ref = this._getRef(record);
+    if (!ref) {
+      return;
+    }
+
+    let oldValue = ref.values[name];
+    let newValue = get(record, name);
+    ref.values[name] = newValue;
+    if (get(this, '_isApplying') || this._isEqual(oldValue, newValue)) {
+      return;
+    }
+
+    let undoStack = get(ref.history, 'undoStack');
+    let last = get(undoStack, 'lastObject');
+    let now = Date.now();
+    if (last && last.type === 'value' && last.ref === ref && last.name === name && now - last.time < get(this, 'mergeInterval')) {
+      last.newValue = newValue;
+      last.time = now;
+      if (this._isEqual(last.oldValue, newValue)) {
+        undoStack.popObject();
+      }
+
+      return;
+    }
+
+    this._push(ref.history, { type: 'value', ref, name, oldValue, newValue, time: now });
+  },
+
+  /**
+    Handles adding and removing of records in `hasMany` relationship.
+
+    @method _hasManyDidChange
+    @param {DS.Model} record Changed record.
+    @param {String} key Observed key `<relationship>.[]`.
+    @private
+  */
+  _hasManyDidChange(record, key) {
+    let ref = this._getRef(record);
+    if (!ref) {
+      return;
+    }
+
+    let name = key.replace(/\.\[\]$/, '');
+    let oldDetails = ref.hasMany[name];
+    let newDetails = get(record, name).toArray();
+    ref.hasMany[name] = newDetails;
+
+    let added = newDetails.filter((detail) => oldDetails.indexOf(detail) === -1);
+    let removed = oldDetails.filter((detail) => newDetails.indexOf(detail) === -1);
+    added.forEach((detail) => this._track(ref.history, detail));
+    if (get(this, '_isApplying') || (added.length === 0 && removed.length === 0)) {
+      return;
+    }
+
+    this._push(ref.history, {
+      type: 'hasMany',
+      ref,
+      name,
+      added: added.map((detail) => this._getRef(detail)),
+      removed: removed.map((detail) => this._getRef(detail)).filter(Boolean),
+    });
+  },
+
+  /**
+    Handles deletion of record, which stays in `hasMany` relationship until save.
+    New records are removed from relationship on deletion, it is handled by `_hasManyDidChange`.
+
+    @method _isDeletedDidChange
+    @param {DS.Model} record Changed record.
+    @private
+  */
+  _isDeletedDidChange(record) {
+    let ref = this._getRef(record);
+    if (!ref || get(this, '_isApplying') || !get(record, 'isDeleted') || !get(record, 'hasDirtyAttributes')) {
+      return;
+    }
+
+    this._push(ref.history, { type: 'delete', ref });
+  },
+
+  /**
+    Adds operation to history, operations to redo are removed.
+
+    @method _push
+    @param {Ember.Object} history History.
+    @param {Object} operation Operation.
+    @private
+  */
+  _push(history, operation) {
+    let undoStack = get(history, 'undoStack');
+    undoStack.pushObject(operation);
+    if (undoStack.length > get(this, 'maxLength')) {
+      undoStack.shiftObject();
+    }
+
+    get(history, 'redoStack').clear();
+  },
+
+  /**
+    Applies operation to records.
+
+    @method _apply
+    @param {Ember.Object} history History.
+    @param {Object} operation Operation.
+    @param {Boolean} isUndo Flag: indicates whether operation is undone or redone.
+    @private
+  */
+  _apply(history, operation, isUndo) {
+    set(this, '_isApplying', true);
+    try {
+      let record = operation.ref.record;
+      switch (operation.type) {
+        case 'value':
+          set(record, operation.name, isUndo ? operation.oldValue : operation.newValue);
+          break;
+
+        case 'delete':
+          if (isUndo) {
+            this._undelete(operation.ref);
+          } else {
+            record.deleteRecord();
+          }
+
+          break;
+
+        case 'hasMany': {
+          let toRemove = isUndo ? operation.added : operation.removed;
+          let toAdd = isUndo ? operation.removed : operation.added;
+          toRemove.forEach((ref) => this._removeDetail(record, operation.name, ref));
+          toAdd.forEach((ref) => this._addDetail(history, record, operation.name, ref));
+          break;
+        }
+      }
+
+      // Manually make record dirty, because ember-data does not do it when relationship changes.
+      let model = get(history, 'model');
+      if (!get(model, 'isDeleted') && typeof model.makeDirty === 'function') {
+        model.makeDirty();
+      }
+    } finally {
+      set(this, '_isApplying', false);
+    }
+  },
+
+  /**
+    Restores deleted record, which is not saved, changed attributes of record are restored too.
+
+    @method _undelete
+    @param {Object} ref Reference to record.
+    @private
+  */
+  _undelete(ref) {
+    let record = ref.record;
+    let values = Ember.merge({}, ref.values);
+    record.rollbackAttributes();
+    record.eachAttribute((name) => {
+      if (!this._isEqual(get(record, name), values[name])) {
+        set(record, name, values[name]);
+      }
+    });
+  },
+
+  /**
+    Removes detail from `hasMany` relationship, new detail is deleted.
+
+    @method _removeDetail
+    @param {DS.Model} record Record with relationship.
+    @param {String} name Name of relationship.
+    @param {Object} ref Reference to detail.
+    @private
+  */
+  _removeDetail(record, name, ref) {
+    let detail = ref.record;
+    if (get(detail, 'isNew')) {
+      detail.deleteRecord();
+    }
+
+    get(record, name).removeObject(detail);
+  },
+
+  /**
+    Adds detail to `hasMany` relationship, deleted new detail is recreated with the same values.
+
+    @method _addDetail
+    @param {Ember.Object} history History.
+    @param {DS.Model} record Record with relationship.
+    @param {String} name Name of relationship.
+    @param {Object} ref Reference to detail.
+    @private
+  */
+  _addDetail(history, record, name, ref) {
+    let detail = ref.record;
+    if (get(detail, 'isDeleted') && !get(detail, 'hasDirtyAttributes')) {
+      // Deleted new record can't be restored, so it is replaced by copy, operations refer to copy by the same reference.
+      let values = Ember.merge({}, ref.values);
+      this._untrack(ref);
+      detail = get(this, 'store').createRecord(detail.constructor.modelName, values);
+      this._track(history, detail, ref);
+    }
+
+    get(record, name).addObject(detail);
+  },
+
+  /**
+    Compares values of attributes.
+
+    @method _isEqual
+    @param {Any} a The first value.
+    @param {Any} b The second value.
+    @return {Boolean}
+    @private
+  */
+  _isEqual(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+
+    return a === b || (Ember.isNone(a) && Ember.isNone(b));
+  },
+});
@@ -27,4 +27,8 @@ export default Ember.Service.extend(Ember.Evented, {
   updateNamedAdvLimitTrigger(componentName) {
     this.trigger('updateNamedAdvLimit', componentName);
   },
+
+  updateSavedViewsTrigger(componentName) {
+    this.trigger('updateSavedViews', componentName);
+  },
 });
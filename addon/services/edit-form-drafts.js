@@ -0,0 +1,328 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+const { get, set } = Ember;
+
+/**
+  Service to store drafts of edit forms, drafts keep unsaved changes of model and its `hasMany` details
+  (including new details), so they can be restored after crash of browser tab or expiry of session.
+
+  Drafts are stored in `localStorage` as JSON, attributes of type `date` are stored as ISO strings.
+  The service is used by {{#crossLink "EditFormController"}}{{/crossLink}},
+  see {{#crossLink "EditFormController/draftsEnabled:property"}}{{/crossLink}}.
+
+  @class EditFormDraftsService
+  @extends <a href="http://emberjs.com/api/classes/Ember.Service.html">Ember.Service</a>
+*/
+export default Ember.Service.extend({
+  /**
+    Store to load related records and to create new details.
+
+    @property store
+    @type DS.Store
+  */
+  store: Ember.inject.service(),
+
+  /**
+    Prefix of keys of drafts in storage.
+
+    @property keyPrefix
+    @type String
+    @default 'flexberry-edit-form-draft:'
+  */
+  keyPrefix: 'flexberry-edit-form-draft:',
+
+  /**
+    Returns key of draft for record on route.
+    Each new record has its own key, so drafts of several new records don't overwrite each other.
+
+    @method getKey
+    @param {String} routeName Name of route of edit form.
+    @param {DS.Model} model Model of edit form.
+    @return {String}
+  */
+  getKey(routeName, model) {
+    let id = get(model, 'id');
+    if (get(model, 'isNew')) {
+      return `${this._getNewKeyPrefix(routeName)}${Ember.isNone(id) ? Ember.guidFor(model) : id}`;
+    }
+
+    return `${get(this, 'keyPrefix')}${routeName}:${id}`;
+  },
+
+  /**
+    Returns key of the latest draft of new records on route, it is offered to restore on opening of form of new record.
+
+    @method findNewDraftKey
+    @param {String} routeName Name of route of edit form.
+    @return {String} Key of draft or `null`, if there are no drafts of new records.
+  */
+  findNewDraftKey(routeName) {
+    let storage = this._getStorage();
+    if (!storage) {
+      return null;
+    }
+
+    let prefix = this._getNewKeyPrefix(routeName);
+    let latestKey = null;
+    let latestSavedAt = null;
+    for (let i = 0; i < storage.length; i++) {
+      let key = storage.key(i);
+      if (key && key.indexOf(prefix) === 0) {
+        let draft = this.load(key);
+        if (draft && (latestSavedAt === null || draft.savedAt > latestSavedAt)) {
+          latestKey = key;
+          latestSavedAt = draft.savedAt;
+        }
+      }
+    }
+
+    return latestKey;
+  },
+
+  /**
+    Returns draft by key.
+
+    @method load
+    @param {String} key Key of draft.
+    @return {Object} Draft `{ savedAt, data }` or `null`, if there is no draft or it can't be read.
+  */
+  load(key) {
+    let storage = this._getStorage();
+    let value = storage ? storage.getItem(key) : null;
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      Ember.warn(`Draft '${key}' can't be parsed.`, false, { id: 'ember-flexberry.edit-form-drafts' });
+      this.remove(key);
+      return null;
+    }
+  },
+
+  /**
+    Saves current state of model as draft, draft is removed if model and its details have no changes.
+
+    @method save
+    @param {String} key Key of draft.
+    @param {DS.Model} model Model of edit form.
+    @return {Boolean} `true` if draft is saved.
+  */
+  save(key, model) {
+    let storage = this._getStorage();
+    if (!storage) {
+      return false;
+    }
+
+    if (!this.isDirty(model)) {
+      this.remove(key);
+      return false;
+    }
+
+    try {
+      storage.setItem(key, JSON.stringify({ savedAt: new Date().toISOString(), data: this._serialize(model) }));
+      return true;
+    } catch (e) {
+      // Storage can be full or unavailable in private mode of browser, draft is not critical.
+      Ember.warn(`Draft '${key}' can't be saved: ${e.message}`, false, { id: 'ember-flexberry.edit-form-drafts' });
+      return false;
+    }
+  },
+
+  /**
+    Removes draft.
+
+    @method remove
+    @param {String} key Key of draft.
+  */
+  remove(key) {
+    let storage = this._getStorage();
+    if (storage) {
+      storage.removeItem(key);
+    }
+  },
+
+  /**
+    Checks whether model or its details have unsaved changes.
+    New record is changed only if its attributes are changed or its relationships are filled,
+    so new record that is just created by form has no changes.
+
+    @method isDirty
+    @param {DS.Model} model Model.
+    @return {Boolean}
+  */
+  isDirty(model) {
+    let isNew = get(model, 'isNew');
+    if (isNew ? Object.keys(model.changedAttributes()).length > 0 : get(model, 'hasDirtyAttributes')) {
+      return true;
+    }
+
+    let isDirty = false;
+    model.eachRelationship((name, desc) => {
+      if (isDirty) {
+        return;
+      }
+
+      let value = get(model, name);
+      if (desc.kind === 'hasMany') {
+        isDirty = isNew ? get(value, 'length') > 0 : value.any((detail) => this.isDirty(detail));
+      } else if (isNew) {
+        isDirty = !Ember.isNone(value && value.content !== undefined ? value.content : value);
+      }
+    });
+
+    return isDirty;
+  },
+
+  /**
+    Applies draft to model: restores values of attributes and relationships,
+    creates new details, deletes details which were deleted.
+
+    @method restore
+    @param {DS.Model} model Model of edit form.
+    @param {Object} draft Draft returned by `load` method.
+    @return {Promise} A promise that is resolved when draft is applied.
+  */
+  restore(model, draft) {
+    return this._deserialize(model, draft.data).then(() => {
+      if (typeof model.makeDirty === 'function') {
+        model.makeDirty();
+      }
+    });
+  },
+
+  /**
+    Returns prefix of keys of drafts of new records on route.
+
+    @method _getNewKeyPrefix
+    @param {String} routeName Name of route of edit form.
+    @return {String}
+    @private
+  */
+  _getNewKeyPrefix(routeName) {
+    return `${get(this, 'keyPrefix')}${routeName}:new:`;
+  },
+
+  /**
+    Returns storage of drafts.
+
+    @method _getStorage
+    @return {Storage} Storage or `null`, if it is not available.
+    @private
+  */
+  _getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+    Serializes record and its `hasMany` details recursively.
+
+    @method _serialize
+    @param {DS.Model} record Record.
+    @return {Object} Object `{ id, attributes, belongsTo, hasMany }`.
+    @private
+  */
+  _serialize(record) {
+    let data = { id: get(record, 'isNew') ? null : get(record, 'id'), attributes: {}, belongsTo: {}, hasMany: {} };
+    record.eachAttribute((name, meta) => {
+      let value = get(record, name);
+      data.attributes[name] = meta.type === 'date' && value instanceof Date ? value.toISOString() : value;
+    });
+
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'hasMany') {
+        data.hasMany[name] = get(record, name).filter((detail) => !get(detail, 'isDeleted')).map((detail) => this._serialize(detail));
+      } else {
+        let related = get(record, name);
+        related = related && related.content !== undefined ? related.content : related;
+
+        // New related record can't be loaded by identifier, so it isn't stored.
+        if (!related || !get(related, 'isNew')) {
+          data.belongsTo[name] = related ? { modelName: related.constructor.modelName, id: get(related, 'id') } : null;
+        }
+      }
+    });
+
+    return data;
+  },
+
+  /**
+    Applies serialized data to record and its `hasMany` details recursively.
+
+    @method _deserialize
+    @param {DS.Model} record Record.
+    @param {Object} data Serialized data, see `_serialize`.
+    @param {String} [inverseName] Name of `belongsTo` relationship of detail to its master, it is set by master and isn't restored.
+    @return {Promise}
+    @private
+  */
+  _deserialize(record, data, inverseName) {
+    let store = get(this, 'store');
+    let promises = [];
+    record.eachAttribute((name, meta) => {
+      if (name in data.attributes) {
+        let value = data.attributes[name];
+        set(record, name, meta.type === 'date' && !Ember.isNone(value) ? new Date(value) : value);
+      }
+    });
+
+    record.eachRelationship((name, desc) => {
+      if (desc.kind === 'hasMany') {
+        let serializedDetails = data.hasMany[name];
+        if (!serializedDetails) {
+          return;
+        }
+
+        let details = get(record, name);
+        let inverse = record.inverseFor(name);
+        let ids = serializedDetails.map((detailData) => detailData.id).filter((id) => !Ember.isNone(id));
+
+        // Details, which are not in draft, were deleted.
+        details.filter((detail) => !get(detail, 'isNew') && ids.indexOf(get(detail, 'id')) === -1).forEach((detail) => {
+          detail.deleteRecord();
+        });
+
+        serializedDetails.forEach((detailData) => {
+          let detail = Ember.isNone(detailData.id) ? null : details.findBy('id', detailData.id);
+          if (!detail) {
+            detail = store.createRecord(desc.type);
+            details.addObject(detail);
+          }
+
+          promises.push(this._deserialize(detail, detailData, inverse ? inverse.name : undefined));
+        });
+      } else if (name !== inverseName && name in data.belongsTo) {
+        let related = data.belongsTo[name];
+        if (!related) {
+          set(record, name, null);
+          return;
+        }
+
+        if (Ember.isNone(related.id)) {
+          return;
+        }
+
+        let relatedRecord = store.peekRecord(related.modelName, related.id);
+        if (relatedRecord) {
+          set(record, name, relatedRecord);
+        } else {
+          promises.push(store.findRecord(related.modelName, related.id).then((loadedRecord) => {
+            set(record, name, loadedRecord);
+          }));
+        }
+      }
+    });
+
+    return Ember.RSVP.all(promises);
+  },
+});
@@ -0,0 +1,311 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+import Builder from 'ember-flexberry-data/query/builder';
+import { buildCsv, buildXlsx, saveBlob, CSV_MIME_TYPE, XLSX_MIME_TYPE } from '../utils/list-export';
+
+const { get } = Ember;
+
+/**
+  Service for client-side export of lists to CSV and XLSX files.
+  It does not require any backend endpoint: records are paged through the store
+  with the same limits, filters and sorting as the list has on the screen.
+
+  @example
+    ```javascript
+    // app/controllers/my-list.js
+    ...
+    listExport: Ember.inject.service(),
+    ...
+    actions: {
+      export() {
+        this.get('listExport').exportList('MyListOlv', {
+          modelName: 'my-model',
+          projectionName: 'MyModelL',
+          format: 'xlsx',
+        });
+      },
+    },
+    ...
+    ```
+
+  @class ListExportService
+  @extends <a href="http://emberjs.com/api/classes/Ember.Service.html">Ember.Service</a>
+*/
+export default Ember.Service.extend({
+  /**
+    Ember data store.
+
+    @property store
+    @type DS.Store
+  */
+  store: Ember.inject.service(),
+
+  /**
+    Service for ember-i18n.
+
+    @property i18n
+    @type I18nService
+  */
+  i18n: Ember.inject.service(),
+
+  /**
+    Service for ember-moment.
+
+    @property moment
+    @type MomentService
+  */
+  moment: Ember.inject.service(),
+
+  /**
+    Service to store/read user settings.
+
+    @property userSettingsService
+    @type UserSettingsService
+  */
+  userSettingsService: Ember.inject.service('user-settings'),
+
+  /**
+    Service that triggers objectlistview events.
+
+    @property objectlistviewEventsService
+    @type ObjectlistviewEventsService
+  */
+  objectlistviewEventsService: Ember.inject.service('objectlistview-events'),
+
+  /**
+    Number of records loaded from the store by one request.
+
+    @property pageSize
+    @type Number
+    @default 500
+  */
+  pageSize: 500,
+
+  /**
+    Maximum number of exported records, used to protect browser from too large lists.
+
+    @property maxRecords
+    @type Number
+    @default 100000
+  */
+  maxRecords: 100000,
+
+  /**
+    Values separator in CSV files.
+
+    @property csvSeparator
+    @type String
+    @default ';'
+  */
+  csvSeparator: ';',
+
+  /**
+    Exports list to file and saves it in browser.
+
+    @method exportList
+    @param {String} componentName Name of the `flexberry-objectlistview` component, used to get its current columns, sorting and limits.
+    @param {Object} options Export options.
+    @param {String} options.modelName Type of records to export.
+    @param {String} options.projectionName Projection name to load records by.
+    @param {String} [options.format='xlsx'] Format of file, `csv` or `xlsx`.
+    @param {String} [options.fileName] Name of file, by default it is model name.
+    @param {Array} [options.columns] Exported columns, by default the current columns of the list.
+    @return {Promise} A promise, which is resolved with the saved file `Blob`.
+  */
+  exportList(componentName, options) {
+    options = Ember.merge({ format: 'xlsx' }, options || {});
+    let modelName = options.modelName;
+    let projectionName = options.projectionName;
+    Ember.assert('Model name for export is not defined.', modelName);
+    Ember.assert('Projection name for export is not defined.', projectionName);
+    Ember.assert(`Unsupported export format: '${options.format}'.`, options.format === 'csv' || options.format === 'xlsx');
+
+    let columns = options.columns || this.getColumns(componentName, modelName, projectionName);
+    return this.loadRecords(componentName, modelName, projectionName).then((records) => {
+      let rows = records.map((record) => columns.map((column) => this.formatValue(record, column)));
+      let headers = columns.map((column) => ({ header: String(column.header), width: column.width }));
+
+      let blob;
+      if (options.format === 'csv') {
+        blob = new Blob([buildCsv(headers, rows, { separator: get(this, 'csvSeparator') })], { type: CSV_MIME_TYPE });
+      } else {
+        blob = new Blob([buildXlsx(headers, rows)], { type: XLSX_MIME_TYPE });
+      }
+
+      saveBlob(blob, `${options.fileName || modelName}.${options.format}`);
+      return blob;
+    });
+  },
+
+  /**
+    Returns exported columns.
+    Current columns of the list are used if they are rendered, otherwise columns are built by projection
+    with order and widths from user settings.
+
+    @method getColumns
+    @param {String} componentName Name of the `flexberry-objectlistview` component.
+    @param {String} modelName Type of records.
+    @param {String} projectionName Projection name.
+    @return {Array} Array of objects `{ header, propName, width, dateFormat }`.
+  */
+  getColumns(componentName, modelName, projectionName) {
+    let olvColumns = get(this, 'objectlistviewEventsService').getOlvFilterColumnsArray(componentName);
+    if (Ember.isArray(olvColumns) && olvColumns.length > 0) {
+      return olvColumns.map((column) => ({
+        header: column.header,
+        propName: column.propName,
+        width: column.width,
+        dateFormat: get(column, 'cellComponent.componentProperties.dateFormat'),
+      }));
+    }
+
+    let projection = get(get(this, 'store').modelFor(modelName), `projections.${projectionName}`);
+    Ember.assert(`No projection with '${projectionName}' name defined in '${modelName}' model.`, projection);
+
+    let columns = this._columnsByProjection(projection.attributes);
+    let userSettingsService = get(this, 'userSettingsService');
+    let colsOrder = userSettingsService.getCurrentColsOrder(componentName);
+    let columnWidths = userSettingsService.getCurrentColumnWidths(componentName) || [];
+
+    if (Ember.isArray(colsOrder)) {
+      let ordered = [];
+      colsOrder.forEach((colOrder) => {
+        let column = columns.findBy('propName', colOrder.propName);
+        if (column && !colOrder.hide) {
+          ordered.push(column);
+        }
+      });
+
+      columns = Ember.A(ordered);
+    }
+
+    columnWidths.forEach((columnWidth) => {
+      let column = columns.findBy('propName', columnWidth.propName);
+      if (column) {
+        column.width = columnWidth.width;
+      }
+    });
+
+    return columns;
+  },
+
+  /**
+    Loads all records of list page by page.
+
+    @method loadRecords
+    @param {String} componentName Name of the `flexberry-objectlistview` component.
+    @param {String} modelName Type of records.
+    @param {String} projectionName Projection name.
+    @return {Promise} A promise, which is resolved with array of loaded records.
+  */
+  loadRecords(componentName, modelName, projectionName) {
+    let store = get(this, 'store');
+    let pageSize = get(this, 'pageSize');
+    let maxRecords = get(this, 'maxRecords');
+    let predicate = get(this, 'objectlistviewEventsService').getLimitFunction(componentName);
+    let sorting = get(this, 'userSettingsService').getCurrentSorting(componentName);
+    let orderBy = Ember.A(sorting || []).filter(s => s.direction !== 'none').map(s => `${s.propName} ${s.direction}`).join(',');
+
+    let records = [];
+    let loadPage = (skip) => {
+      let builder = new Builder(store)
+        .from(modelName)
+        .selectByProjection(projectionName)
+        .top(pageSize)
+        .skip(skip)
+        .count();
+
+      if (orderBy) {
+        builder.orderBy(orderBy);
+      }
+
+      if (predicate) {
+        builder.where(predicate);
+      }
+
+      return store.query(modelName, builder.build()).then((result) => {
+        records.push(...result.toArray());
+        let total = Math.min(get(result, 'meta.count') || 0, maxRecords);
+        if (get(result, 'length') === pageSize && records.length < total) {
+          return loadPage(skip + pageSize);
+        }
+
+        return records;
+      });
+    };
+
+    return loadPage(0);
+  },
+
+  /**
+    Returns exported value of record for column.
+    Values are formatted by the `get-formatted` helper, the same way as they are displayed in the list.
+    Enumerations are already deserialized to their captions, so they are exported as is.
+
+    @method formatValue
+    @param {DS.Model} record Record.
+    @param {Object} column Column.
+    @return {String|Number} Exported value.
+  */
+  formatValue(record, column) {
+    let value = get(record, column.propName);
+    switch (Ember.typeOf(value)) {
+      case 'boolean':
+        return get(this, 'i18n').t(value ? 'components.list-export.yes' : 'components.list-export.no').toString();
+
+      case 'number':
+        return value;
+
+      case 'instance':
+        return Ember.isNone(get(value, 'id')) ? '' : get(value, 'id');
+
+      default: {
+        let helper = Ember.getOwner(this).lookup('helper:get-formatted');
+        return helper.compute([record, column.propName], { moment: get(this, 'moment'), dateFormat: column.dateFormat });
+      }
+    }
+  },
+
+  /**
+    Generates columns by projection attributes.
+
+    @method _columnsByProjection
+    @param {Object} attributes Projection attributes.
+    @param {String} [relationshipPath] Path to relationship.
+    @param {Array} [columns] Buffer for columns.
+    @return {Array} Columns.
+    @private
+  */
+  _columnsByProjection(attributes, relationshipPath, columns) {
+    columns = columns || Ember.A();
+    relationshipPath = relationshipPath || '';
+
+    Object.keys(attributes).forEach((attrName) => {
+      let attr = attributes[attrName];
+      let bindingPath = relationshipPath + attrName;
+      switch (attr.kind) {
+        case 'attr':
+          if (!attr.options.hidden) {
+            columns.pushObject({ header: attr.caption || Ember.String.capitalize(attrName), propName: bindingPath });
+          }
+
+          break;
+
+        case 'belongsTo':
+          if (!attr.options.hidden) {
+            let displayMemberPath = attr.options.displayMemberPath || 'id';
+            columns.pushObject({ header: attr.caption || Ember.String.capitalize(attrName), propName: `${bindingPath}.${displayMemberPath}` });
+          }
+
+          this._columnsByProjection(attr.attributes, bindingPath + '.', columns);
+          break;
+      }
+    });
+
+    return columns;
+  },
+});
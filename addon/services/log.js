@@ -3,6 +3,8 @@
 */
 
 import Ember from 'ember';
+import BufferedLogTransport from '../objects/buffered-log-transport';
+import uuid from 'npm:node-uuid';
 const { getOwner } = Ember;
 const messageCategory = {
   error: { name: 'ERROR', priority: 1 },
@@ -351,6 +353,126 @@ export default Ember.Service.extend(Ember.Evented, {
     { category: 'PROMISE', message: 'TransitionAborted' }
   ]),
 
+  /**
+    Flag: indicates whether messages are stored to application log in batches by {{#crossLink "BufferedLogTransport"}}{{/crossLink}}.
+    Buffered messages are queued (queue is persisted in IndexedDB), identical messages are deduplicated and rate limited,
+    failed saves are retried with backoff instead of switching off of log service.
+    Events of log service are triggered without saved record in this mode.
+
+    @property buffered
+    @type Boolean
+    @default false
+    @example
+    ```
+    // Log service 'buffered' setting could be also defined through application config/environment.js
+    module.exports = function(environment) {
+      var ENV = {
+        ...
+        APP: {
+          ...
+          log: {
+            enabled: true,
+            buffered: true,
+            bufferSettings: {
+              flushInterval: 10000,
+              batchSize: 50
+            }
+          }
+          ...
+        }
+        ...
+    };
+    ```
+  */
+  buffered: false,
+
+  /**
+    Settings of buffered transport, see properties of {{#crossLink "BufferedLogTransport"}}{{/crossLink}}.
+
+    @property bufferSettings
+    @type Object
+    @default null
+  */
+  bufferSettings: null,
+
+  /**
+    Buffered transport, it is created if `buffered` is `true`.
+
+    @property _transport
+    @type BufferedLogTransport
+    @default null
+    @private
+  */
+  _transport: null,
+
+  /**
+    Flag: indicates whether structured context is stored in `formattedMessage` of application log as JSON.
+    Context contains name of current user, current route with params, identifier of session (browser tab),
+    version of application and breadcrumbs (route transitions, actions of toolbars of lists, saves of edit forms).
+
+    @property storeContext
+    @type Boolean
+    @default false
+    @example
+    ```
+    // Log service 'storeContext' setting could be also defined through application config/environment.js
+    module.exports = function(environment) {
+      var ENV = {
+        ...
+        APP: {
+          ...
+          log: {
+            enabled: true,
+            storeContext: true,
+            maxBreadcrumbs: 50
+          }
+          ...
+        }
+        ...
+    };
+    ```
+  */
+  storeContext: false,
+
+  /**
+    Maximum count of stored breadcrumbs, the oldest breadcrumbs are removed.
+
+    @property maxBreadcrumbs
+    @type Number
+    @default 20
+  */
+  maxBreadcrumbs: 20,
+
+  /**
+    Identifier of session, it is kept in session storage, so it is the same after reload of page in the same browser tab.
+
+    @property sessionId
+    @type String
+  */
+  sessionId: undefined,
+
+  /**
+    The last breadcrumbs `{ type, message, data, timestamp }`.
+
+    @property _breadcrumbs
+    @type Object[]
+    @default null
+    @private
+  */
+  _breadcrumbs: null,
+
+  /**
+    Registered sinks, additional destinations of log messages with their own level thresholds,
+    see {{#crossLink "LogSink"}}{{/crossLink}}.
+    Sinks receive messages even if log service is not `enabled` and regardless of `store...Messages` flags,
+    these settings are applied to application log model only, so sinks could be used instead of it.
+
+    @property sinks
+    @type LogSink[]
+    @readOnly
+  */
+  sinks: undefined,
+
   /**
     Initializes log service.
     Ember services are singletons, so this code will be executed only once since application initialization.
@@ -362,6 +484,21 @@ export default Ember.Service.extend(Ember.Evented, {
     let originalMethodsCache = Ember.A();
 
     this.initProperties();
+    this.set('_breadcrumbs', []);
+    this.set('sinks', Ember.A());
+    this.set('sessionId', this._getSessionId());
+
+    let router = getOwner(this).lookup('router:main');
+    if (router) {
+      router.on('didTransition', this, this._onDidTransition);
+    }
+
+    if (this.get('buffered')) {
+      this.set('_transport', BufferedLogTransport.create(Ember.merge({
+        store: this.get('store'),
+        modelName: this.get('applicationLogModelName'),
+      }, this.get('bufferSettings') || {})));
+    }
 
     let originalEmberLoggerError = Ember.Logger.error;
     originalMethodsCache.pushObject({
@@ -479,6 +616,16 @@ export default Ember.Service.extend(Ember.Evented, {
     this.set('showPromiseErrors', typeof logConfiguration.showPromiseErrors === 'boolean' && logConfiguration.showPromiseErrors);
     this.set('errorMessageFilterActive', typeof logConfiguration.errorMessageFilterActive === 'boolean' && logConfiguration.errorMessageFilterActive);
 
+    this.set('storeContext', typeof logConfiguration.storeContext === 'boolean' && logConfiguration.storeContext);
+    if (typeof logConfiguration.maxBreadcrumbs === 'number') {
+      this.set('maxBreadcrumbs', logConfiguration.maxBreadcrumbs);
+    }
+
+    this.set('buffered', typeof logConfiguration.buffered === 'boolean' && logConfiguration.buffered);
+    if (typeof logConfiguration.bufferSettings === 'object') {
+      this.set('bufferSettings', logConfiguration.bufferSettings);
+    }
+
     if (typeof logConfiguration.applicationLogModelName === 'string') {
       this.set('applicationLogModelName', logConfiguration.applicationLogModelName);
     }
@@ -501,6 +648,18 @@ export default Ember.Service.extend(Ember.Evented, {
     // Cleanup Ember.onerror & Ember.RSVP.on('error', ...) handlers (see http://emberjs.com/api/#event_onerror).
     Ember.onerror = null;
     Ember.RSVP.off('error');
+
+    let transport = this.get('_transport');
+    if (transport) {
+      transport.destroy();
+    }
+
+    this.get('sinks').forEach((sink) => sink.destroy());
+
+    let router = getOwner(this).lookup('router:main');
+    if (router) {
+      router.off('didTransition', this, this._onDidTransition);
+    }
   },
 
   /**
@@ -525,14 +684,17 @@ export default Ember.Service.extend(Ember.Evented, {
       });
     }
 
-    if (!this.get('enabled') || isSkippedMessage ||
+    let isStoredToModel = this.get('enabled') && !(
       category.name === messageCategory.error.name && !this.get('storeErrorMessages') ||
       category.name === messageCategory.warn.name && !this.get('storeWarnMessages') ||
       category.name === messageCategory.log.name && !this.get('storeLogMessages') ||
       category.name === messageCategory.info.name && !this.get('storeInfoMessages') ||
       category.name === messageCategory.debug.name && !this.get('storeDebugMessages') ||
       category.name === messageCategory.deprecate.name && !this.get('storeDeprecationMessages') ||
-      category.name === messageCategory.promise.name && !this.get('storePromiseErrors')) {
+      category.name === messageCategory.promise.name && !this.get('storePromiseErrors'));
+    let sinks = isSkippedMessage ? [] : this.get('sinks').filter((sink) => sink.accepts(category.name));
+
+    if (isSkippedMessage || !isStoredToModel && sinks.length === 0) {
       return new Ember.RSVP.Promise((resolve) => {
         this._triggerEvent(category.name);
         resolve();
@@ -540,6 +702,10 @@ export default Ember.Service.extend(Ember.Evented, {
     }
 
     let appConfig = getOwner(this)._lookupFactory('config:environment');
+    if (this.get('storeContext')) {
+      formattedMessage = this._addContext(formattedMessage);
+    }
+
     let applicationLogProperties = {
       category: category.name,
       eventId: 0,
@@ -557,6 +723,31 @@ export default Ember.Service.extend(Ember.Evented, {
       formattedMessage: formattedMessage
     };
 
+    sinks.forEach((sink) => {
+      try {
+        sink.write(Ember.merge({}, applicationLogProperties));
+      } catch (e) {
+        // Errors of sinks are not logged to avoid infinite loop.
+      }
+    });
+
+    if (!isStoredToModel) {
+      return new Ember.RSVP.Promise((resolve) => {
+        this._triggerEvent(category.name);
+        resolve();
+      });
+    }
+
+    // Buffered transport deduplicates messages itself, so message generated while saving itself is not stored infinitely.
+    let transport = this.get('_transport');
+    if (transport) {
+      transport.push(applicationLogProperties);
+      return new Ember.RSVP.Promise((resolve) => {
+        this._triggerEvent(category.name);
+        resolve();
+      });
+    }
+
     const applicationLogModelName = this.get('applicationLogModelName');
     let store = this.get('store');
 
@@ -578,6 +769,151 @@ export default Ember.Service.extend(Ember.Evented, {
     });
   },
 
+  /**
+    Registers sink of log messages.
+
+    @example
+      ```javascript
+      // app/instance-initializers/log-sinks.js
+      import MemoryLogSink from 'ember-flexberry/objects/log-sinks/memory-log-sink';
+      import HttpLogSink from 'ember-flexberry/objects/log-sinks/http-log-sink';
+
+      export function initialize(applicationInstance) {
+        let logService = applicationInstance.lookup('service:log');
+        logService.addSink(MemoryLogSink.create({ maxSize: 200 }));
+        logService.addSink(HttpLogSink.create({ url: '/api/logs', level: 'WARN' }));
+      }
+
+      export default {
+        name: 'log-sinks',
+        after: 'log',
+        initialize
+      };
+      ```
+
+    @method addSink
+    @param {LogSink} sink Sink to register.
+    @return {LogSink} Registered sink.
+  */
+  addSink(sink) {
+    this.get('sinks').addObject(sink);
+    return sink;
+  },
+
+  /**
+    Unregisters sink of log messages, sink is not destroyed.
+
+    @method removeSink
+    @param {LogSink} sink Sink to unregister.
+  */
+  removeSink(sink) {
+    this.get('sinks').removeObject(sink);
+  },
+
+  /**
+    Adds breadcrumb to context of application log.
+
+    @example
+      ```javascript
+      this.get('logService').addBreadcrumb('report', 'print', { reportName: 'orders' });
+      ```
+
+    @method addBreadcrumb
+    @param {String} type Type of breadcrumb, for example: 'route', 'olv-toolbar', 'edit-form'.
+    @param {String} message Message of breadcrumb.
+    @param {Object} [data] Additional data.
+  */
+  addBreadcrumb(type, message, data) {
+    let breadcrumbs = this.get('_breadcrumbs');
+    breadcrumbs.push({ type: type, message: message, data: data || null, timestamp: new Date().toISOString() });
+    if (breadcrumbs.length > this.get('maxBreadcrumbs')) {
+      breadcrumbs.splice(0, breadcrumbs.length - this.get('maxBreadcrumbs'));
+    }
+  },
+
+  /**
+    Returns structured context of application log.
+
+    @method getContext
+    @return {Object} Context `{ userName, routeName, routeParams, url, sessionId, appVersion, breadcrumbs }`.
+  */
+  getContext() {
+    let owner = getOwner(this);
+    let appConfig = owner.resolveRegistration('config:environment');
+    let userService = owner.lookup('service:user');
+    let router = owner.lookup('router:main');
+    let routeName = router ? router.get('currentRouteName') || null : null;
+    let routeParams = null;
+    if (routeName && router.router && router.router.state) {
+      routeParams = router.router.state.params[routeName] || null;
+    }
+
+    return {
+      userName: userService && typeof userService.getCurrentUserName === 'function' ? userService.getCurrentUserName() : null,
+      routeName: routeName,
+      routeParams: routeParams,
+      url: router ? router.get('url') : null,
+      sessionId: this.get('sessionId'),
+      appVersion: Ember.get(appConfig, 'APP.version') || null,
+      breadcrumbs: this.get('_breadcrumbs').slice()
+    };
+  },
+
+  /**
+    Adds context to formatted message.
+
+    @method _addContext
+    @param {String} formattedMessage Full message content in JSON format or empty string.
+    @return {String} Formatted message with `context` property.
+    @private
+  */
+  _addContext(formattedMessage) {
+    let content = {};
+    if (formattedMessage) {
+      try {
+        content = JSON.parse(formattedMessage);
+      } catch (e) {
+        content = { text: formattedMessage };
+      }
+    }
+
+    content.context = this.getContext();
+    return JSON.stringify(content);
+  },
+
+  /**
+    Returns identifier of session from session storage or generates new one.
+
+    @method _getSessionId
+    @return {String}
+    @private
+  */
+  _getSessionId() {
+    let key = 'flexberry-log-session-id';
+    try {
+      let sessionId = window.sessionStorage.getItem(key);
+      if (!sessionId) {
+        sessionId = uuid.v4();
+        window.sessionStorage.setItem(key, sessionId);
+      }
+
+      return sessionId;
+    } catch (e) {
+      return uuid.v4();
+    }
+  },
+
+  /**
+    Handles transition of router, adds breadcrumb.
+
+    @method _onDidTransition
+    @private
+  */
+  _onDidTransition() {
+    let router = getOwner(this).lookup('router:main');
+    this.addBreadcrumb('route', router.get('currentRouteName'), { url: router.get('url') });
+  },
+
   _triggerEvent(eventName, applicationLogModel) {
     Ember.assert('Logger Error: event name should be a string', typeof eventName === 'string');
     let eventNameToTrigger = eventName.toLowerCase();
@@ -208,6 +208,43 @@ export default Ember.Service.extend(Ember.Evented, {
     this.trigger('olvRowsChanged', componentName);
   },
 
+  /**
+    Trigger for "count of records changed in inline edit mode was changed" event in objectlistview.
+    Event name: olvInlineEditChanged.
+
+    @method inlineEditChangedTrigger
+
+    @param {String} componentName The name of objectlistview component
+    @param {Number} count Count of changed records
+  */
+  inlineEditChangedTrigger(componentName, count) {
+    this.trigger('olvInlineEditChanged', componentName, count);
+  },
+
+  /**
+    Trigger for "save all records changed in inline edit mode" event in objectlistview.
+    Event name: olvInlineEditSave.
+
+    @method inlineEditSaveTrigger
+
+    @param {String} componentName The name of objectlistview component
+  */
+  inlineEditSaveTrigger(componentName) {
+    this.trigger('olvInlineEditSave', componentName);
+  },
+
+  /**
+    Trigger for "cancel all changes made in inline edit mode" event in objectlistview.
+    Event name: olvInlineEditCancel.
+
+    @method inlineEditCancelTrigger
+
+    @param {String} componentName The name of objectlistview component
+  */
+  inlineEditCancelTrigger(componentName) {
+    this.trigger('olvInlineEditCancel', componentName);
+  },
+
   /**
     Trigger for "reset filters" event in simpleolv.
     Event name: resetFilters.
@@ -0,0 +1,495 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import percentile from '../utils/percentile';
+import LogRouteMetricsReporter from '../objects/route-metrics-reporters/log-route-metrics-reporter';
+import HttpRouteMetricsReporter from '../objects/route-metrics-reporters/http-route-metrics-reporter';
+
+const { get, set, getOwner } = Ember;
+
+/**
+  Names of measured metrics.
+
+  @for RouteMetricsService
+  @property metricNames
+  @type String[]
+  @static
+*/
+export const metricNames = ['modelTime', 'renderTime', 'interactiveTime'];
+
+/**
+  Service for real user monitoring of route transitions.
+
+  For every transition it measures:
+  - `modelTime` - time from start of transition till resolving of model hooks and setup of controllers;
+  - `renderTime` - time from resolving of model hooks till the end of rendering;
+  - `interactiveTime` - time from start of transition till all `flexberry-objectlistview` and `flexberry-groupedit` components
+    of the route are inserted into DOM (time to interactive).
+
+  Measured values are kept in memory per route (`maxSamples` last values), percentiles are calculated by
+  {{#crossLink "RouteMetricsService/getMetrics:method"}}{{/crossLink}} and periodically sent to `reporter`.
+
+  @example
+    ```javascript
+    // config/environment.js
+    module.exports = function(environment) {
+      var ENV = {
+        ...
+        APP: {
+          ...
+          routeMetrics: {
+            enabled: true,
+            reportInterval: 300000,
+            reporter: 'http',
+            reporterSettings: { url: '/api/route-metrics' }
+          }
+          ...
+        }
+        ...
+    };
+    ```
+
+  @class RouteMetricsService
+  @extends Ember.Service
+  @uses Ember.Evented
+*/
+export default Ember.Service.extend(Ember.Evented, {
+  /**
+    Flag: indicates whether route transitions are measured.
+
+    @property enabled
+    @type Boolean
+    @default false
+  */
+  enabled: false,
+
+  /**
+    Interval in milliseconds to report metrics, reports are not sent if it is `0`.
+
+    @property reportInterval
+    @type Number
+    @default 60000
+  */
+  reportInterval: 60000,
+
+  /**
+    Maximum count of kept values of each metric for each route, the oldest values are removed.
+
+    @property maxSamples
+    @type Number
+    @default 200
+  */
+  maxSamples: 200,
+
+  /**
+    Time in milliseconds to wait for `flexberry-objectlistview` and `flexberry-groupedit` components,
+    measurement is finished without time to interactive after it.
+
+    @property interactiveTimeout
+    @type Number
+    @default 30000
+  */
+  interactiveTimeout: 30000,
+
+  /**
+    Reporter of metrics, object with `report(report)` method, which returns promise.
+    It is created by `reporter` setting of application config: 'log'
+    ({{#crossLink "LogRouteMetricsReporter"}}{{/crossLink}}) or 'http' ({{#crossLink "HttpRouteMetricsReporter"}}{{/crossLink}}),
+    `reporterSettings` are passed to it.
+
+    @property reporter
+    @type Object
+    @default null
+  */
+  reporter: null,
+
+  /**
+    Number of changes of kept values, it could be used as dependent key to refresh shown metrics.
+
+    @property version
+    @type Number
+    @default 0
+  */
+  version: 0,
+
+  /**
+    Current measurement `{ routeName, startTime, resolvedTime, renderedTime, transition }`.
+
+    @property _current
+    @type Object
+    @default null
+    @private
+  */
+  _current: null,
+
+  /**
+    Components, which are not inserted into DOM yet.
+
+    @property _pendingComponents
+    @type Ember.NativeArray
+    @private
+  */
+  _pendingComponents: undefined,
+
+  /**
+    Kept values of metrics by routes: `{ [routeName]: { count, modelTime: [], renderTime: [], interactiveTime: [] } }`.
+
+    @property _samples
+    @type Object
+    @private
+  */
+  _samples: undefined,
+
+  /**
+    Version of kept values at the time of last report.
+
+    @property _reportedVersion
+    @type Number
+    @default 0
+    @private
+  */
+  _reportedVersion: 0,
+
+  /**
+    Identifier of timer of reports.
+
+    @property _reportTimer
+    @type Number
+    @private
+  */
+  _reportTimer: undefined,
+
+  /**
+    Timer of `interactiveTimeout`.
+
+    @property _interactiveTimer
+    @type Object
+    @private
+  */
+  _interactiveTimer: undefined,
+
+  /**
+    Application router.
+
+    @property _router
+    @type Ember.Router
+    @private
+  */
+  _router: undefined,
+
+  init() {
+    this._super(...arguments);
+    set(this, '_samples', {});
+    set(this, '_pendingComponents', Ember.A());
+
+    let owner = getOwner(this);
+    if (!owner) {
+      return;
+    }
+
+    this.initProperties();
+    if (!get(this, 'enabled')) {
+      return;
+    }
+
+    // The initial transition is measured from the start of navigation.
+    set(this, '_current', { routeName: null, startTime: 0, resolvedTime: null, renderedTime: null, transition: null });
+
+    // eslint-disable-next-line ember/no-private-routing-service
+    let router = owner.lookup('router:main');
+    set(this, '_router', router);
+    router.on('willTransition', this, this._onWillTransition);
+    router.on('didTransition', this, this._onDidTransition);
+
+    if (get(this, 'reportInterval') > 0) {
+      // Native timer is used, so waiting for run loop in tests is not blocked.
+      set(this, '_reportTimer', window.setInterval(() => Ember.run(() => this.report()), get(this, 'reportInterval')));
+    }
+  },
+
+  /**
+    Initializes properties of service from application config.
+
+    @method initProperties
+  */
+  initProperties() {
+    let config = getOwner(this).resolveRegistration('config:environment');
+    let settings = config && config.APP && config.APP.routeMetrics;
+    if (!settings) {
+      return;
+    }
+
+    set(this, 'enabled', settings.enabled === true);
+    ['reportInterval', 'maxSamples', 'interactiveTimeout'].forEach((name) => {
+      if (typeof settings[name] === 'number') {
+        set(this, name, settings[name]);
+      }
+    });
+
+    let reporterSettings = settings.reporterSettings || {};
+    if (settings.reporter === 'log') {
+      set(this, 'reporter', LogRouteMetricsReporter.create(reporterSettings));
+    } else if (settings.reporter === 'http') {
+      set(this, 'reporter', HttpRouteMetricsReporter.create(reporterSettings));
+    }
+  },
+
+  willDestroy() {
+    this._super(...arguments);
+    window.clearInterval(get(this, '_reportTimer'));
+    Ember.run.cancel(get(this, '_interactiveTimer'));
+
+    let router = get(this, '_router');
+    if (router) {
+      router.off('willTransition', this, this._onWillTransition);
+      router.off('didTransition', this, this._onDidTransition);
+    }
+  },
+
+  /**
+    Registers component, which has to be inserted into DOM to make route interactive.
+    It is called by `flexberry-objectlistview` and `flexberry-groupedit` components on initialization.
+
+    @method beginInteractive
+    @param {Ember.Component} component Component.
+  */
+  beginInteractive(component) {
+    let current = get(this, '_current');
+    if (current && Ember.isNone(current.renderedTime)) {
+      get(this, '_pendingComponents').addObject(component);
+    }
+  },
+
+  /**
+    Marks component as inserted into DOM.
+
+    @method endInteractive
+    @param {Ember.Component} component Component.
+  */
+  endInteractive(component) {
+    let pendingComponents = get(this, '_pendingComponents');
+    if (pendingComponents.indexOf(component) === -1) {
+      return;
+    }
+
+    pendingComponents.removeObject(component);
+    let current = get(this, '_current');
+    if (current && !Ember.isNone(current.renderedTime) && get(pendingComponents, 'length') === 0) {
+      this._finish(performance.now());
+    }
+  },
+
+  /**
+    Adds measured values of route.
+
+    @method addSample
+    @param {String} routeName Name of route.
+    @param {Object} sample Values of metrics `{ modelTime, renderTime, interactiveTime }`, unknown values are `null`.
+  */
+  addSample(routeName, sample) {
+    let samples = get(this, '_samples');
+    let routeSamples = samples[routeName];
+    if (!routeSamples) {
+      routeSamples = samples[routeName] = { count: 0, modelTime: [], renderTime: [], interactiveTime: [] };
+    }
+
+    routeSamples.count++;
+    metricNames.forEach((metricName) => {
+      let values = routeSamples[metricName];
+      values.push(Ember.isNone(sample[metricName]) ? null : Math.round(sample[metricName]));
+      if (values.length > get(this, 'maxSamples')) {
+        values.splice(0, values.length - get(this, 'maxSamples'));
+      }
+    });
+
+    this.incrementProperty('version');
+    this.trigger('sampleAdded', routeName, sample);
+  },
+
+  /**
+    Returns aggregated metrics of routes.
+
+    @example
+      ```javascript
+      [{
+        routeName: 'ember-flexberry-dummy-suggestion-list',
+        count: 12,
+        modelTime: { p50: 120, p90: 340, p99: 410, max: 410 },
+        renderTime: { p50: 80, p90: 95, p99: 130, max: 130 },
+        interactiveTime: { p50: 210, p90: 450, p99: 560, max: 560 }
+      }]
+      ```
+
+    @method getMetrics
+    @return {Object[]} Metrics of routes, `count` is count of all measured transitions,
+    percentiles are calculated over the last `maxSamples` values.
+  */
+  getMetrics() {
+    let samples = get(this, '_samples');
+    return Object.keys(samples).map((routeName) => {
+      let routeSamples = samples[routeName];
+      let metrics = { routeName: routeName, count: routeSamples.count };
+      metricNames.forEach((metricName) => {
+        let values = routeSamples[metricName];
+        metrics[metricName] = {
+          p50: percentile(values, 50),
+          p90: percentile(values, 90),
+          p99: percentile(values, 99),
+          max: percentile(values, 100)
+        };
+      });
+
+      return metrics;
+    });
+  },
+
+  /**
+    Returns metrics of the slowest routes.
+
+    @method getSlowestRoutes
+    @param {Number} [count=10] Count of routes.
+    @param {String} [metricName='interactiveTime'] Name of metric to compare.
+    @param {String} [percentileName='p90'] Name of percentile to compare: 'p50', 'p90', 'p99' or 'max'.
+    @return {Object[]} Metrics of routes, see {{#crossLink "RouteMetricsService/getMetrics:method"}}{{/crossLink}}.
+  */
+  getSlowestRoutes(count = 10, metricName = 'interactiveTime', percentileName = 'p90') {
+    let value = (metrics) => {
+      let result = metrics[metricName][percentileName];
+      return Ember.isNone(result) ? -1 : result;
+    };
+
+    return this.getMetrics().sort((a, b) => value(b) - value(a)).slice(0, count);
+  },
+
+  /**
+    Sends metrics to `reporter`, if there are new values since the last report.
+
+    @method report
+    @return {Promise} A promise that is resolved when report is sent.
+  */
+  report() {
+    let reporter = get(this, 'reporter');
+    let version = get(this, 'version');
+    if (!reporter || version === get(this, '_reportedVersion')) {
+      return Ember.RSVP.resolve();
+    }
+
+    return reporter.report({ timestamp: new Date().toISOString(), routes: this.getMetrics() }).then(() => {
+      set(this, '_reportedVersion', version);
+    }, () => {
+      // Metrics will be sent with the next report.
+    });
+  },
+
+  /**
+    Removes kept values.
+
+    @method reset
+  */
+  reset() {
+    set(this, '_samples', {});
+    this.incrementProperty('version');
+    set(this, '_reportedVersion', get(this, 'version'));
+  },
+
+  /**
+    Starts measurement of transition.
+
+    @method _onWillTransition
+    @param {Transition} transition Transition.
+    @private
+  */
+  _onWillTransition(transition) {
+    if (transition.queryParamsOnly) {
+      return;
+    }
+
+    // Redirects are measured as part of original transition, the initial transition is measured from the start of navigation.
+    let current = get(this, '_current');
+    let startTime = current && Ember.isNone(current.renderedTime) ? current.startTime : performance.now();
+
+    this._cancel();
+    current = { routeName: null, startTime: startTime, resolvedTime: null, renderedTime: null, transition: transition };
+    set(this, '_current', current);
+
+    transition.then(() => {
+      if (get(this, '_current') === current) {
+        current.resolvedTime = performance.now();
+      }
+    }, () => {
+      if (get(this, '_current') === current && current.transition.isAborted) {
+        this._cancel();
+      }
+    });
+  },
+
+  /**
+    Waits for the end of rendering of transition.
+
+    @method _onDidTransition
+    @private
+  */
+  _onDidTransition() {
+    let current = get(this, '_current');
+    if (!current || !Ember.isNone(current.renderedTime)) {
+      return;
+    }
+
+    current.routeName = get(this, '_router.currentRouteName');
+    Ember.run.scheduleOnce('afterRender', this, this._onDidRender, current);
+  },
+
+  /**
+    Finishes measurement of render time, measurement is finished if there are no pending components.
+
+    @method _onDidRender
+    @param {Object} current Measurement.
+    @private
+  */
+  _onDidRender(current) {
+    if (get(this, '_current') !== current || get(this, 'isDestroyed')) {
+      return;
+    }
+
+    current.renderedTime = performance.now();
+    if (get(this, '_pendingComponents.length') === 0) {
+      this._finish(current.renderedTime);
+    } else {
+      set(this, '_interactiveTimer', Ember.run.later(this, this._finish, null, get(this, 'interactiveTimeout')));
+    }
+  },
+
+  /**
+    Finishes measurement and adds measured values.
+
+    @method _finish
+    @param {Number} interactiveTime Time when route becomes interactive, `null` if it is unknown.
+    @private
+  */
+  _finish(interactiveTime) {
+    let current = get(this, '_current');
+    this._cancel();
+
+    let modelTime = Ember.isNone(current.resolvedTime) ? null : current.resolvedTime - current.startTime;
+    let renderStartTime = Ember.isNone(current.resolvedTime) ? current.startTime : current.resolvedTime;
+    this.addSample(current.routeName, {
+      modelTime: modelTime,
+      renderTime: current.renderedTime - renderStartTime,
+      interactiveTime: Ember.isNone(interactiveTime) ? null : interactiveTime - current.startTime
+    });
+  },
+
+  /**
+    Cancels current measurement.
+
+    @method _cancel
+    @private
+  */
+  _cancel() {
+    Ember.run.cancel(get(this, '_interactiveTimer'));
+    get(this, '_pendingComponents').clear();
+    set(this, '_current', null);
+  },
+});
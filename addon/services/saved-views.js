@@ -0,0 +1,342 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+import Builder from 'ember-flexberry-data/query/builder';
+import { SimplePredicate, ComplexPredicate } from 'ember-flexberry-data/query/predicate';
+
+const { get, set } = Ember;
+
+/**
+  Service to store/read saved views of lists to/from application storage.
+
+  Saved view bundles user setting of list (order and widths of columns, sorting, records count on page),
+  filters by columns, text of filter by any match and adv limit into one named entry.
+  Views are stored as user setting records, view can be shared for all users of module,
+  shared views of other users are read-only and can be only applied or cloned.
+
+  @example
+    ```javascript
+    // app/config/environment.js
+    APP: {
+      useUserSettingsService: true,
+      ...
+    }
+    ```
+
+  @class SavedViewsService
+  @extends <a href="http://emberjs.com/api/classes/Ember.Service.html">Ember.Service</a>
+*/
+export default Ember.Service.extend({
+  /**
+    Ember data store.
+
+    @property store
+    @type DS.Store
+  */
+  store: Ember.inject.service(),
+
+  /**
+    Service for managing user settings of lists.
+
+    @property userSettingsService
+    @type UserSettingsService
+  */
+  userSettingsService: Ember.inject.service('user-settings'),
+
+  /**
+    Service for managing adv limits of lists.
+
+    @property advLimit
+    @type AdvLimitService
+  */
+  advLimit: Ember.inject.service(),
+
+  /**
+    Flag: indicates whether saved views are available.
+    Views are stored with user settings, so flag depends on `APP.useUserSettingsService` config setting.
+
+    @property isSavedViewsServiceEnabled
+    @type Boolean
+    @readOnly
+  */
+  isSavedViewsServiceEnabled: Ember.computed.readOnly('userSettingsService.isUserSettingsServiceEnabled'),
+
+  /**
+    User setting model name.
+
+    @property userSettingModelName
+    @type String
+    @default 'new-platform-flexberry-flexberry-user-setting'
+  */
+  userSettingModelName: 'new-platform-flexberry-flexberry-user-setting',
+
+  /**
+    User setting projection name.
+
+    @property userSettingProjectionName
+    @type String
+    @default 'FlexberryUserSettingE'
+  */
+  userSettingProjectionName: 'FlexberryUserSettingE',
+
+  /**
+    Returns name of current user.
+
+    @method getCurrentUserName
+    @return {String}
+  */
+  getCurrentUserName() {
+    return Ember.getOwner(this).lookup('service:user').getCurrentUserName();
+  },
+
+  /**
+    Returns saved views of current user and views shared by other users for specified component.
+    Each view is object with `key`, `name`, `owner`, `shared`, `readonly` and `value` properties,
+    where `value` is object with `setting`, `filters`, `filter`, `filterCondition` and `advLimit` properties.
+
+    @method getViews
+    @param {String} componentName Name of component.
+    @return {Promise} A promise that returns array of views sorted by name.
+  */
+  getViews(componentName) {
+    Ember.assert('getViews:: componentName is not defined.', componentName);
+    if (!get(this, 'isSavedViewsServiceEnabled')) {
+      return Ember.RSVP.resolve(Ember.A());
+    }
+
+    let currentUserName = this.getCurrentUserName();
+    let p1 = new ComplexPredicate('and',
+      new SimplePredicate('appName', 'eq', this._getAppName(false)),
+      new SimplePredicate('userName', 'eq', currentUserName));
+    let p2 = new SimplePredicate('appName', 'eq', this._getAppName(true));
+    let predicate = new ComplexPredicate('and',
+      new SimplePredicate('moduleName', 'eq', componentName),
+      new ComplexPredicate('or', p1, p2));
+
+    return this._query(predicate).then((records) => {
+      let views = Ember.A(records.map((record) => this._recordToView(record, currentUserName)));
+      return views.sortBy('name', 'owner');
+    });
+  },
+
+  /**
+    Collects current state of list into value of view.
+
+    @method getCurrentViewValue
+    @param {String} componentName Name of component.
+    @param {Object} [controller] Controller of list with `filters`, `filter` and `filterCondition` properties.
+    @return {Object} Value of view.
+  */
+  getCurrentViewValue(componentName, controller) {
+    let userSettingsService = get(this, 'userSettingsService');
+    let setting = userSettingsService.getCurrentUserSetting(componentName);
+    let value = {
+      setting: setting ? JSON.parse(JSON.stringify(setting)) : {},
+      filters: null,
+      filter: null,
+      filterCondition: null,
+      advLimit: get(this, 'advLimit').getCurrentAdvLimit(componentName) || '',
+    };
+
+    if (controller) {
+      let filters = get(controller, 'filters');
+      if (filters) {
+        value.filters = {};
+        for (let name in filters) {
+          if (Object.prototype.hasOwnProperty.call(filters, name)) {
+            let { type, pattern, condition } = filters[name];
+            value.filters[name] = { name, type, pattern, condition };
+          }
+        }
+      }
+
+      value.filter = get(controller, 'filter') || null;
+      value.filterCondition = get(controller, 'filterCondition') || null;
+    }
+
+    return value;
+  },
+
+  /**
+    Saves view of current user, view with the same name is overwritten.
+
+    @method saveView
+    @param {String} componentName Name of component.
+    @param {String} viewName Name of view.
+    @param {Object} value Value of view, see {{#crossLink "SavedViewsService/getCurrentViewValue:method"}}{{/crossLink}}.
+    @param {Boolean} [shared=false] Flag: indicates whether view is available for all users of module.
+    @return {Promise} Save operation promise.
+  */
+  saveView(componentName, viewName, value, shared = false) {
+    Ember.assert('saveView:: componentName is not defined.', componentName);
+    Ember.assert('saveView:: View name is not defined.', !Ember.isBlank(viewName));
+    Ember.assert('saveView:: View value is not defined.', !Ember.isNone(value));
+
+    if (!get(this, 'isSavedViewsServiceEnabled')) {
+      return Ember.RSVP.resolve();
+    }
+
+    return this._getOwnRecords(componentName, viewName).then((records) => {
+      let record = records.shift();
+      return Ember.RSVP.all(records.map((duplicate) => duplicate.destroyRecord())).then(() => {
+        if (!record) {
+          record = get(this, 'store').createRecord(get(this, 'userSettingModelName'));
+          set(record, 'userName', this.getCurrentUserName());
+          set(record, 'moduleName', componentName);
+          set(record, 'settName', viewName);
+        }
+
+        set(record, 'appName', this._getAppName(shared));
+        set(record, 'txtVal', JSON.stringify(value));
+
+        return record.save();
+      });
+    });
+  },
+
+  /**
+    Saves copy of view as not shared view of current user.
+
+    @method cloneView
+    @param {String} componentName Name of component.
+    @param {Object} view View to clone.
+    @param {String} viewName Name of new view.
+    @return {Promise} Save operation promise.
+  */
+  cloneView(componentName, view, viewName) {
+    return this.saveView(componentName, viewName, JSON.parse(JSON.stringify(view.value)), false);
+  },
+
+  /**
+    Deletes view of current user.
+
+    @method deleteView
+    @param {String} componentName Name of component.
+    @param {Object} view View to delete.
+    @return {Promise} Delete operation promise, it is rejected for read-only views of other users.
+  */
+  deleteView(componentName, view) {
+    Ember.assert('deleteView:: componentName is not defined.', componentName);
+
+    if (view.readonly) {
+      return Ember.RSVP.reject(new Error('deleteView:: Views of other users can\'t be deleted.'));
+    }
+
+    if (!get(this, 'isSavedViewsServiceEnabled')) {
+      return Ember.RSVP.resolve();
+    }
+
+    return this._getOwnRecords(componentName, view.name).then((records) => {
+      return Ember.RSVP.all(records.map((record) => record.destroyRecord()));
+    });
+  },
+
+  /**
+    Saves user setting and adv limit of view as current for specified component.
+    Filters of view must be applied to controller of list by caller.
+
+    @method applyView
+    @param {String} componentName Name of component.
+    @param {Object} view View to apply.
+    @return {Promise} A promise that returns value of applied view.
+  */
+  applyView(componentName, view) {
+    Ember.assert('applyView:: componentName is not defined.', componentName);
+
+    let value = view.value;
+    let promises = [];
+    if (!Ember.isEmpty(Object.keys(value.setting || {}))) {
+      promises.push(get(this, 'userSettingsService').saveUserSetting(componentName, undefined, value.setting));
+    }
+
+    promises.push(get(this, 'advLimit').saveAdvLimit(value.advLimit || '', componentName));
+
+    return Ember.RSVP.all(promises).then(() => value);
+  },
+
+  /**
+    Returns application name for views records.
+    Own and shared views are stored with different application names,
+    so they are not loaded as user settings of page.
+
+    @method _getAppName
+    @param {Boolean} shared Flag: indicates whether view is shared.
+    @return {String}
+    @private
+  */
+  _getAppName(shared) {
+    let appPage = get(this, 'userSettingsService').getCurrentAppPage();
+    return `${appPage}@${shared ? 'sharedViews' : 'views'}`;
+  },
+
+  /**
+    Converts user setting record to view.
+
+    @method _recordToView
+    @param {DS.Model} record User setting record.
+    @param {String} currentUserName Name of current user.
+    @return {Object} View.
+    @private
+  */
+  _recordToView(record, currentUserName) {
+    let owner = get(record, 'userName');
+    let name = get(record, 'settName');
+    let shared = get(record, 'appName') === this._getAppName(true);
+    let value = JSON.parse(get(record, 'txtVal') || '{}');
+
+    return {
+      key: `${owner}/${name}`,
+      name: name,
+      owner: owner,
+      shared: shared,
+      readonly: owner !== currentUserName,
+      value: value,
+    };
+  },
+
+  /**
+    Looks for views records of current user with specified name.
+
+    @method _getOwnRecords
+    @param {String} componentName Name of component.
+    @param {String} viewName Name of view.
+    @return {Promise} A promise that returns array of found records.
+    @private
+  */
+  _getOwnRecords(componentName, viewName) {
+    let predicate = new ComplexPredicate('and',
+      new SimplePredicate('userName', 'eq', this.getCurrentUserName()),
+      new SimplePredicate('moduleName', 'eq', componentName),
+      new SimplePredicate('settName', 'eq', viewName),
+      new ComplexPredicate('or',
+        new SimplePredicate('appName', 'eq', this._getAppName(false)),
+        new SimplePredicate('appName', 'eq', this._getAppName(true))));
+
+    return this._query(predicate);
+  },
+
+  /**
+    Loads user setting records by predicate.
+
+    @method _query
+    @param {BasePredicate} predicate Predicate to filter records.
+    @return {Promise} A promise that returns array of found records.
+    @private
+  */
+  _query(predicate) {
+    let store = get(this, 'store');
+    let modelName = get(this, 'userSettingModelName');
+    let builder = new Builder(store)
+      .from(modelName)
+      .selectByProjection(get(this, 'userSettingProjectionName'))
+      .where(predicate);
+
+    return store.query(modelName, builder.build()).then((result) => {
+      let foundRecords = result ? get(result, 'content') : null;
+      return Ember.isArray(foundRecords) ? foundRecords.map(({ record }) => record) : [];
+    });
+  }
+});
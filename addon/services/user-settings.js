@@ -10,6 +10,7 @@ import serializeSortingParam from '../utils/serialize-sorting-param';
 const { Builder, SimplePredicate, ComplexPredicate } = Query;
 
 const defaultSettingName = 'DEFAULT';
+const lookupValuesSettingName = 'LookupValues';
 
 /**
   Service to store/read user settings to/from application storage.
@@ -487,6 +488,19 @@ export default Ember.Service.extend({
     return currentUserSetting && 'columnWidths' in currentUserSetting ? currentUserSetting.columnWidths : undefined;
   },
 
+  /**
+   Returns current groupBy.
+
+   @method getCurrentGroupBy
+   @param {String} componentName Name of component.
+   @param {String} settingName Name of setting.
+   @return {Array} Names of properties to group rows by.
+   */
+  getCurrentGroupBy(componentName, settingName) {
+    let currentUserSetting = this.getCurrentUserSetting(componentName, settingName);
+    return currentUserSetting && 'groupBy' in currentUserSetting ? currentUserSetting.groupBy : Ember.A();
+  },
+
   /**
    Returns current detSeparateCols.
 
@@ -571,6 +585,35 @@ export default Ember.Service.extend({
     }
   },
 
+  /**
+   Set current groupBy.
+
+   @method setCurrentGroupBy
+   @param {String} componentName Name of component.
+   @param {String} settingName Name of setting.
+   @param {Array} groupBy Names of properties to group rows by.
+   */
+  setCurrentGroupBy(componentName, settingName, groupBy) {
+    if (settingName === undefined) {
+      settingName = defaultSettingName;
+    }
+
+    let userSetting;
+    if (this.exists() &&
+      componentName in this.currentUserSettings[this.currentAppPage] &&
+      settingName in this.currentUserSettings[this.currentAppPage][componentName]
+    ) {
+      userSetting = this.currentUserSettings[this.currentAppPage][componentName][settingName];
+    } else {
+      userSetting = {};
+    }
+
+    userSetting.groupBy = groupBy;
+    if (this.isUserSettingsServiceEnabled) {
+      this.saveUserSetting(componentName, settingName, userSetting);
+    }
+  },
+
   /**
    Set toggler status
 
@@ -617,6 +660,38 @@ export default Ember.Service.extend({
     return currentUserSetting && 'togglerStatus' in currentUserSetting ? currentUserSetting.togglerStatus : null;
   },
 
+  /**
+   Returns recently used and favorite values of lookup.
+
+   @method getLookupValues
+   @param {String} componentName Name of lookup component.
+   @return {Object} Object with `recent` and `favorites` arrays of identifiers of values.
+   */
+  getLookupValues(componentName) {
+    let currentUserSetting = this.getCurrentUserSetting(componentName, lookupValuesSettingName);
+    return {
+      recent: currentUserSetting && Ember.isArray(currentUserSetting.recent) ? currentUserSetting.recent.slice() : [],
+      favorites: currentUserSetting && Ember.isArray(currentUserSetting.favorites) ? currentUserSetting.favorites.slice() : []
+    };
+  },
+
+  /**
+   Saves recently used and favorite values of lookup.
+
+   @method setLookupValues
+   @param {String} componentName Name of lookup component.
+   @param {Object} lookupValues Object with `recent` and `favorites` arrays of identifiers of values.
+   @return {<a href="http://emberjs.com/api/classes/RSVP.Promise.html">Promise</a>} Save operation promise.
+   */
+  setLookupValues(componentName, lookupValues) {
+    let userSetting = {
+      recent: lookupValues.recent || [],
+      favorites: lookupValues.favorites || []
+    };
+
+    return this.saveUserSetting(componentName, lookupValuesSettingName, userSetting);
+  },
+
   /**
    Deletes given user setting from storage.
 
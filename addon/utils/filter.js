@@ -4,7 +4,120 @@
 
 import Ember from 'ember';
 import { Query } from 'ember-flexberry-data';
-const { SimplePredicate, StringPredicate, DatePredicate, NotPredicate } = Query;
+import { EndsWithPredicate, RegexPredicate, isValidRegex } from './string-predicates';
+const { Condition, SimplePredicate, StringPredicate, DatePredicate, NotPredicate, ComplexPredicate } = Query;
+
+/**
+  Separator of values in pattern of filter with `in` condition.
+
+  @for Utils.Filter
+  @property filterListSeparator
+  @type String
+*/
+const filterListSeparator = ';';
+
+/**
+  Conditions of relative date ranges, they don't need pattern.
+
+  @for Utils.Filter
+  @property relativeDateConditions
+  @type Array
+*/
+const relativeDateConditions = ['today', 'last7days', 'thismonth', 'thisquarter'];
+
+/**
+  Conditions of filters, which don't need pattern.
+
+  @for Utils.Filter
+  @property conditionsWithoutPattern
+  @type Array
+*/
+const conditionsWithoutPattern = ['empty', 'nempty', ...relativeDateConditions];
+
+/**
+  Returns range of dates for relative date condition.
+
+  @for Utils.Filter
+  @method relativeDateRange
+  @param {String} condition One of `today`, `last7days`, `thismonth` or `thisquarter`.
+  @param {Date} [now] Current date.
+  @return {Array} First and last days of range (inclusive) or `null`, if condition is unknown.
+*/
+let relativeDateRange = function (condition, now = new Date()) {
+  let today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let year = today.getFullYear();
+  let month = today.getMonth();
+  switch (condition) {
+    case 'today':
+      return [today, today];
+    case 'last7days':
+      return [new Date(year, month, today.getDate() - 6), today];
+    case 'thismonth':
+      return [new Date(year, month, 1), new Date(year, month + 1, 0)];
+    case 'thisquarter': {
+      let firstMonth = month - month % 3;
+      return [new Date(year, firstMonth, 1), new Date(year, firstMonth + 3, 0)];
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+  Splits pattern of filter with `in` condition into values.
+
+  @for Utils.Filter
+  @method splitFilterList
+  @param {String} pattern Values separated by `filterListSeparator`.
+  @return {Array} Not empty trimmed values.
+*/
+let splitFilterList = function (pattern) {
+  return String(pattern || '').split(filterListSeparator).map((value) => value.trim()).filter((value) => value !== '');
+};
+
+/**
+  Builds predicate for `in` condition: attribute is equal to one of values.
+
+  @method predicateForList
+  @param {String} name Path to attribute.
+  @param {Array} values Values.
+  @return {BasePredicate|null} Predicate or `null`, if there are no values.
+  @private
+*/
+let predicateForList = function (name, values) {
+  let predicates = values.map((value) => new SimplePredicate(name, 'eq', value));
+  switch (predicates.length) {
+    case 0:
+      return null;
+    case 1:
+      return predicates[0];
+    default:
+      return new ComplexPredicate(Condition.Or, ...predicates);
+  }
+};
+
+/**
+  Builds predicate for relative date condition.
+
+  @method predicateForRelativeDate
+  @param {String} name Path to attribute.
+  @param {String} condition Relative date condition.
+  @return {BasePredicate|null} Predicate or `null`, if condition is unknown.
+  @private
+*/
+let predicateForRelativeDate = function (name, condition) {
+  let range = relativeDateRange(condition);
+  if (!range) {
+    return null;
+  }
+
+  let [from, to] = range;
+  if (from.getTime() === to.getTime()) {
+    return new DatePredicate(name, 'eq', from, true);
+  }
+
+  return new ComplexPredicate(Condition.And, new DatePredicate(name, 'geq', from, true), new DatePredicate(name, 'leq', to, true));
+};
 
 /**
   Builds predicate for filter
@@ -15,6 +128,17 @@ const { SimplePredicate, StringPredicate, DatePredicate, NotPredicate } = Query;
     predicateForFilter(filter)
     ```
 
+  Supported conditions:
+  - for strings: `eq`, `neq`, `like`, `nlike`, `startswith`, `endswith`, `regex`, `in`, `empty`, `nempty`;
+  - for numbers: `eq`, `neq`, `le`, `ge`, `between`, `in`, `empty`, `nempty`;
+  - for dates: `eq`, `neq`, `le`, `ge`, `today`, `last7days`, `thismonth`, `thisquarter`;
+  - for booleans: `eq`, `neq`, `empty`, `nempty`.
+
+  Values of `in` condition are separated by `;` in pattern, `between` condition uses pattern `<from>|<to>`.
+  Conditions `endswith` and `regex` are built by predicates of the `string-predicates` util, they are supported by OData and JS query adapters.
+  Invalid regular expression gives no predicate.
+
+  @for Utils.Filter
   @method predicateForFilter
   @param {Object} filter Object (`{ name, condition, pattern }`) with parameters for filter.
   @return {BasePredicate|null} Predicate to filter through.
@@ -28,6 +152,22 @@ let predicateForFilter = function (filter) {
             return new StringPredicate(filter.name).contains(filter.pattern || '');
           case 'nlike':
             return new NotPredicate(new StringPredicate(filter.name).contains(filter.pattern || ''));
+          case 'startswith':
+            return filter.pattern ?
+              new ComplexPredicate(Condition.And,
+                new SimplePredicate(filter.name, 'geq', filter.pattern),
+                new SimplePredicate(filter.name, 'le', `${filter.pattern}\uffff`)) :
+              null;
+          case 'endswith':
+            return filter.pattern ? new EndsWithPredicate(filter.name, filter.pattern) : null;
+          case 'regex':
+            return filter.pattern && isValidRegex(filter.pattern) ? new RegexPredicate(filter.name, filter.pattern) : null;
+          case 'in':
+            return predicateForList(filter.name, splitFilterList(filter.pattern));
+          case 'empty':
+            return new ComplexPredicate(Condition.Or, new SimplePredicate(filter.name, 'eq', null), new SimplePredicate(filter.name, 'eq', ''));
+          case 'nempty':
+            return new ComplexPredicate(Condition.And, new SimplePredicate(filter.name, 'neq', null), new SimplePredicate(filter.name, 'neq', ''));
           default:
             return new SimplePredicate(filter.name, filter.condition, filter.pattern || null);
         }
@@ -45,6 +185,15 @@ let predicateForFilter = function (filter) {
 
         break;
       case 'number':
+        switch (filter.condition) {
+          case 'in':
+            return predicateForList(filter.name, splitFilterList(filter.pattern).map(Number).filter((value) => !isNaN(value)));
+          case 'empty':
+            return new SimplePredicate(filter.name, 'eq', null);
+          case 'nempty':
+            return new SimplePredicate(filter.name, 'neq', null);
+        }
+
         if (filter.condition === 'between') {
           if (!filter.pattern) {
             return new SimplePredicate(filter.name, filter.condition, null);
@@ -69,6 +218,10 @@ let predicateForFilter = function (filter) {
 
         break;
       case 'date':
+        if (relativeDateConditions.indexOf(filter.condition) > -1) {
+          return predicateForRelativeDate(filter.name, filter.condition);
+        }
+
         return filter.pattern ?
           new DatePredicate(filter.name, filter.condition, filter.pattern, true) :
           new SimplePredicate(filter.name, filter.condition, null);
@@ -92,5 +245,10 @@ let predicateForFilter = function (filter) {
 };
 
 export {
-  predicateForFilter
+  predicateForFilter,
+  relativeDateRange,
+  splitFilterList,
+  filterListSeparator,
+  relativeDateConditions,
+  conditionsWithoutPattern
 };
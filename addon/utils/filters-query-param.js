@@ -0,0 +1,80 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+/**
+  Version of filters encoding in query parameter.
+
+  @for Utils.FiltersQueryParam
+  @property filtersParamVersion
+  @type Number
+*/
+export const filtersParamVersion = 1;
+
+/**
+  Converts filters of list to string for query parameter.
+
+  Expected string type: `[<version>,[[<name>,<type>,<condition>,<pattern>],...]]`,
+  filters without condition and pattern are skipped.
+
+  @example
+    ```javascript
+    serializeFiltersParam({ name: { name: 'name', type: 'string', condition: 'like', pattern: 'Ivan' } });
+    // '[1,[["name","string","like","Ivan"]]]'
+    ```
+
+  @for Utils.FiltersQueryParam
+  @method serializeFiltersParam
+  @param {Object} filters Hash, where keys are names of filters and values are objects `{ name, type, condition, pattern }`.
+  @return {String} String with filters or `null`, if there are no filters.
+*/
+export function serializeFiltersParam(filters) {
+  if (Ember.isNone(filters)) {
+    return null;
+  }
+
+  let items = Object.keys(filters).map((key) => filters[key])
+    .filter((filter) => filter && (!Ember.isNone(filter.condition) || !Ember.isBlank(filter.pattern)))
+    .map((filter) => [filter.name, filter.type, filter.condition, filter.pattern]);
+
+  return items.length > 0 ? JSON.stringify([filtersParamVersion, items]) : null;
+}
+
+/**
+  Converts string from query parameter to filters of list.
+
+  @for Utils.FiltersQueryParam
+  @method deserializeFiltersParam
+  @param {String} paramString String with filters, see `serializeFiltersParam`.
+  @return {Object} Hash, where keys are names of filters and values are objects `{ name, type, condition, pattern }`,
+  or `null`, if string is empty or can't be parsed.
+*/
+export function deserializeFiltersParam(paramString) {
+  if (Ember.isBlank(paramString)) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(paramString);
+  } catch (e) {
+    parsed = null;
+  }
+
+  if (!Ember.isArray(parsed) || parsed[0] !== filtersParamVersion || !Ember.isArray(parsed[1])) {
+    Ember.warn(`Filters query parameter can't be parsed: '${paramString}'.`, false, { id: 'ember-flexberry.filters-query-param' });
+    return null;
+  }
+
+  let filters = {};
+  parsed[1].forEach((item) => {
+    if (Ember.isArray(item) && typeof item[0] === 'string') {
+      let [name, type, condition, pattern] = item;
+      filters[name] = { name, type, condition, pattern };
+    }
+  });
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
@@ -0,0 +1,131 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+/**
+  Names of supported aggregate functions.
+
+  @property aggregateFunctions
+  @type Array
+*/
+export const aggregateFunctions = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+  Calculates aggregate function for values.
+  Function `count` returns count of not empty values of any type, other functions skip empty and not numeric values.
+
+  @method aggregate
+  @param {Array} values Values to aggregate.
+  @param {String} func Name of function: `count`, `sum`, `avg`, `min` or `max`.
+  @return {Number} Result of function or `null`, if there are no values to aggregate.
+*/
+export function aggregate(values, func) {
+  Ember.assert(`Unsupported aggregate function: '${func}'.`, aggregateFunctions.indexOf(func) > -1);
+
+  if (func === 'count') {
+    return values.filter((value) => !Ember.isNone(value)).length;
+  }
+
+  let numbers = values.filter((value) => typeof value === 'number' && !isNaN(value));
+
+  if (numbers.length === 0) {
+    return null;
+  }
+
+  switch (func) {
+    case 'sum':
+      return numbers.reduce((sum, value) => sum + value, 0);
+
+    case 'avg':
+      return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+
+    case 'min':
+      return Math.min(...numbers);
+
+    case 'max':
+      return Math.max(...numbers);
+  }
+}
+
+/**
+  Returns string key of value, which is used to compare values of groups.
+
+  @method groupValueKey
+  @param {Any} value Value.
+  @return {String} Key of value.
+*/
+export function groupValueKey(value) {
+  if (Ember.isNone(value)) {
+    return 'null';
+  }
+
+  if (value instanceof Date) {
+    return `date:${value.getTime()}`;
+  }
+
+  if (typeof value === 'object') {
+    return `object:${Ember.guidFor(value)}`;
+  }
+
+  return `${typeof value}:${value}`;
+}
+
+/**
+  Splits items into groups by values of properties, groups are nested in the order of properties.
+  Order of items inside groups is preserved, groups are ordered by the first item with group value.
+
+  @example
+    ```javascript
+    groupRecords(records, ['status'], { aggregates: { price: ['sum', 'avg'] } });
+    // [{ key: '/string:new', propName: 'status', value: 'new', level: 0, count: 2, items: [...], groups: null,
+    //    aggregates: [{ propName: 'price', func: 'sum', value: 30 }, { propName: 'price', func: 'avg', value: 15 }] }, ...]
+    ```
+
+  @method groupRecords
+  @param {Array} items Items to group.
+  @param {Array} groupBy Paths to properties to group by.
+  @param {Object} [options] Options.
+  @param {Function} [options.getValue] Function `(item, propName)` returning value of item, by default `Ember.get` is used.
+  @param {Object} [options.aggregates] Hash, where keys are paths to properties and values are arrays of aggregate functions.
+  @param {String} [parentKey] Key of parent group, used for nested groups.
+  @return {Array} Groups with `key`, `propName`, `value`, `level`, `count`, `items`, nested `groups` and `aggregates` properties.
+*/
+export default function groupRecords(items, groupBy, options = {}, parentKey = '') {
+  let getValue = options.getValue || ((item, propName) => Ember.get(item, propName));
+  let aggregates = options.aggregates || {};
+  let level = options.level || 0;
+  let propName = groupBy[0];
+
+  let groups = [];
+  let groupsByKey = {};
+  items.forEach((item) => {
+    let value = getValue(item, propName);
+    let key = `${parentKey}/${groupValueKey(value)}`;
+    let group = groupsByKey[key];
+    if (!group) {
+      group = groupsByKey[key] = { key, propName, value, level, items: [] };
+      groups.push(group);
+    }
+
+    group.items.push(item);
+  });
+
+  groups.forEach((group) => {
+    group.count = group.items.length;
+    group.aggregates = [];
+    Object.keys(aggregates).forEach((aggregatedPropName) => {
+      let values = group.items.map((item) => getValue(item, aggregatedPropName));
+      aggregates[aggregatedPropName].forEach((func) => {
+        group.aggregates.push({ propName: aggregatedPropName, func, value: aggregate(values, func) });
+      });
+    });
+
+    group.groups = groupBy.length > 1 ?
+      groupRecords(group.items, groupBy.slice(1), Ember.merge(Ember.merge({}, options), { level: level + 1 }), group.key) :
+      null;
+  });
+
+  return groups;
+}
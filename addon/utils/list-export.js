@@ -0,0 +1,408 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+/**
+  MIME type of the CSV files.
+
+  @for Utils.ListExport
+  @property CSV_MIME_TYPE
+  @type String
+*/
+export const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+
+/**
+  MIME type of the XLSX files.
+
+  @for Utils.ListExport
+  @property XLSX_MIME_TYPE
+  @type String
+*/
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+let crcTable = null;
+
+/**
+  Copies bytes to target array.
+
+  @method copyBytes
+  @param {Uint8Array} target Target array.
+  @param {Uint8Array} source Source array.
+  @param {Number} position Position in target array.
+  @private
+*/
+function copyBytes(target, source, position) {
+  for (let i = 0; i < source.length; i++) {
+    target[position + i] = source[i];
+  }
+}
+
+/**
+  Encodes string to UTF-8 byte array.
+
+  @for Utils.ListExport
+  @method utf8Encode
+  @param {String} str String to encode.
+  @return {Uint8Array} Encoded bytes.
+*/
+export function utf8Encode(str) {
+  let bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i);
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      let next = str.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+  Calculates CRC-32 checksum of bytes (as it required by ZIP format).
+
+  @for Utils.ListExport
+  @method crc32
+  @param {Uint8Array} bytes Bytes to calculate checksum.
+  @return {Number} Unsigned checksum.
+*/
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+  Packs files to ZIP archive without compression.
+
+  @for Utils.ListExport
+  @method buildZip
+  @param {Array} files Array of objects `{ name, content }`, where `content` is a string.
+  @return {Uint8Array} ZIP archive bytes.
+*/
+export function buildZip(files) {
+  let localParts = [];
+  let centralParts = [];
+  let offset = 0;
+
+  let writeUint16 = (view, position, value) => view.setUint16(position, value, true);
+  let writeUint32 = (view, position, value) => view.setUint32(position, value, true);
+
+  files.forEach((file) => {
+    let nameBytes = utf8Encode(file.name);
+    let dataBytes = utf8Encode(file.content);
+    let checksum = crc32(dataBytes);
+
+    let localHeader = new Uint8Array(30 + nameBytes.length);
+    let localView = new DataView(localHeader.buffer);
+    writeUint32(localView, 0, 0x04034b50);
+    writeUint16(localView, 4, 20);
+    writeUint16(localView, 6, 0x0800);
+    writeUint16(localView, 8, 0);
+    writeUint16(localView, 10, 0);
+    writeUint16(localView, 12, 0x21);
+    writeUint32(localView, 14, checksum);
+    writeUint32(localView, 18, dataBytes.length);
+    writeUint32(localView, 22, dataBytes.length);
+    writeUint16(localView, 26, nameBytes.length);
+    writeUint16(localView, 28, 0);
+    copyBytes(localHeader, nameBytes, 30);
+
+    let centralHeader = new Uint8Array(46 + nameBytes.length);
+    let centralView = new DataView(centralHeader.buffer);
+    writeUint32(centralView, 0, 0x02014b50);
+    writeUint16(centralView, 4, 20);
+    writeUint16(centralView, 6, 20);
+    writeUint16(centralView, 8, 0x0800);
+    writeUint16(centralView, 10, 0);
+    writeUint16(centralView, 12, 0);
+    writeUint16(centralView, 14, 0x21);
+    writeUint32(centralView, 16, checksum);
+    writeUint32(centralView, 20, dataBytes.length);
+    writeUint32(centralView, 24, dataBytes.length);
+    writeUint16(centralView, 28, nameBytes.length);
+    writeUint32(centralView, 42, offset);
+    copyBytes(centralHeader, nameBytes, 46);
+
+    localParts.push(localHeader, dataBytes);
+    centralParts.push(centralHeader);
+    offset += localHeader.length + dataBytes.length;
+  });
+
+  let centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  let endRecord = new Uint8Array(22);
+  let endView = new DataView(endRecord.buffer);
+  writeUint32(endView, 0, 0x06054b50);
+  writeUint16(endView, 8, files.length);
+  writeUint16(endView, 10, files.length);
+  writeUint32(endView, 12, centralSize);
+  writeUint32(endView, 16, offset);
+
+  let parts = localParts.concat(centralParts, [endRecord]);
+  let result = new Uint8Array(offset + centralSize + endRecord.length);
+  let position = 0;
+  parts.forEach((part) => {
+    copyBytes(result, part, position);
+    position += part.length;
+  });
+
+  return result;
+}
+
+/**
+  Converts exported value to string.
+
+  @method valueToString
+  @param {any} value Value.
+  @return {String} String representation of value.
+  @private
+*/
+function valueToString(value) {
+  if (Ember.isNone(value)) {
+    return '';
+  }
+
+  if (value && typeof value.toHTML === 'function') {
+    return String(value.toHTML());
+  }
+
+  return String(value);
+}
+
+/**
+  Escapes string for XML content.
+
+  @method escapeXml
+  @param {String} value String to escape.
+  @return {String} Escaped string.
+  @private
+*/
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split('')
+    .filter(isXmlChar)
+    .join('');
+}
+
+/**
+  Checks whether character is allowed in XML, control characters except tab and line breaks are not allowed.
+
+  @method isXmlChar
+  @param {String} char Character.
+  @return {Boolean}
+  @private
+*/
+function isXmlChar(char) {
+  let code = char.charCodeAt(0);
+  return code >= 32 || code === 9 || code === 10 || code === 13;
+}
+
+/**
+  Returns column letter for XLSX cell reference (0 -> A, 26 -> AA).
+
+  @method columnLetter
+  @param {Number} index Zero-based column index.
+  @return {String} Column letter.
+  @private
+*/
+function columnLetter(index) {
+  let letter = '';
+  let current = index + 1;
+  while (current > 0) {
+    let remainder = (current - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    current = Math.floor((current - 1) / 26);
+  }
+
+  return letter;
+}
+
+/**
+  Builds CSV content.
+
+  @for Utils.ListExport
+  @method buildCsv
+  @param {Array} columns Array of objects `{ header }`.
+  @param {Array} rows Array of rows, each row is an array of values in columns order.
+  @param {Object} [options] Options.
+  @param {String} [options.separator=';'] Values separator.
+  @param {Boolean} [options.bom=true] Add UTF-8 byte order mark, it is required by Excel to detect encoding.
+  @return {String} CSV content.
+*/
+export function buildCsv(columns, rows, options) {
+  options = Ember.merge({ separator: ';', bom: true }, options || {});
+  let separator = options.separator;
+  let escape = (value) => {
+    let str = valueToString(value);
+    if (str.indexOf('"') !== -1 || str.indexOf(separator) !== -1 || /[\r\n]/.test(str)) {
+      str = '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    return str;
+  };
+
+  let lines = [columns.map((column) => escape(column.header)).join(separator)];
+  rows.forEach((row) => {
+    lines.push(row.map(escape).join(separator));
+  });
+
+  return (options.bom ? '\uFEFF' : '') + lines.join('\r\n');
+}
+
+/**
+  Builds minimal XLSX workbook with one sheet.
+  Numbers are stored as numeric cells, other values as inline strings.
+
+  @for Utils.ListExport
+  @method buildXlsx
+  @param {Array} columns Array of objects `{ header, width }`, where `width` is column width in pixels.
+  @param {Array} rows Array of rows, each row is an array of values in columns order.
+  @param {Object} [options] Options.
+  @param {String} [options.sheetName='List'] Sheet name.
+  @return {Uint8Array} XLSX file bytes.
+*/
+export function buildXlsx(columns, rows, options) {
+  options = Ember.merge({ sheetName: 'List' }, options || {});
+  let sheetName = escapeXml(valueToString(options.sheetName).replace(/[\\/?*[\]:]/g, ' ').substr(0, 31));
+
+  let cell = (value, rowNumber, columnIndex, style) => {
+    let reference = columnLetter(columnIndex) + rowNumber;
+    let styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c r="${reference}"${styleAttr}><v>${value}</v></c>`;
+    }
+
+    return `<c r="${reference}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(valueToString(value))}</t></is></c>`;
+  };
+
+  let cols = columns.map((column, index) => {
+    let width = column.width ? Math.max(Math.round(column.width / 7), 5) : 20;
+    return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+
+  let sheetRows = [`<row r="1">${columns.map((column, index) => cell(column.header, 1, index, 1)).join('')}</row>`];
+  rows.forEach((row, rowIndex) => {
+    let rowNumber = rowIndex + 2;
+    sheetRows.push(`<row r="${rowNumber}">${row.map((value, index) => cell(value, rowNumber, index)).join('')}</row>`);
+  });
+
+  let xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  let mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  let relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  let files = [
+    {
+      name: '[Content_Types].xml',
+      content: xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: xmlHeader +
+        `<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+        `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: xmlHeader +
+        `<styleSheet xmlns="${mainNs}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: xmlHeader +
+        `<worksheet xmlns="${mainNs}" xmlns:r="${relNs}">` +
+        (cols ? `<cols>${cols}</cols>` : '') +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>'
+    }
+  ];
+
+  return buildZip(files);
+}
+
+/**
+  Saves blob as file in browser.
+
+  @for Utils.ListExport
+  @method saveBlob
+  @param {Blob} blob Blob to save.
+  @param {String} fileName File name.
+*/
+export function saveBlob(blob, fileName) {
+  if (window.navigator.msSaveOrOpenBlob) {
+    window.navigator.msSaveOrOpenBlob(blob, fileName);
+    return;
+  }
+
+  let downloadUrl = URL.createObjectURL(blob);
+  let anchor = document.createElement('a');
+  anchor.href = downloadUrl;
+  anchor.download = fileName;
+  anchor.style.display = 'none';
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  Ember.run.later(() => URL.revokeObjectURL(downloadUrl), 1000);
+}
@@ -0,0 +1,178 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import moment from 'moment';
+import Condition from 'ember-flexberry-data/query/condition';
+import { SimplePredicate, StringPredicate, DatePredicate, ComplexPredicate } from 'ember-flexberry-data/query/predicate';
+
+const { get } = Ember;
+
+/**
+  Types of attributes, which are compared with tokens by equality.
+
+  @for Utils.LookupSearch
+  @property numericTypes
+  @type Array
+*/
+export const numericTypes = ['decimal', 'number', 'int', 'long'];
+
+const placeholderRegExp = /\{([\w.]+)\}/g;
+
+/**
+  Splits search string into tokens by whitespaces.
+
+  @for Utils.LookupSearch
+  @method tokenize
+  @param {String} searchString Search string.
+  @return {Array} Not empty tokens.
+*/
+export function tokenize(searchString) {
+  return Ember.isBlank(searchString) ? [] : String(searchString).trim().split(/\s+/);
+}
+
+/**
+  Builds predicate to compare attribute with token, according to type of attribute.
+
+  @method buildTokenPredicate
+  @param {String} name Name of attribute.
+  @param {String} type Type of attribute.
+  @param {String} token Token of search string.
+  @return {BasePredicate} Predicate or `null`, if token can't match attribute.
+  @private
+*/
+function buildTokenPredicate(name, type, token) {
+  if (numericTypes.indexOf(type) > -1) {
+    return isNaN(Number(token)) ? null : new SimplePredicate(name, 'eq', Number(token));
+  }
+
+  switch (type) {
+    case 'string':
+      return new StringPredicate(name).contains(token);
+    case 'boolean': {
+      let value = token.toLowerCase();
+      return value === 'true' || value === 'false' ? new SimplePredicate(name, 'eq', value === 'true') : null;
+    }
+
+    case 'date': {
+      let date = moment(token, [moment.localeData().longDateFormat('L'), moment.ISO_8601], true);
+      return date.isValid() ? new DatePredicate(name, 'eq', date.toDate(), true) : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+  Builds predicate to search records by several attributes.
+  Each token has to match at least one of attributes: string attributes contain token,
+  numeric attributes are equal to token, if token is a number, boolean attributes are equal to token `true` or `false`,
+  date attributes are equal to token, if token is a date in format of current locale or ISO 8601.
+  Attributes of other types are skipped. If token can't match any attribute, predicate matches no records.
+
+  @example
+    ```javascript
+    // "ivan 77" matches records, where name contains "ivan" and code contains "77" (or vice versa).
+    buildSearchPredicate('ivan 77', [{ name: 'name', type: 'string' }, { name: 'code', type: 'string' }]);
+    ```
+
+  @for Utils.LookupSearch
+  @method buildSearchPredicate
+  @param {String} searchString Search string.
+  @param {Array} attributes Attributes to search by, objects `{ name, type }`.
+  @return {BasePredicate} Predicate or `undefined`, if search string is empty.
+*/
+export function buildSearchPredicate(searchString, attributes) {
+  let predicates = tokenize(searchString).map((token) => {
+    let tokenPredicates = attributes.map(({ name, type }) => buildTokenPredicate(name, type, token)).filter(Boolean);
+
+    // Token can't match any attribute (e.g. not numeric token and only numeric attributes), so nothing is found.
+    if (tokenPredicates.length === 0) {
+      return new SimplePredicate('id', 'eq', null);
+    }
+
+    return tokenPredicates.length > 1 ? new ComplexPredicate(Condition.Or, ...tokenPredicates) : tokenPredicates[0];
+  });
+
+  if (predicates.length === 0) {
+    return undefined;
+  }
+
+  return predicates.length > 1 ? new ComplexPredicate(Condition.And, ...predicates) : predicates[0];
+}
+
+/**
+  Escapes text for HTML and wraps fragments matching tokens into `span.flexberry-lookup-match` elements.
+  Matching is case-insensitive.
+
+  @for Utils.LookupSearch
+  @method highlightMatches
+  @param {Any} text Text to highlight.
+  @param {Array} tokens Tokens to highlight.
+  @return {String} HTML string.
+*/
+export function highlightMatches(text, tokens) {
+  let string = Ember.isNone(text) ? '' : String(text);
+  let escape = Ember.Handlebars.Utils.escapeExpression;
+  let patterns = tokens.filter((token) => token.length > 0).map((token) => token.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&'));
+  if (patterns.length === 0 || string.length === 0) {
+    return escape(string);
+  }
+
+  let regExp = new RegExp(patterns.join('|'), 'gi');
+  let result = '';
+  let lastIndex = 0;
+  let match;
+  while ((match = regExp.exec(string)) !== null) {
+    if (match[0].length === 0) {
+      regExp.lastIndex++;
+      continue;
+    }
+
+    result += `${escape(string.slice(lastIndex, match.index))}<span class="flexberry-lookup-match">${escape(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escape(string.slice(lastIndex));
+}
+
+/**
+  Renders template of search result for record.
+  Placeholders `{attributePath}` are replaced by values of attributes with highlighted tokens,
+  other text of template is inserted as is, so template can contain HTML.
+
+  @example
+    ```javascript
+    renderResultTemplate('{code} <small>{name}</small>', record, ['ivan']);
+    // '77 <small><span class="flexberry-lookup-match">Ivan</span>ov</small>'
+    ```
+
+  @for Utils.LookupSearch
+  @method renderResultTemplate
+  @param {String} template Template of result.
+  @param {Object} record Record to render.
+  @param {Array} [tokens] Tokens to highlight.
+  @return {String} HTML string.
+*/
+export function renderResultTemplate(template, record, tokens = []) {
+  return template.replace(placeholderRegExp, (placeholder, attributePath) => highlightMatches(get(record, attributePath), tokens));
+}
+
+/**
+  Returns paths to attributes used in template of search result.
+
+  @for Utils.LookupSearch
+  @method getTemplateAttributes
+  @param {String} [template] Template of result, see `renderResultTemplate`.
+  @return {Array} Paths to attributes.
+*/
+export function getTemplateAttributes(template) {
+  let attributes = [];
+  if (template) {
+    template.replace(placeholderRegExp, (placeholder, attributePath) => attributes.push(attributePath));
+  }
+
+  return attributes;
+}
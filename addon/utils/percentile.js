@@ -0,0 +1,27 @@
+/**
+  @module ember-flexberry
+*/
+
+/**
+  Calculates percentile of values by nearest-rank method.
+
+  @example
+    ```javascript
+    percentile([15, 20, 35, 40, 50], 90); // 50
+    percentile([15, 20, 35, 40, 50], 50); // 35
+    ```
+
+  @method percentile
+  @param {Number[]} values Values, empty and not numeric values are skipped.
+  @param {Number} p Percentile from 0 to 100.
+  @return {Number} Value of percentile or `null`, if there are no values.
+*/
+export default function percentile(values, p) {
+  let numbers = values.filter((value) => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+  if (numbers.length === 0) {
+    return null;
+  }
+
+  let rank = Math.ceil(p / 100 * numbers.length);
+  return numbers[Math.min(Math.max(rank, 1), numbers.length) - 1];
+}
@@ -0,0 +1,300 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+import moment from 'moment';
+import Condition from 'ember-flexberry-data/query/condition';
+import { BasePredicate, SimplePredicate, StringPredicate, ComplexPredicate,
+  DatePredicate, NotPredicate, stringToPredicate } from 'ember-flexberry-data/query/predicate';
+
+const { set } = Ember;
+
+/**
+  Returns operators available for attribute type in predicate tree.
+
+  @for Utils.PredicateTree
+  @method operatorsForType
+  @param {String} type Type of attribute.
+  @return {Array} Names of operators.
+*/
+export function operatorsForType(type) {
+  switch (type) {
+    case 'string':
+      return ['eq', 'neq', 'like', 'nlike', 'empty', 'nempty'];
+
+    case 'number':
+    case 'decimal':
+    case 'date':
+      return ['eq', 'neq', 'le', 'leq', 'ge', 'geq', 'empty', 'nempty'];
+
+    default:
+      return ['eq', 'neq', 'empty', 'nempty'];
+  }
+}
+
+/**
+  Creates group node of predicate tree.
+
+  @for Utils.PredicateTree
+  @method createGroup
+  @param {String} [condition='and'] Condition of group: `and` or `or`.
+  @param {Array} [items] Nested nodes.
+  @return {Object} Group node.
+*/
+export function createGroup(condition = Condition.And, items = []) {
+  return { isGroup: true, condition: condition, items: Ember.A(items) };
+}
+
+/**
+  Creates rule node of predicate tree.
+
+  @for Utils.PredicateTree
+  @method createRule
+  @param {String} [attributePath] Path to attribute.
+  @param {String} [type] Type of attribute.
+  @param {String} [operator='eq'] Operator.
+  @param {Any} [value=null] Value to compare with.
+  @return {Object} Rule node.
+*/
+export function createRule(attributePath, type, operator = 'eq', value = null) {
+  return { isGroup: false, attributePath: attributePath, type: type, operator: operator, value: value };
+}
+
+/**
+  Converts predicate to predicate tree.
+
+  @for Utils.PredicateTree
+  @method predicateToTree
+  @param {BasePredicate} predicate Predicate to convert.
+  @param {Object} [attributeTypes] Hash, where keys are paths to attributes and values are types of attributes.
+  @return {Object} Node of predicate tree or `undefined`, if predicate can't be represented by tree.
+*/
+export function predicateToTree(predicate, attributeTypes = {}) {
+  if (predicate instanceof ComplexPredicate) {
+    let items = predicate.predicates.map((item) => predicateToTree(item, attributeTypes));
+    return items.some((item) => Ember.isNone(item)) ? undefined : createGroup(predicate.condition, items);
+  }
+
+  if (predicate instanceof NotPredicate) {
+    let rule = predicateToTree(predicate.predicate, attributeTypes);
+    if (rule && rule.operator === 'like') {
+      set(rule, 'operator', 'nlike');
+      return rule;
+    }
+
+    return undefined;
+  }
+
+  if (predicate instanceof StringPredicate) {
+    return createRule(predicate.attributePath, attributeTypes[predicate.attributePath], 'like', predicate.containsValue);
+  }
+
+  if (predicate instanceof DatePredicate || predicate instanceof SimplePredicate) {
+    let attributePath = predicate.attributePath;
+    let type = attributeTypes[attributePath];
+    let operator = predicate.operator;
+    let value = predicate.value;
+    if (Ember.isNone(value)) {
+      switch (operator) {
+        case 'eq':
+          return createRule(attributePath, type, 'empty');
+
+        case 'neq':
+          return createRule(attributePath, type, 'nempty');
+
+        default:
+          return undefined;
+      }
+    }
+
+    if (operatorsForType(type).indexOf(operator) === -1) {
+      return undefined;
+    }
+
+    if (type === 'date' && !(value instanceof Date)) {
+      value = new Date(value);
+    } else if (type === 'boolean') {
+      value = String(value);
+    }
+
+    return createRule(attributePath, type, operator, value);
+  }
+
+  return undefined;
+}
+
+/**
+  Converts predicate tree to predicate.
+  Values of rules have to be checked by `findInvalidRule` before, invalid dates can't be converted.
+
+  @for Utils.PredicateTree
+  @method treeToPredicate
+  @param {Object} node Node of predicate tree.
+  @return {BasePredicate} Predicate or `null`, if tree has no filled rules.
+*/
+export function treeToPredicate(node) {
+  if (node.isGroup) {
+    let predicates = node.items.map(treeToPredicate).filter((predicate) => !Ember.isNone(predicate));
+    if (predicates.length === 0) {
+      return null;
+    }
+
+    return predicates.length === 1 ? predicates[0] : new ComplexPredicate(node.condition, ...predicates);
+  }
+
+  let attributePath = node.attributePath;
+  if (Ember.isBlank(attributePath)) {
+    return null;
+  }
+
+  let value = node.value;
+  switch (node.operator) {
+    case 'empty':
+      return new SimplePredicate(attributePath, 'eq', null);
+
+    case 'nempty':
+      return new SimplePredicate(attributePath, 'neq', null);
+
+    case 'like':
+      return new StringPredicate(attributePath).contains(value || '');
+
+    case 'nlike':
+      return new NotPredicate(new StringPredicate(attributePath).contains(value || ''));
+  }
+
+  if (Ember.isBlank(value)) {
+    return new SimplePredicate(attributePath, node.operator, null);
+  }
+
+  switch (node.type) {
+    case 'date':
+      return new DatePredicate(attributePath, node.operator, value, true);
+
+    case 'number':
+    case 'decimal':
+      return new SimplePredicate(attributePath, node.operator, Number(String(value).replace(',', '.')));
+
+    case 'boolean':
+      return new SimplePredicate(attributePath, node.operator, value === true || value === 'true');
+
+    default:
+      return new SimplePredicate(attributePath, node.operator, value);
+  }
+}
+
+/**
+  Checks whether value of rule node can be converted to type of attribute.
+
+  @for Utils.PredicateTree
+  @method isValidRule
+  @param {Object} node Rule node.
+  @return {Boolean}
+*/
+export function isValidRule(node) {
+  let value = node.value;
+  if (['empty', 'nempty', 'like', 'nlike'].indexOf(node.operator) > -1 || Ember.isBlank(value)) {
+    return true;
+  }
+
+  switch (node.type) {
+    case 'date':
+      return moment(value).isValid();
+
+    case 'number':
+    case 'decimal':
+      return !isNaN(Number(String(value).replace(',', '.')));
+
+    default:
+      return true;
+  }
+}
+
+/**
+  Returns the first filled rule of predicate tree, which value can't be converted to type of attribute.
+
+  @for Utils.PredicateTree
+  @method findInvalidRule
+  @param {Object} node Node of predicate tree.
+  @return {Object} Rule node or `null`, if all rules are valid.
+*/
+export function findInvalidRule(node) {
+  if (node.isGroup) {
+    return node.items.reduce((invalidRule, item) => invalidRule || findInvalidRule(item), null);
+  }
+
+  return !Ember.isBlank(node.attributePath) && !isValidRule(node) ? node : null;
+}
+
+/**
+  Converts predicate, built by `treeToPredicate`, to expression with constructors of predicates,
+  which is evaluated by `stringToPredicate`.
+
+  @for Utils.PredicateTree
+  @method predicateToString
+  @param {BasePredicate} predicate Predicate to convert.
+  @return {String} Predicate in string form.
+  @private
+*/
+function predicateToString(predicate) {
+  if (predicate instanceof ComplexPredicate) {
+    let predicates = predicate.predicates.map(predicateToString);
+    return `new ComplexPredicate(${JSON.stringify(predicate.condition)}, ${predicates.join(', ')})`;
+  }
+
+  if (predicate instanceof NotPredicate) {
+    return `new NotPredicate(${predicateToString(predicate.predicate)})`;
+  }
+
+  if (predicate instanceof StringPredicate) {
+    return `new StringPredicate(${JSON.stringify(predicate.attributePath)}).contains(${JSON.stringify(predicate.containsValue)})`;
+  }
+
+  let args = [predicate.attributePath, predicate.operator, predicate.value].map((arg) => JSON.stringify(arg));
+  if (predicate instanceof DatePredicate) {
+    return `new DatePredicate(${args.join(', ')}, ${JSON.stringify(!!predicate.timeless)})`;
+  }
+
+  Ember.assert(`Unsupported predicate: '${predicate}'.`, predicate instanceof SimplePredicate);
+  return `new SimplePredicate(${args.join(', ')})`;
+}
+
+/**
+  Converts predicate tree to string, which can be parsed by `stringToPredicate`.
+
+  @for Utils.PredicateTree
+  @method treeToString
+  @param {Object} tree Root group of predicate tree.
+  @return {String} Predicate in string form, empty string if tree has no filled rules.
+*/
+export function treeToString(tree) {
+  let predicate = treeToPredicate(tree);
+  return predicate ? predicateToString(predicate) : '';
+}
+
+/**
+  Converts predicate in string form to predicate tree.
+
+  @for Utils.PredicateTree
+  @method stringToTree
+  @param {String} stringPredicate Predicate in string form.
+  @param {Object} [attributeTypes] Hash, where keys are paths to attributes and values are types of attributes.
+  @return {Object} Root group of predicate tree or `undefined`, if string can't be parsed or represented by tree.
+*/
+export function stringToTree(stringPredicate, attributeTypes = {}) {
+  if (Ember.isBlank(stringPredicate)) {
+    return createGroup();
+  }
+
+  let predicate = stringToPredicate(stringPredicate);
+  if (!(predicate instanceof BasePredicate)) {
+    return undefined;
+  }
+
+  let tree = predicateToTree(predicate, attributeTypes);
+  if (tree && !tree.isGroup) {
+    tree = createGroup(Condition.And, [tree]);
+  }
+
+  return tree;
+}
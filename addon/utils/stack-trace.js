@@ -0,0 +1,72 @@
+/**
+  @module ember-flexberry
+*/
+
+import Ember from 'ember';
+
+// Chrome, Edge and Node.js: "    at functionName (http://host/file.js:10:15)" or "    at http://host/file.js:10:15".
+const v8FrameRegExp = /^\s*at\s+(?:(.*?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+// Firefox and Safari: "functionName@http://host/file.js:10:15".
+const geckoFrameRegExp = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+  Parses JavaScript stack trace into frames.
+  Lines, which are not recognized as frames (for example, first line with message of error in Chrome),
+  are returned as frames with `source` only.
+
+  @example
+    ```javascript
+    parseStackTrace('Error: failed\n    at save (http://localhost/assets/app.js:10:15)');
+    // [
+    //   { functionName: null, fileName: null, lineNumber: null, columnNumber: null, source: 'Error: failed' },
+    //   { functionName: 'save', fileName: 'http://localhost/assets/app.js', lineNumber: 10, columnNumber: 15, source: '    at save (...)' }
+    // ]
+    ```
+
+  @for Utils.StackTrace
+  @method parseStackTrace
+  @param {String} stack Stack trace, value of `stack` property of error.
+  @return {Array} Frames `{ functionName, fileName, lineNumber, columnNumber, source }`.
+*/
+export function parseStackTrace(stack) {
+  if (Ember.isBlank(stack)) {
+    return [];
+  }
+
+  return String(stack).split('\n').filter((line) => !Ember.isBlank(line)).map((line) => {
+    let match = line.match(v8FrameRegExp) || line.match(geckoFrameRegExp);
+    if (!match) {
+      return { functionName: null, fileName: null, lineNumber: null, columnNumber: null, source: line };
+    }
+
+    return {
+      functionName: match[1] || null,
+      fileName: match[2],
+      lineNumber: parseInt(match[3], 10),
+      columnNumber: parseInt(match[4], 10),
+      source: line
+    };
+  });
+}
+
+/**
+  Parses `formattedMessage` of application log record.
+
+  @for Utils.StackTrace
+  @method parseFormattedMessage
+  @param {String} formattedMessage Formatted message in JSON format.
+  @return {Object} Parsed object or `null`, if message is empty or it is not JSON object.
+*/
+export function parseFormattedMessage(formattedMessage) {
+  if (Ember.isBlank(formattedMessage)) {
+    return null;
+  }
+
+  try {
+    let result = JSON.parse(formattedMessage);
+    return result !== null && typeof result === 'object' ? result : null;
+  } catch (e) {
+    return null;
+  }
+}
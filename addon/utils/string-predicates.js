@@ -0,0 +1,175 @@
+/**
+  @module ember-flexberry
+*/
+
+import { Query } from 'ember-flexberry-data';
+const { BasePredicate, OdataAdapter, JsAdapter } = Query;
+
+/**
+  Predicate for filtering string attribute by suffix.
+
+  @class EndsWithPredicate
+  @extends BasePredicate
+  @param {String} attributePath Path to attribute.
+  @param {String} value Suffix of attribute value.
+  @constructor
+*/
+class EndsWithPredicate extends BasePredicate {
+  constructor(attributePath, value) {
+    super();
+
+    if (!attributePath) {
+      throw new Error('Attribute path is required for EndsWithPredicate constructor.');
+    }
+
+    this._attributePath = attributePath;
+    this._value = value;
+  }
+
+  /**
+    Path to attribute.
+
+    @property attributePath
+    @type String
+  */
+  get attributePath() {
+    return this._attributePath;
+  }
+
+  /**
+    Suffix of attribute value.
+
+    @property value
+    @type String
+  */
+  get value() {
+    return this._value;
+  }
+}
+
+/**
+  Predicate for filtering string attribute by regular expression.
+
+  @class RegexPredicate
+  @extends BasePredicate
+  @param {String} attributePath Path to attribute.
+  @param {String} pattern Regular expression.
+  @constructor
+*/
+class RegexPredicate extends BasePredicate {
+  constructor(attributePath, pattern) {
+    super();
+
+    if (!attributePath) {
+      throw new Error('Attribute path is required for RegexPredicate constructor.');
+    }
+
+    this._attributePath = attributePath;
+    this._pattern = pattern;
+  }
+
+  /**
+    Path to attribute.
+
+    @property attributePath
+    @type String
+  */
+  get attributePath() {
+    return this._attributePath;
+  }
+
+  /**
+    Regular expression.
+
+    @property pattern
+    @type String
+  */
+  get pattern() {
+    return this._pattern;
+  }
+}
+
+/**
+  Checks that string is valid regular expression.
+
+  @for Utils.StringPredicates
+  @method isValidRegex
+  @param {String} pattern Regular expression.
+  @return {Boolean} `true`, if pattern can be compiled.
+*/
+let isValidRegex = function (pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+let queryAdaptersExtended = false;
+
+/**
+  Teaches query adapters of `ember-flexberry-data` to process `EndsWithPredicate` and `RegexPredicate`:
+  OData adapter converts them to `endswith` and `matchesPattern` functions, JS adapter checks values on client.
+  Called once by `string-predicates` initializer.
+
+  @for Utils.StringPredicates
+  @method extendQueryAdapters
+*/
+let extendQueryAdapters = function () {
+  if (queryAdaptersExtended) {
+    return;
+  }
+
+  queryAdaptersExtended = true;
+
+  let convertPredicate = OdataAdapter.prototype._convertPredicateToODataFilterClause;
+  OdataAdapter.prototype._convertPredicateToODataFilterClause = function (predicate, modelName, prefix) {
+    let isEndsWith = predicate instanceof EndsWithPredicate;
+    if (isEndsWith || predicate instanceof RegexPredicate) {
+      let attribute = this._getODataAttributeName(modelName, predicate.attributePath);
+      if (prefix) {
+        attribute = `${prefix}/${attribute}`;
+      }
+
+      let value = String(isEndsWith ? predicate.value : predicate.pattern).replace(/'/g, `''`);
+      return `${isEndsWith ? 'endswith' : 'matchesPattern'}(${attribute},'${value}')`;
+    }
+
+    return convertPredicate.apply(this, arguments);
+  };
+
+  let getAttributeFilterFunction = JsAdapter.prototype.getAttributeFilterFunction;
+  JsAdapter.prototype.getAttributeFilterFunction = function (predicate) {
+    if (predicate instanceof EndsWithPredicate) {
+      let suffix = String(predicate.value || '').toLowerCase();
+      return (i) => {
+        let value = String(this.getValue(i, predicate.attributePath) || '').toLowerCase();
+        return value.length >= suffix.length && value.slice(value.length - suffix.length) === suffix;
+      };
+    }
+
+    if (predicate instanceof RegexPredicate) {
+      let regex = new RegExp(predicate.pattern);
+      return (i) => regex.test(String(this.getValue(i, predicate.attributePath) || ''));
+    }
+
+    return getAttributeFilterFunction.apply(this, arguments);
+  };
+
+  let buildFilter = JsAdapter.prototype.buildFilter;
+  JsAdapter.prototype.buildFilter = function (predicate, options) {
+    if (predicate instanceof EndsWithPredicate || predicate instanceof RegexPredicate) {
+      return this.getFilterFunctionAnd([this.getAttributeFilterFunction(predicate, options)]);
+    }
+
+    return buildFilter.apply(this, arguments);
+  };
+};
+
+export {
+  EndsWithPredicate,
+  RegexPredicate,
+  isValidRegex,
+  extendQueryAdapters
+};
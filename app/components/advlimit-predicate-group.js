@@ -0,0 +1 @@
+export { default } from 'ember-flexberry/components/advlimit-predicate-group';
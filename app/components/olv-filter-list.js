@@ -0,0 +1 @@
+export { default } from 'ember-flexberry/components/olv-filter-list';
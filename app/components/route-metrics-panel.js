@@ -0,0 +1 @@
+export { default } from 'ember-flexberry/components/route-metrics-panel';
@@ -0,0 +1 @@
+export { default, initialize } from 'ember-flexberry/initializers/string-predicates';
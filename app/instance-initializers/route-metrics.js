@@ -0,0 +1 @@
+export { default, initialize } from 'ember-flexberry/instance-initializers/route-metrics';
@@ -0,0 +1,3 @@
+import ChangeHistoryService from 'ember-flexberry/services/change-history';
+
+export default ChangeHistoryService;
@@ -0,0 +1,3 @@
+import EditFormDraftsService from 'ember-flexberry/services/edit-form-drafts';
+
+export default EditFormDraftsService;
@@ -0,0 +1 @@
+export { default } from 'ember-flexberry/services/list-export';
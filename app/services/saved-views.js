@@ -0,0 +1,3 @@
+import SavedViewsService from 'ember-flexberry/services/saved-views';
+
+export default SavedViewsService;
@@ -1049,3 +1049,51 @@ test('ember-grupedit main model projection test', function(assert) {
     assert.strictEqual($componentOlvFirstHead.innerText === 'Vote type', true, 'Header has text \'Vote type\'');
   });
 });
+
+test('ember-grupedit totals are recalculated while rows are edited', function(assert) {
+  let store = App.__container__.lookup('service:store');
+  let detail;
+
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    detail = store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text: 'a' });
+    model.get('details').pushObject(detail);
+    model.get('details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text: 'b' }));
+
+    this.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    this.set('model', model);
+    this.set('totals', {
+      text: (values) => values.filter((value) => !Ember.isBlank(value)).length,
+    });
+    this.render(
+      hbs`
+        {{flexberry-groupedit
+          content=model.details
+          componentName="totalsGroupEdit"
+          modelProjection=proj.attributes.details
+          totals=totals
+        }}`);
+  });
+
+  let getTotal = () => Ember.$.trim(this.$('tfoot [data-olv-total-property-name="text"]').text());
+
+  return wait().then(() => {
+    assert.equal(getTotal(), '2', 'Total is calculated');
+
+    Ember.run(() => {
+      detail.set('text', '');
+    });
+
+    return wait();
+  }).then(() => {
+    assert.equal(getTotal(), '1', 'Total is recalculated after value is changed');
+
+    Ember.run(() => {
+      this.get('model.details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text: 'c' }));
+    });
+
+    return wait();
+  }).then(() => {
+    assert.equal(getTotal(), '2', 'Total is recalculated after row is added');
+  });
+});
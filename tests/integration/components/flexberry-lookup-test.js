@@ -361,3 +361,109 @@ test('preview with readonly renders properly', function(assert) {
     assert.strictEqual($lookupButtonPreview.hasClass('disabled'), false, 'Component\'s container has not \'disabled\' css-class');
   });
 });
+
+test('dependent lookup is cleared when parent value changes', function(assert) {
+  assert.expect(3);
+
+  let lookupEventsService = this.container.lookup('service:lookup-events');
+  let model = Ember.Object.create({
+    region: Ember.Object.create({ id: '1' }),
+    city: Ember.Object.create({ id: '2', name: 'City' })
+  });
+
+  let removeData;
+  this.set('model', model);
+  this.on('removeLookupValue', (data) => {
+    removeData = data;
+  });
+
+  this.render(hbs`{{flexberry-lookup
+    componentName="CityLookup"
+    value=model.city
+    relatedModel=model
+    relationName="city"
+    displayAttributeName="name"
+    dependsOn="region"
+    remove="removeLookupValue"
+  }}`);
+
+  Ember.run(() => {
+    lookupEventsService.lookupOnChangeTrigger('RegionLookup', model.get('region'));
+  });
+
+  assert.strictEqual(removeData, undefined, 'Lookup is not cleared, if parent value is not changed');
+
+  Ember.run(() => {
+    model.set('region', Ember.Object.create({ id: '3' }));
+    lookupEventsService.lookupOnChangeTrigger('RegionLookup', model.get('region'));
+  });
+
+  assert.ok(removeData, 'Lookup is cleared, if parent value is changed');
+  assert.strictEqual(removeData.relationName, 'city');
+});
+
+test('chosen values are stored as recent values of lookup', function(assert) {
+  assert.expect(2);
+
+  let lookupEventsService = this.container.lookup('service:lookup-events');
+  let userSettingsService = this.container.lookup('service:user-settings');
+  let model = Ember.Object.create({ city: null });
+  this.set('model', model);
+
+  this.render(hbs`{{flexberry-lookup
+    componentName="RecentCityLookup"
+    value=model.city
+    relatedModel=model
+    relationName="city"
+    displayAttributeName="name"
+    showRecentValues=true
+    maxRecentValues=2
+  }}`);
+
+  Ember.run(() => {
+    lookupEventsService.lookupOnChangeTrigger('RecentCityLookup', Ember.Object.create({ id: '1' }));
+    lookupEventsService.lookupOnChangeTrigger('RecentCityLookup', Ember.Object.create({ id: '2' }));
+    lookupEventsService.lookupOnChangeTrigger('RecentCityLookup', Ember.Object.create({ id: '1' }));
+    lookupEventsService.lookupOnChangeTrigger('OtherLookup', Ember.Object.create({ id: '3' }));
+  });
+
+  assert.deepEqual(userSettingsService.getLookupValues('RecentCityLookup').recent, ['1', '2'], 'Recent values are unique and ordered by last choice');
+
+  Ember.run(() => {
+    lookupEventsService.lookupOnChangeTrigger('RecentCityLookup', Ember.Object.create({ id: '4' }));
+  });
+
+  assert.deepEqual(userSettingsService.getLookupValues('RecentCityLookup').recent, ['4', '1'], 'Count of recent values is limited');
+});
+
+test('error of saving of recent values is sent to controller', function(assert) {
+  let done = assert.async();
+  let lookupEventsService = this.container.lookup('service:lookup-events');
+  let userSettingsService = this.container.lookup('service:user-settings');
+  let setLookupValues = userSettingsService.setLookupValues;
+  userSettingsService.setLookupValues = () => Ember.RSVP.reject(new Error('Saving failed'));
+
+  this.set('model', Ember.Object.create({ city: null }));
+  this.set('controller', Ember.Object.create({
+    send(actionName, reason) {
+      userSettingsService.setLookupValues = setLookupValues;
+      assert.equal(actionName, 'handleError');
+      assert.equal(reason.message, 'Saving failed');
+      done();
+    },
+  }));
+
+  this.render(hbs`{{flexberry-lookup
+    componentName="FailedRecentCityLookup"
+    value=model.city
+    relatedModel=model
+    relationName="city"
+    displayAttributeName="name"
+    showRecentValues=true
+    currentController=controller
+  }}`);
+
+  Ember.run(() => {
+    lookupEventsService.lookupOnChangeTrigger('FailedRecentCityLookup', Ember.Object.create({ id: '1' }));
+  });
+});
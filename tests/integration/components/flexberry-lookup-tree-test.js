@@ -0,0 +1,111 @@
+/* eslint-disable ember/no-test-module-for */
+/* eslint-disable ember/no-test-this-render */
+import Ember from 'ember';
+import { moduleForComponent, test } from 'ember-qunit';
+import hbs from 'htmlbars-inline-precompile';
+import wait from 'ember-test-helpers/wait';
+import I18nService from 'ember-i18n/services/i18n';
+import I18nEnLocale from 'ember-flexberry/locales/en/translations';
+
+const { get, set } = Ember;
+
+let queries;
+
+let createRecord = (id, name, isParentRecord, parent = null) => Ember.Object.create({ id, name, isParentRecord, parent });
+
+moduleForComponent('flexberry-lookup-tree', 'Integration | Component | flexberry lookup tree', {
+  integration: true,
+
+  beforeEach() {
+    this.register('locale:en/translations', I18nEnLocale);
+    this.register('service:i18n', I18nService);
+    this.inject.service('i18n', { as: 'i18n' });
+    Ember.Component.reopen({
+      i18n: Ember.inject.service('i18n')
+    });
+
+    set(this, 'i18n.locale', 'en');
+
+    queries = [];
+    this.inject.service('store', { as: 'store' });
+    set(this, 'store.query', (modelName, query) => {
+      queries.push(query);
+      if (query.predicate.value === null) {
+        return Ember.RSVP.resolve(Ember.A([createRecord('1', 'Parent', true), createRecord('2', 'Leaf', false)]));
+      }
+
+      let parent = createRecord('1', 'Parent', true);
+      return Ember.RSVP.resolve(Ember.A([createRecord('3', 'Child', false, parent), createRecord('4', 'Child 2', false, parent)]));
+    });
+  },
+});
+
+test('it loads root nodes and checks children by one query', function(assert) {
+  this.render(hbs`
+    {{flexberry-lookup-tree
+      modelName="ember-flexberry-dummy-suggestion-type"
+      projectionName="SuggestionTypeL"
+      hierarchicalAttribute="parent"
+      displayAttributeName="name"
+    }}
+
+  `);
+
+  return wait().then(() => {
+    let text = this.$().text();
+    assert.ok(text.indexOf('Parent') > -1, 'Root record is shown');
+    assert.ok(text.indexOf('Leaf') > -1, 'Root record is shown');
+    assert.ok(text.indexOf('Child') === -1, 'Children are not loaded before expand');
+
+    assert.equal(queries.length, 2, 'Children of all records are checked by one query');
+    assert.equal(queries[1].predicate.condition, 'or');
+    assert.deepEqual(queries[1].predicate.predicates.map((predicate) => predicate.value), ['1', '2']);
+    assert.equal(this.$('i.dropdown.icon:not([style])').length, 1, 'Only record with children can be expanded');
+  });
+});
+
+test('it checks children by attribute', function(assert) {
+  this.render(hbs`
+    {{flexberry-lookup-tree
+      modelName="ember-flexberry-dummy-suggestion-type"
+      projectionName="SuggestionTypeL"
+      hierarchicalAttribute="parent"
+      displayAttributeName="name"
+      hasChildrenAttribute="isParentRecord"
+    }}
+
+  `);
+
+  return wait().then(() => {
+    assert.equal(queries.length, 1, 'Only root records are loaded');
+    assert.ok(this.$().text().indexOf('Parent') > -1, 'Root record is shown');
+  });
+});
+
+test('it sends error of loading to controller', function(assert) {
+  let errors = [];
+  set(this, 'controller', Ember.Controller.extend({
+    send(actionName, reason) {
+      errors.push({ actionName, reason });
+    },
+  }).create());
+  set(this, 'store.query', () => Ember.RSVP.reject(new Error('Loading failed')));
+
+  this.render(hbs`
+    {{flexberry-lookup-tree
+      modelName="ember-flexberry-dummy-suggestion-type"
+      projectionName="SuggestionTypeL"
+      hierarchicalAttribute="parent"
+      displayAttributeName="name"
+      currentController=controller
+    }}
+
+  `);
+
+  return wait().then(() => {
+    assert.equal(errors.length, 1, 'Error is sent');
+    assert.equal(errors[0].actionName, 'handleError');
+    assert.equal(get(errors[0].reason, 'message'), 'Loading failed');
+    assert.equal(this.$('.loader').length, 0, 'Loader is hidden');
+  });
+});
@@ -20,9 +20,33 @@ moduleForComponent('object-list-view', 'Integration | Component | object list vi
     UserSettingsService.reopen({
       isUserSettingsServiceEnabled: false
     });
+
+    this.inject.service('objectlistview-events', { as: 'objectlistviewEvents' });
   }
 });
 
+let renderInlineEditList = function(context, detailProperties) {
+  let store = App.__container__.lookup('service:store');
+  let detail;
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    detail = store.createRecord('components-examples/flexberry-groupedit/shared/detail', detailProperties);
+    model.get('details').pushObject(detail);
+
+    context.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    context.set('model', model);
+    context.render(hbs`
+      {{object-list-view
+        modelProjection=proj.attributes.details
+        content=model.details
+        componentName="inlineEditList"
+        inlineEdit=true
+      }}`);
+  });
+
+  return detail;
+};
+
 test('columns renders', function(assert) {
   let store = App.__container__.lookup('service:store');
 
@@ -35,3 +59,319 @@ test('columns renders', function(assert) {
     assert.notEqual(this.$().text().trim(), '');
   });
 });
+
+test('inline edit starts by double click and Escape restores value', function(assert) {
+  let detail = renderInlineEditList(this, { text: 'first' });
+  let $cell = this.$('td').filter((index, cell) => Ember.$(cell).text().trim() === 'first');
+  assert.equal($cell.length, 1, 'Cell with value is rendered');
+
+  Ember.run(() => {
+    $cell.trigger('dblclick');
+  });
+
+  return wait().then(() => {
+    assert.equal($cell.find('input').length, 1, 'Editor is rendered in cell');
+
+    Ember.run(() => {
+      detail.set('text', 'changed');
+      $cell.trigger(Ember.$.Event('keydown', { keyCode: 27 }));
+    });
+
+    return wait();
+  }).then(() => {
+    assert.equal(detail.get('text'), 'first', 'Value is restored by Escape');
+    assert.equal($cell.find('input').length, 0, 'Editor is removed from cell');
+  });
+});
+
+test('inline edit starts by double click in single column cell of mobile row', function(assert) {
+  let startedColumns = [];
+  this.set('model', Ember.Object.create({ text: 'first' }));
+  this.set('columns', [{
+    header: 'Text',
+    propName: 'text',
+    inlineEditComponent: { componentName: 'flexberry-textbox', componentProperties: {} },
+  }]);
+  this.set('startInlineEdit', (column) => {
+    startedColumns.push(column.propName);
+    this.set('inlineEditPropName', column.propName);
+  });
+
+  this.render(hbs`
+    {{object-list-view-single-column-cell
+      model=model
+      columns=columns
+      inlineEdit=true
+      inlineEditPropName=inlineEditPropName
+      onStartInlineEdit=startInlineEdit
+    }}`);
+
+  assert.equal(this.$('input').length, 0, 'Editor is not rendered before double click');
+
+  Ember.run(() => {
+    this.$('.field').trigger('dblclick');
+  });
+
+  return wait().then(() => {
+    assert.deepEqual(startedColumns, ['text']);
+    assert.equal(this.$('input').length, 1, 'Editor is rendered');
+  });
+});
+
+test('inline edit saves changed records after validation', function(assert) {
+  let detail = renderInlineEditList(this, { text: 'first' });
+  let savedCount = 0;
+  detail.validate = () => Ember.RSVP.resolve();
+  detail.save = () => {
+    savedCount++;
+    return Ember.RSVP.resolve(detail);
+  };
+
+  Ember.run(() => {
+    this.get('objectlistviewEvents').inlineEditSaveTrigger('inlineEditList');
+  });
+
+  return wait().then(() => {
+    assert.equal(savedCount, 1, 'Changed record is saved');
+  });
+});
+
+test('inline edit does not save records with validation errors', function(assert) {
+  let detail = renderInlineEditList(this, { text: 'first' });
+  let savedCount = 0;
+  detail.validate = () => Ember.RSVP.reject();
+  detail.save = () => {
+    savedCount++;
+    return Ember.RSVP.resolve(detail);
+  };
+
+  Ember.run(() => {
+    this.get('objectlistviewEvents').inlineEditSaveTrigger('inlineEditList');
+  });
+
+  return wait().then(() => {
+    assert.equal(savedCount, 0, 'Invalid record is not saved');
+  });
+});
+
+let renderVirtualScrollingList = function(context, count) {
+  let store = App.__container__.lookup('service:store');
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    for (let i = 0; i < count; i++) {
+      model.get('details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text: `row ${i}` }));
+    }
+
+    context.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    context.set('model', model);
+    context.render(hbs`
+      {{object-list-view
+        modelProjection=proj.attributes.details
+        content=model.details
+        componentName="virtualScrollingList"
+        virtualScrolling=true
+        searchForContentChange=true
+      }}`);
+  });
+
+  let elementId = context.$('.virtual-scrolling').attr('id');
+  return context.container.lookup('-view-registry:main')[elementId];
+};
+
+let getRenderedRows = function(context) {
+  return context.$('tbody tr').not('.object-list-view-virtual-spacer');
+};
+
+test('virtual scrolling renders only part of rows', function(assert) {
+  let component = renderVirtualScrollingList(this, 200);
+
+  return wait().then(() => {
+    let renderedCount = getRenderedRows(this).length;
+    assert.ok(renderedCount > 0, 'Rows are rendered');
+    assert.ok(renderedCount < 200, 'Not all rows are rendered');
+    assert.equal(renderedCount, component.get('contentForView.length'), 'Rendered rows are rows for view');
+  });
+});
+
+test('virtual scrolling start is clamped when content shrinks', function(assert) {
+  let component = renderVirtualScrollingList(this, 200);
+
+  Ember.run(() => {
+    component.set('_virtualScrollingStart', 150);
+  });
+
+  return wait().then(() => {
+    Ember.run(() => {
+      let details = this.get('model.details');
+      details.removeObjects(details.slice(10));
+    });
+
+    return wait();
+  }).then(() => {
+    assert.ok(component.get('_virtualScrollingStart') < 10, 'Start points into the list');
+    assert.equal(getRenderedRows(this).length, 10, 'All remaining rows are rendered');
+  });
+});
+
+test('virtual scrolling restores selection of rows rendered again', function(assert) {
+  let component = renderVirtualScrollingList(this, 200);
+
+  return wait().then(() => {
+    Ember.run(() => {
+      component.send('selectRow', component.get('contentWithKeys.firstObject'), { checked: true });
+      component.set('_virtualScrollingStart', 100);
+    });
+
+    return wait();
+  }).then(() => {
+    Ember.run(() => {
+      component.set('_virtualScrollingStart', 0);
+      component._restoreVirtualRowsState();
+    });
+
+    return wait();
+  }).then(() => {
+    assert.ok(getRenderedRows(this).first().hasClass('active'), 'Selected row is highlighted again');
+    assert.equal(component.get('selectedRecords.length'), 1, 'Selected records are restored');
+  });
+});
+
+let renderGroupedList = function(context, texts, groupBy) {
+  let store = App.__container__.lookup('service:store');
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    texts.forEach((text) => {
+      model.get('details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text }));
+    });
+
+    context.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    context.set('model', model);
+    context.set('groupBy', groupBy);
+    context.render(hbs`
+      {{object-list-view
+        modelProjection=proj.attributes.details
+        content=model.details
+        componentName="groupedList"
+        groupBy=groupBy
+      }}`);
+  });
+};
+
+test('groups are updated when value of grouping property is changed', function(assert) {
+  renderGroupedList(this, ['a', 'a', 'b'], ['text']);
+
+  return wait().then(() => {
+    assert.equal(this.$('.object-list-view-group-header').length, 2, 'Rows are split into two groups');
+
+    Ember.run(() => {
+      this.get('model.details.lastObject').set('text', 'a');
+    });
+
+    return wait();
+  }).then(() => {
+    assert.equal(this.$('.object-list-view-group-header').length, 1, 'Rows are regrouped');
+  });
+});
+
+test('grouping from user settings can be removed', function(assert) {
+  let userSettingsService = this.container.lookup('service:user-settings');
+  let groupBy = ['text'];
+  userSettingsService.getCurrentGroupBy = () => groupBy;
+  userSettingsService.setCurrentGroupBy = (componentName, settingName, value) => {
+    assert.equal(componentName, 'groupedList', 'Grouping is saved for component');
+    groupBy = value;
+  };
+
+  renderGroupedList(this, ['a', 'b'], undefined);
+
+  return wait().then(() => {
+    assert.equal(this.$('.object-list-view-group-header').length, 2, 'Rows are grouped by user settings');
+
+    this.$('.object-list-view-group-remove').first().click();
+    return wait();
+  }).then(() => {
+    assert.deepEqual(groupBy, [], 'Grouping is saved without removed property');
+    assert.equal(this.$('.object-list-view-group-header').length, 0, 'Rows are not grouped');
+  });
+});
+
+test('totals are calculated over records', function(assert) {
+  let store = App.__container__.lookup('service:store');
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    ['a', 'b', ''].forEach((text) => {
+      let flag = text === 'a' ? false : undefined;
+      model.get('details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text, flag }));
+    });
+
+    this.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    this.set('model', model);
+    this.set('totals', {
+      text: (values) => values.filter((value) => !Ember.isBlank(value)).length,
+      flag: 'count',
+    });
+    this.render(hbs`
+      {{object-list-view
+        modelProjection=proj.attributes.details
+        content=model.details
+        componentName="totalsList"
+        totals=totals
+      }}`);
+  });
+
+  return wait().then(() => {
+    let elementId = this.$('.object-list-view-container').attr('id');
+    let component = this.container.lookup('-view-registry:main')[elementId];
+    let totals = component._calculateTotals();
+    let textTotal = totals.findBy('propName', 'text');
+    let flagTotal = totals.findBy('propName', 'flag');
+    let dateTotal = totals.findBy('propName', 'date');
+
+    assert.strictEqual(textTotal.value, 2, 'Custom function is used');
+    assert.strictEqual(textTotal.caption, undefined, 'Custom function has no caption');
+    assert.strictEqual(flagTotal.value, 1, 'Built-in function counts not empty values of any type');
+    assert.ok(flagTotal.caption, 'Built-in function has caption');
+    assert.notOk(dateTotal.hasAggregate, 'Column without aggregate function has no total');
+    assert.equal(Ember.$.trim(this.$('tfoot [data-olv-total-property-name="text"]').text()), '2', 'Total is rendered');
+  });
+});
+
+test('totals are calculated over records of current query', function(assert) {
+  let queries = [];
+  let queryStore = this.container.lookup('service:store');
+  queryStore.query = (modelName, query) => {
+    queries.push(query);
+    return Ember.RSVP.resolve(Ember.A([1, 2, 3, 4].map((id) => Ember.Object.create({ id, text: `text ${id}`, master: null }))));
+  };
+
+  let store = App.__container__.lookup('service:store');
+  Ember.run(() => {
+    let model = store.createRecord('components-examples/flexberry-groupedit/shared/aggregator');
+    model.get('details').pushObject(store.createRecord('components-examples/flexberry-groupedit/shared/detail', { text: 'a' }));
+
+    this.set('proj', AggregatorModel.projections.get('AggregatorE'));
+    this.set('model', model);
+    this.set('totals', { text: 'count', master: 'count' });
+    this.render(hbs`
+      {{object-list-view
+        modelProjection=proj.attributes.details
+        modelName="components-examples/flexberry-groupedit/shared/detail"
+        content=model.details
+        componentName="serverTotalsList"
+        totals=totals
+        totalsServerSide=true
+        disableHierarchicalMode=true
+      }}`);
+  });
+
+  return wait().then(() => {
+    let elementId = this.$('.object-list-view-container').attr('id');
+    let component = this.container.lookup('-view-registry:main')[elementId];
+    let totals = component._calculateTotals();
+
+    assert.equal(queries.length, 1, 'Records of query are loaded once');
+    assert.deepEqual(queries[0].select.sort(), ['id', 'text'], 'Only aggregated attributes are selected');
+    assert.ok(queries[0].expand.master, 'Aggregated relationship is expanded');
+    assert.strictEqual(totals.findBy('propName', 'text').value, 4, 'Totals are calculated over records of query');
+  });
+});
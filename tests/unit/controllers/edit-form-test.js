@@ -2,6 +2,7 @@ import Ember from 'ember';
 import DS from 'ember-data';
 import { moduleFor, test } from 'ember-qunit';
 import startApp from '../../helpers/start-app';
+import ConcurrencyConflictError from 'ember-flexberry/objects/concurrency-conflict-error';
 
 var App;
 
@@ -71,3 +72,213 @@ test('save hasMany relationships recursively', function(assert) {
     wait();
   });
 });
+
+test('close calls handlers of modal dialog instead of transition', function(assert) {
+  let closed = false;
+  let controller = this.subject({
+    modalDialogHandlers: {
+      close() {
+        closed = true;
+      },
+    },
+    transitionToParentRoute() {
+      assert.ok(false, 'Transition to parent route must be skipped.');
+    },
+  });
+
+  controller.close();
+  assert.ok(closed);
+});
+
+test('save is refused by handler of modal dialog before saving of model', function(assert) {
+  let sentActions = [];
+  let controller = this.subject({
+    modalDialogHandlers: {
+      beforeSave: () => Ember.RSVP.reject(new Error('Limit is not satisfied')),
+      save() {
+        assert.ok(false, 'Save handler must be skipped.');
+      },
+    },
+    send(actionName) {
+      sentActions.push(actionName);
+    },
+    validate: () => Ember.RSVP.resolve(),
+    _addBreadcrumb() {},
+    saveModel() {
+      assert.ok(false, 'Model must not be saved.');
+    },
+  });
+
+  return Ember.run(() => controller.save()).then(() => {
+    assert.ok(false, 'Save is refused.');
+  }, (error) => {
+    assert.equal(error.message, 'Limit is not satisfied');
+    assert.deepEqual(sentActions, ['dismissErrorMessages', 'error'], 'Error is shown on form.');
+  });
+});
+
+test('leaving of form with unsaved changes has to be confirmed', function(assert) {
+  App.register('model:model1', DS.Model.extend({ name: DS.attr('string') }));
+
+  let controller = this.subject({
+    routeName: 'model1',
+    transitionToParentRoute() {},
+  });
+  let store = App.__container__.lookup('service:store');
+  let transition = { targetName: 'model1-list', queryParamsOnly: false };
+
+  Ember.run(() => {
+    controller.set('model', store.createRecord('model1'));
+    assert.notOk(controller.needUnsavedChangesConfirmation(transition), 'Guard is disabled by default.');
+
+    controller.set('unsavedChangesGuardEnabled', true);
+    assert.notOk(controller.needUnsavedChangesConfirmation(transition), 'New record is not changed.');
+
+    controller.set('model.name', 'Ivan');
+    assert.ok(controller.needUnsavedChangesConfirmation(transition));
+    assert.notOk(controller.needUnsavedChangesConfirmation({ targetName: 'model1', queryParamsOnly: true }), 'Query params are changed.');
+
+    controller.set('modelNoRollBack', true);
+    assert.notOk(controller.needUnsavedChangesConfirmation(transition), 'Model is kept for detail form.');
+
+    controller.set('modelNoRollBack', false);
+    controller.close();
+    assert.notOk(controller.needUnsavedChangesConfirmation(transition), 'Form is closed by button.');
+  });
+});
+
+test('save is rejected with conflict error if attribute is changed by another user', function(assert) {
+  App.register('model:model1', DS.Model.extend({
+    name: DS.attr('string'),
+    description: DS.attr('string'),
+    version: DS.attr('number'),
+  }));
+
+  let store = App.__container__.lookup('service:store');
+  let controller = this.subject({ concurrencyVersionAttribute: 'version' });
+  let record;
+
+  Ember.run(() => {
+    record = store.push({ data: { id: '1', type: 'model1', attributes: { name: 'base', description: 'base', version: 1 } } });
+    controller.set('model', record);
+    controller.startConcurrencyCheck();
+    record.set('name', 'mine');
+
+    controller.set('_loadServerDocument', () => Ember.RSVP.resolve({
+      data: [{ id: '1', type: 'model1', attributes: { name: 'theirs', description: 'theirs', version: 2 } }],
+    }));
+  });
+
+  return Ember.run(() => controller.checkConcurrency()).then(() => {
+    assert.ok(false, 'Conflict is not found.');
+  }, (error) => {
+    assert.ok(error instanceof ConcurrencyConflictError);
+    assert.equal(error.conflicts.length, 1);
+    assert.equal(error.conflicts[0].get('mine'), 'mine');
+    assert.equal(error.conflicts[0].get('theirs'), 'theirs');
+    assert.equal(record.get('description'), 'theirs', 'Not conflicting changes are merged.');
+  });
+});
+
+test('save is rejected with conflict error if details are added or removed by another user', function(assert) {
+  App.register('model:model2', DS.Model.extend({
+    name: DS.attr('string'),
+    version: DS.attr('number'),
+    details: DS.hasMany('model2-detail', { inverse: 'master', async: false }),
+  }));
+  App.register('model:model2-detail', DS.Model.extend({
+    name: DS.attr('string'),
+    master: DS.belongsTo('model2', { inverse: 'details', async: false }),
+  }));
+
+  let store = App.__container__.lookup('service:store');
+  let controller = this.subject({ concurrencyVersionAttribute: 'version' });
+  let record;
+
+  let getDocument = (version, detailIds) => ({
+    data: {
+      id: '1',
+      type: 'model2',
+      attributes: { name: 'base', version: version },
+      relationships: { details: { data: detailIds.map((id) => ({ id: id, type: 'model2-detail' })) } },
+    },
+    included: detailIds.map((id) => ({
+      id: id,
+      type: 'model2-detail',
+      attributes: { name: `detail ${id}` },
+      relationships: { master: { data: { id: '1', type: 'model2' } } },
+    })),
+  });
+
+  Ember.run(() => {
+    record = store.push(getDocument(1, ['1', '2']));
+    controller.set('model', record);
+    controller.startConcurrencyCheck();
+    record.set('name', 'mine');
+
+    controller.set('_loadServerDocument', () => Ember.RSVP.resolve(getDocument(2, ['1', '3'])));
+  });
+
+  return Ember.run(() => controller.checkConcurrency()).then(() => {
+    assert.ok(false, 'Conflict is not found.');
+  }, (error) => {
+    assert.ok(error instanceof ConcurrencyConflictError);
+    assert.equal(error.conflicts.length, 1);
+
+    let conflict = error.conflicts[0];
+    assert.ok(conflict.get('isDetails'));
+    assert.equal(conflict.get('attributeName'), 'details');
+    assert.deepEqual(conflict.get('mine').map((detail) => detail.get('id')), ['1', '2']);
+    assert.deepEqual(conflict.get('theirs').map((detail) => detail.get('id')), ['1', '3']);
+    assert.equal(conflict.get('resolution'), 'theirs', 'Details of another user are kept by default.');
+    assert.deepEqual(record.get('details').mapBy('id'), ['1', '2'], 'Details of model are not changed by check.');
+
+    Ember.run(() => {
+      conflict.set('resolution', 'mine');
+      controller.resolveConcurrencyConflicts(error);
+    });
+
+    assert.deepEqual(record.get('details').mapBy('id'), ['1', '2'], 'Details from form are chosen.');
+  });
+});
+
+test('change of lookup on form is kept on check of concurrency', function(assert) {
+  App.register('model:model3', DS.Model.extend({
+    name: DS.attr('string'),
+    version: DS.attr('number'),
+    type: DS.belongsTo('model3-type', { inverse: null, async: false }),
+  }));
+  App.register('model:model3-type', DS.Model.extend({
+    name: DS.attr('string'),
+  }));
+
+  let store = App.__container__.lookup('service:store');
+  let controller = this.subject({ concurrencyVersionAttribute: 'version' });
+  let record;
+
+  let getDocument = (name, version) => ({
+    data: {
+      id: '1',
+      type: 'model3',
+      attributes: { name: name, version: version },
+      relationships: { type: { data: { id: '1', type: 'model3-type' } } },
+    },
+  });
+
+  Ember.run(() => {
+    store.push({ data: [{ id: '1', type: 'model3-type', attributes: { name: 'base' } }, { id: '2', type: 'model3-type', attributes: { name: 'mine' } }] });
+    record = store.push(getDocument('base', 1));
+    controller.set('model', record);
+    controller.startConcurrencyCheck();
+    record.set('type', store.peekRecord('model3-type', '2'));
+
+    controller.set('_loadServerDocument', () => Ember.RSVP.resolve(getDocument('theirs', 2)));
+  });
+
+  return Ember.run(() => controller.checkConcurrency()).then(() => {
+    assert.equal(record.get('type.id'), '2', 'Lookup value from form is kept.');
+    assert.equal(record.get('name'), 'theirs', 'Not conflicting changes are merged.');
+    assert.equal(record.get('version'), 2, 'Form is based on new version.');
+    assert.equal(controller.get('_concurrencyBase.version'), 2);
+  });
+});
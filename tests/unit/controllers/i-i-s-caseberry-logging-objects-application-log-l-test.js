@@ -0,0 +1,54 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import ApplicationLogListFormController from 'ember-flexberry/controllers/i-i-s-caseberry-logging-objects-application-log-l';
+
+const { get } = Ember;
+
+module('Unit | Controller | application log list form');
+
+let createRecord = (message, timestamp) => Ember.Object.create({ message, timestamp: new Date(timestamp) });
+
+let createController = (limitFunction, sorting, count) => {
+  let records = [createRecord('2', 2000), createRecord('1', 1000)];
+  if (sorting && sorting[0].direction === 'asc') {
+    records.reverse();
+  }
+
+  return ApplicationLogListFormController.create({
+    developerUserSettings: { ApplicationLogObjectListView: {} },
+    logService: { buffered: false },
+    objectlistviewEventsService: {
+      getLimitFunction: (componentName) => componentName === 'ApplicationLogObjectListView' ? limitFunction : undefined,
+    },
+    model: Ember.ArrayProxy.create({
+      content: Ember.A(records),
+      meta: { count: count || records.length },
+      sorting: sorting,
+    }),
+  });
+};
+
+test('new message is inserted into list according to sorting', function(assert) {
+  let controller = createController(undefined, [{ propName: 'timestamp', direction: 'desc' }]);
+
+  Ember.run(() => controller._onLogMessage(createRecord('3', 3000)));
+  assert.deepEqual(get(controller, 'model').mapBy('message'), ['3', '2', '1'], 'The newest message is the first one.');
+  assert.deepEqual(get(controller, 'model.sorting'), [{ propName: 'timestamp', direction: 'desc' }], 'Sorting is kept.');
+
+  controller = createController(undefined, [{ propName: 'timestamp', direction: 'asc' }]);
+  Ember.run(() => controller._onLogMessage(createRecord('3', 3000)));
+  assert.deepEqual(get(controller, 'model').mapBy('message'), ['1', '2', '3'], 'The newest message is the last one.');
+
+  controller = createController(undefined, [{ propName: 'timestamp', direction: 'asc' }], 10);
+  Ember.run(() => controller._onLogMessage(createRecord('3', 3000)));
+  assert.deepEqual(get(controller, 'model').mapBy('message'), ['1', '2'], 'Message of next pages is not shown.');
+});
+
+test('filtered list is refreshed instead of insertion of new message', function(assert) {
+  let controller = createController({}, [{ propName: 'timestamp', direction: 'desc' }]);
+
+  Ember.run(() => controller._onLogMessage(createRecord('3', 3000)));
+  assert.deepEqual(get(controller, 'model').mapBy('message'), ['2', '1'], 'Message is not inserted.');
+  assert.ok(get(controller, '_liveTailRefreshTimer'), 'Refresh is scheduled.');
+  Ember.run.cancel(get(controller, '_liveTailRefreshTimer'));
+});
@@ -0,0 +1,134 @@
+import Ember from 'ember';
+import FlexberryLookupMixin from 'ember-flexberry/mixins/flexberry-lookup-controller';
+import { Query } from 'ember-flexberry-data';
+import { module, test } from 'qunit';
+
+const { get, set } = Ember;
+const { Condition, SimplePredicate, StringPredicate, ComplexPredicate, NotPredicate } = Query;
+
+module('FlexberryLookupMixin');
+
+let createSubject = (properties) => FlexberryLookupMixin.apply(Ember.Object.create(properties));
+
+let createLink = (properties) => Ember.Object.create(Ember.merge({
+  isNew: true,
+  isDeleted: false,
+  deleteRecord() {
+    set(this, 'isDeleted', true);
+  },
+}, properties));
+
+test('it adds values to hasMany relationship', function(assert) {
+  let tag1 = Ember.Object.create({ name: 'tag1' });
+  let tag2 = Ember.Object.create({ name: 'tag2' });
+  let model = Ember.Object.create({ tags: Ember.A([tag1]) });
+
+  let subject = createSubject();
+  subject._addLookupValues(model, 'tags', [tag1, tag2, null]);
+  assert.deepEqual(get(model, 'tags').toArray(), [tag1, tag2]);
+
+  subject._removeLookupValues(model, 'tags', tag1);
+  assert.deepEqual(get(model, 'tags').toArray(), [tag2]);
+
+  subject._removeLookupValues(model, 'tags');
+  assert.equal(get(model, 'tags.length'), 0);
+});
+
+test('it creates and deletes records of link model', function(assert) {
+  let tag1 = Ember.Object.create({ name: 'tag1' });
+  let tag2 = Ember.Object.create({ name: 'tag2' });
+  let savedLink = createLink({ tag: tag1, isNew: false });
+  let model = Ember.Object.create({ tagLinks: Ember.A([savedLink]) });
+
+  let subject = createSubject({
+    store: {
+      createRecord(modelName, properties) {
+        assert.equal(modelName, 'tag-link');
+        return createLink(properties);
+      },
+    },
+  });
+
+  subject._addLookupValues(model, 'tagLinks', [tag1, tag2], 'tag-link', 'tag');
+  assert.deepEqual(get(model, 'tagLinks').mapBy('tag'), [tag1, tag2]);
+
+  let newLink = get(model, 'tagLinks.lastObject');
+  subject._removeLookupValues(model, 'tagLinks', tag2, 'tag-link', 'tag');
+  assert.ok(get(newLink, 'isDeleted'));
+  assert.deepEqual(get(model, 'tagLinks').mapBy('tag'), [tag1]);
+
+  subject._removeLookupValues(model, 'tagLinks', tag1, 'tag-link', 'tag');
+  assert.ok(get(savedLink, 'isDeleted'), 'Saved link is deleted on saving of model.');
+  assert.equal(get(model, 'tagLinks.length'), 1);
+});
+
+let createLookupValueSubject = (sentActions, closed) => {
+  let subject = createSubject({
+    i18n: { t: (key) => key },
+    lookupController: {
+      closeModalDialog() {
+        closed.push(true);
+      },
+    },
+    send(actionName, data) {
+      sentActions.push({ actionName, data });
+    },
+  });
+  Ember.setOwner(subject, { lookup: () => undefined });
+  return subject;
+};
+
+test('it sets created record as lookup value', function(assert) {
+  let sentActions = [];
+  let closed = [];
+  let record = Ember.Object.create({ id: '1' });
+  let subject = createLookupValueSubject(sentActions, closed);
+
+  subject._setCreatedLookupValue(record, {
+    modelName: 'tag',
+    relationName: 'tag',
+    componentName: 'tagLookup',
+    updateLookupAction: 'updateLookupValue',
+  });
+
+  assert.equal(sentActions.length, 1, 'Lookup value is updated');
+  assert.equal(sentActions[0].actionName, 'updateLookupValue');
+  assert.strictEqual(sentActions[0].data.newRelationValue, record);
+  assert.equal(sentActions[0].data.componentName, 'tagLookup');
+  assert.equal(closed.length, 1, 'Modal dialog is closed');
+});
+
+test('it refuses saving of created record which does not satisfy limit of lookup', function(assert) {
+  let subject = createLookupValueSubject([], []);
+  let record = Ember.Object.create({ name: 'Other' });
+  let predicate = new SimplePredicate('name', 'eq', 'Tag');
+
+  return Ember.run(() => subject._checkCreatedLookupValue(record, { predicate }).then(() => {
+    assert.ok(false, 'Promise is rejected');
+  }, (reason) => {
+    assert.ok(reason instanceof Error, 'Promise is rejected with error');
+    assert.equal(get(reason, 'message'), 'components.flexberry-lookup.create-limit-error-text', 'Error has message for edit form');
+  }).then(() => {
+    set(record, 'name', 'Tag');
+    return subject._checkCreatedLookupValue(record, { predicate });
+  }).then(() => {
+    assert.ok(true, 'Record satisfying limit can be saved');
+  }));
+});
+
+test('it checks limit of lookup on client', function(assert) {
+  let subject = createLookupValueSubject([], []);
+  let type = Ember.Object.create({ id: '5', name: 'Main' });
+  let record = Ember.Object.create({ name: 'Tag', count: 3, type });
+
+  assert.ok(subject._checkLookupLimit(record), 'Record without limit is satisfied');
+  assert.ok(subject._checkLookupLimit(record, new SimplePredicate('type', 'eq', '5')), 'Master is compared by id');
+  assert.ok(subject._checkLookupLimit(record, new SimplePredicate('type.name', 'eq', 'Main')), 'Attribute of master is compared');
+  assert.notOk(subject._checkLookupLimit(record, new NotPredicate(new StringPredicate('name').contains('ta'))));
+  assert.ok(subject._checkLookupLimit(record, new ComplexPredicate(Condition.Or,
+    new SimplePredicate('count', 'ge', 5),
+    new SimplePredicate('name', 'eq', 'Tag'))));
+  assert.notOk(subject._checkLookupLimit(record, new ComplexPredicate(Condition.And,
+    new SimplePredicate('count', 'ge', 5),
+    new SimplePredicate('name', 'eq', 'Tag'))));
+});
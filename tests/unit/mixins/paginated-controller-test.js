@@ -9,3 +9,16 @@ test('it works', function(assert) {
   var subject = PaginatedControllerObject.create();
   assert.ok(subject);
 });
+
+test('hasMoreRecords compares loaded records with total count', function(assert) {
+  let PaginatedControllerObject = Ember.Object.extend(PaginatedControllerMixin);
+  let model = Ember.A([1, 2, 3]);
+  model.meta = { count: 5 };
+  let subject = PaginatedControllerObject.create({ model });
+  assert.ok(subject.get('hasMoreRecords'));
+
+  let fullModel = Ember.A([1, 2, 3, 4, 5]);
+  fullModel.meta = { count: 5 };
+  subject.set('model', fullModel);
+  assert.notOk(subject.get('hasMoreRecords'));
+});
@@ -0,0 +1,113 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import BufferedLogTransport from 'ember-flexberry/objects/buffered-log-transport';
+
+const { get } = Ember;
+
+module('Unit | Object | buffered log transport');
+
+let createStore = (saved, fail) => ({
+  createRecord(modelName, properties) {
+    return Ember.Object.create(properties, {
+      isNew: true,
+      unloadRecord() {},
+    });
+  },
+
+  batchUpdate(records) {
+    if (fail) {
+      return Ember.RSVP.reject(new Error('Server is unavailable.'));
+    }
+
+    saved.push(...records);
+    return Ember.RSVP.resolve(records);
+  },
+});
+
+test('identical messages are stored once with count of repeats', function(assert) {
+  let saved = [];
+  let transport = BufferedLogTransport.create({ store: createStore(saved), persistent: false, flushInterval: 60000 });
+
+  return Ember.run(() => {
+    transport.push({ category: 'ERROR', message: 'Error' });
+    transport.push({ category: 'ERROR', message: 'Error' });
+    transport.push({ category: 'WARN', message: 'Error' });
+    return transport.flush();
+  }).then(() => {
+    assert.equal(saved.length, 2);
+    assert.equal(get(saved[0], 'title'), 'Repeated 2 times');
+    assert.equal(get(transport, '_queue').length, 0);
+    Ember.run(() => transport.destroy());
+  });
+});
+
+test('messages exceeding rate limit are dropped', function(assert) {
+  let saved = [];
+  let transport = BufferedLogTransport.create({ store: createStore(saved), persistent: false, flushInterval: 60000, rateLimit: 2 });
+
+  Ember.run(() => {
+    transport.push({ category: 'ERROR', message: '1' });
+    transport.push({ category: 'ERROR', message: '2' });
+    transport.push({ category: 'ERROR', message: '3' });
+  });
+
+  assert.equal(get(transport, '_queue').length, 2);
+  assert.equal(get(transport, '_droppedCount'), 1);
+  Ember.run(() => transport.destroy());
+});
+
+test('entries stay in queue after failed flush and delay grows', function(assert) {
+  let transport = BufferedLogTransport.create({ store: createStore([], true), persistent: false, flushInterval: 60000, retryDelay: 100 });
+
+  return Ember.run(() => {
+    transport.push({ category: 'ERROR', message: 'Error' });
+    return transport.flush();
+  }).then(() => {
+    assert.equal(get(transport, '_queue').length, 1);
+    assert.equal(transport._getNextFlushDelay(), 100);
+
+    return Ember.run(() => transport.flush());
+  }).then(() => {
+    assert.equal(transport._getNextFlushDelay(), 200);
+    Ember.run(() => transport.destroy());
+  });
+});
+
+test('only entries failed to save are retried', function(assert) {
+  let saved = [];
+  let store = {
+    createRecord(modelName, properties) {
+      return Ember.Object.create(properties, {
+        isNew: true,
+        unloadRecord() {},
+        save() {
+          if (this.get('message') === '2' && this.get('fail') !== false) {
+            return Ember.RSVP.reject(new Error('Record is invalid.'));
+          }
+
+          saved.push(this.get('message'));
+          return Ember.RSVP.resolve(this);
+        },
+      });
+    },
+  };
+  let transport = BufferedLogTransport.create({ store: store, persistent: false, flushInterval: 60000, retryDelay: 100 });
+
+  return Ember.run(() => {
+    transport.push({ category: 'ERROR', message: '1' });
+    transport.push({ category: 'ERROR', message: '2' });
+    transport.push({ category: 'ERROR', message: '3' });
+    return transport.flush();
+  }).then(() => {
+    assert.deepEqual(saved, ['1', '3']);
+    assert.deepEqual(get(transport, '_queue').map((entry) => entry.properties.message), ['2'], 'Only failed entry stays in queue.');
+    assert.equal(transport._getNextFlushDelay(), 100, 'Failed entry is retried with delay.');
+
+    get(transport, '_queue')[0].properties.fail = false;
+    return Ember.run(() => transport.flush());
+  }).then(() => {
+    assert.deepEqual(saved, ['1', '3', '2'], 'Stored entries are not stored twice.');
+    assert.equal(get(transport, '_queue').length, 0);
+    Ember.run(() => transport.destroy());
+  });
+});
@@ -0,0 +1,44 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import LogSink from 'ember-flexberry/objects/log-sinks/log-sink';
+import MemoryLogSink from 'ember-flexberry/objects/log-sinks/memory-log-sink';
+import FileLogSink from 'ember-flexberry/objects/log-sinks/file-log-sink';
+
+const { get } = Ember;
+
+module('Unit | Object | log sinks');
+
+test('sink accepts messages by level threshold or categories', function(assert) {
+  let sink = LogSink.create({ level: 'WARN' });
+  assert.ok(sink.accepts('ERROR'));
+  assert.ok(sink.accepts('PROMISE'));
+  assert.ok(sink.accepts('WARN'));
+  assert.ok(sink.accepts('DEPRECATION'));
+  assert.notOk(sink.accepts('LOG'));
+  assert.notOk(sink.accepts('DEBUG'));
+
+  sink = LogSink.create({ level: 'WARN', categories: ['INFO'] });
+  assert.ok(sink.accepts('INFO'));
+  assert.notOk(sink.accepts('ERROR'));
+});
+
+test('memory sink keeps the last entries', function(assert) {
+  let sink = MemoryLogSink.create({ maxSize: 2 });
+  sink.write({ category: 'LOG', message: 'first' });
+  sink.write({ category: 'LOG', message: 'second' });
+  sink.write({ category: 'LOG', message: 'third' });
+
+  assert.deepEqual(get(sink, 'entries').mapBy('message'), ['second', 'third']);
+
+  sink.clear();
+  assert.equal(get(sink, 'entries.length'), 0);
+});
+
+test('file sink collects entries in JSON lines format', function(assert) {
+  let sink = FileLogSink.create({ maxLines: 2 });
+  sink.write({ category: 'LOG', message: 'first' });
+  sink.write({ category: 'WARN', message: 'second' });
+  sink.write({ category: 'ERROR', message: 'third' });
+
+  assert.equal(sink.getContent(), '{"category":"WARN","message":"second"}\n{"category":"ERROR","message":"third"}');
+});
@@ -0,0 +1,112 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import ChangeHistoryService from 'ember-flexberry/services/change-history';
+
+const { get, set } = Ember;
+
+module('Unit | Service | change history');
+
+let createRecord = (properties) => Ember.Object.create({
+  details: Ember.A(),
+  isDeleted: false,
+  eachAttribute(callback) {
+    callback('name');
+  },
+
+  eachRelationship(callback) {
+    callback('details', { kind: 'hasMany' });
+  },
+}, properties);
+
+test('undo and redo changes of attribute', function(assert) {
+  let service = ChangeHistoryService.create({ keyboardShortcuts: false });
+  let record = createRecord({ name: 'first' });
+
+  Ember.run(() => {
+    service.start(record);
+    set(record, 'name', 'second');
+  });
+
+  assert.ok(get(service, 'canUndo'));
+  assert.notOk(get(service, 'canRedo'));
+
+  Ember.run(() => service.undo());
+  assert.equal(get(record, 'name'), 'first');
+  assert.ok(get(service, 'canRedo'));
+
+  Ember.run(() => service.redo());
+  assert.equal(get(record, 'name'), 'second');
+
+  Ember.run(() => service.stop(record));
+  assert.notOk(get(service, 'canUndo'));
+});
+
+test('changes of attribute during merge interval are undone by one step', function(assert) {
+  let service = ChangeHistoryService.create({ keyboardShortcuts: false, mergeInterval: 60000 });
+  let record = createRecord({ name: '' });
+
+  Ember.run(() => {
+    service.start(record);
+    set(record, 'name', 'a');
+    set(record, 'name', 'ab');
+    set(record, 'name', 'abc');
+    service.undo();
+  });
+
+  assert.equal(get(record, 'name'), '');
+  assert.notOk(get(service, 'canUndo'));
+});
+
+test('undo and redo adding of detail', function(assert) {
+  let service = ChangeHistoryService.create({ keyboardShortcuts: false });
+  let record = createRecord({ name: 'master' });
+  let detail = createRecord({ name: 'detail', isNew: false });
+
+  Ember.run(() => {
+    service.start(record);
+    get(record, 'details').addObject(detail);
+    set(detail, 'name', 'changed');
+    service.undo();
+  });
+
+  assert.equal(get(detail, 'name'), 'detail', 'changes of details are recorded');
+
+  Ember.run(() => service.undo());
+  assert.deepEqual(get(record, 'details').toArray(), []);
+
+  Ember.run(() => service.redo());
+  assert.deepEqual(get(record, 'details').toArray(), [detail]);
+});
+
+test('keyboard shortcuts prevent default action only if operation is applied', function(assert) {
+  let service = ChangeHistoryService.create({ keyboardShortcuts: false });
+  let record = createRecord({ name: 'first' });
+  let prevented = 0;
+  let createEvent = (which, shiftKey = false) => ({
+    which,
+    shiftKey,
+    ctrlKey: true,
+    altKey: false,
+    preventDefault() {
+      prevented++;
+    },
+  });
+
+  Ember.run(() => service.start(record));
+  service._onKeyDown(createEvent(90));
+  assert.equal(prevented, 0, 'Native undo is kept, if there is nothing to undo');
+
+  Ember.run(() => set(record, 'name', 'second'));
+  service._onKeyDown(createEvent(90));
+  assert.equal(get(record, 'name'), 'first');
+  assert.equal(prevented, 1, 'Native undo is prevented');
+
+  service._onKeyDown(createEvent(89));
+  assert.equal(get(record, 'name'), 'second');
+  assert.equal(prevented, 2, 'Native redo is prevented');
+
+  service._onKeyDown(createEvent(90, true));
+  assert.equal(prevented, 2, 'Native redo is kept, if there is nothing to redo');
+
+  Ember.run(() => service.stop(record));
+});
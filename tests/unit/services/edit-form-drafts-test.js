@@ -0,0 +1,173 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import EditFormDraftsService from 'ember-flexberry/services/edit-form-drafts';
+
+const { get, set } = Ember;
+
+module('Unit | Service | edit form drafts');
+
+let createRecord = (properties) => Ember.Object.create({
+  id: '1',
+  isNew: false,
+  isDeleted: false,
+  hasDirtyAttributes: false,
+  birthDate: null,
+  details: Ember.A(),
+  eachAttribute(callback) {
+    callback('name', { type: 'string' });
+    callback('birthDate', { type: 'date' });
+  },
+
+  eachRelationship(callback) {
+    callback('details', { kind: 'hasMany', type: 'detail' });
+  },
+
+  inverseFor() {
+    return null;
+  },
+}, properties);
+
+let createDetail = (properties) => Ember.Object.create({
+  id: null,
+  isNew: true,
+  isDeleted: false,
+  hasDirtyAttributes: true,
+  master: null,
+  type: null,
+  eachAttribute(callback) {
+    callback('name', { type: 'string' });
+  },
+
+  eachRelationship(callback) {
+    callback('master', { kind: 'belongsTo', type: 'master' });
+    callback('type', { kind: 'belongsTo', type: 'detail-type' });
+  },
+}, properties);
+
+let createType = (id, isNew) => {
+  let Type = Ember.Object.extend();
+  Type.modelName = 'detail-type';
+  return Type.create({ id, isNew });
+};
+
+test('getKey depends on route and record', function(assert) {
+  let service = EditFormDraftsService.create({ keyPrefix: 'test:' });
+
+  assert.equal(service.getKey('employee', createRecord({ id: '42' })), 'test:employee:42');
+  assert.equal(service.getKey('employee.new', createRecord({ id: 'a1', isNew: true })), 'test:employee.new:new:a1');
+  assert.notEqual(service.getKey('employee.new', createRecord({ id: null, isNew: true })),
+    service.getKey('employee.new', createRecord({ id: null, isNew: true })), 'New records have different keys');
+});
+
+test('draft of new record is saved only if record is edited', function(assert) {
+  let service = EditFormDraftsService.create({ keyPrefix: 'test-new-edit-form-drafts:' });
+  let changedAttributes = {};
+  let record = createRecord({
+    id: 'a1',
+    isNew: true,
+    hasDirtyAttributes: true,
+    changedAttributes: () => changedAttributes,
+  });
+  let key = service.getKey('employee.new', record);
+
+  assert.notOk(service.isDirty(record), 'Just created record is not changed');
+  assert.notOk(service.save(key, record));
+  assert.strictEqual(service.findNewDraftKey('employee.new'), null);
+
+  changedAttributes = { name: [undefined, 'Ivan'] };
+  assert.ok(service.isDirty(record), 'Record with changed attribute is changed');
+  assert.ok(service.save(key, record));
+  assert.equal(service.findNewDraftKey('employee.new'), key, 'Draft of new record is found by route');
+
+  changedAttributes = {};
+  set(record, 'details', Ember.A([createDetail({ master: record })]));
+  assert.ok(service.isDirty(record), 'Record with added detail is changed');
+
+  service.remove(key);
+  assert.strictEqual(service.findNewDraftKey('employee.new'), null);
+});
+
+test('draft is saved only for changed records and is restored', function(assert) {
+  let service = EditFormDraftsService.create({ keyPrefix: 'test-edit-form-drafts:' });
+  let key = service.getKey('employee', createRecord());
+  service.remove(key);
+
+  assert.notOk(service.save(key, createRecord({ name: 'Ivan' })), 'not changed record is not saved');
+  assert.strictEqual(service.load(key), null);
+
+  let detail = createRecord({ id: '2', name: 'detail', hasDirtyAttributes: true });
+  let birthDate = new Date(2020, 0, 1);
+  let record = createRecord({ name: 'Ivan', birthDate: birthDate, details: Ember.A([detail]) });
+  assert.ok(service.save(key, record), 'record with changed detail is saved');
+
+  let draft = service.load(key);
+  assert.equal(draft.data.attributes.name, 'Ivan');
+  assert.equal(draft.data.attributes.birthDate, birthDate.toISOString());
+  assert.equal(draft.data.hasMany.details[0].attributes.name, 'detail');
+
+  let restoredDetail = createRecord({ id: '2', name: 'old detail' });
+  let restoredRecord = createRecord({ name: 'old', details: Ember.A([restoredDetail]) });
+  return Ember.run(() => service.restore(restoredRecord, draft).then(() => {
+    assert.equal(get(restoredRecord, 'name'), 'Ivan');
+    assert.equal(get(restoredRecord, 'birthDate').getTime(), birthDate.getTime());
+    assert.equal(get(restoredDetail, 'name'), 'detail');
+
+    service.remove(key);
+    assert.strictEqual(service.load(key), null);
+  }));
+});
+
+test('belongsTo relationships and new details are restored', function(assert) {
+  let service = EditFormDraftsService.create({ keyPrefix: 'test-edit-form-drafts:' });
+  let key = service.getKey('employee', createRecord());
+  service.remove(key);
+
+  let record = createRecord({ hasDirtyAttributes: true, name: 'Ivan' });
+  let newDetail = createDetail({ name: 'new detail', master: record, type: createType(null, true) });
+  let loadedDetail = createDetail({ name: 'detail with type', master: record, type: createType('10', false) });
+  let storedDetail = createDetail({ name: 'detail with stored type', master: record, type: createType('20', false) });
+  set(record, 'details', Ember.A([newDetail, loadedDetail, storedDetail]));
+  assert.ok(service.save(key, record));
+
+  let draft = service.load(key);
+  assert.notOk('type' in draft.data.hasMany.details[0].belongsTo, 'new related record is not stored');
+  assert.deepEqual(draft.data.hasMany.details[1].belongsTo.type, { modelName: 'detail-type', id: '10' });
+  assert.equal(draft.data.hasMany.details[1].belongsTo.master.id, '1', 'inverse relationship is stored');
+
+  let storedType = createType('20', false);
+  let loadedType = createType('10', false);
+  let foundIds = [];
+  let restoredRecord = createRecord({
+    inverseFor(name) {
+      return name === 'details' ? { name: 'master', kind: 'belongsTo' } : null;
+    },
+  });
+
+  set(service, 'store', {
+    createRecord() {
+      return createDetail({ master: restoredRecord });
+    },
+
+    peekRecord(modelName, id) {
+      return id === '20' ? storedType : null;
+    },
+
+    findRecord(modelName, id) {
+      foundIds.push(id);
+      return Ember.RSVP.resolve(loadedType);
+    },
+  });
+
+  return Ember.run(() => service.restore(restoredRecord, draft).then(() => {
+    let details = get(restoredRecord, 'details');
+    assert.equal(get(details, 'length'), 3, 'new details are created');
+    assert.deepEqual(details.mapBy('name'), ['new detail', 'detail with type', 'detail with stored type']);
+    assert.deepEqual(foundIds, ['10'], 'only not stored related record is loaded, inverse relationship is not loaded');
+    assert.ok(details.every((detail) => get(detail, 'master') === restoredRecord), 'link to master is kept');
+    assert.strictEqual(get(details.objectAt(0), 'type'), null);
+    assert.strictEqual(get(details.objectAt(1), 'type'), loadedType);
+    assert.strictEqual(get(details.objectAt(2), 'type'), storedType);
+
+    service.remove(key);
+  }));
+});
@@ -3,6 +3,7 @@ import { module, test } from 'qunit';
 import startApp from '../../helpers/start-app';
 import destroyApp from '../../helpers/destroy-app';
 import config from '../../../config/environment';
+import MemoryLogSink from 'ember-flexberry/objects/log-sinks/memory-log-sink';
 
 let app;
 
@@ -1106,3 +1107,72 @@ test('logService for promise works properly when it\'s disabled', function(asser
     Ember.RSVP.reject(promiseErrorMessage);
   });
 });
+
+test('context with breadcrumbs is stored in formattedMessage', function(assert) {
+  let done = assert.async();
+  assert.expect(4);
+
+  // Stub save method of i-i-s-caseberry-logging-objects-application-log base model.
+  let originalSaveMethod = DS.Model.prototype.save;
+
+  let savedLogRecord;
+  DS.Model.prototype.save = function() {
+    savedLogRecord = this;
+    return Ember.RSVP.resolve(savedLogRecord);
+  };
+
+  // Get log-service instance & enable errors logging with context.
+  let logService = app.__container__.lookup('service:log');
+  logService.enabled = true;
+  logService.storeErrorMessages = true;
+  logService.storeContext = true;
+  logService.addBreadcrumb('test', 'breadcrumb', { value: 1 });
+
+  logService.on('error', this, (savedLogRecord) => {
+    // Check results asyncronously.
+    let context = JSON.parse(savedLogRecord.get('formattedMessage')).context;
+    assert.strictEqual(context.sessionId, logService.get('sessionId'));
+    assert.ok(context.sessionId);
+    assert.deepEqual(context.breadcrumbs[context.breadcrumbs.length - 1].data, { value: 1 });
+    assert.strictEqual(context.breadcrumbs[context.breadcrumbs.length - 1].message, 'breadcrumb');
+
+    // Restore save method of i-i-s-caseberry-logging-objects-application-log base model.
+    DS.Model.prototype.save = originalSaveMethod;
+    logService.storeContext = false;
+    done();
+  });
+
+  // Call to Ember.Logger.error.
+  Ember.run(() => {
+    Ember.Logger.error('The system generated an error with context');
+  });
+});
+
+test('sinks receive messages by their own level regardless of store settings', function(assert) {
+  let done = assert.async();
+  assert.expect(3);
+
+  // Get log-service instance & disable storing to application log model.
+  let logService = app.__container__.lookup('service:log');
+  logService.enabled = false;
+
+  let sink = logService.addSink(MemoryLogSink.create({ level: 'WARN' }));
+
+  logService.on('warn', this, () => {
+    // Check results asyncronously.
+    let entries = sink.get('entries');
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].category, 'WARN');
+    assert.strictEqual(entries[0].message, 'The system generated a warning for sink');
+
+    logService.removeSink(sink);
+    sink.destroy();
+    done();
+  });
+
+  // Call to Ember.Logger.info & Ember.Logger.warn.
+  Ember.run(() => {
+    Ember.Logger.info('The system generated an info message for sink');
+    Ember.Logger.warn('The system generated a warning for sink');
+  });
+});
@@ -0,0 +1,77 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import RouteMetricsService from 'ember-flexberry/services/route-metrics';
+
+const { get, set } = Ember;
+
+module('Unit | Service | route metrics');
+
+test('percentiles of metrics are calculated per route', function(assert) {
+  let service = RouteMetricsService.create({ maxSamples: 3 });
+  service.addSample('orders', { modelTime: 500, renderTime: 10, interactiveTime: 510 });
+  service.addSample('orders', { modelTime: 100, renderTime: 20, interactiveTime: 120 });
+  service.addSample('orders', { modelTime: 200, renderTime: 30, interactiveTime: null });
+  service.addSample('orders', { modelTime: 300, renderTime: 40, interactiveTime: 340 });
+  service.addSample('customers', { modelTime: 50, renderTime: 5, interactiveTime: 55 });
+
+  let metrics = service.getMetrics().findBy('routeName', 'orders');
+  assert.equal(metrics.count, 4);
+  assert.deepEqual(metrics.modelTime, { p50: 200, p90: 300, p99: 300, max: 300 });
+  assert.deepEqual(metrics.interactiveTime, { p50: 120, p90: 340, p99: 340, max: 340 });
+  assert.equal(get(service, 'version'), 5);
+});
+
+test('the slowest routes are sorted by percentile of metric', function(assert) {
+  let service = RouteMetricsService.create();
+  service.addSample('fast', { modelTime: 10, renderTime: 10, interactiveTime: 20 });
+  service.addSample('slow', { modelTime: 900, renderTime: 10, interactiveTime: 910 });
+  service.addSample('unknown', { modelTime: null, renderTime: 500, interactiveTime: null });
+
+  assert.deepEqual(service.getSlowestRoutes(2).mapBy('routeName'), ['slow', 'fast']);
+  assert.deepEqual(service.getSlowestRoutes(1, 'renderTime').mapBy('routeName'), ['unknown']);
+});
+
+test('report is sent only if there are new values', function(assert) {
+  let reports = [];
+  let service = RouteMetricsService.create({
+    reporter: {
+      report(report) {
+        reports.push(report);
+        return Ember.RSVP.resolve();
+      }
+    }
+  });
+
+  let done = assert.async();
+  service.addSample('orders', { modelTime: 100, renderTime: 10, interactiveTime: 110 });
+  Ember.run(() => {
+    service.report().then(() => service.report()).then(() => {
+      assert.equal(reports.length, 1);
+      assert.equal(reports[0].routes[0].routeName, 'orders');
+      done();
+    });
+  });
+});
+
+test('route becomes interactive when all registered components are inserted', function(assert) {
+  let service = RouteMetricsService.create();
+  let firstComponent = {};
+  let secondComponent = {};
+  let current = { routeName: 'orders', startTime: 0, resolvedTime: 100, renderedTime: null, transition: null };
+  set(service, '_current', current);
+
+  service.beginInteractive(firstComponent);
+  service.beginInteractive(secondComponent);
+  current.renderedTime = 150;
+
+  service.endInteractive(firstComponent);
+  assert.equal(service.getMetrics().length, 0);
+
+  service.endInteractive(secondComponent);
+  let metrics = service.getMetrics()[0];
+  assert.equal(metrics.routeName, 'orders');
+  assert.equal(metrics.modelTime.p50, 100);
+  assert.equal(metrics.renderTime.p50, 50);
+  assert.ok(metrics.interactiveTime.p50 >= 150);
+  assert.strictEqual(get(service, '_current'), null);
+});
@@ -0,0 +1,103 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import SavedViewsService from 'ember-flexberry/services/saved-views';
+
+module('Unit | Service | saved views');
+
+test('getCurrentViewValue collects state of list', function(assert) {
+  let service = SavedViewsService.create({
+    userSettingsService: {
+      getCurrentUserSetting: () => ({ sorting: [{ propName: 'name', direction: 'asc' }], perPage: 10 }),
+    },
+    advLimit: {
+      getCurrentAdvLimit: () => '(name eq \'test\')',
+    },
+  });
+
+  let controller = Ember.Object.create({
+    filters: { name: { name: 'name', type: 'string', pattern: 'test', condition: 'like', component: {} } },
+    filter: 'search',
+  });
+
+  assert.deepEqual(service.getCurrentViewValue('list', controller), {
+    setting: { sorting: [{ propName: 'name', direction: 'asc' }], perPage: 10 },
+    filters: { name: { name: 'name', type: 'string', pattern: 'test', condition: 'like' } },
+    filter: 'search',
+    filterCondition: null,
+    advLimit: '(name eq \'test\')',
+  });
+});
+
+test('applyView saves setting and adv limit of view', function(assert) {
+  let saved = {};
+  let service = SavedViewsService.create({
+    userSettingsService: {
+      saveUserSetting: (componentName, settingName, setting) => {
+        saved.setting = setting;
+        return Ember.RSVP.resolve();
+      },
+    },
+    advLimit: {
+      saveAdvLimit: (advLimit) => {
+        saved.advLimit = advLimit;
+        return Ember.RSVP.resolve();
+      },
+    },
+  });
+
+  let value = { setting: { perPage: 20 }, filters: null, filter: null, advLimit: null };
+  return Ember.run(() => service.applyView('list', { name: 'view', value: value }).then((result) => {
+    assert.strictEqual(result, value);
+    assert.deepEqual(saved, { setting: { perPage: 20 }, advLimit: '' });
+  }));
+});
+
+test('deleteView rejects for views of other users', function(assert) {
+  let service = SavedViewsService.create({
+    userSettingsService: { isUserSettingsServiceEnabled: true },
+    _getOwnRecords: () => {
+      assert.ok(false, 'Records are not requested');
+      return Ember.RSVP.resolve([]);
+    },
+  });
+
+  return Ember.run(() => service.deleteView('list', { name: 'view', readonly: true }).then(() => {
+    assert.ok(false, 'Promise is rejected');
+  }, (reason) => {
+    assert.ok(reason instanceof Error, 'Promise is rejected with error');
+  }));
+});
+
+test('deleteView destroys records of own view', function(assert) {
+  let destroyed = 0;
+  let record = { destroyRecord: () => Ember.RSVP.resolve(destroyed++) };
+  let service = SavedViewsService.create({
+    userSettingsService: { isUserSettingsServiceEnabled: true },
+    _getOwnRecords: (componentName, viewName) => {
+      assert.equal(viewName, 'view');
+      return Ember.RSVP.resolve([record]);
+    },
+  });
+
+  return Ember.run(() => service.deleteView('list', { name: 'view', readonly: false }).then(() => {
+    assert.equal(destroyed, 1, 'Record is destroyed');
+  }));
+});
+
+test('saveView waits for removing of duplicates of view', function(assert) {
+  let saved = false;
+  let record = Ember.Object.create({ save: () => Ember.RSVP.resolve(saved = true) });
+  let duplicate = { destroyRecord: () => Ember.RSVP.reject(new Error('Removing failed')) };
+  let service = SavedViewsService.create({
+    userSettingsService: { isUserSettingsServiceEnabled: true },
+    _getOwnRecords: () => Ember.RSVP.resolve([record, duplicate]),
+    _getAppName: () => 'app',
+  });
+
+  return Ember.run(() => service.saveView('list', 'view', { filter: null }).then(() => {
+    assert.ok(false, 'Promise is rejected');
+  }, (reason) => {
+    assert.equal(reason.message, 'Removing failed', 'Promise is rejected with error of removing');
+    assert.notOk(saved, 'View is not saved');
+  }));
+});
@@ -0,0 +1,68 @@
+import { Query } from 'ember-flexberry-data';
+import { predicateForFilter, relativeDateRange, splitFilterList } from 'ember-flexberry/utils/filter';
+import { EndsWithPredicate, RegexPredicate } from 'ember-flexberry/utils/string-predicates';
+import { module, test } from 'qunit';
+
+const { SimplePredicate, ComplexPredicate } = Query;
+
+module('Unit | Utility | filter');
+
+test('splitFilterList returns not empty trimmed values', function(assert) {
+  assert.deepEqual(splitFilterList(' a; b;;c ;'), ['a', 'b', 'c']);
+  assert.deepEqual(splitFilterList(null), []);
+});
+
+test('relativeDateRange returns inclusive ranges', function(assert) {
+  let now = new Date(2021, 4, 15, 13, 30);
+  assert.deepEqual(relativeDateRange('today', now), [new Date(2021, 4, 15), new Date(2021, 4, 15)]);
+  assert.deepEqual(relativeDateRange('last7days', now), [new Date(2021, 4, 9), new Date(2021, 4, 15)]);
+  assert.deepEqual(relativeDateRange('thismonth', now), [new Date(2021, 4, 1), new Date(2021, 4, 31)]);
+  assert.deepEqual(relativeDateRange('thisquarter', now), [new Date(2021, 3, 1), new Date(2021, 5, 30)]);
+  assert.strictEqual(relativeDateRange('unknown', now), null);
+});
+
+test('predicateForFilter builds predicates for in list condition', function(assert) {
+  let single = predicateForFilter({ name: 'age', type: 'number', condition: 'in', pattern: '30; x' });
+  assert.ok(single instanceof SimplePredicate);
+  assert.strictEqual(single.value, 30);
+
+  let multiple = predicateForFilter({ name: 'name', type: 'string', condition: 'in', pattern: 'Ivan;Petr' });
+  assert.ok(multiple instanceof ComplexPredicate);
+  assert.equal(multiple.condition, 'or');
+  assert.deepEqual(multiple.predicates.map((predicate) => predicate.value), ['Ivan', 'Petr']);
+
+  assert.strictEqual(predicateForFilter({ name: 'name', type: 'string', condition: 'in', pattern: '' }), null);
+});
+
+test('predicateForFilter builds predicates for empty conditions', function(assert) {
+  let predicate = predicateForFilter({ name: 'age', type: 'number', condition: 'empty' });
+  assert.equal(predicate.operator, 'eq');
+  assert.strictEqual(predicate.value, null);
+
+  predicate = predicateForFilter({ name: 'name', type: 'string', condition: 'nempty' });
+  assert.ok(predicate instanceof ComplexPredicate);
+  assert.equal(predicate.condition, 'and');
+});
+
+test('predicateForFilter builds range predicate for starts with condition', function(assert) {
+  let predicate = predicateForFilter({ name: 'name', type: 'string', condition: 'startswith', pattern: 'Iv' });
+  assert.ok(predicate instanceof ComplexPredicate);
+  assert.equal(predicate.condition, 'and');
+  assert.deepEqual(predicate.predicates.map((item) => item.operator), ['geq', 'le']);
+  assert.deepEqual(predicate.predicates.map((item) => item.value), ['Iv', 'Iv\uffff']);
+
+  assert.strictEqual(predicateForFilter({ name: 'name', type: 'string', condition: 'startswith', pattern: '' }), null);
+});
+
+test('predicateForFilter builds predicates for ends with and regex conditions', function(assert) {
+  let predicate = predicateForFilter({ name: 'name', type: 'string', condition: 'endswith', pattern: 'ov' });
+  assert.ok(predicate instanceof EndsWithPredicate);
+  assert.equal(predicate.attributePath, 'name');
+  assert.equal(predicate.value, 'ov');
+  assert.strictEqual(predicateForFilter({ name: 'name', type: 'string', condition: 'endswith', pattern: '' }), null);
+
+  predicate = predicateForFilter({ name: 'name', type: 'string', condition: 'regex', pattern: '^Iv.*v$' });
+  assert.ok(predicate instanceof RegexPredicate);
+  assert.equal(predicate.pattern, '^Iv.*v$');
+  assert.strictEqual(predicateForFilter({ name: 'name', type: 'string', condition: 'regex', pattern: '[' }), null, 'Invalid regex gives no predicate');
+});
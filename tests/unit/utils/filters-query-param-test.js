@@ -0,0 +1,31 @@
+import { serializeFiltersParam, deserializeFiltersParam } from 'ember-flexberry/utils/filters-query-param';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | filters query param');
+
+test('serializeFiltersParam encodes filled filters', function(assert) {
+  let filters = {
+    name: { name: 'name', type: 'string', condition: 'like', pattern: 'Ivan', component: {} },
+    birthDate: { name: 'birthDate', type: 'date', condition: undefined, pattern: '' },
+  };
+
+  assert.equal(serializeFiltersParam(filters), '[1,[["name","string","like","Ivan"]]]');
+  assert.strictEqual(serializeFiltersParam({ birthDate: filters.birthDate }), null);
+  assert.strictEqual(serializeFiltersParam(null), null);
+});
+
+test('deserializeFiltersParam decodes filters', function(assert) {
+  let filters = {
+    name: { name: 'name', type: 'string', condition: 'like', pattern: 'Ivan' },
+    'manager.age': { name: 'manager.age', type: 'number', condition: 'ge', pattern: '30' },
+  };
+
+  assert.deepEqual(deserializeFiltersParam(serializeFiltersParam(filters)), filters);
+  assert.strictEqual(deserializeFiltersParam(''), null);
+});
+
+test('deserializeFiltersParam ignores unsupported strings', function(assert) {
+  assert.strictEqual(deserializeFiltersParam('not json'), null);
+  assert.strictEqual(deserializeFiltersParam('[2,[["name","string","like","Ivan"]]]'), null, 'Unknown version');
+  assert.strictEqual(deserializeFiltersParam('{"name":"Ivan"}'), null);
+});
@@ -0,0 +1,46 @@
+import groupRecords, { aggregate, groupValueKey } from 'ember-flexberry/utils/group-records';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | group records');
+
+test('aggregate calculates functions', function(assert) {
+  let values = [1, null, 4, undefined, 7];
+  assert.equal(aggregate(values, 'count'), 3);
+  assert.equal(aggregate(values, 'sum'), 12);
+  assert.equal(aggregate(values, 'avg'), 4);
+  assert.equal(aggregate(values, 'min'), 1);
+  assert.equal(aggregate(values, 'max'), 7);
+  assert.strictEqual(aggregate([null], 'sum'), null);
+  assert.equal(aggregate(['a', '', null, 'b', { id: '1' }, false], 'count'), 5, 'Count includes not numeric values');
+});
+
+test('groupValueKey distinguishes types of values', function(assert) {
+  assert.equal(groupValueKey(null), groupValueKey(undefined));
+  assert.notEqual(groupValueKey(1), groupValueKey('1'));
+  assert.equal(groupValueKey(new Date(2020, 1, 1)), groupValueKey(new Date(2020, 1, 1)));
+});
+
+test('groupRecords builds nested groups with aggregates', function(assert) {
+  let items = [
+    { status: 'new', type: 'a', price: 10 },
+    { status: 'done', type: 'a', price: 5 },
+    { status: 'new', type: 'b', price: 20 },
+    { status: 'new', type: 'a', price: 30 },
+  ];
+
+  let groups = groupRecords(items, ['status', 'type'], { aggregates: { price: ['sum', 'max'] } });
+
+  assert.deepEqual(groups.map((group) => group.value), ['new', 'done']);
+  assert.equal(groups[0].count, 3);
+  assert.deepEqual(groups[0].aggregates, [
+    { propName: 'price', func: 'sum', value: 60 },
+    { propName: 'price', func: 'max', value: 30 },
+  ]);
+
+  let nested = groups[0].groups;
+  assert.deepEqual(nested.map((group) => group.value), ['a', 'b']);
+  assert.equal(nested[0].level, 1);
+  assert.deepEqual(nested[0].items, [items[0], items[3]]);
+  assert.strictEqual(nested[0].groups, null);
+  assert.notEqual(nested[0].key, groups[1].groups[0].key, 'Keys of nested groups include key of parent group');
+});
@@ -0,0 +1,37 @@
+import { buildCsv, buildXlsx, crc32, utf8Encode } from 'ember-flexberry/utils/list-export';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | list export');
+
+test('utf8Encode encodes multibyte characters', function(assert) {
+  assert.deepEqual(Array.from(utf8Encode('a')), [0x61]);
+  assert.deepEqual(Array.from(utf8Encode('я')), [0xd1, 0x8f]);
+  assert.deepEqual(Array.from(utf8Encode('€')), [0xe2, 0x82, 0xac]);
+});
+
+test('crc32 calculates checksum', function(assert) {
+  assert.equal(crc32(utf8Encode('')), 0);
+  assert.equal(crc32(utf8Encode('123456789')), 0xcbf43926);
+});
+
+test('buildCsv escapes values', function(assert) {
+  let columns = [{ header: 'Name' }, { header: 'Count;total' }];
+  let rows = [['Say "hi"', 2], [null, 'multi\nline']];
+
+  let result = buildCsv(columns, rows, { bom: false });
+  assert.equal(result, 'Name;"Count;total"\r\n"Say ""hi""";2\r\n;"multi\nline"');
+
+  result = buildCsv(columns, [], { separator: ',' });
+  assert.equal(result, '﻿Name,Count;total');
+});
+
+test('buildXlsx builds zip archive', function(assert) {
+  let result = buildXlsx([{ header: 'Name', width: 140 }], [['<b>'], [1]]);
+
+  assert.ok(result instanceof Uint8Array);
+  assert.deepEqual(Array.from(result.subarray(0, 4)), [0x50, 0x4b, 0x03, 0x04], 'Starts with local file header signature');
+
+  let tail = result.subarray(result.length - 22);
+  assert.deepEqual(Array.from(tail.subarray(0, 4)), [0x50, 0x4b, 0x05, 0x06], 'Ends with end of central directory record');
+  assert.equal(tail[8], 6, 'Contains six files');
+});
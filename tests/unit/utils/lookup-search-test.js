@@ -0,0 +1,77 @@
+import Ember from 'ember';
+import { module, test } from 'qunit';
+import { SimplePredicate, StringPredicate, DatePredicate, ComplexPredicate } from 'ember-flexberry-data/query/predicate';
+import { tokenize, buildSearchPredicate, highlightMatches, renderResultTemplate, getTemplateAttributes } from 'ember-flexberry/utils/lookup-search';
+
+module('Unit | Utility | lookup search');
+
+test('tokenize splits search string by whitespaces', function(assert) {
+  assert.deepEqual(tokenize('  ivan   77 '), ['ivan', '77']);
+  assert.deepEqual(tokenize(' '), []);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('buildSearchPredicate matches each token with any attribute', function(assert) {
+  let attributes = [{ name: 'name', type: 'string' }, { name: 'code', type: 'number' }];
+
+  let predicate = buildSearchPredicate('ivan 77', attributes);
+  assert.ok(predicate instanceof ComplexPredicate);
+  assert.equal(predicate.condition, 'and');
+  assert.equal(predicate.predicates.length, 2);
+
+  let tokenPredicate = predicate.predicates[0];
+  assert.ok(tokenPredicate instanceof StringPredicate, 'Not numeric token is not compared with numeric attribute');
+  assert.equal(tokenPredicate.containsValue, 'ivan');
+
+  tokenPredicate = predicate.predicates[1];
+  assert.equal(tokenPredicate.condition, 'or');
+  assert.ok(tokenPredicate.predicates[1] instanceof SimplePredicate);
+  assert.strictEqual(tokenPredicate.predicates[1].value, 77);
+
+  assert.strictEqual(buildSearchPredicate(' ', attributes), undefined);
+});
+
+test('highlightMatches escapes text and highlights tokens', function(assert) {
+  assert.equal(highlightMatches('Ivan <Ivanov>', ['ivan']),
+    '<span class="flexberry-lookup-match">Ivan</span> &lt;<span class="flexberry-lookup-match">Ivan</span>ov&gt;');
+  assert.equal(highlightMatches('a.b', ['.']), 'a<span class="flexberry-lookup-match">.</span>b');
+  assert.equal(highlightMatches(null, ['a']), '');
+  assert.equal(highlightMatches(77, []), '77');
+});
+
+test('renderResultTemplate replaces placeholders by values', function(assert) {
+  let record = Ember.Object.create({ code: 77, name: 'Ivanov', manager: Ember.Object.create({ name: 'Petrov' }) });
+  let template = '<b>{code}</b> {name} ({manager.name})';
+
+  assert.equal(renderResultTemplate(template, record, ['77']),
+    '<b><span class="flexberry-lookup-match">77</span></b> Ivanov (Petrov)');
+  assert.deepEqual(getTemplateAttributes(template), ['code', 'name', 'manager.name']);
+  assert.deepEqual(getTemplateAttributes(undefined), []);
+});
+
+test('buildSearchPredicate matches no records by token which can not match attributes', function(assert) {
+  let predicate = buildSearchPredicate('ivan', [{ name: 'code', type: 'number' }]);
+  assert.ok(predicate instanceof SimplePredicate);
+  assert.equal(predicate.attributePath, 'id', 'Token is not compared with numeric attribute');
+  assert.equal(predicate.operator, 'eq');
+  assert.strictEqual(predicate.value, null);
+});
+
+test('buildSearchPredicate compares date and boolean attributes by typed equality', function(assert) {
+  let attributes = [{ name: 'birthDate', type: 'date' }, { name: 'isActive', type: 'boolean' }, { name: 'gender', type: 'gender-enum' }];
+
+  let predicate = buildSearchPredicate('2021-05-15', attributes);
+  assert.ok(predicate instanceof DatePredicate, 'Date token is compared with date attribute only');
+  assert.equal(predicate.attributePath, 'birthDate');
+  assert.equal(predicate.operator, 'eq');
+  assert.ok(predicate.timeless);
+
+  predicate = buildSearchPredicate('True', attributes);
+  assert.ok(predicate instanceof SimplePredicate);
+  assert.equal(predicate.attributePath, 'isActive');
+  assert.strictEqual(predicate.value, true);
+
+  predicate = buildSearchPredicate('ivan', attributes);
+  assert.equal(predicate.attributePath, 'id', 'Token is not compared with attributes of other types');
+  assert.strictEqual(predicate.value, null);
+});
@@ -0,0 +1,19 @@
+import { module, test } from 'qunit';
+import percentile from 'ember-flexberry/utils/percentile';
+
+module('Unit | Utility | percentile');
+
+test('percentile is calculated by nearest-rank method', function(assert) {
+  let values = [50, 15, 40, 20, 35];
+  assert.equal(percentile(values, 0), 15);
+  assert.equal(percentile(values, 30), 20);
+  assert.equal(percentile(values, 50), 35);
+  assert.equal(percentile(values, 90), 50);
+  assert.equal(percentile(values, 100), 50);
+});
+
+test('percentile skips empty values', function(assert) {
+  assert.equal(percentile([null, 10, undefined, NaN], 99), 10);
+  assert.strictEqual(percentile([null], 50), null);
+  assert.strictEqual(percentile([], 50), null);
+});
@@ -0,0 +1,102 @@
+import { module, test } from 'qunit';
+import { SimplePredicate, StringPredicate, ComplexPredicate, NotPredicate, stringToPredicate } from 'ember-flexberry-data/query/predicate';
+import { createGroup, createRule, operatorsForType, predicateToTree, treeToPredicate, treeToString, stringToTree,
+  isValidRule, findInvalidRule }
+  from 'ember-flexberry/utils/predicate-tree';
+
+module('Unit | Utility | predicate tree');
+
+test('operatorsForType returns operators for types', function(assert) {
+  assert.ok(operatorsForType('string').indexOf('like') > -1);
+  assert.ok(operatorsForType('number').indexOf('geq') > -1);
+  assert.deepEqual(operatorsForType('boolean'), ['eq', 'neq', 'empty', 'nempty']);
+});
+
+test('treeToPredicate builds predicates', function(assert) {
+  let tree = createGroup('or', [
+    createRule('name', 'string', 'like', 'abc'),
+    createRule('age', 'number', 'ge', '18'),
+    createRule('address', 'string', 'empty'),
+    createRule(undefined, undefined),
+  ]);
+
+  let predicate = treeToPredicate(tree);
+  assert.ok(predicate instanceof ComplexPredicate);
+  assert.equal(predicate.condition, 'or');
+  assert.equal(predicate.predicates.length, 3, 'Rules without attribute are skipped');
+  assert.ok(predicate.predicates[0] instanceof StringPredicate);
+  assert.strictEqual(predicate.predicates[1].value, 18);
+  assert.strictEqual(predicate.predicates[2].value, null);
+
+  assert.strictEqual(treeToPredicate(createGroup()), null);
+  assert.ok(treeToPredicate(createGroup('and', [createRule('name', 'string', 'nlike', 'a')])) instanceof NotPredicate);
+});
+
+test('predicateToTree converts predicates back', function(assert) {
+  let predicate = new ComplexPredicate('and',
+    new NotPredicate(new StringPredicate('name').contains('abc')),
+    new SimplePredicate('age', 'leq', 30),
+    new SimplePredicate('address', 'neq', null)
+  );
+
+  let tree = predicateToTree(predicate, { name: 'string', age: 'number', address: 'string' });
+  assert.ok(tree.isGroup);
+  assert.equal(tree.condition, 'and');
+  assert.deepEqual(tree.items.map((rule) => rule.operator), ['nlike', 'leq', 'nempty']);
+  assert.equal(tree.items[0].value, 'abc');
+  assert.equal(tree.items[1].value, 30);
+
+  assert.strictEqual(predicateToTree(new SimplePredicate('age', 'like', 1), { age: 'number' }), undefined,
+    'Predicates with unsupported operators can not be edited visually');
+});
+
+test('treeToString builds string which is converted back by stringToTree', function(assert) {
+  let attributeTypes = { name: 'string', age: 'number', birthday: 'date', active: 'boolean', address: 'string' };
+  let tree = createGroup('and', [
+    createRule('age', 'number', 'ge', '18'),
+    createRule('name', 'string', 'nlike', 'a "quoted" \'name\''),
+    createGroup('or', [
+      createRule('birthday', 'date', 'leq', new Date(2000, 0, 1)),
+      createRule('active', 'boolean', 'eq', 'true'),
+      createRule('address', 'string', 'empty'),
+    ]),
+  ]);
+
+  let string = treeToString(tree);
+  assert.ok(stringToPredicate(string) instanceof ComplexPredicate, 'String is parsed by stringToPredicate');
+
+  let restoredTree = stringToTree(string, attributeTypes);
+  assert.equal(restoredTree.condition, 'and');
+  assert.deepEqual(restoredTree.items.map((rule) => rule.operator), ['ge', 'nlike', undefined]);
+  assert.strictEqual(restoredTree.items[0].value, 18);
+  assert.equal(restoredTree.items[1].value, 'a "quoted" \'name\'');
+
+  let nestedGroup = restoredTree.items[2];
+  assert.ok(nestedGroup.isGroup);
+  assert.equal(nestedGroup.condition, 'or');
+  assert.deepEqual(nestedGroup.items.map((rule) => rule.operator), ['leq', 'eq', 'empty']);
+  assert.equal(nestedGroup.items[0].value.getTime(), new Date(2000, 0, 1).getTime());
+  assert.strictEqual(nestedGroup.items[1].value, 'true');
+
+  assert.equal(treeToString(createGroup()), '', 'Empty tree is converted to empty string');
+  assert.deepEqual(stringToTree(treeToString(createGroup())).items, [], 'Empty string is converted to empty tree');
+});
+
+test('findInvalidRule finds values which can not be converted to type of attribute', function(assert) {
+  assert.ok(isValidRule(createRule('birthDate', 'date', 'eq', '2020-01-15')));
+  assert.notOk(isValidRule(createRule('birthDate', 'date', 'eq', 'not a date')));
+  assert.ok(isValidRule(createRule('price', 'decimal', 'ge', '10,5')));
+  assert.notOk(isValidRule(createRule('price', 'decimal', 'ge', '10a')));
+  assert.ok(isValidRule(createRule('price', 'decimal', 'empty', '10a')), 'Value is not used by operator');
+
+  let invalidRule = createRule('price', 'number', 'eq', 'abc');
+  let tree = createGroup('and', [
+    createRule('name', 'string', 'eq', 'abc'),
+    createGroup('or', [createRule('birthDate', 'date', 'eq', null), invalidRule]),
+  ]);
+  assert.strictEqual(findInvalidRule(tree), invalidRule);
+
+  invalidRule.value = '42';
+  assert.strictEqual(findInvalidRule(tree), null);
+  assert.equal(treeToPredicate(tree).predicates[1].predicates[1].value, 42);
+});
@@ -0,0 +1,43 @@
+import { module, test } from 'qunit';
+import { parseStackTrace, parseFormattedMessage } from 'ember-flexberry/utils/stack-trace';
+
+module('Unit | Utility | stack trace');
+
+test('parseStackTrace parses frames of Chrome stack trace', function(assert) {
+  let frames = parseStackTrace(
+    'Error: failed\n' +
+    '    at Class.save (http://localhost:4200/assets/vendor.js:120:15)\n' +
+    '    at http://localhost:4200/assets/app.js:7:3');
+
+  assert.equal(frames.length, 3);
+  assert.strictEqual(frames[0].fileName, null);
+  assert.equal(frames[0].source, 'Error: failed');
+  assert.deepEqual(
+    [frames[1].functionName, frames[1].fileName, frames[1].lineNumber, frames[1].columnNumber],
+    ['Class.save', 'http://localhost:4200/assets/vendor.js', 120, 15]);
+  assert.deepEqual(
+    [frames[2].functionName, frames[2].fileName, frames[2].lineNumber, frames[2].columnNumber],
+    [null, 'http://localhost:4200/assets/app.js', 7, 3]);
+});
+
+test('parseStackTrace parses frames of Firefox stack trace', function(assert) {
+  let frames = parseStackTrace('save@http://localhost:4200/assets/vendor.js:120:15\n@http://localhost:4200/assets/app.js:7:3\n');
+
+  assert.equal(frames.length, 2);
+  assert.equal(frames[0].functionName, 'save');
+  assert.equal(frames[0].lineNumber, 120);
+  assert.strictEqual(frames[1].functionName, null);
+  assert.equal(frames[1].fileName, 'http://localhost:4200/assets/app.js');
+});
+
+test('parseStackTrace returns empty array for empty stack', function(assert) {
+  assert.deepEqual(parseStackTrace(null), []);
+  assert.deepEqual(parseStackTrace(''), []);
+});
+
+test('parseFormattedMessage parses JSON objects only', function(assert) {
+  assert.deepEqual(parseFormattedMessage('{"name":"Error"}'), { name: 'Error' });
+  assert.strictEqual(parseFormattedMessage('not json'), null);
+  assert.strictEqual(parseFormattedMessage('42'), null);
+  assert.strictEqual(parseFormattedMessage(''), null);
+});
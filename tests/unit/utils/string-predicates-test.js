@@ -0,0 +1,32 @@
+import { Query } from 'ember-flexberry-data';
+import { EndsWithPredicate, RegexPredicate, isValidRegex, extendQueryAdapters } from 'ember-flexberry/utils/string-predicates';
+import { module, test } from 'qunit';
+
+const { OdataAdapter, JsAdapter } = Query;
+
+module('Unit | Utility | string predicates', {
+  beforeEach() {
+    extendQueryAdapters();
+  }
+});
+
+test('isValidRegex checks regular expression', function(assert) {
+  assert.ok(isValidRegex('^a.*b$'));
+  assert.notOk(isValidRegex('('));
+});
+
+test('OData adapter converts predicates to functions', function(assert) {
+  let adapter = { _getODataAttributeName: (modelName, attributePath) => attributePath.charAt(0).toUpperCase() + attributePath.slice(1) };
+  let convert = (predicate, prefix) => OdataAdapter.prototype._convertPredicateToODataFilterClause.call(adapter, predicate, 'model', prefix, 0);
+
+  assert.equal(convert(new EndsWithPredicate('name', `O'v`), ''), `endswith(Name,'O''v')`);
+  assert.equal(convert(new RegexPredicate('name', '^I.*v$'), 'x'), `matchesPattern(x/Name,'^I.*v$')`);
+});
+
+test('JS adapter checks predicates on client', function(assert) {
+  let data = [{ name: 'Ivanov' }, { name: 'Petrova' }, { name: null }];
+  let adapter = new JsAdapter();
+
+  assert.deepEqual(adapter.buildFilter(new EndsWithPredicate('name', 'OV'))(data), [data[0]]);
+  assert.deepEqual(adapter.buildFilter(new RegexPredicate('name', '^P.*a$'))(data), [data[1]]);
+});